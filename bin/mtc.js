@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+/**
+ * mtc — command-line front end for the tolerance checkers.
+ *
+ *   mtc check housing 240.05 240.07 --spec H7 --json
+ *   mtc table shaft h6
+ *   mtc batch inspection.csv --out results.csv
+ *   mtc check shaft 49.98 49.99 --report shaft.pdf
+ *   mtc validate house-table.json
+ *   mtc serve --port 3000
+ *
+ * Exit codes: 0 when every check passes, 1 when a part fails, 2 on usage or
+ * input errors. With --uncertainty, a check passes only when the reading
+ * proves conformance (ISO 14253-1).
+ */
+
+const fs = require("node:fs");
+const { parseArgs } = require("node:util");
+const {
+  getAllTolerancesFor,
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  checkInspectionSheet,
+  generateInspectionReport,
+  validateToleranceData,
+  createServer,
+} = require("../index");
+
+const EXIT_CODES = { pass: 0, fail: 1, error: 2 };
+
+const USAGE = `Usage:
+  mtc check <material> <reading...> [options]   Check one or more readings
+  mtc table <material> [spec] [options]         Print a tolerance table
+  mtc batch <file.csv> [options]                Check every row of an inspection sheet
+  mtc validate [file.json] [options]            Check a tolerance table for data errors
+                                                (default: the bundled Tolerances.json)
+  mtc serve [options]                           Serve the calculator as a JSON HTTP API
+
+Materials: housing, shaft, shell
+
+Options:
+  --spec <spec>          Specification, e.g. H7, k6, RC4 (default: standard's)
+  --it <grade>           IT grade, e.g. IT6 (default: standard's)
+  --nominal <size>       Declared nominal size instead of inferring it
+  --units <mm|inch>      Units of readings and output (default: mm)
+  --uncertainty <U>      Expanded gauge uncertainty; decides by ISO 14253-1
+  --temperature <°C>     Part temperature, adds to the uncertainty
+  --part-temperature <°C>   Correct readings taken at this part temperature to 20 °C
+  --gauge-temperature <°C>  Gauge temperature while measuring (default: 20)
+  --part-material <name|α>  steel, cast-iron, bronze, aluminium or α in 1/K (default: steel)
+  --standard <name>      Registered tolerance standard (default: camco)
+  --locale <en|es|pt|de> Language of reasons, outcomes and reports (default: en)
+  --json                 Print the raw result as JSON
+  --report <file>        Also write an inspection report (.html or .pdf)
+  -h, --help             Show this help
+
+Batch options:
+  --out <file>           Write the results CSV to a file (default: stdout)
+  --delimiter <char>     Field delimiter of the sheet (default: ,)
+  --id-column <name>     Component ID column (default: component_id)
+  --material-column <name>  Material column (default: material)
+  --spec-column <name>   Specification column (default: spec)
+  --nominal-column <name>   Nominal column (default: nominal)
+  --reading-columns <a,b,...>  Reading columns (default: every reading* column)
+
+Serve options:
+  --port <port>          Port to listen on (default: 3000)
+  --host <host>          Address to listen on (default: 127.0.0.1; 0.0.0.0 for all)
+  --cors                 Allow requests from web pages of any origin
+
+Exit codes: 0 pass, 1 fail (batch: any failed or invalid row; validate: any
+data error), 2 usage or input error.
+With --uncertainty, check passes only on a conforming decision.`;
+
+const OPTIONS = {
+  spec: { type: "string" },
+  it: { type: "string" },
+  nominal: { type: "string" },
+  units: { type: "string" },
+  uncertainty: { type: "string" },
+  temperature: { type: "string" },
+  "part-temperature": { type: "string" },
+  "gauge-temperature": { type: "string" },
+  "part-material": { type: "string" },
+  standard: { type: "string" },
+  locale: { type: "string" },
+  json: { type: "boolean" },
+  report: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  out: { type: "string" },
+  delimiter: { type: "string" },
+  "id-column": { type: "string" },
+  "material-column": { type: "string" },
+  "spec-column": { type: "string" },
+  "nominal-column": { type: "string" },
+  "reading-columns": { type: "string" },
+  port: { type: "string" },
+  host: { type: "string" },
+  cors: { type: "boolean" },
+};
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = "127.0.0.1";
+
+const COMMANDS = {
+  check: runCheck,
+  table: runTable,
+  batch: runBatch,
+  validate: runValidate,
+  serve: runServe,
+};
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {{ stdout: (text: string) => void, stderr: (text: string) => void }} [io]
+ * @returns {number} Exit code
+ */
+function run(argv, io = defaultIO()) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    io.stderr(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.error;
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    (parsed.values.help ? io.stdout : io.stderr)(USAGE);
+    return parsed.values.help ? EXIT_CODES.pass : EXIT_CODES.error;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    io.stderr(`Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_CODES.error;
+  }
+
+  return handler(positionals, parsed.values, io);
+}
+
+/** mtc check <material> <reading...> */
+function runCheck(positionals, flags, io) {
+  const [material, ...readings] = positionals;
+  if (!material || readings.length === 0) {
+    io.stderr(`check needs a material and at least one reading.\n\n${USAGE}`);
+    return EXIT_CODES.error;
+  }
+
+  const measurements = readings.map(Number);
+  const invalidReading = readings.find((reading, index) =>
+    Number.isNaN(measurements[index]),
+  );
+  if (invalidReading !== undefined) {
+    io.stderr(`Invalid reading: ${invalidReading}`);
+    return EXIT_CODES.error;
+  }
+
+  const options = toCheckerOptions(flags);
+  const result =
+    measurements.length === 1
+      ? checkOneMeasurementFor(material, measurements[0], options)
+      : checkMultipleMeasurementsFor(material, measurements, options);
+
+  if (result.error) {
+    return printError(result, flags, io);
+  }
+
+  const passed =
+    (measurements.length === 1
+      ? result.meets_specification.meetsSpec
+      : result.meets_final_compliance) &&
+    (!result.decision || result.decision.verdict === "conforming");
+
+  if (
+    flags.report &&
+    !writeReport(flags.report, [{ material, result }], flags.locale, io)
+  ) {
+    return EXIT_CODES.error;
+  }
+
+  io.stdout(
+    flags.json
+      ? JSON.stringify(result, null, 2)
+      : formatCheckResult(material, measurements, result, passed),
+  );
+  return passed ? EXIT_CODES.pass : EXIT_CODES.fail;
+}
+
+/** mtc table <material> [spec] */
+function runTable(positionals, flags, io) {
+  const [material, spec = flags.spec ?? ""] = positionals;
+  if (!material) {
+    io.stderr(`table needs a material.\n\n${USAGE}`);
+    return EXIT_CODES.error;
+  }
+
+  const result = getAllTolerancesFor(material, spec, {
+    units: flags.units,
+    standard: flags.standard,
+  });
+  if (result.error) {
+    return printError(result, flags, io);
+  }
+
+  if (flags.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+    return EXIT_CODES.pass;
+  }
+
+  const tables = result.specification
+    ? { [spec]: result.specification }
+    : result.specifications;
+  io.stdout(
+    Object.entries(tables)
+      .map(([name, bands]) => `${name}\n${formatToleranceTable(bands)}`)
+      .join("\n\n"),
+  );
+  return EXIT_CODES.pass;
+}
+
+/** mtc batch <file.csv> */
+function runBatch(positionals, flags, io) {
+  const [file] = positionals;
+  if (!file) {
+    io.stderr(`batch needs a CSV file.\n\n${USAGE}`);
+    return EXIT_CODES.error;
+  }
+
+  let csvText;
+  try {
+    csvText = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    io.stderr(`Cannot read ${file}: ${err.message}`);
+    return EXIT_CODES.error;
+  }
+
+  const result = checkInspectionSheet(csvText, {
+    ...toCheckerOptions(flags),
+    ...(flags.delimiter && { delimiter: flags.delimiter }),
+    columns: toSheetColumns(flags),
+  });
+  if (result.error) {
+    return printError(result, flags, io);
+  }
+
+  if (flags.out) {
+    try {
+      fs.writeFileSync(flags.out, result.results_csv);
+    } catch (err) {
+      io.stderr(`Cannot write ${flags.out}: ${err.message}`);
+      return EXIT_CODES.error;
+    }
+  }
+
+  // Rows with invalid readings have no result to report
+  const checkedRows = result.rows.filter((row) => row.result);
+  if (
+    flags.report &&
+    checkedRows.length > 0 &&
+    !writeReport(flags.report, checkedRows, flags.locale, io)
+  ) {
+    return EXIT_CODES.error;
+  }
+
+  if (flags.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+  } else {
+    if (!flags.out) io.stdout(result.results_csv.trimEnd());
+    const { total, passed, failed, invalid } = result.summary;
+    const errorLines = result.errors.map(
+      (error) =>
+        `  row ${error.row}${error.column ? `, ${error.column}` : ""}: ${error.message}${error.value ? ` (${error.value})` : ""}`,
+    );
+    io.stderr(
+      [
+        `${total} components: ${passed} passed, ${failed} failed, ${invalid} invalid.`,
+        ...errorLines,
+      ].join("\n"),
+    );
+  }
+
+  const { passed, total } = result.summary;
+  return passed === total ? EXIT_CODES.pass : EXIT_CODES.fail;
+}
+
+/** mtc validate [file.json] */
+function runValidate(positionals, flags, io) {
+  const [file] = positionals;
+
+  let table;
+  if (file) {
+    try {
+      table = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      io.stderr(`Cannot read ${file}: ${err.message}`);
+      return EXIT_CODES.error;
+    }
+  }
+
+  const result = validateToleranceData(table);
+  if (result.error) {
+    return printError(result, flags, io);
+  }
+
+  if (flags.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+  } else {
+    const { specifications, bands, errors, warnings } = result.summary;
+    io.stdout(
+      [
+        ...result.issues.map(
+          (issue) =>
+            `${issue.severity}: ${[issue.materialType, issue.specification].filter(Boolean).join(" ")}: ${issue.message}`,
+        ),
+        `${specifications} specifications, ${bands} bands: ${errors} errors, ${warnings} warnings.`,
+      ].join("\n"),
+    );
+  }
+  return result.valid ? EXIT_CODES.pass : EXIT_CODES.fail;
+}
+
+/**
+ * mtc serve. Keeps running until interrupted; the exit code only reports
+ * bad options, and a failure to listen sets process.exitCode.
+ */
+function runServe(positionals, flags, io) {
+  const port = flags.port === undefined ? DEFAULT_PORT : Number(flags.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    io.stderr(`Invalid port: ${flags.port}`);
+    return EXIT_CODES.error;
+  }
+  const host = flags.host ?? DEFAULT_HOST;
+
+  const server = createServer({ cors: flags.cors });
+  server.on("error", (err) => {
+    io.stderr(`Cannot listen on ${host}:${port}: ${err.message}`);
+    process.exitCode = EXIT_CODES.error;
+  });
+  server.listen(port, host, () => {
+    const { port: actualPort } = server.address();
+    io.stdout(
+      `Serving on http://${host}:${actualPort} (API description: /openapi.json)`,
+    );
+  });
+
+  const stop = () => server.close();
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  return EXIT_CODES.pass;
+}
+
+/** Maps the batch column flags to an inspection sheet column mapping */
+function toSheetColumns(flags) {
+  return {
+    ...(flags["id-column"] && { id: flags["id-column"] }),
+    ...(flags["material-column"] && { material: flags["material-column"] }),
+    ...(flags["spec-column"] && { specification: flags["spec-column"] }),
+    ...(flags["nominal-column"] && { nominal: flags["nominal-column"] }),
+    ...(flags["reading-columns"] && {
+      readings: flags["reading-columns"].split(",").map((name) => name.trim()),
+    }),
+  };
+}
+
+/**
+ * Writes an inspection report, as PDF when the file name ends in .pdf and
+ * HTML otherwise, in the locale of the check. Returns false (after printing
+ * the error) on failure.
+ */
+function writeReport(file, results, locale, io) {
+  const report = generateInspectionReport(results, {
+    format: file.toLowerCase().endsWith(".pdf") ? "pdf" : "html",
+    ...(locale && { locale }),
+  });
+  if (report.error) {
+    io.stderr(report.message);
+    return false;
+  }
+
+  try {
+    fs.writeFileSync(file, report.content);
+  } catch (err) {
+    io.stderr(`Cannot write ${file}: ${err.message}`);
+    return false;
+  }
+  return true;
+}
+
+/** Maps CLI flags to checker options */
+function toCheckerOptions(flags) {
+  return {
+    ...(flags.spec && { specification: flags.spec }),
+    ...(flags.it && { itGrade: flags.it.toUpperCase() }),
+    ...(flags.nominal !== undefined && { nominal: Number(flags.nominal) }),
+    ...(flags.units && { units: flags.units }),
+    ...(flags.standard && { standard: flags.standard }),
+    ...(flags.locale && { locale: flags.locale }),
+    ...(flags.uncertainty !== undefined && {
+      uncertainty:
+        flags.temperature !== undefined
+          ? {
+              gauge: Number(flags.uncertainty),
+              temperature: Number(flags.temperature),
+            }
+          : Number(flags.uncertainty),
+    }),
+    ...(flags["part-temperature"] !== undefined && {
+      partTemperature: Number(flags["part-temperature"]),
+    }),
+    ...(flags["gauge-temperature"] !== undefined && {
+      gaugeTemperature: Number(flags["gauge-temperature"]),
+    }),
+    ...(flags["part-material"] !== undefined && {
+      partMaterial: toPartMaterial(flags["part-material"]),
+    }),
+  };
+}
+
+/** A part material name, or a custom coefficient given as a number */
+function toPartMaterial(value) {
+  const coefficient = Number(value);
+  return value.trim() !== "" && Number.isFinite(coefficient)
+    ? coefficient
+    : value;
+}
+
+/** Prints an error object and returns the error exit code */
+function printError(result, flags, io) {
+  if (flags.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+  } else {
+    const { message } = result;
+    const details = (result.details ?? [])
+      .map((detail) => `  ${JSON.stringify(detail)}`)
+      .join("\n");
+    io.stderr(details ? `${message}\n${details}` : message);
+  }
+  return EXIT_CODES.error;
+}
+
+/**
+ * Formats a check result as a readable report: specification and bounds,
+ * one line per reading, then the size, IT and final verdicts.
+ */
+function formatCheckResult(material, measurements, result, passed) {
+  const bounds = result.computed_specification_bounds;
+  const uncomputed = result.uncomputed_specification_bounds;
+  const unitSuffix = result.units ? ` ${result.units}` : "";
+
+  // Readings corrected to 20 °C are judged as corrected, next to the raw ones
+  const decimals = bounds.lowerBound.split(".")[1]?.length ?? 3;
+  const compensation = result.thermal_compensation;
+  const corrected = compensation ? [result.measurement].flat() : measurements;
+  const readingRows = measurements.map((measurement, index) => [
+    `${index + 1}`,
+    measurement.toFixed(decimals),
+    ...(compensation ? [corrected[index].toFixed(decimals + 1)] : []),
+    readingVerdict(corrected[index], bounds),
+  ]);
+
+  const lines = [
+    `${material} — ${result.specification} / ${result.IT_grade}, nominal ${result.nominal}${unitSuffix}`,
+    `Bounds: ${bounds.lowerBound} to ${bounds.upperBound} (${uncomputed.lowerBound} / ${uncomputed.upperBound})`,
+    ...(compensation ? [compensation.reason] : []),
+    "",
+    formatTable(
+      compensation
+        ? ["#", "Reading", "At 20 °C", "Verdict"]
+        : ["#", "Reading", "Verdict"],
+      readingRows,
+    ),
+    "",
+    `Size: ${result.meets_specification.meetsSpec ? "PASS" : "FAIL"} — ${result.meets_specification.reason}`,
+  ];
+  if (result.meets_IT_Tolerance) {
+    lines.push(
+      `${result.IT_grade}: ${result.meets_IT_Tolerance.meetsIT ? "PASS" : "FAIL"} — ${result.meets_IT_Tolerance.reason}`,
+    );
+  }
+  if (result.decision) {
+    const acceptance = result.acceptance_limits;
+    lines.push(
+      `Decision (${result.decision.rule}, U = ${result.decision.uncertainty}): ${result.decision.verdict.toUpperCase()} — ${result.decision.reason}`,
+      `Acceptance limits: ${acceptance.lowerBound} to ${acceptance.upperBound}`,
+    );
+  }
+  lines.push(`Result: ${passed ? "ACCEPTABLE" : "NOT ACCEPTABLE"}`);
+
+  return lines.join("\n");
+}
+
+/** Verdict of one reading against computed bounds */
+function readingVerdict(measurement, bounds) {
+  if (measurement > Number(bounds.upperBound)) return "over-sized";
+  if (measurement < Number(bounds.lowerBound)) return "under-sized";
+  return "in tolerance";
+}
+
+/** Formats tolerance bands as a table with one column per IT grade */
+function formatToleranceTable(bands) {
+  const itGrades = [
+    ...new Set(bands.flatMap((band) => Object.keys(band))),
+  ].filter((key) => /^IT\d+$/.test(key));
+
+  return formatTable(
+    ["Over", "Up to", "Upper", "Lower", ...itGrades],
+    bands.map((band) => [
+      `${band.minimum_diameter}`,
+      `${band.maximum_diameter}`,
+      band.upper_deviation,
+      band.lower_deviation,
+      ...itGrades.map((itGrade) => band[itGrade] ?? "-"),
+    ]),
+  );
+}
+
+/** Formats rows as left-aligned, space-padded columns */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length)),
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+
+  return [headers, ...rows].map(formatRow).join("\n");
+}
+
+function defaultIO() {
+  return {
+    stdout: (text) => process.stdout.write(`${text}\n`),
+    stderr: (text) => process.stderr.write(`${text}\n`),
+  };
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, EXIT_CODES };
@@ -0,0 +1,4 @@
+import * as calculator from "./index.js";
+
+export * from "./index.js";
+export default calculator;
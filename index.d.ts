@@ -0,0 +1,1142 @@
+/**
+ * Type definitions for mechanical-tolerance-calculator.
+ *
+ * Every function reports a failure by returning an ErrorObject. With
+ * `{ throwOnError: true }` in the options it throws a ToleranceError instead,
+ * and the return type leaves the ErrorObject out.
+ */
+
+/* ------------------------------------------------------------------ */
+/* Shared                                                              */
+/* ------------------------------------------------------------------ */
+
+/** "housing", "shaft" or "shell"; any name containing one of them is accepted */
+export type MaterialType = "housing" | "shaft" | "shell" | (string & {});
+
+/** Material type keys, as used in Tolerances.json */
+export type MaterialTypeKey = "housingBores" | "shafts" | "shellBores";
+
+export type Units = "mm" | "inch";
+
+/** Languages of reasons and outcomes; regional variants such as "es-MX" use their language */
+export type Locale = "en" | "es" | "pt" | "de" | (string & {});
+
+export type ITGrade =
+  | "IT01"
+  | "IT0"
+  | "IT1"
+  | "IT2"
+  | "IT3"
+  | "IT4"
+  | "IT5"
+  | "IT6"
+  | "IT7"
+  | "IT8"
+  | "IT9"
+  | "IT10"
+  | "IT11"
+  | "IT12"
+  | "IT13"
+  | "IT14"
+  | "IT15"
+  | "IT16"
+  | "IT17"
+  | "IT18";
+
+/** Options every function that can fail accepts */
+export interface ThrowOptions {
+  /** Throw a ToleranceError instead of returning an ErrorObject */
+  throwOnError?: boolean;
+}
+
+/** `T`, or `T | ErrorObject` unless the options set `throwOnError: true` */
+export type Checked<T, O> = O extends { throwOnError: true }
+  ? T
+  : T | ErrorObject;
+
+/* ------------------------------------------------------------------ */
+/* Errors                                                              */
+/* ------------------------------------------------------------------ */
+
+export declare const ERROR_CODES: {
+  /** An argument has the wrong type or shape */
+  readonly INVALID_INPUT: "INVALID_INPUT";
+  /** A measurement or reading is not a number or outside the valid range */
+  readonly INVALID_MEASUREMENT: "INVALID_MEASUREMENT";
+  /** A declared nominal size is outside the valid range */
+  readonly INVALID_NOMINAL: "INVALID_NOMINAL";
+  /** A fit designation is not "hole/shaft" or an ANSI class */
+  readonly INVALID_FIT: "INVALID_FIT";
+  /** A custom tolerance table has bad bands, overlaps or gaps */
+  readonly INVALID_TOLERANCE_TABLE: "INVALID_TOLERANCE_TABLE";
+  /** A custom standard definition is incomplete or inconsistent */
+  readonly INVALID_STANDARD: "INVALID_STANDARD";
+  /** A CSV inspection sheet cannot be read */
+  readonly INVALID_CSV: "INVALID_CSV";
+  /** An inspection history store cannot be read or written */
+  readonly INVALID_HISTORY: "INVALID_HISTORY";
+  /** Too few measurements for the analysis */
+  readonly INSUFFICIENT_DATA: "INSUFFICIENT_DATA";
+  readonly UNKNOWN_MATERIAL: "UNKNOWN_MATERIAL";
+  readonly UNKNOWN_SPEC: "UNKNOWN_SPEC";
+  readonly UNKNOWN_IT_GRADE: "UNKNOWN_IT_GRADE";
+  readonly UNKNOWN_UNITS: "UNKNOWN_UNITS";
+  readonly UNKNOWN_STANDARD: "UNKNOWN_STANDARD";
+  readonly UNKNOWN_TOLERANCE_TABLE: "UNKNOWN_TOLERANCE_TABLE";
+  readonly UNKNOWN_FORMAT: "UNKNOWN_FORMAT";
+  readonly UNKNOWN_BEARING: "UNKNOWN_BEARING";
+  readonly UNKNOWN_LOCALE: "UNKNOWN_LOCALE";
+  /** No tolerance band (or ISO 286 size step) covers the nominal size */
+  readonly NO_MATCHING_BAND: "NO_MATCHING_BAND";
+  /** HTTP API: no endpoint has the requested path and method */
+  readonly UNKNOWN_ROUTE: "UNKNOWN_ROUTE";
+  /** HTTP API: the server failed unexpectedly */
+  readonly INTERNAL_ERROR: "INTERNAL_ERROR";
+};
+
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+/** One problem of an error, e.g. an invalid entry of an array */
+export type ErrorDetail = Record<string, unknown>;
+
+/** The error every function returns on failure */
+export interface ErrorObject {
+  error: true;
+  /** Stable; safe to branch on */
+  code: ErrorCode;
+  /** For people; may change */
+  message: string;
+  details?: ErrorDetail[];
+}
+
+/** Base class of the errors thrown with `throwOnError` */
+export declare class ToleranceError extends Error {
+  constructor(code: ErrorCode, message: string, details?: ErrorDetail[]);
+  code: ErrorCode;
+  details?: ErrorDetail[];
+  /** The error as the error object the API returns */
+  toJSON(): ErrorObject;
+}
+
+/** Bad input: INVALID_* codes and INSUFFICIENT_DATA */
+export declare class ValidationError extends ToleranceError {}
+
+/** Something asked for does not exist: UNKNOWN_* codes and NO_MATCHING_BAND */
+export declare class LookupError extends ToleranceError {}
+
+/* ------------------------------------------------------------------ */
+/* Tolerance tables                                                    */
+/* ------------------------------------------------------------------ */
+
+/** One diameter band of a tolerance table; deviations and IT values are strings, e.g. "-0.030" */
+export interface ToleranceBand {
+  minimum_diameter: number;
+  maximum_diameter: number;
+  upper_deviation: string;
+  lower_deviation: string;
+  [itGrade: `IT${string}`]: string;
+}
+
+/** Tolerance data of one specification */
+export interface ToleranceSet {
+  type: MaterialTypeKey;
+  specification: ToleranceBand[];
+  /** Set for inch results */
+  units?: "inch";
+  /** Set for ANSI B4.1 classes */
+  standard?: "ANSI B4.1";
+  /** ISO zone an ANSI B4.1 class resolves to, e.g. "H8" */
+  zone?: string;
+  /**
+   * Set for classes computed by the ISO 286 engine: their bands are ISO size
+   * steps and are matched "above … up to and including", for every material
+   */
+  rangeMatch?: "upper-inclusive";
+}
+
+/** Tolerance data of every specification of a material type */
+export interface ToleranceSets {
+  type: MaterialTypeKey;
+  specifications: Record<string, ToleranceBand[]>;
+  units?: "inch";
+}
+
+/** A tolerance table in the shape of Tolerances.json */
+export type ToleranceTable = Partial<
+  Record<MaterialTypeKey, Record<string, ToleranceBand[]>>
+>;
+
+export interface ToleranceOptions extends ThrowOptions {
+  units?: Units;
+  /** A registered standard; defaults to "camco" */
+  standard?: string;
+}
+
+/**
+ * Returns all tolerances of a material type, or only those of `spec`
+ * (a tabulated, ISO 286 or ANSI B4.1 specification).
+ */
+export declare function getAllTolerancesFor<
+  O extends ToleranceOptions = ToleranceOptions,
+>(
+  materialType: MaterialType,
+  spec?: "",
+  options?: O,
+): Checked<ToleranceSets, O>;
+export declare function getAllTolerancesFor<
+  O extends ToleranceOptions = ToleranceOptions,
+>(
+  materialType: MaterialType,
+  spec: string,
+  options?: O,
+): Checked<ToleranceSet, O>;
+
+/** Returns the Camco standard specification and tolerances of a material type. */
+export declare function getCamcoStandardTolerancesFor<
+  O extends ToleranceOptions = ToleranceOptions,
+>(materialType: MaterialType, options?: O): Checked<ToleranceSet, O>;
+
+/** Returns the specification and tolerances a registered standard sets for a material type. */
+export declare function getStandardTolerancesFor<
+  O extends ToleranceOptions = ToleranceOptions,
+>(materialType: MaterialType, options?: O): Checked<ToleranceSet, O>;
+
+/* ------------------------------------------------------------------ */
+/* Standards                                                           */
+/* ------------------------------------------------------------------ */
+
+export type NominalRounding = "up" | "down" | "nearest";
+
+export type RangeMatch =
+  | "lower-inclusive"
+  | "upper-inclusive"
+  | ((nominal: number, band: ToleranceBand) => boolean);
+
+/** Settings of one material type in a standard definition */
+export interface MaterialDefinition {
+  specification: string;
+  itGrade: ITGrade;
+  /** Default: "up" for shafts, "down" for bores */
+  nominalRounding?: NominalRounding;
+  /** Default: "upper-inclusive" for shafts, "lower-inclusive" for bores */
+  rangeMatch?: RangeMatch;
+}
+
+export interface StandardDefinition {
+  /** Name of a registered tolerance table, or an inline table */
+  table?: string | ToleranceTable;
+  materials: Partial<Record<MaterialTypeKey, MaterialDefinition>>;
+}
+
+/** A registered standard */
+export interface Standard {
+  name: string;
+  table: ToleranceTable | null;
+  materials: Partial<
+    Record<
+      MaterialTypeKey,
+      {
+        specification: string;
+        itGrade: ITGrade;
+        nominalRounding: NominalRounding;
+        rangeMatch: (nominal: number, band: ToleranceBand) => boolean;
+      }
+    >
+  >;
+}
+
+/** Registers a named tolerance standard. The built-in "camco" cannot be replaced. */
+export declare function registerStandard<O extends ThrowOptions = ThrowOptions>(
+  name: string,
+  definition: StandardDefinition,
+  options?: O,
+): Checked<Standard, O>;
+
+/** Registers a named tolerance table, for standards to refer to by name. */
+export declare function registerToleranceTable<
+  O extends ThrowOptions = ThrowOptions,
+>(
+  name: string,
+  table: ToleranceTable,
+  options?: O,
+): Checked<{ name: string; materialTypes: MaterialTypeKey[] }, O>;
+
+/** Names of the registered standards */
+export declare function listStandards(): string[];
+
+export type IntegrityCheck =
+  | "structure"
+  | "numeric"
+  | "order"
+  | "gap"
+  | "overlap"
+  | "span"
+  | "it-value"
+  | "deviation"
+  | "size-step";
+
+export interface IntegrityIssue {
+  /** Warnings mark bands that could not be compared with ISO 286 */
+  severity: "error" | "warning";
+  check: IntegrityCheck;
+  materialType: string;
+  /** null for an unknown material type */
+  specification: string | null;
+  /** Index of the band as listed; null when the whole specification is affected */
+  band: number | null;
+  message: string;
+}
+
+export interface IntegrityReport {
+  /** false when any issue is an error */
+  valid: boolean;
+  summary: {
+    specifications: number;
+    bands: number;
+    errors: number;
+    warnings: number;
+  };
+  issues: IntegrityIssue[];
+}
+
+/**
+ * Checks a tolerance table (default: the bundled Tolerances.json) for gaps,
+ * overlaps, ordering, numeric values and agreement with ISO 286.
+ */
+export declare function validateToleranceData<
+  O extends ThrowOptions = ThrowOptions,
+>(table?: ToleranceTable, options?: O): Checked<IntegrityReport, O>;
+
+/* ------------------------------------------------------------------ */
+/* Checks                                                              */
+/* ------------------------------------------------------------------ */
+
+export type PartMaterial =
+  "steel" | "cast-iron" | "bronze" | "aluminium" | (string & {});
+
+export interface UncertaintyOptions {
+  /** Expanded uncertainty (k = 2) of the gauge */
+  gauge: number;
+  /** Part temperature (°C) while measuring, when readings are not corrected */
+  temperature?: number;
+  /** In 1/K; defaults to steel */
+  expansionCoefficient?: number;
+}
+
+export interface CheckOptions extends ToleranceOptions {
+  /** e.g. "H7", "k6", "RC4"; defaults to the standard's */
+  specification?: string;
+  /** Defaults to the standard's */
+  itGrade?: ITGrade;
+  /** Drawing nominal size; skips inferring it */
+  nominal?: number;
+  /** Expanded gauge uncertainty, for an ISO 14253-1 decision */
+  uncertainty?: number | UncertaintyOptions;
+  /** °C; corrects readings to 20 °C */
+  partTemperature?: number;
+  /** °C; corrects readings to 20 °C */
+  gaugeTemperature?: number;
+  /** A material name or a coefficient in 1/K; defaults to steel */
+  partMaterial?: PartMaterial | number;
+  /** Language of reasons and outcomes (default "en") */
+  locale?: Locale;
+}
+
+/** Bounds as strings with the unit's decimals, e.g. "24.970" */
+export interface SpecificationBounds {
+  upperBound: string;
+  lowerBound: string;
+}
+
+/** Bounds for display, e.g. "25.000 - 0.030" */
+export interface UncomputedSpecificationBounds {
+  upperBound: string;
+  lowerBound: string;
+}
+
+export interface NominalCheck {
+  declared: true;
+  deviation: string;
+  isPlausible: boolean;
+  reason: string;
+}
+
+export interface BatchNominalCheck {
+  declared: true;
+  isPlausible: boolean;
+  implausibleReadings: Array<{
+    index: number;
+    value: number;
+    deviation: string;
+  }>;
+  reason: string;
+}
+
+export type DecisionVerdict = "conforming" | "non-conforming" | "indeterminate";
+
+/** ISO 14253-1 decision, with `uncertainty` */
+export interface Decision {
+  rule: "ISO 14253-1";
+  verdict: DecisionVerdict;
+  /** Combined expanded uncertainty */
+  uncertainty: string;
+  /** With an uncertainty temperature */
+  uncertainty_components?: { gauge: string; temperature: string };
+  rejection_limits: SpecificationBounds;
+  reason: string;
+}
+
+/** Settings readings were corrected to 20 °C with */
+export interface ThermalCompensation {
+  reference_temperature: 20;
+  part_temperature: number;
+  gauge_temperature: number;
+  part_material: "steel" | "cast-iron" | "bronze" | "aluminium" | "custom";
+  expansion_coefficient: number;
+  gauge_expansion_coefficient: number;
+  reason: string;
+}
+
+/** Fields shared by single and batch check results */
+interface CheckResultBase {
+  nominal: number;
+  units?: "inch";
+  /** Set for a standard other than "camco" */
+  standard?: string;
+  specification: string;
+  IT_grade: ITGrade;
+  computed_specification_bounds: SpecificationBounds;
+  /** With `uncertainty`: the bounds narrowed by U */
+  acceptance_limits?: SpecificationBounds;
+  uncomputed_specification_bounds: UncomputedSpecificationBounds;
+  /** The tolerance band matched to the nominal */
+  matched_spec: ToleranceBand;
+  decision?: Decision;
+  thermal_compensation?: ThermalCompensation;
+}
+
+/** Result of checkOneMeasurementFor */
+export interface MeasurementResult extends CheckResultBase {
+  /** Corrected to 20 °C, with thermal compensation */
+  measurement: number;
+  /** The reading as taken, with thermal compensation */
+  raw_measurement?: number;
+  /** With a declared nominal */
+  nominal_check?: NominalCheck;
+  meets_specification: {
+    meetsSpec: boolean;
+    reason: string;
+    concludedReason: string;
+  };
+}
+
+/** One reading of a batch, against the batch nominal and bounds */
+export interface ReadingBreakdown {
+  index: number;
+  measurement: number;
+  raw_measurement?: number;
+  /** null with a declared nominal */
+  inferred_nominal: number | null;
+  deviation_um: number;
+  status: "in" | "over" | "under";
+  excess_um: number;
+  nominal_outlier: boolean;
+  /** For nominal outliers */
+  reason?: string;
+  /** With `uncertainty` */
+  decision?: DecisionVerdict;
+}
+
+/** Result of checkMultipleMeasurementsFor */
+export interface BatchResult extends CheckResultBase {
+  /** Corrected to 20 °C, with thermal compensation */
+  measurement: number[];
+  raw_measurement?: number[];
+  readings: ReadingBreakdown[];
+  /** With a declared nominal */
+  nominal_check?: BatchNominalCheck;
+  meets_specification: { meetsSpec: boolean; reason: string };
+  meets_IT_Tolerance: { meetsIT: boolean; reason: string };
+  meets_final_compliance: boolean;
+  generalized_outcome: string;
+}
+
+/** Checks one measurement against a specification and its bounds. */
+export declare function checkOneMeasurementFor<
+  O extends CheckOptions = CheckOptions,
+>(
+  materialType: MaterialType,
+  measurement: number | string,
+  options?: O,
+): Checked<MeasurementResult, O>;
+
+/** Checks several measurements of one part for size and IT tolerance. */
+export declare function checkMultipleMeasurementsFor<
+  O extends CheckOptions = CheckOptions,
+>(
+  materialType: MaterialType,
+  measurements: Array<number | string>,
+  options?: O,
+): Checked<BatchResult, O>;
+
+export interface SpecificationSearchOptions extends ToleranceOptions {
+  /** Drawing nominal size; skips inferring it */
+  nominal?: number;
+  /** Language of the reasons (default "en") */
+  locale?: Locale;
+}
+
+/** One specification evaluated by findSpecificationsFor */
+export interface SpecificationMatch {
+  specification: string;
+  /** Width of the tolerance zone at the nominal */
+  tolerance: string;
+  computed_specification_bounds: SpecificationBounds;
+  passes: boolean;
+  /** Distance of the worst reading from the nearer bound; negative outside */
+  margin: string;
+  reason: string;
+}
+
+/** Result of findSpecificationsFor */
+export interface SpecificationSearchResult<
+  M extends number | number[] = number | number[],
+> {
+  measurement: M;
+  nominal: number;
+  units?: "inch";
+  standard?: string;
+  /** Tightest to loosest */
+  specifications: SpecificationMatch[];
+  passing_specifications: string[];
+  tightest_passing_specification: string | null;
+  reason: string;
+}
+
+/**
+ * Evaluates a reading (or batch) against every tabulated specification,
+ * from the tightest to the loosest.
+ */
+export declare function findSpecificationsFor<
+  O extends SpecificationSearchOptions = SpecificationSearchOptions,
+>(
+  materialType: MaterialType,
+  measurement: number | string,
+  options?: O,
+): Checked<SpecificationSearchResult<number>, O>;
+export declare function findSpecificationsFor<
+  O extends SpecificationSearchOptions = SpecificationSearchOptions,
+>(
+  materialType: MaterialType,
+  measurements: Array<number | string>,
+  options?: O,
+): Checked<SpecificationSearchResult<number[]>, O>;
+
+/* ------------------------------------------------------------------ */
+/* Fits                                                                */
+/* ------------------------------------------------------------------ */
+
+export type FitType = "clearance" | "transition" | "interference";
+
+export interface FitLimits {
+  max_clearance: string;
+  min_clearance: string;
+  max_interference: string;
+  min_interference: string;
+  fit_type: FitType;
+}
+
+export interface FitMember {
+  specification: string;
+  IT_grade: ITGrade;
+  upper_deviation: string;
+  lower_deviation: string;
+  computed_specification_bounds: SpecificationBounds;
+  uncomputed_specification_bounds: UncomputedSpecificationBounds;
+}
+
+/** Result of calculateFit */
+export interface FitResult extends FitLimits {
+  fit: string;
+  /** For ANSI B4.1 classes, e.g. "H8/f7" */
+  iso_equivalent?: string;
+  nominal: number;
+  units?: "inch";
+  hole: FitMember;
+  shaft: FitMember;
+  reason: string;
+}
+
+export interface FitOptions extends ThrowOptions {
+  units?: Units;
+  /** Language of the reason (default "en") */
+  locale?: Locale;
+}
+
+/** Calculates the clearance or interference of a fit, e.g. "H7/k6" or "RC4". */
+export declare function calculateFit<O extends FitOptions = FitOptions>(
+  fit: string,
+  nominal: number,
+  options?: O,
+): Checked<FitResult, O>;
+
+export interface ActualFitOptions extends ThrowOptions {
+  nominal?: number;
+  boreType?: "housing" | "shell";
+  units?: Units;
+  standard?: string;
+  partTemperature?: number;
+  gaugeTemperature?: number;
+  partMaterial?: PartMaterial | number;
+  /** Language of every reason, including those of both checks (default "en") */
+  locale?: Locale;
+}
+
+/** Result of calculateActualFit */
+export interface ActualFitResult {
+  fit: string;
+  nominal: number;
+  design_fit: FitResult;
+  actual_fit: FitLimits & { reason: string };
+  bore: BatchResult;
+  shaft: BatchResult;
+  meets_design_fit: boolean;
+  reason: string;
+}
+
+/** Checks measured bore and shaft readings against a fit. */
+export declare function calculateActualFit<
+  O extends ActualFitOptions = ActualFitOptions,
+>(
+  fit: string,
+  boreMeasurements: Array<number | string>,
+  shaftMeasurements: Array<number | string>,
+  options?: O,
+): Checked<ActualFitResult, O>;
+
+/* ------------------------------------------------------------------ */
+/* Capability and form                                                 */
+/* ------------------------------------------------------------------ */
+
+export type CapabilityVerdict =
+  "capable" | "marginal" | "not capable" | "indeterminate";
+
+/** Result of analyzeCapabilityFor; indices are null without variation */
+export interface CapabilityResult {
+  measurement: number[];
+  raw_measurement?: number[];
+  nominal: number;
+  units?: "inch";
+  standard?: string;
+  specification: string;
+  computed_specification_bounds: SpecificationBounds;
+  sample_size: number;
+  mean: string;
+  standard_deviation: { overall: string; within: string };
+  Cp: number | null;
+  Cpk: number | null;
+  Pp: number | null;
+  Ppk: number | null;
+  estimated_out_of_tolerance_percent: {
+    below_lower: number;
+    above_upper: number;
+    total: number;
+  } | null;
+  verdict: CapabilityVerdict;
+  reason: string;
+  thermal_compensation?: ThermalCompensation;
+}
+
+/** Calculates Cp, Cpk, Pp and Ppk of readings in production order. */
+export declare function analyzeCapabilityFor<
+  O extends CheckOptions = CheckOptions,
+>(
+  materialType: MaterialType,
+  measurements: Array<number | string>,
+  options?: O,
+): Checked<CapabilityResult, O>;
+
+/** A diameter taken at an axial position and an angle in degrees */
+export interface FormReading {
+  value: number;
+  position: string | number;
+  angle: number;
+}
+
+export interface OvalityResult {
+  position: string | number;
+  largest: string;
+  smallest: string;
+  /** null with readings at fewer than two angles */
+  ovality: string | null;
+  meetsIT: boolean | null;
+  reason: string;
+}
+
+export interface TaperResult {
+  from: string | number | null;
+  to: string | number | null;
+  /** null with readings at fewer than two positions */
+  taper: string | null;
+  meetsIT: boolean | null;
+  reason: string;
+}
+
+export interface CylindricityResult {
+  cylindricity: string;
+  limit: string;
+  meetsIT: boolean;
+  reason: string;
+}
+
+/** Result of checkFormFor */
+export interface FormResult {
+  measurement: FormReading[];
+  nominal: number;
+  units?: "inch";
+  standard?: string;
+  specification: string;
+  IT_grade: ITGrade;
+  IT_value: string;
+  ovality: OvalityResult[];
+  taper: TaperResult;
+  cylindricity: CylindricityResult;
+  meets_form: boolean;
+  size_check: BatchResult;
+  meets_final_compliance: boolean;
+  reason: string;
+}
+
+/** Checks ovality, taper and cylindricity from positional readings. */
+export declare function checkFormFor<O extends CheckOptions = CheckOptions>(
+  materialType: MaterialType,
+  readings: FormReading[],
+  options?: O,
+): Checked<FormResult, O>;
+
+/* ------------------------------------------------------------------ */
+/* Inspection sheets                                                   */
+/* ------------------------------------------------------------------ */
+
+export interface SheetOptions extends Omit<
+  CheckOptions,
+  "specification" | "nominal"
+> {
+  /** Header names of the sheet's columns, matched case-insensitively */
+  columns?: {
+    id?: string;
+    material?: string;
+    specification?: string;
+    nominal?: string;
+    readings?: string[];
+  };
+  /** Defaults to "," */
+  delimiter?: string;
+}
+
+export interface SheetError {
+  row: number;
+  /** null for errors that don't belong to one reading */
+  column: string | null;
+  value: string | null;
+  code: ErrorCode;
+  message: string;
+}
+
+export interface SheetRow {
+  row: number;
+  id: string;
+  material: string;
+  specification: string;
+  errors: SheetError[];
+  /** null for invalid rows */
+  meets_final_compliance: boolean | null;
+  result: BatchResult | null;
+}
+
+/** Result of checkInspectionSheet */
+export interface SheetResult {
+  rows: SheetRow[];
+  summary: { total: number; passed: number; failed: number; invalid: number };
+  errors: SheetError[];
+  results_csv: string;
+}
+
+/** Checks every component row of a CSV inspection sheet. */
+export declare function checkInspectionSheet<
+  O extends SheetOptions = SheetOptions,
+>(csvText: string, options?: O): Checked<SheetResult, O>;
+
+/* ------------------------------------------------------------------ */
+/* Components                                                          */
+/* ------------------------------------------------------------------ */
+
+/** A diameter of a component, e.g. a bearing journal or a seal diameter */
+export interface ComponentFeature {
+  /** Unique within the component */
+  name: string;
+  type: MaterialType;
+  nominal: number;
+  /** Defaults to the standard's specification for the type */
+  specification?: string;
+  itGrade?: string;
+  readings: number | Array<number | string>;
+}
+
+export interface ComponentDefinition {
+  id?: string;
+  features: ComponentFeature[];
+}
+
+export interface ComponentOptions extends ThrowOptions {
+  units?: Units;
+  standard?: string;
+  locale?: Locale;
+}
+
+/** One reading of a feature, against the feature's nominal and bounds */
+export interface FeatureReading {
+  index: number;
+  measurement: number;
+  deviation_um: number;
+  status: "in" | "over" | "under";
+  excess_um: number;
+}
+
+export interface FeatureResult {
+  name: string;
+  type: MaterialTypeKey;
+  nominal: number;
+  standard?: string;
+  specification: string;
+  IT_grade: ITGrade;
+  computed_specification_bounds: SpecificationBounds;
+  uncomputed_specification_bounds: UncomputedSpecificationBounds;
+  measurement: number[];
+  readings: FeatureReading[];
+  meets_specification: { meetsSpec: boolean; reason: string };
+  meets_IT_Tolerance: { meetsIT: boolean; reason: string };
+  meets_final_compliance: boolean;
+}
+
+/** Result of checkComponent */
+export interface ComponentResult {
+  id?: string;
+  units?: "inch";
+  standard?: string;
+  features: FeatureResult[];
+  summary: { total: number; passed: number; failed: number };
+  /** "accept" when every feature meets final compliance */
+  disposition: "accept" | "reject";
+  failed_features: string[];
+  reason: string;
+}
+
+/** Checks every feature of a component and rolls them up into a disposition. */
+export declare function checkComponent<
+  O extends ComponentOptions = ComponentOptions,
+>(component: ComponentDefinition, options?: O): Checked<ComponentResult, O>;
+
+/* ------------------------------------------------------------------ */
+/* Bearing seats                                                       */
+/* ------------------------------------------------------------------ */
+
+export type BearingType =
+  | "deep-groove-ball"
+  | "angular-contact-ball"
+  | "cylindrical-roller"
+  | "tapered-roller"
+  | "spherical-roller";
+
+export type LoadClass = "light" | "normal" | "heavy";
+
+export interface BearingFitOptions extends ThrowOptions {
+  /** A load class, or the ratio P/C (default "normal") */
+  load?: LoadClass | number;
+  /** The ring that rotates relative to the load (default "inner") */
+  rotatingRing?: "inner" | "outer";
+  /** Language of the reason (default "en") */
+  locale?: Locale;
+}
+
+/** A bearing seat, usable as checker options or as a component feature */
+export interface BearingSeat<T extends "shaft" | "housing"> {
+  type: T;
+  nominal: number;
+  specification: string;
+  itGrade: ITGrade;
+  computed_specification_bounds: SpecificationBounds;
+}
+
+/** Result of recommendBearingFitsFor */
+export interface BearingFitRecommendation {
+  /** Basic designation, without suffixes */
+  designation: string;
+  bearing: {
+    type: BearingType;
+    bore: number;
+    outside_diameter: number;
+    width: number;
+  };
+  load: LoadClass;
+  rotating_ring: "inner" | "outer";
+  shaft: BearingSeat<"shaft">;
+  housing: BearingSeat<"housing">;
+  reason: string;
+}
+
+/** Recommends the shaft and housing seat specifications for a bearing. */
+export declare function recommendBearingFitsFor<
+  O extends BearingFitOptions = BearingFitOptions,
+>(designation: string, options?: O): Checked<BearingFitRecommendation, O>;
+
+/* ------------------------------------------------------------------ */
+/* Repairs                                                             */
+/* ------------------------------------------------------------------ */
+
+export type RepairMethod = "machine" | "next-size" | "metal-spray" | "sleeve";
+
+/** Repair rules, in the unit of the check result */
+export interface RepairOptions extends ThrowOptions {
+  oversizeSteps?: number[];
+  undersizeSteps?: number[];
+  minimumWallThickness?: number;
+  outsideDiameter?: number;
+  insideDiameter?: number;
+  buildUpAllowance?: number;
+  maximumBuildUp?: number;
+  sleeveWallThickness?: number;
+  /** In order of preference */
+  methods?: RepairMethod[];
+}
+
+export interface RepairTarget {
+  nominal: number;
+  specification: string;
+  IT_grade: ITGrade;
+  computed_specification_bounds: SpecificationBounds;
+  uncomputed_specification_bounds: UncomputedSpecificationBounds;
+}
+
+export interface RepairOption {
+  method: RepairMethod;
+  feasible: boolean;
+  target: RepairTarget | null;
+  stock_removal?: string;
+  /** Per side */
+  build_up?: string;
+  seat_diameter?: string;
+  reason: string;
+}
+
+/** Result of recommendRepairFor */
+export interface RepairResult {
+  nominal: number;
+  units?: "inch";
+  specification: string;
+  smallest_reading: string;
+  largest_reading: string;
+  condition:
+    | "in tolerance"
+    | "over-sized"
+    | "under-sized"
+    | "over-sized and under-sized";
+  /** The first feasible option, or null */
+  recommended: RepairOption | null;
+  options: RepairOption[];
+  reason: string;
+}
+
+/** Recommends how to repair a part that failed its size check. */
+export declare function recommendRepairFor<
+  O extends RepairOptions = RepairOptions,
+>(
+  materialType: MaterialType,
+  checkResult: MeasurementResult | BatchResult,
+  options?: O,
+): Checked<RepairResult, O>;
+
+/* ------------------------------------------------------------------ */
+/* Reports                                                             */
+/* ------------------------------------------------------------------ */
+
+/** A check result, or one labelled with a component ID and material */
+export type ReportEntry =
+  | MeasurementResult
+  | BatchResult
+  | {
+      label?: string;
+      id?: string;
+      material?: string;
+      result: MeasurementResult | BatchResult;
+    };
+
+export interface ReportOptions extends ThrowOptions {
+  format?: "html" | "pdf";
+  /** Language of the report text; the reasons are printed as the results carry them */
+  locale?: Locale;
+  title?: string;
+  company?: string;
+  customer?: string;
+  reference?: string;
+  inspector?: string;
+  date?: string;
+  notes?: string;
+}
+
+/** An HTML report as a string, or a PDF as bytes (a Buffer in Node.js) */
+export type InspectionReport =
+  { format: "html"; content: string } | { format: "pdf"; content: Uint8Array };
+
+/** Renders check results as a printable HTML or PDF inspection report. */
+export declare function generateInspectionReport<
+  O extends ReportOptions = ReportOptions,
+>(
+  results: ReportEntry | ReportEntry[],
+  options?: O,
+): Checked<InspectionReport, O>;
+
+/* ------------------------------------------------------------------ */
+/* Inspection history                                                  */
+/* ------------------------------------------------------------------ */
+
+/** A check result recorded against a component and date */
+export interface InspectionRecord {
+  component_id: string;
+  /** YYYY-MM-DD */
+  date: string;
+  material: string | null;
+  nominal: number;
+  units: Units;
+  standard?: string;
+  specification: string;
+  IT_grade: ITGrade;
+  computed_specification_bounds: SpecificationBounds;
+  measurements: number[];
+  meets_specification: boolean;
+}
+
+/**
+ * Where inspections are kept. Either method may return an ErrorObject;
+ * implement both to keep history in another database.
+ */
+export interface HistoryStore {
+  append(record: InspectionRecord): ErrorObject | null | void;
+  list(componentId: string): InspectionRecord[] | ErrorObject;
+}
+
+export interface HistoryStoreOptions extends ThrowOptions {
+  /** JSON file to keep the history in (default: in memory) */
+  file?: string;
+}
+
+/** Creates a history store: a JSON file with `file`, otherwise in memory. */
+export declare function createHistoryStore<
+  O extends HistoryStoreOptions = HistoryStoreOptions,
+>(options?: O): Checked<HistoryStore, O>;
+
+export interface RecordOptions extends ThrowOptions {
+  /** YYYY-MM-DD (default: today, UTC) */
+  date?: string;
+  material?: string;
+}
+
+/** Records a check result against a component ID and date. */
+export declare function recordInspection<
+  O extends RecordOptions = RecordOptions,
+>(
+  store: HistoryStore,
+  componentId: string,
+  checkResult: MeasurementResult | BatchResult,
+  options?: O,
+): Checked<InspectionRecord, O>;
+
+/** One inspection of a wear trend */
+export interface TrendInspection {
+  date: string;
+  nominal: number;
+  specification: string;
+  smallest: number;
+  largest: number;
+  mean: number;
+  meets_specification: boolean;
+}
+
+/** Result of getWearTrendFor */
+export interface WearTrend {
+  component_id: string;
+  units?: "inch";
+  /** Of the latest inspection */
+  specification: string;
+  computed_specification_bounds: SpecificationBounds;
+  /** In date order, at the nominal and specification of the latest one */
+  inspections: TrendInspection[];
+  /** Earlier inspections at another nominal or specification, left out */
+  excluded_inspections: number;
+  /** Change of the mean diameter per year; null with inspections on one date */
+  wear_rate_per_year: string | null;
+  trend: "growing" | "shrinking" | "stable" | null;
+  reason: string;
+}
+
+export interface WearTrendOptions extends ThrowOptions {
+  /** Language of the reason (default "en") */
+  locale?: Locale;
+}
+
+/** Diameter trend and wear rate of a component over its inspections. */
+export declare function getWearTrendFor<
+  O extends WearTrendOptions = WearTrendOptions,
+>(store: HistoryStore, componentId: string, options?: O): Checked<WearTrend, O>;
+
+/** Result of projectOutOfSpecDateFor */
+export interface OutOfSpecProjection {
+  component_id: string;
+  units?: "inch";
+  specification: string;
+  computed_specification_bounds: SpecificationBounds;
+  /** See WearTrend */
+  excluded_inspections: number;
+  wear_rate_per_year: string;
+  latest_inspection: string;
+  /** "out-of-spec": already outside at the latest inspection */
+  status: "in-spec" | "out-of-spec" | "stable";
+  /** The bound the part reaches, or is outside of */
+  limit: "upper" | "lower" | null;
+  /** YYYY-MM-DD; null unless the status is "in-spec" */
+  projected_date: string | null;
+  reason: string;
+}
+
+/** Projects when a component leaves its specification at its wear rate. */
+export declare function projectOutOfSpecDateFor<
+  O extends WearTrendOptions = WearTrendOptions,
+>(
+  store: HistoryStore,
+  componentId: string,
+  options?: O,
+): Checked<OutOfSpecProjection, O>;
+
+/* ------------------------------------------------------------------ */
+/* HTTP API                                                            */
+/* ------------------------------------------------------------------ */
+
+export interface ServerOptions {
+  /** Allow requests from web pages of any origin */
+  cors?: boolean;
+}
+
+/** The parts of a Node.js http.Server the API server is used through */
+export interface HttpServer {
+  listen(port?: number, host?: string, callback?: () => void): this;
+  close(callback?: (err?: Error) => void): this;
+  address(): { address: string; family: string; port: number } | string | null;
+  on(event: string, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Creates an HTTP server with JSON endpoints for tolerance lookup, checks,
+ * fits and table listing, described by GET /openapi.json. Call `listen` to
+ * start it.
+ */
+export declare function createServer(options?: ServerOptions): HttpServer;
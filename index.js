@@ -1,10 +1,34 @@
 const tolerances = require("./Tolerances.json");
+const bearingDataset = require("./Bearings.json");
+const iso286 = require("./lib/iso286");
+const fits = require("./lib/fits");
+const units = require("./lib/units");
+const ansi = require("./lib/ansi");
+const registry = require("./lib/registry");
+const statistics = require("./lib/statistics");
+const form = require("./lib/form");
+const csv = require("./lib/csv");
+const report = require("./lib/report");
+const errors = require("./lib/errors");
+const repair = require("./lib/repair");
+const uncertainty = require("./lib/uncertainty");
+const thermal = require("./lib/thermal");
+const integrity = require("./lib/integrity");
+const server = require("./lib/server");
+const history = require("./lib/history");
+const bearings = require("./lib/bearings");
+const locales = require("./lib/locales");
+
+const { ERROR_CODES, createError, withThrowOnError } = errors;
 
 /* Validates the material type passed is not an empty string. */
 function validateMaterialType(materialType) {
   if (typeof materialType != "string") {
     // checks if
-    return { error: "Material type must be a string." };
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Material type must be a string.",
+    );
   }
 
   if (
@@ -12,53 +36,160 @@ function validateMaterialType(materialType) {
     materialType == null ||
     materialType.trim() === ""
   ) {
-    return { error: "Material type is required and cannot be empty." };
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Material type is required and cannot be empty.",
+    );
   }
 
   return materialType;
 }
 /**
- * Returns all tolerances for the given material type.
+ * Returns all tolerances for the given material type, or only those of
+ * `spec` when given. Any ISO 286 tolerance class of the right kind can be
+ * requested (holes for housing/shell, shafts for shaft), e.g. "K7" or "m6".
+ *
+ * @param {string} materialType - Material type (e.g. housing, shaft, shell)
+ * @param {string} [spec=""] - Optional tolerance specification (e.g. H7, k6, RC4)
+ * @param {{ units?: "mm"|"inch", standard?: string }} [options] - Units to return the tolerances in, and a registered standard whose table adds specifications
  */
-function getAllTolerancesFor(materialType) {
+function getAllTolerancesFor(materialType, spec = "", options = {}) {
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const standard = registry.getStandard(options.standard);
+  if (standard.error) return standard;
+
   const validatedMaterialType = validateMaterialType(materialType);
+  if (validatedMaterialType.error) return validatedMaterialType;
 
   const trimmedMaterialType = validatedMaterialType.trim().toLowerCase(); // normalize input
   if (trimmedMaterialType.includes("housing")) {
     // includes to allow variations like "housing bore"
-    return returnTolerancesFor("housingBores"); // return relevant tolerances
+    return units.convertTolerances(
+      returnTolerancesFor("housingBores", spec, standard.table),
+      unit,
+    ); // return relevant tolerances
   } else if (trimmedMaterialType.includes("shaft")) {
     // includes to allow variations like "shaft rod"
-    return returnTolerancesFor("shafts"); // return relevant tolerances
+    return units.convertTolerances(
+      returnTolerancesFor("shafts", spec, standard.table),
+      unit,
+    ); // return relevant tolerances
   } else if (trimmedMaterialType.includes("shell")) {
     // includes to allow variations like "shell bore"
-    return returnTolerancesFor("shellBores"); // return relevant tolerances
+    return units.convertTolerances(
+      returnTolerancesFor("shellBores", spec, standard.table),
+      unit,
+    ); // return relevant tolerances
   } else {
-    return {
-      error: `Unknown material type: ${materialType}. Valid types are 'housing', 'shaft', or 'shell'.`, // error for invalid typefac
-    };
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Unknown material type: ${materialType}. Valid types are 'housing', 'shaft', or 'shell'.`,
+    ); // error for invalid type
   }
 }
 
 /**
  * Returns Camco Standard specification and tolerances for the given material type.
+ *
+ * @param {string} materialType - Material type (e.g. housing, shaft, shell)
+ * @param {{ units?: "mm"|"inch" }} [options] - Units to return the tolerances in
+ */
+function getCamcoStandardTolerancesFor(materialType, options = {}) {
+  return getStandardTolerancesFor(materialType, {
+    ...options,
+    standard: registry.DEFAULT_STANDARD,
+  });
+}
+
+/**
+ * Returns the specification and tolerances a registered standard sets for
+ * the given material type. Defaults to the Camco standard.
+ *
+ * Example:
+ * registerStandard("acme", { materials: { shafts: { specification: "h7", itGrade: "IT6" } } });
+ * getStandardTolerancesFor("shaft", { standard: "acme" }) → h7 tolerances
+ *
+ * @param {string} materialType - Material type (e.g. housing, shaft, shell)
+ * @param {{ standard?: string, units?: "mm"|"inch" }} [options]
+ * @returns {Object} Tolerances for the standard's specification, or error object
  */
-function getCamcoStandardTolerancesFor(materialType) {
+function getStandardTolerancesFor(materialType, options = {}) {
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const standard = registry.getStandard(options.standard);
+  if (standard.error) return standard;
+
   const validatedMaterialType = validateMaterialType(materialType);
+  if (validatedMaterialType.error) return validatedMaterialType;
 
   const trimmedMaterialType = validatedMaterialType.trim().toLowerCase();
 
+  let type;
   if (trimmedMaterialType.includes("housing")) {
-    return returnTolerancesFor("housingBores", "H8");
+    type = "housingBores";
   } else if (trimmedMaterialType.includes("shell")) {
-    return returnTolerancesFor("shellBores", "H9");
+    type = "shellBores";
   } else if (trimmedMaterialType.includes("shaft")) {
-    return returnTolerancesFor("shafts", "h9");
+    type = "shafts";
   } else {
-    return {
-      error: `Unknown material type: ${materialType}. Valid types are 'housing', 'shaft', or 'shell'.`,
-    };
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Unknown material type: ${materialType}. Valid types are 'housing', 'shaft', or 'shell'.`,
+    );
+  }
+
+  const config = standard.materials[type];
+  if (!config) {
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Standard ${standard.name} does not define ${type}. Defined material types: ${Object.keys(standard.materials).join(", ")}`,
+    );
+  }
+
+  return units.convertTolerances(
+    returnTolerancesFor(type, config.specification, standard.table),
+    unit,
+  );
+}
+
+/**
+ * Resolves the specification and IT grade a checker should use for the given
+ * material type. Falls back to the standard named in `options.standard`
+ * (Camco by default) for anything not overridden in `options`.
+ *
+ * @param {string} materialType - Material type (e.g. housing, shaft, shell)
+ * @param {{ specification?: string, itGrade?: string, units?: "mm"|"inch", standard?: string }} [options]
+ * @returns {Object} Tolerances for the resolved specification, or error object
+ */
+function getSpecifiedTolerancesFor(materialType, options = {}) {
+  const standardTolerances = getStandardTolerancesFor(materialType, options);
+  if (standardTolerances.error) {
+    return standardTolerances; // pass through the error
+  }
+
+  const standard = registry.getStandard(options.standard);
+  const config = standard.materials[standardTolerances.type];
+  const specification = options.specification || config.specification;
+  const itGrade = options.itGrade || config.itGrade;
+
+  const specifiedTolerances = units.convertTolerances(
+    returnTolerancesFor(standardTolerances.type, specification, standard.table),
+    units.resolveUnits(options.units),
+  );
+  if (specifiedTolerances.error) {
+    return specifiedTolerances;
+  }
+
+  // IT grades missing from the table are computed by the ISO 286 engine
+  if (!iso286.IT_GRADES.includes(itGrade)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_IT_GRADE,
+      `Available IT grades: ${iso286.IT_GRADES.join(", ")}`,
+    );
   }
+
+  return { ...specifiedTolerances, specificationName: specification, itGrade };
 }
 
 /**
@@ -66,32 +197,54 @@ function getCamcoStandardTolerancesFor(materialType) {
  *
  * - If `spec` is provided:
  *   → returns only that specific tolerance
+ *   → serves ANSI B4.1 classes (e.g. RC4) through their hole or shaft zone
+ *   → falls back to the ISO 286 engine for specs not in Tolerances.json
  *   → returns an error object if the spec does not exist
  *
  * - If `spec` is not provided:
  *   → returns all available tolerances for the material type
  *
+ * Specifications in a standard's own `table` are served alongside (and take
+ * precedence over) those in Tolerances.json.
+ *
  * @param {string} executableMaterialType - Material type (e.g. shaft, bore)
  * @param {string} [spec=""] - Optional tolerance specification (e.g. H7, h6)
+ * @param {Object|null} [table=null] - A standard's tolerance table, same shape as Tolerances.json
  */
-function returnTolerancesFor(executableMaterialType, spec = "") {
-  const materialTolerances = tolerances[executableMaterialType];
+function returnTolerancesFor(executableMaterialType, spec = "", table = null) {
+  const materialTolerances = tolerances[executableMaterialType] && {
+    ...tolerances[executableMaterialType],
+    ...table?.[executableMaterialType],
+  };
 
   // Guard: invalid material type
   if (!materialTolerances) {
-    return {
-      error: `Unknown material type: ${executableMaterialType}`,
-    };
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Unknown material type: ${executableMaterialType}`,
+    );
   }
 
   // If a specific spec is requested
   if (spec) {
+    if (ansi.isAnsiDesignation(spec)) {
+      return returnAnsiTolerancesFor(executableMaterialType, spec, table);
+    }
+
     if (!materialTolerances[spec]) {
-      return {
-        error: `Available specifications: ${Object.keys(
-          materialTolerances,
-        ).join(", ")}`,
-      };
+      const isoTolerances = returnISOTolerancesFor(
+        executableMaterialType,
+        spec,
+      );
+      if (isoTolerances) return isoTolerances;
+
+      const isHole = executableMaterialType !== "shafts";
+      return createError(
+        ERROR_CODES.UNKNOWN_SPEC,
+        `Available specifications: ${Object.keys(materialTolerances).join(
+          ", ",
+        )}, or any ISO 286 ${isHole ? "hole" : "shaft"} tolerance class (e.g. ${isHole ? "K7" : "k6"})`,
+      );
     }
 
     return {
@@ -107,120 +260,243 @@ function returnTolerancesFor(executableMaterialType, spec = "") {
   };
 }
 
+/**
+ * Builds tolerance data for a spec that is not tabulated in Tolerances.json,
+ * using the ISO 286 engine. Holes (upper case) are only served for bores and
+ * shafts (lower case) only for shafts.
+ *
+ * The bands are ISO 286 size steps ("above … up to and including"), so the
+ * data names the upper-inclusive rule to match a nominal to them, whatever
+ * the material type's own rule.
+ *
+ * @param {string} executableMaterialType - Material type key (e.g. shafts)
+ * @param {string} spec - ISO 286 tolerance class (e.g. K7, m6)
+ * @returns {Object|null} Tolerance data, or null if the spec does not apply
+ */
+function returnISOTolerancesFor(executableMaterialType, spec) {
+  const parsed = iso286.parseDesignation(spec);
+  if (parsed.error) return null;
+  if (parsed.isHole !== (executableMaterialType !== "shafts")) return null;
+
+  const table = iso286.buildToleranceTable(spec);
+  if (table.error) return null;
+
+  return {
+    type: executableMaterialType,
+    specification: table,
+    rangeMatch: "upper-inclusive",
+  };
+}
+
+/**
+ * Returns tolerance data for an ANSI B4.1 class: the hole zone of the class
+ * for bores, and its shaft zone for shafts.
+ *
+ * @param {string} executableMaterialType - Material type key (e.g. shafts)
+ * @param {string} spec - ANSI class (e.g. RC4, LT3)
+ * @returns {Object} Tolerance data, or error object
+ */
+function returnAnsiTolerancesFor(executableMaterialType, spec, table = null) {
+  const ansiFit = ansi.getAnsiFit(spec);
+  if (ansiFit.error) return ansiFit;
+
+  const zone =
+    executableMaterialType === "shafts" ? ansiFit.shaft : ansiFit.hole;
+  const zoneTolerances = returnTolerancesFor(
+    executableMaterialType,
+    zone,
+    table,
+  );
+  if (zoneTolerances.error) return zoneTolerances;
+
+  return { ...zoneTolerances, standard: "ANSI B4.1", zone };
+}
+
+/**
+ * Returns the diameter range covered by a tolerance table: from the smallest
+ * minimum_diameter to the largest maximum_diameter of its bands.
+ *
+ * @param {Array<Object>} table - Tolerance bands (e.g. tolerances.specification)
+ * @param {Object} [unit] - Unit of the table, millimetres by default
+ * @returns {{ minimum: number, maximum: number, unit: Object }}
+ */
+function getDiameterRange(table, unit = units.UNITS.mm) {
+  return {
+    minimum: Math.min(...table.map((band) => Number(band.minimum_diameter))),
+    maximum: Math.max(...table.map((band) => Number(band.maximum_diameter))),
+    unit,
+  };
+}
+
+/**
+ * Returns the size range covered by the ISO 286 engine (0 to 3150 mm),
+ * in the given unit.
+ *
+ * @param {Object} [unit] - Millimetres by default
+ * @returns {{ minimum: number, maximum: number, unit: Object }}
+ */
+function getISOSizeRange(unit = units.UNITS.mm) {
+  const steps = iso286.MAIN_SIZE_STEPS;
+
+  return {
+    minimum: units.fromMillimetres(steps[0], unit),
+    maximum: units.fromMillimetres(steps[steps.length - 1], unit),
+    unit,
+  };
+}
+
 /**
  * Validates a measurement input.
  *
  * Rules:
  * - Must be a number (or numeric string)
  * - Must not be NaN
- * - Must be within a realistic measurement range
+ * - Must be within the diameter range of the selected tolerance table
  *
  * @param {number|string} measurement
+ * @param {{ minimum: number, maximum: number }} range - See getDiameterRange
  * @returns {boolean}
  */
-function isValidMeasurement(measurement) {
+function isValidMeasurement(measurement, range) {
   const value = Number(measurement);
 
-  return Number.isFinite(value) && value >= 0 && value < 1000;
+  return (
+    Number.isFinite(value) && value >= range.minimum && value < range.maximum
+  );
+}
+
+/**
+ * Returns the error for a measurement outside the valid range,
+ * stated in the caller's unit.
+ *
+ * @param {{ minimum: number, maximum: number, unit: Object }} range
+ * @returns {{error: true, code: string, message: string}}
+ */
+function measurementRangeError(range) {
+  return createError(
+    ERROR_CODES.INVALID_MEASUREMENT,
+    `Measurement must be between ${formatRangeLimits(range)}.`,
+  );
+}
+
+/**
+ * Formats range limits for error messages: "0 and 3150" in millimetres,
+ * "0 and 124.0157 inch" in other units. The joining word is configurable.
+ */
+function formatRangeLimits(range, conjunction = "and") {
+  const format = (value) => Number(value.toFixed(range.unit.decimals));
+  const unitName = range.unit === units.UNITS.mm ? "" : ` ${range.unit.name}`;
+
+  return `${format(range.minimum)} ${conjunction} ${format(range.maximum)}${unitName}`;
 }
 
+/**
+ * Allowable deviation of a reading from its nominal, as a fraction of the
+ * nominal step (0.9 mm, or 0.9 × 1/16 inch).
+ * Beyond this, nominal inference snaps to the next size, and a reading
+ * checked against a declared nominal is flagged as implausible.
+ */
+const NOMINAL_THRESHOLD = 0.9;
+
 /**
  * Derives the nominal size from a raw measurement
  * based on material behavior (shaft vs bore).
  *
+ * Nominals are whole millimetres, or multiples of 1/16 inch for inch units.
+ *
  * @param {number|string} measurement
- * @param {"shafts"|"housingBores"|"shellBores"} materialType
- * @param {number} THRESHOLD - allowable deviation before snapping to next nominal
- * @returns {number|{error: string}}
+ * @param {"up"|"down"|"nearest"} nominalRounding - Rounding rule of the standard (see lib/registry)
+ * @param {number} THRESHOLD - allowable deviation (in nominal steps) before snapping to next nominal
+ * @param {Object} [unit] - Unit of the measurement, millimetres by default
+ * @param {{ minimum: number, maximum: number, unit: Object }} [range] - Valid measurement range, see getDiameterRange
+ * @returns {number|{error: true, code: string, message: string}}
  */
 function parseNominalFromMeasurement(
   measurement,
-  materialType,
-  THRESHOLD = 0.9,
+  nominalRounding,
+  THRESHOLD = NOMINAL_THRESHOLD,
+  unit = units.UNITS.mm,
+  range = getISOSizeRange(unit),
 ) {
-  if (!isValidMeasurement(measurement)) {
-    return { error: "Measurement must be between 0 and 1000." };
+  if (!isValidMeasurement(measurement, range)) {
+    return measurementRangeError(range);
   }
 
-  const value = Number(measurement);
+  // Work in nominal steps, so a step of 1/16 inch behaves like 1 mm
+  const step = unit.nominalStep;
+  const value = Number(measurement) / step;
 
-  /**
-   * SHAFTS
-   * - Nominal is normally ABOVE the measurement
-   * - Upper deviation is 0
-   * - Rare cases allow slight overshoot (handled via threshold)
-   */
-  if (materialType === "shafts") {
-    const ceilNominal = Math.ceil(value);
-    const deviationFromCeil = ceilNominal - value;
-
-    // If shaft is too far below the nominal, snap down
-    return deviationFromCeil >= THRESHOLD ? Math.floor(value) : ceilNominal;
-  }
-
-  /**
-   * BORES (housing / shell)
-   * - Nominal is normally BELOW the measurement
-   * - Lower deviation is 0
-   */
-  if (materialType === "housingBores" || materialType === "shellBores") {
-    const floorNominal = Math.floor(value);
-    const deviationFromFloor = value - floorNominal;
-
-    // If bore grows too much above nominal, snap up
-    return deviationFromFloor >= THRESHOLD ? Math.ceil(value) : floorNominal;
-  }
-
-  /**
-   * Fallback
-   * - Used only if material type is unknown
-   */
-  return Math.round(value);
-}
-
-/**
- * Configuration defining how each material type
- * maps to specifications, IT grades, and nominal matching rules.
- */
-const MATERIAL_TYPE_CONFIG = {
-  shafts: {
-    specification: "h9",
-    itGrade: "IT5",
-
-    /**
-     * Shafts:
-     * - Upper deviation = 0
-     * - Nominal sits at the top end of the range
-     */
-    rangeMatch: (nominal, spec) =>
-      nominal > spec.minimum_diameter && nominal <= spec.maximum_diameter,
-  },
-
-  housingBores: {
-    specification: "H8",
-    itGrade: "IT6",
-
-    /**
-     * Housing bores:
-     * - Lower deviation = 0
-     * - Nominal sits at the bottom end of the range
-     */
-    rangeMatch: (nominal, spec) =>
-      nominal >= spec.minimum_diameter && nominal < spec.maximum_diameter,
-  },
-
-  shellBores: {
-    specification: "H9",
-    itGrade: "IT6",
-
-    /**
-     * Shell bores:
-     * - Same rule as housing bores, different spec
-     */
-    rangeMatch: (nominal, spec) =>
-      nominal >= spec.minimum_diameter && nominal < spec.maximum_diameter,
-  },
-};
+  // Shafts round up and bores round down (see lib/registry); an unknown
+  // rule falls back to the nearest nominal
+  const roundNominal =
+    registry.NOMINAL_ROUNDING_RULES[nominalRounding] ??
+    registry.NOMINAL_ROUNDING_RULES.nearest;
+
+  return roundNominal(value, THRESHOLD) * step;
+}
+
+/**
+ * Validates a nominal size declared by the caller (e.g. from the drawing).
+ *
+ * @param {number|string} nominal
+ * @param {{ minimum: number, maximum: number, unit: Object }} range - Valid size range, see getDiameterRange
+ * @returns {{error: true, code: string, message: string}|null} Error object if invalid, otherwise null
+ */
+function validateDeclaredNominal(nominal, range) {
+  if (
+    !isValidMeasurement(nominal, range) ||
+    Number(nominal) === range.minimum
+  ) {
+    return createError(
+      ERROR_CODES.INVALID_NOMINAL,
+      `Nominal must be greater than ${formatRangeLimits(range, "and less than")}.`,
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a reading sits plausibly close to a declared nominal.
+ *
+ * @param {number} measurement
+ * @param {number} nominal - Declared nominal size
+ * @param {Object} [unit] - Unit of both values, millimetres by default
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {{ declared: true, deviation: string, isPlausible: boolean, reason: string }}
+ */
+function checkNominalPlausibility(
+  measurement,
+  nominal,
+  unit = units.UNITS.mm,
+  messages = locales.resolveLocale(),
+) {
+  const deviation = measurement - nominal;
+  const limit = nominalThresholdFor(unit);
+  const isPlausible = Math.abs(deviation) < limit;
+  const formattedDeviation = parseToFixedString(deviation, unit.decimals);
+  let template = messages.nominalPlausible;
+  if (!isPlausible) {
+    template = deviation < 0 ? messages.nominalBelow : messages.nominalAbove;
+  }
+
+  return {
+    declared: true,
+    deviation: formattedDeviation,
+    isPlausible,
+    reason: locales.format(template, {
+      measurement: parseToFixedString(measurement, unit.decimals),
+      distance: parseToFixedString(Math.abs(deviation), unit.decimals),
+      limit,
+      nominal,
+    }),
+  };
+}
+
+/** Returns NOMINAL_THRESHOLD in the given unit (0.9 mm, 0.0563 inch) */
+function nominalThresholdFor(unit) {
+  return Number((NOMINAL_THRESHOLD * unit.nominalStep).toFixed(unit.decimals));
+}
 
 /**
  * Finds the specification that matches a given nominal
@@ -237,6 +513,33 @@ function findMatchingSpec(nominal, specs, rangeMatchFn) {
   return specs.find((spec) => rangeMatchFn(nominal, spec)) ?? null;
 }
 
+/**
+ * Adds the IT grade value to a matched spec when its table does not carry
+ * that grade, computing it with the ISO 286 engine for the spec's band.
+ *
+ * @param {Object} spec - Matched specification band
+ * @param {string} itGrade - e.g. "IT7"
+ * @param {Object} [unit] - Unit of the spec, millimetres by default
+ * @returns {Object} The spec, with the IT grade value present
+ */
+function withITValue(spec, itGrade, unit = units.UNITS.mm) {
+  if (spec[itGrade] !== undefined) return spec;
+
+  const value = iso286.getStandardTolerance(
+    itGrade,
+    units.toMillimetres(spec.maximum_diameter, unit),
+  );
+  if (value?.error) return spec;
+
+  return {
+    ...spec,
+    [itGrade]: units.convertMillimetreString(
+      iso286.formatMillimetres(value),
+      unit,
+    ),
+  };
+}
+
 /**
  * Calculates numeric (computed) upper and lower bounds.
  *
@@ -244,10 +547,10 @@ function findMatchingSpec(nominal, specs, rangeMatchFn) {
  * nominal = 200
  * upper_deviation = 0.072 → 200.072
  */
-function calculateComputedBounds(nominal, spec) {
+function calculateComputedBounds(nominal, spec, decimalCount = 3) {
   return {
-    upperBound: parseComputedBound(nominal, spec.upper_deviation, 3),
-    lowerBound: parseComputedBound(nominal, spec.lower_deviation, 3),
+    upperBound: parseComputedBound(nominal, spec.upper_deviation, decimalCount),
+    lowerBound: parseComputedBound(nominal, spec.lower_deviation, decimalCount),
   };
 }
 
@@ -258,10 +561,20 @@ function calculateComputedBounds(nominal, spec) {
  * 200 + 0.072
  * 200 - 0.000
  */
-function calculateUncomputedBounds(nominal, spec) {
+function calculateUncomputedBounds(nominal, spec, decimalCount = 3) {
   return {
-    upperBound: parseUncomputedBound(nominal, spec.upper_deviation, "+"),
-    lowerBound: parseUncomputedBound(nominal, spec.lower_deviation, "-"),
+    upperBound: parseUncomputedBound(
+      nominal,
+      spec.upper_deviation,
+      "+",
+      decimalCount,
+    ),
+    lowerBound: parseUncomputedBound(
+      nominal,
+      spec.lower_deviation,
+      "-",
+      decimalCount,
+    ),
   };
 }
 
@@ -271,11 +584,12 @@ function calculateUncomputedBounds(nominal, spec) {
  *
  * @param {number|string} measurement
  * @param {{ upperBound: number|string, lowerBound: number|string }} bounds
- * @returns {boolean|{error: string}}
+ * @param {{ minimum: number, maximum: number, unit: Object }} range - Valid measurement range, see getDiameterRange
+ * @returns {boolean|{error: true, code: string, message: string}}
  */
-function checkMeetsSpecification(measurement, bounds) {
-  if (!isValidMeasurement(measurement)) {
-    return { error: "Measurement must be between 0 and 1000." };
+function checkMeetsSpecification(measurement, bounds, range) {
+  if (!isValidMeasurement(measurement, range)) {
+    return measurementRangeError(range);
   }
 
   const value = Number(measurement);
@@ -283,19 +597,228 @@ function checkMeetsSpecification(measurement, bounds) {
   const lower = Number(bounds.lowerBound);
 
   if (![value, upper, lower].every(Number.isFinite)) {
-    return { error: "Invalid specification bounds." };
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Invalid specification bounds.",
+    );
   }
 
   return value >= lower && value <= upper;
 }
 
+/** --- Helper Functions for thermal compensation start--- */
+
+/**
+ * Corrects readings to 20 °C when the options give a part or gauge
+ * temperature. Corrected readings carry one decimal more than the unit's,
+ * so that a correction of a few micrometres is not rounded away.
+ *
+ * @param {number[]} measurements - Numeric readings as taken
+ * @param {{ partTemperature?: number, gaugeTemperature?: number, partMaterial?: string|number }} options
+ * @param {Object} unit
+ * @returns {{ compensation: Object|null, measurements: number[] }|{error: true, code: string, message: string, details: Array<Object>}}
+ */
+function compensateReadings(measurements, options, unit) {
+  const compensation = thermal.resolveCompensation(options);
+  if (compensation?.error) return compensation;
+  if (!compensation) return { compensation: null, measurements };
+
+  return {
+    compensation,
+    measurements: measurements.map((measurement) =>
+      Number(
+        thermal
+          .toReferenceTemperature(Number(measurement), compensation)
+          .toFixed(unit.decimals + 1),
+      ),
+    ),
+  };
+}
+
+/** Describes the temperatures and coefficients readings were corrected with */
+function describeCompensation(
+  compensation,
+  messages = locales.resolveLocale(),
+) {
+  const { partTemperature, gaugeTemperature, material, coefficient } =
+    compensation;
+  const part = locales.format(messages.partMaterials[material], {
+    coefficient: Number((coefficient * 1e6).toPrecision(6)),
+  });
+
+  return {
+    reference_temperature: thermal.REFERENCE_TEMPERATURE,
+    part_temperature: partTemperature,
+    gauge_temperature: gaugeTemperature,
+    part_material: material,
+    expansion_coefficient: coefficient,
+    gauge_expansion_coefficient: thermal.GAUGE_EXPANSION_COEFFICIENT,
+    reason: locales.format(messages.compensated, {
+      part,
+      partTemperature,
+      gaugeTemperature,
+      referenceTemperature: thermal.REFERENCE_TEMPERATURE,
+    }),
+  };
+}
+
+/** The thermal compensation options of a check, to pass on to another */
+function pickCompensationOptions(options) {
+  const { partTemperature, gaugeTemperature, partMaterial } = options;
+  return {
+    ...(partTemperature !== undefined && { partTemperature }),
+    ...(gaugeTemperature !== undefined && { gaugeTemperature }),
+    ...(partMaterial !== undefined && { partMaterial }),
+  };
+}
+
+/** --- Helper Functions for thermal compensation end--- */
+
+/** --- Helper Functions for guard-banded decisions start--- */
+
+/**
+ * Guard-bands computed bounds by the expanded uncertainty of a reading at
+ * the nominal. Limits and uncertainties carry one decimal more than the
+ * bounds, so that a few-micrometre uncertainty is not rounded away.
+ *
+ * @param {{ gauge: number, temperature: number|null, expansionCoefficient: number }} settings - From uncertainty.resolveUncertainty
+ * @param {number} nominal
+ * @param {{ upperBound: string, lowerBound: string }} bounds - Computed bounds
+ * @param {Object} unit
+ * @returns {{ combined: { expanded: number, gauge: number, temperature: number|null }, limits: Object, decimals: number }}
+ */
+function guardBandBounds(settings, nominal, bounds, unit) {
+  const decimals = unit.decimals + 1;
+  const round = (value) => Number(value.toFixed(decimals));
+  const combined = uncertainty.combineUncertainty(settings, nominal);
+  const expanded = round(combined.expanded);
+  const limits = uncertainty.guardBand(
+    { lower: Number(bounds.lowerBound), upper: Number(bounds.upperBound) },
+    expanded,
+  );
+
+  return {
+    combined: { ...combined, expanded },
+    limits: {
+      acceptance: {
+        lower: round(limits.acceptance.lower),
+        upper: round(limits.acceptance.upper),
+      },
+      rejection: {
+        lower: round(limits.rejection.lower),
+        upper: round(limits.rejection.upper),
+      },
+    },
+    decimals,
+  };
+}
+
+/** Limits as bound strings, upper first like the computed bounds */
+function formatLimits(limits, decimals) {
+  return {
+    upperBound: limits.upper.toFixed(decimals),
+    lowerBound: limits.lower.toFixed(decimals),
+  };
+}
+
+/**
+ * Describes a decision: the rule, the verdict, the expanded uncertainty and
+ * its components, and the rejection limits (the acceptance limits are
+ * reported next to the computed bounds).
+ */
+function describeDecision(verdict, guardBanded, reason) {
+  const { combined, limits, decimals } = guardBanded;
+  return {
+    rule: uncertainty.DECISION_RULE,
+    verdict,
+    uncertainty: combined.expanded.toFixed(decimals),
+    ...(combined.temperature !== null && {
+      uncertainty_components: {
+        gauge: combined.gauge.toFixed(decimals),
+        temperature: combined.temperature.toFixed(decimals),
+      },
+    }),
+    rejection_limits: formatLimits(limits.rejection, decimals),
+    reason,
+  };
+}
+
+/** Reason for the decision on one reading */
+function generateReasonForDecision(
+  verdict,
+  measurement,
+  guardBanded,
+  unit,
+  messages = locales.resolveLocale(),
+) {
+  const { combined, limits, decimals } = guardBanded;
+  const values = {
+    measurement: parseToFixedString(measurement, unit.decimals),
+    uncertainty: combined.expanded.toFixed(decimals),
+  };
+
+  let reason;
+  if (verdict === uncertainty.DECISIONS.conforming) {
+    reason = locales.format(messages.decisionConforming, {
+      ...values,
+      lower: limits.acceptance.lower.toFixed(decimals),
+      upper: limits.acceptance.upper.toFixed(decimals),
+    });
+  } else if (verdict === uncertainty.DECISIONS.nonConforming) {
+    reason = locales.format(messages.decisionNonConforming, {
+      ...values,
+      lower: limits.rejection.lower.toFixed(decimals),
+      upper: limits.rejection.upper.toFixed(decimals),
+    });
+  } else {
+    reason = locales.format(messages.decisionIndeterminate, values);
+  }
+  return `${reason}${emptyAcceptanceZoneNote(limits, messages)}`;
+}
+
+/** Reason for the decision on a batch, naming the readings that decide it */
+function generateReasonForBatchDecision(
+  verdict,
+  decisions,
+  measurements,
+  unit,
+  messages = locales.resolveLocale(),
+) {
+  const describe = (template, wanted) =>
+    locales.format(template, {
+      matching: decisions.filter((decision) => decision === wanted).length,
+      count: decisions.length,
+      readings: measurements
+        .filter((_, index) => decisions[index] === wanted)
+        .map((measurement) => parseToFixedString(measurement, unit.decimals))
+        .join(", "),
+    });
+
+  if (verdict === uncertainty.DECISIONS.conforming) {
+    return describe(messages.batchConforming, verdict);
+  }
+  if (verdict === uncertainty.DECISIONS.nonConforming) {
+    return describe(messages.batchNonConforming, verdict);
+  }
+  return describe(messages.batchIndeterminate, verdict);
+}
+
+/** Note for an uncertainty of half the tolerance or more */
+function emptyAcceptanceZoneNote(limits, messages = locales.resolveLocale()) {
+  return limits.acceptance.lower > limits.acceptance.upper
+    ? ` ${messages.emptyAcceptanceZone}`
+    : "";
+}
+
+/** --- Helper Functions for guard-banded decisions end--- */
+
 /**
  * Processes a single measurement for a given material type.
  *
  * Steps:
  * 1. Validates the measurement.
  * 2. Retrieves configuration for the material type.
- * 3. Calculates the nominal diameter based on the measurement.
+ * 3. Uses the declared nominal, or calculates it from the measurement.
  * 4. Finds the matching specification for the nominal.
  * 5. Calculates numeric (computed) and display-friendly (uncomputed) bounds.
  * 6. Checks if the measurement meets the specification.
@@ -304,121 +827,252 @@ function checkMeetsSpecification(measurement, bounds) {
  * @param {"shafts"|"housingBores"|"shellBores"} materialType
  * @param {number|string} measurement - The raw measurement value.
  * @param {Object} tolerances - Tolerance data for the material type.
+ * @param {{ specification?: string, itGrade?: string, nominal?: number, units?: "mm"|"inch", uncertainty?: number|Object, locale?: string }} [options] - Overrides for the configured specification and IT grade, a declared nominal that skips inference, the unit of the measurement and tolerances, the measurement uncertainty for a guard-banded decision, and the locale of the reasons.
  * @returns {Object} Processed measurement details, or error if invalid.
  */
-function processOneMeasurement(materialType, measurement, tolerances) {
-  // 1. Validate the measurement
-  if (!isValidMeasurement(measurement)) {
-    return { error: "Measurement must be between 0 and 1000." };
+function processOneMeasurement(
+  materialType,
+  measurement,
+  tolerances,
+  options = {},
+) {
+  // 1. Validate the measurement against the table's diameter range
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const range = getDiameterRange(tolerances.specification, unit);
+  if (!isValidMeasurement(measurement, range)) {
+    return measurementRangeError(range);
   }
 
   // 2. Get material configuration (specification, IT grade, range matching)
-  const config = MATERIAL_TYPE_CONFIG[materialType];
+  const standard = registry.getStandard(options.standard);
+  if (standard.error) return standard;
+  const config = standard.materials[materialType];
   if (!config) {
-    return {
-      error: true,
-      message: `Unknown material type: ${materialType}`,
-    };
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Unknown material type: ${materialType}`,
+    );
   }
-
-  // 3. Derive nominal diameter from the measurement
-  const nominal = parseNominalFromMeasurement(measurement, materialType);
-  if (nominal?.error) {
-    return { error: true, message: nominal.error };
+  const specification = options.specification || config.specification;
+  const itGrade = options.itGrade || config.itGrade;
+  const uncertaintySettings =
+    options.uncertainty !== undefined
+      ? uncertainty.resolveUncertainty(options.uncertainty)
+      : null;
+  if (uncertaintySettings?.error) return uncertaintySettings;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+
+  // 3. Use the declared nominal, or derive it from the measurement
+  const isNominalDeclared = options.nominal !== undefined;
+  if (isNominalDeclared) {
+    const nominalError = validateDeclaredNominal(options.nominal, range);
+    if (nominalError) return nominalError;
   }
-
-  // 4. Find the specification that matches the nominal
+  const nominal = isNominalDeclared
+    ? Number(options.nominal)
+    : parseNominalFromMeasurement(
+        measurement,
+        config.nominalRounding,
+        NOMINAL_THRESHOLD,
+        unit,
+        range,
+      );
+  if (nominal?.error) return nominal;
+
+  // 4. Find the specification that matches the nominal; ISO 286 engine
+  // tables bring their own rule
   const matchedSpec = findMatchingSpec(
     nominal,
     tolerances.specification,
-    config.rangeMatch,
+    tolerances.rangeMatch
+      ? registry.RANGE_MATCH_RULES[tolerances.rangeMatch]
+      : config.rangeMatch,
   );
   if (!matchedSpec) {
-    return {
-      error: true,
-      message: `No specification found for nominal diameter: ${nominal}`,
-      nominal,
-    };
+    return createError(
+      ERROR_CODES.NO_MATCHING_BAND,
+      `No specification found for nominal diameter: ${nominal}`,
+      [{ nominal }],
+    );
   }
+  const matchedSpecWithIT = withITValue(matchedSpec, itGrade, unit);
 
   // 5. Calculate specification bounds
-  const computedBounds = calculateComputedBounds(nominal, matchedSpec); // numeric bounds for checking
-  const uncomputedBounds = calculateUncomputedBounds(nominal, matchedSpec); // human-readable bounds for display
+  const computedBounds = calculateComputedBounds(
+    nominal,
+    matchedSpecWithIT,
+    unit.decimals,
+  ); // numeric bounds for checking
+  const uncomputedBounds = calculateUncomputedBounds(
+    nominal,
+    matchedSpecWithIT,
+    unit.decimals,
+  ); // human-readable bounds for display
 
   // 6. Check if measurement meets the specification
-  const meetsSpec = checkMeetsSpecification(measurement, computedBounds);
+  const meetsSpec = checkMeetsSpecification(measurement, computedBounds, range);
   const specMeetingReason = generateReasonForSpecs(
     meetsSpec,
     measurement,
     computedBounds.lowerBound,
     computedBounds.upperBound,
+    specification,
+    unit.decimals,
+    messages,
   );
 
   // 7. Determine human-readable outcome
   const numericMeasurement = parseStringFloat(measurement);
-  let outcome;
+  let outcomeTemplate;
   if (numericMeasurement > computedBounds.upperBound) {
-    outcome = `${materialType} is over-sized.`;
+    outcomeTemplate = messages.overSized;
   } else if (numericMeasurement < computedBounds.lowerBound) {
-    outcome = `${materialType} is under-sized.`;
+    outcomeTemplate = messages.underSized;
   } else {
-    outcome = `${materialType} is in acceptable size.`;
+    outcomeTemplate = messages.inSize;
+  }
+  const outcome = locales.format(outcomeTemplate, {
+    material: locales.materialName(messages, materialType),
+  });
+
+  // 8. Decide on conformance with the measurement uncertainty, if given
+  let guardBanded = null;
+  let decision = null;
+  if (uncertaintySettings) {
+    guardBanded = guardBandBounds(
+      uncertaintySettings,
+      nominal,
+      computedBounds,
+      unit,
+    );
+    const verdict = uncertainty.decide(numericMeasurement, guardBanded.limits);
+    decision = describeDecision(
+      verdict,
+      guardBanded,
+      generateReasonForDecision(
+        verdict,
+        numericMeasurement,
+        guardBanded,
+        unit,
+        messages,
+      ),
+    );
   }
 
-  // 8. Return structured result
+  // 9. Return structured result
   return {
     measurement: numericMeasurement,
     nominal,
-    specification: config.specification,
-    IT_grade: config.itGrade,
+    ...(isNominalDeclared && {
+      nominal_check: checkNominalPlausibility(
+        numericMeasurement,
+        nominal,
+        unit,
+        messages,
+      ),
+    }),
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    ...(standard.name !== registry.DEFAULT_STANDARD && {
+      standard: standard.name,
+    }),
+    specification,
+    IT_grade: itGrade,
     computed_specification_bounds: computedBounds,
+    ...(guardBanded && {
+      acceptance_limits: formatLimits(
+        guardBanded.limits.acceptance,
+        guardBanded.decimals,
+      ),
+    }),
     uncomputed_specification_bounds: uncomputedBounds,
-    matched_spec: matchedSpec,
+    matched_spec: matchedSpecWithIT,
 
     meets_specification: {
       meetsSpec,
       reason: specMeetingReason,
       concludedReason: outcome,
     },
+    ...(decision && { decision }),
   };
 }
 
 /**
- * Checks a single measurement against Camco standard tolerances.
+ * Checks a single measurement against Camco standard tolerances, against a
+ * registered standard named in `options.standard`, or against the
+ * specification and IT grade given in `options`.
  *
  * Optional helper function for quick validation of one measurement.
  *
  * @param {"shafts"|"housingBores"|"shellBores"} materialType
  * @param {number|string} measurement
+ * @param {{ specification?: string, itGrade?: string, nominal?: number, units?: "mm"|"inch", standard?: string, uncertainty?: number|{ gauge: number, temperature?: number, expansionCoefficient?: number }, locale?: string }} [options] - e.g. { specification: "H7", itGrade: "IT5", nominal: 47.5 }.
+ *   With `uncertainty` (the gauge's expanded uncertainty, optionally with the
+ *   part temperature in °C), the result adds ISO 14253-1 `acceptance_limits`
+ *   and a conforming, non-conforming or indeterminate `decision`.
+ *   With `partTemperature` and/or `gaugeTemperature` (°C) and `partMaterial`
+ *   (steel by default), the reading is corrected to 20 °C first; the result
+ *   reports the corrected `measurement` and the `raw_measurement`.
  * @returns {Object} Processed measurement details or error object
  */
-function checkOneMeasurementFor(materialType, measurement) {
-  // 1. Validate measurement value
-  if (!isValidMeasurement(measurement)) {
-    return { error: "Measurement must be between 0 and 1000." };
+function checkOneMeasurementFor(materialType, measurement, options = {}) {
+  // 1. Retrieve tolerances for the requested (or Camco standard) specification
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const specifiedTolerances = getSpecifiedTolerancesFor(materialType, options);
+  if (specifiedTolerances.error) {
+    return specifiedTolerances; // pass through the error
   }
 
-  // 2. Retrieve Camco standard tolerances for the material type
-  const camcoStandardTolerances = getCamcoStandardTolerancesFor(materialType);
-  if (camcoStandardTolerances.error) {
-    return camcoStandardTolerances; // pass through the error
+  // 2. Validate measurement value against the table's diameter range
+  const range = getDiameterRange(specifiedTolerances.specification, unit);
+  if (!isValidMeasurement(measurement, range)) {
+    return measurementRangeError(range);
+  }
+  if (options.nominal !== undefined) {
+    const nominalError = validateDeclaredNominal(options.nominal, range);
+    if (nominalError) return nominalError;
   }
 
   // 3. Ensure measurement is numeric
   const numericMeasurement = Number(measurement);
   if (!Number.isFinite(numericMeasurement)) {
-    return {
-      error: true,
-      message: "Invalid measurement value",
-    };
+    return createError(
+      ERROR_CODES.INVALID_MEASUREMENT,
+      "Invalid measurement value",
+    );
   }
 
-  // 4. Process the measurement using standard tolerances
-  return processOneMeasurement(
-    camcoStandardTolerances.type,
-    numericMeasurement,
-    camcoStandardTolerances,
+  // 4. Correct the reading to 20 °C, if taken at another temperature
+  const compensated = compensateReadings([numericMeasurement], options, unit);
+  if (compensated.error) return compensated;
+
+  // 5. Process the measurement using the resolved tolerances
+  const result = processOneMeasurement(
+    specifiedTolerances.type,
+    compensated.measurements[0],
+    specifiedTolerances,
+    {
+      ...options,
+      specification: specifiedTolerances.specificationName,
+      itGrade: specifiedTolerances.itGrade,
+    },
   );
+  if (result.error || !compensated.compensation) return result;
+
+  const { measurement: correctedMeasurement, ...rest } = result;
+  return {
+    measurement: correctedMeasurement,
+    raw_measurement: numericMeasurement,
+    ...rest,
+    thermal_compensation: describeCompensation(
+      compensated.compensation,
+      messages,
+    ),
+  };
 }
 
 /**
@@ -441,19 +1095,25 @@ function parseComputedBound(base, value, decimalCount = 3) {
  *
  * @param {number} nominal - Nominal value.
  * @param {string|number} deviation - Deviation value (can start with "-" for negative).
- * @param {"+"|"-"} sign - Sign to display for the deviation.
+ * @param {"+"|"-"} sign - Sign to display for a zero deviation.
+ * @param {number} decimalCount - Number of decimals to display.
  * @returns {string} - Formatted bound string.
  */
-function parseUncomputedBound(nominal, deviation, sign) {
-  const numericNominal = parseToFixedThreeString(nominal);
+function parseUncomputedBound(nominal, deviation, sign, decimalCount = 3) {
+  const numericNominal = parseToFixedString(nominal, decimalCount);
 
   // Handle negative deviation
   if (typeof deviation === "string" && deviation.startsWith("-")) {
     const positiveDeviation = deviation.slice(1);
-    return `${numericNominal} ${sign} ${parseToFixedThreeString(positiveDeviation)}`;
+    return `${numericNominal} - ${parseToFixedString(positiveDeviation, decimalCount)}`;
   }
 
-  return `${numericNominal} ${sign} ${parseToFixedThreeString(deviation)}`;
+  // Positive deviations (e.g. the lower deviation of k6) are always added
+  if (parseStringFloat(deviation) > 0) {
+    return `${numericNominal} + ${parseToFixedString(deviation, decimalCount)}`;
+  }
+
+  return `${numericNominal} ${sign} ${parseToFixedString(deviation, decimalCount)}`;
 }
 
 /**
@@ -478,6 +1138,19 @@ function parseToFixedThreeString(value) {
   return Number.isFinite(num) ? num.toFixed(3) : "0.000";
 }
 
+/**
+ * Converts a number or numeric string to a string with the given decimals.
+ * If input is invalid, returns zero with those decimals.
+ *
+ * @param {number|string} value
+ * @param {number} decimalCount - 3 for millimetres, 4 for inches
+ * @returns {string}
+ */
+function parseToFixedString(value, decimalCount = 3) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return (Number.isFinite(num) ? num : 0).toFixed(decimalCount);
+}
+
 /**
  * Converts a string or number to a float.
  * Safely handles null, undefined, or non-numeric strings by returning 0.
@@ -501,13 +1174,22 @@ function parseStringFloat(value) {
  * @param {string} materialType - The type of material (e.g., "shafts", "housingBores", "shellBores")
  * @param {number} measurement - The measurement value to process
  * @param {object} tolerances - Tolerance definitions for the material type
+ * @param {object} [options] - Specification and IT grade overrides
  * @returns {object} Processed measurement details including nominal, spec bounds, IT grade,
  *                   and whether it meets specification
  */
-function processIndividualMeasurement(materialType, measurement, tolerances) {
-  // Validate that the measurement is a valid number between 0 and 1000
-  if (!isValidMeasurement(measurement)) {
-    return { error: "Measurement must be between 0 to 1000." };
+function processIndividualMeasurement(
+  materialType,
+  measurement,
+  tolerances,
+  options = {},
+) {
+  // Validate that the measurement lies within the table's diameter range
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const range = getDiameterRange(tolerances.specification, unit);
+  if (!isValidMeasurement(measurement, range)) {
+    return measurementRangeError(range);
   }
 
   // Delegate actual processing to the generic processMeasurement function
@@ -515,6 +1197,7 @@ function processIndividualMeasurement(materialType, measurement, tolerances) {
     materialType,
     measurement,
     tolerances,
+    options,
   );
 
   return processedMeasurement;
@@ -523,78 +1206,182 @@ function processIndividualMeasurement(materialType, measurement, tolerances) {
 /**
  * Processes multiple measurements for a given material type.
  * Determines spec compliance, IT tolerance, and final compliance.
+ *
+ * Uses the specification and IT grade of the Camco standard, or of the
+ * registered standard named in `options.standard`, unless `options`
+ * overrides them, e.g. { specification: "H7", itGrade: "IT5" }.
+ * With a declared `options.nominal`, every reading is judged against that
+ * nominal instead of the most occurred inferred one.
+ * With `options.units` set to "inch", readings, nominal and results are in inches.
+ * With `options.uncertainty`, every reading and the batch get an ISO 14253-1
+ * decision against the batch's guard-banded limits.
+ * With `options.partTemperature` and/or `options.gaugeTemperature`, readings
+ * are corrected to 20 °C before the nominal is inferred and they are checked.
  */
-function checkMultipleMeasurementsFor(materialType, measurements) {
-  // 1. Validate measurements
-  const validationError = validateMeasurementsArray(measurements);
+function checkMultipleMeasurementsFor(
+  materialType,
+  measurements,
+  options = {},
+) {
+  // 1. Get tolerances for the requested (or Camco standard) specification
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const arrayError = validateMeasurements(measurements);
+  if (arrayError) return arrayError;
+  const specifiedTolerances = getSpecifiedTolerancesFor(materialType, options);
+  if (specifiedTolerances.error) return specifiedTolerances;
+
+  // 2. Validate measurements against the table's diameter range
+  const range = getDiameterRange(specifiedTolerances.specification, unit);
+  const validationError = validateMeasurementsArray(measurements, range);
   if (validationError) return validationError;
+  if (options.nominal !== undefined) {
+    const nominalError = validateDeclaredNominal(options.nominal, range);
+    if (nominalError) return nominalError;
+  }
 
-  // 2. Get Camco standard tolerances
-  const camcoTolerances = getCamcoStandardTolerancesFor(materialType);
-  if (camcoTolerances.error) return camcoTolerances;
-
-  // 3. Process all measurements individually
-  const results = measurements.map((m) =>
-    processIndividualMeasurement(camcoTolerances.type, m, camcoTolerances),
+  // 3. Correct the readings to 20 °C, if taken at another temperature
+  const compensated = compensateReadings(measurements, options, unit);
+  if (compensated.error) return compensated;
+  const checkedMeasurements = compensated.measurements;
+
+  // 4. Process all measurements individually
+  const results = checkedMeasurements.map((m) =>
+    processIndividualMeasurement(
+      specifiedTolerances.type,
+      m,
+      specifiedTolerances,
+      {
+        ...options,
+        specification: specifiedTolerances.specificationName,
+        itGrade: specifiedTolerances.itGrade,
+      },
+    ),
   );
+  const failedResult = results.find((r) => r.error);
+  if (failedResult) return failedResult;
 
-  // 4. Determine most common nominal
-  const mostOccuredNominal = findMostOccuredNominal(results);
+  // 5. Use the declared nominal, or determine the most common one
+  const mostOccuredNominal =
+    options.nominal !== undefined
+      ? Number(options.nominal)
+      : findMostOccuredNominal(results);
 
-  // 5. Base spec for the most common nominal
+  // 6. Base spec for the most common nominal
   const baseSpec = results.find((r) => r.nominal === mostOccuredNominal);
   const baseITValue = baseSpec.matched_spec[baseSpec.IT_grade];
   // Determine the farthest measurement
   const mostFarMeasurement = findFarthestMeasurement(
-    measurements,
+    checkedMeasurements,
     mostOccuredNominal,
     baseSpec.computed_specification_bounds,
   );
 
-  // 6. Check IT tolerance and spec compliance
+  // 7. Check IT tolerance and spec compliance
   const { meetsIT, itReason } = checkITTolerance(
-    measurements,
+    checkedMeasurements,
     baseITValue,
     baseSpec.IT_grade,
+    unit.decimals,
+    messages,
   );
   const { meetsSpec, specReason } = checkSpecCompliance(
     results,
     baseSpec,
     mostFarMeasurement,
+    unit.decimals,
+    messages,
   );
 
-  // 7. Generate outcome messages
+  // 8. Generate outcome messages
   const generalizedOutcome = generateOutcomeMessage(
-    materialType,
+    specifiedTolerances.type,
     mostFarMeasurement,
     baseSpec,
     meetsSpec,
     meetsIT,
+    messages,
+  );
+
+  // 9. Break the batch down per reading
+  const describedReadings = describeReadings(
+    results,
+    mostOccuredNominal,
+    baseSpec.computed_specification_bounds,
+    unit,
+    messages,
   );
+  const readings = compensated.compensation
+    ? describedReadings.map(({ index, measurement, ...rest }) => ({
+        index,
+        measurement,
+        raw_measurement: Number(measurements[index]),
+        ...rest,
+      }))
+    : describedReadings;
+
+  // 10. Decide on conformance with the measurement uncertainty, if given
+  const batchDecision =
+    options.uncertainty !== undefined
+      ? decideBatchConformance(
+          readings,
+          uncertainty.resolveUncertainty(options.uncertainty),
+          mostOccuredNominal,
+          baseSpec.computed_specification_bounds,
+          unit,
+          messages,
+        )
+      : null;
 
   return {
     ...baseSpec,
-    measurement: measurements,
+    ...(batchDecision && { acceptance_limits: batchDecision.acceptanceLimits }),
+    measurement: checkedMeasurements,
+    ...(compensated.compensation && { raw_measurement: measurements }),
+    readings: batchDecision ? batchDecision.readings : readings,
+    ...(options.nominal !== undefined && {
+      nominal_check: checkBatchNominalPlausibility(
+        results,
+        mostOccuredNominal,
+        unit,
+        messages,
+      ),
+    }),
     meets_specification: { meetsSpec, reason: specReason },
     meets_IT_Tolerance: { meetsIT, reason: itReason },
     meets_final_compliance: meetsSpec && meetsIT,
     generalized_outcome: generalizedOutcome,
+    ...(batchDecision && { decision: batchDecision.decision }),
+    ...(compensated.compensation && {
+      thermal_compensation: describeCompensation(
+        compensated.compensation,
+        messages,
+      ),
+    }),
   };
 }
 
 /** --- Helper Functions for checkMultipleMeasuremetsFor() start--- */
 
 /** Validate the array of measurements */
-function validateMeasurementsArray(measurements) {
+function validateMeasurementsArray(measurements, range) {
   const validationError = validateMeasurements(measurements);
   if (validationError) return validationError;
 
   const invalids = measurements
-    .map((m, idx) => (!isValidMeasurement(m) ? { index: idx, value: m } : null))
+    .map((m, idx) =>
+      !isValidMeasurement(m, range) ? { index: idx, value: m } : null,
+    )
     .filter(Boolean);
 
   if (invalids.length > 0)
-    return { error: "Some measurements are invalid.", details: invalids };
+    return createError(
+      ERROR_CODES.INVALID_MEASUREMENT,
+      "Some measurements are invalid.",
+      invalids,
+    );
   return null;
 }
 
@@ -605,7 +1392,7 @@ function findMostOccuredNominal(results) {
     (r) => (nominalCounts[r.nominal] = (nominalCounts[r.nominal] || 0) + 1),
   );
 
-  return parseInt(
+  return parseFloat(
     Object.keys(nominalCounts).find(
       (n) => nominalCounts[n] === Math.max(...Object.values(nominalCounts)),
     ),
@@ -613,14 +1400,159 @@ function findMostOccuredNominal(results) {
 }
 
 /**
- * Finds the measurement farthest from the nominal that is outside the allowed bounds.
- * @param {number[]} measurements - Array of measurements
- * @param {number} nominal - Reference nominal value
- * @param {object} bounds - Computed bounds { lowerBound, upperBound }
- * @returns {number|null} - The farthest measurement outside bounds, or null if all within bounds
+ * Collects the readings that sit implausibly far from a declared nominal.
+ *
+ * @param {object[]} results - Individually processed measurements
+ * @param {number} nominal - Declared nominal size
+ * @param {Object} [unit] - Unit of the readings, millimetres by default
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {{ declared: true, isPlausible: boolean, implausibleReadings: object[], reason: string }}
  */
-function findFarthestMeasurement(measurements, nominal, bounds) {
-  if (!Array.isArray(measurements) || measurements.length === 0) return null;
+function checkBatchNominalPlausibility(
+  results,
+  nominal,
+  unit = units.UNITS.mm,
+  messages = locales.resolveLocale(),
+) {
+  const implausibleReadings = results
+    .map((r, idx) => ({ index: idx, value: r.measurement, ...r.nominal_check }))
+    .filter((r) => !r.isPlausible)
+    .map(({ index, value, deviation }) => ({ index, value, deviation }));
+
+  const isPlausible = implausibleReadings.length === 0;
+  const limit = nominalThresholdFor(unit);
+  return {
+    declared: true,
+    isPlausible,
+    implausibleReadings,
+    reason: locales.format(
+      isPlausible
+        ? messages.batchNominalPlausible
+        : messages.batchNominalImplausible,
+      { count: implausibleReadings.length, limit, nominal },
+    ),
+  };
+}
+
+/**
+ * Describes every reading of a batch against the batch nominal and bounds:
+ * deviation from the nominal and distance outside the nearest bound (both
+ * in µm), and whether the reading is in, over or under.
+ *
+ * A reading is a nominal outlier when its own inferred nominal differs from
+ * the batch nominal or, with a declared nominal, when it sits implausibly
+ * far from it (see checkNominalPlausibility).
+ *
+ * @param {Array<Object>} results - processIndividualMeasurement results, one per reading
+ * @param {number} nominal - Batch nominal
+ * @param {{ upperBound: string, lowerBound: string }} bounds - Batch computed bounds
+ * @param {Object} [unit] - Unit of the readings, millimetres by default
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {Array<{ index: number, measurement: number, inferred_nominal: number|null, deviation_um: number, status: "in"|"over"|"under", excess_um: number, nominal_outlier: boolean, reason?: string }>}
+ */
+function describeReadings(
+  results,
+  nominal,
+  bounds,
+  unit = units.UNITS.mm,
+  messages = locales.resolveLocale(),
+) {
+  const upper = Number(bounds.upperBound);
+  const lower = Number(bounds.lowerBound);
+  const toMicrometres = (value) =>
+    Number((units.toMillimetres(value, unit) * 1000).toFixed(1)) || 0;
+
+  return results.map((result, index) => {
+    const measurement = result.measurement;
+    let status = "in";
+    let excess = 0;
+    if (measurement > upper) {
+      status = "over";
+      excess = measurement - upper;
+    } else if (measurement < lower) {
+      status = "under";
+      excess = lower - measurement;
+    }
+
+    const nominalOutlier = result.nominal_check
+      ? !result.nominal_check.isPlausible
+      : result.nominal !== nominal;
+
+    return {
+      index,
+      measurement,
+      // Readings are not inferred when the nominal is declared
+      inferred_nominal: result.nominal_check ? null : result.nominal,
+      deviation_um: toMicrometres(measurement - nominal),
+      status,
+      excess_um: toMicrometres(excess),
+      nominal_outlier: nominalOutlier,
+      ...(nominalOutlier && {
+        reason: result.nominal_check
+          ? result.nominal_check.reason
+          : locales.format(messages.readingNominalOutlier, {
+              measurement: parseToFixedString(measurement, unit.decimals),
+              inferred: result.nominal,
+              nominal,
+            }),
+      }),
+    };
+  });
+}
+
+/**
+ * Decides on every reading of a batch against the batch's guard-banded
+ * limits, then on the batch as a whole.
+ *
+ * @param {Array<Object>} readings - From describeReadings
+ * @param {Object} settings - From uncertainty.resolveUncertainty
+ * @param {number} nominal - Batch nominal
+ * @param {{ upperBound: string, lowerBound: string }} bounds - Batch computed bounds
+ * @param {Object} unit
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {{ acceptanceLimits: Object, readings: Array<Object>, decision: Object }}
+ */
+function decideBatchConformance(
+  readings,
+  settings,
+  nominal,
+  bounds,
+  unit,
+  messages = locales.resolveLocale(),
+) {
+  const guardBanded = guardBandBounds(settings, nominal, bounds, unit);
+  const measurements = readings.map((reading) => reading.measurement);
+  const decisions = measurements.map((measurement) =>
+    uncertainty.decide(measurement, guardBanded.limits),
+  );
+  const verdict = uncertainty.decideBatch(decisions);
+
+  return {
+    acceptanceLimits: formatLimits(
+      guardBanded.limits.acceptance,
+      guardBanded.decimals,
+    ),
+    readings: readings.map((reading, index) => ({
+      ...reading,
+      decision: decisions[index],
+    })),
+    decision: describeDecision(
+      verdict,
+      guardBanded,
+      `${generateReasonForBatchDecision(verdict, decisions, measurements, unit, messages)}${emptyAcceptanceZoneNote(guardBanded.limits, messages)}`,
+    ),
+  };
+}
+
+/**
+ * Finds the measurement farthest from the nominal that is outside the allowed bounds.
+ * @param {number[]} measurements - Array of measurements
+ * @param {number} nominal - Reference nominal value
+ * @param {object} bounds - Computed bounds { lowerBound, upperBound }
+ * @returns {number|null} - The farthest measurement outside bounds, or null if all within bounds
+ */
+function findFarthestMeasurement(measurements, nominal, bounds) {
+  if (!Array.isArray(measurements) || measurements.length === 0) return null;
 
   let farthest = null;
   let maxDistance = -1;
@@ -645,25 +1577,40 @@ function findFarthestMeasurement(measurements, nominal, bounds) {
 }
 
 /** Check IT tolerance */
-function checkITTolerance(measurements, baseITValue, ITGrade) {
+function checkITTolerance(
+  measurements,
+  baseITValue,
+  ITGrade,
+  decimalCount = 3,
+  messages = locales.resolveLocale(),
+) {
   const largest = Math.max(...measurements);
   const smallest = Math.min(...measurements);
-  const ITDifference = parseToFixedThreeString(largest - smallest);
+  const ITDifference = parseToFixedString(largest - smallest, decimalCount);
 
-  const meetsIT = ITDifference <= baseITValue;
+  // Both are fixed-point strings; compared as text, "10.000" <= "9.000"
+  const meetsIT = Number(ITDifference) <= Number(baseITValue);
   const reason = generateReasonForTolerances(
     meetsIT,
     largest,
     smallest,
     baseITValue,
     ITGrade,
+    decimalCount,
+    messages,
   );
 
   return { meetsIT, itReason: reason };
 }
 
 /** Check if all measurements meet specification bounds */
-function checkSpecCompliance(results, baseSpec, mostFarMeasurement) {
+function checkSpecCompliance(
+  results,
+  baseSpec,
+  mostFarMeasurement,
+  decimalCount = 3,
+  messages = locales.resolveLocale(),
+) {
   const meetsSpec = results.every(
     (r) =>
       r.measurement >= baseSpec.computed_specification_bounds.lowerBound &&
@@ -676,18 +1623,21 @@ function checkSpecCompliance(results, baseSpec, mostFarMeasurement) {
     baseSpec.computed_specification_bounds.lowerBound,
     baseSpec.computed_specification_bounds.upperBound,
     baseSpec.specification,
+    decimalCount,
+    messages,
   );
 
   return { meetsSpec, specReason: reason };
 }
 
-/** Generate a human-readable outcome message */
+/** Generate a human-readable outcome message, naming the material type key in the locale */
 function generateOutcomeMessage(
   materialType,
   mostFarMeasurement,
   baseSpec,
   meetsSpec,
   meetsIT,
+  messages = locales.resolveLocale(),
 ) {
   const isWithinSizeRange =
     mostFarMeasurement >= baseSpec.computed_specification_bounds.lowerBound &&
@@ -696,23 +1646,26 @@ function generateOutcomeMessage(
   const isOverSized =
     mostFarMeasurement > baseSpec.computed_specification_bounds.upperBound;
 
-  const sizeOutcome = isWithinSizeRange
-    ? `${materialType} is acceptable in size.`
-    : isOverSized
-      ? `${materialType} is over-sized.`
-      : `${materialType} is under-sized.`;
+  const sizeOutcome = locales.format(
+    isWithinSizeRange
+      ? messages.acceptableInSize
+      : isOverSized
+        ? messages.overSized
+        : messages.underSized,
+    { material: locales.materialName(messages, materialType) },
+  );
 
   const ITOutcome =
     isWithinSizeRange && meetsIT
-      ? "And, it meets IT tolerance."
+      ? messages.itMetInSize
       : !isWithinSizeRange && meetsIT
-        ? "However, it meets IT tolerance."
-        : `${!isWithinSizeRange ? "And, " : "But, "}it fails IT tolerance.`;
+        ? messages.itMetOutOfSize
+        : isWithinSizeRange
+          ? messages.itFailedInSize
+          : messages.itFailedOutOfSize;
 
   const finalOutcome =
-    meetsSpec && meetsIT
-      ? "Finally, it meets final compliance and is acceptable to use."
-      : "Finally, it doesn't meet final compliance and is not acceptable to use.";
+    meetsSpec && meetsIT ? messages.finalMet : messages.finalNotMet;
 
   return `${sizeOutcome} ${ITOutcome} ${finalOutcome}`;
 }
@@ -726,6 +1679,8 @@ function generateOutcomeMessage(
  * @param {number|string} lowerBound - Lower bound of the specification
  * @param {number|string} upperBound - Upper bound of the specification
  * @param {string} specType - The type of specification (e.g., "H8", "h9")
+ * @param {number} [decimalCount=3] - Decimals to display the measurement with
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
  * @returns {string} Reason describing compliance
  */
 function generateReasonForSpecs(
@@ -734,13 +1689,15 @@ function generateReasonForSpecs(
   lowerBound,
   upperBound,
   specType,
+  decimalCount = 3,
+  messages = locales.resolveLocale(),
 ) {
-  const formattedMeasurement = parseToFixedThreeString(measurement);
-  if (spec) {
-    return `${formattedMeasurement} falls between ${lowerBound} and ${upperBound}. So, the material meets ${specType} specification.`;
-  } else {
-    return `${formattedMeasurement} doesn't fall between ${lowerBound} and ${upperBound}. So, the material doesn't meet ${specType} specification.`;
-  }
+  return locales.format(spec ? messages.specMet : messages.specNotMet, {
+    measurement: parseToFixedString(measurement, decimalCount),
+    lower: lowerBound,
+    upper: upperBound,
+    specification: specType,
+  });
 }
 
 /**
@@ -752,6 +1709,8 @@ function generateReasonForSpecs(
  * @param {number} measurement2 - Second measurement value
  * @param {number|string} toleranceValue - IT tolerance limit
  * @param {string} toleranceType - Tolerance type (e.g., "IT5", "IT6")
+ * @param {number} [decimalCount=3] - Decimals to display the measurements with
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
  * @returns {string} Reason describing tolerance compliance
  */
 function generateReasonForTolerances(
@@ -760,14 +1719,15 @@ function generateReasonForTolerances(
   measurement2,
   toleranceValue,
   toleranceType,
+  decimalCount = 3,
+  messages = locales.resolveLocale(),
 ) {
-  const diff1 = parseToFixedThreeString(measurement1);
-  const diff2 = parseToFixedThreeString(measurement2);
-  if (spec) {
-    return `The difference between ${diff1} and ${diff2} is less than or equal to ${toleranceValue}. So, it meets ${toleranceType} Tolerance.`;
-  } else {
-    return `The difference between ${diff1} and ${diff2} is greater than ${toleranceValue}. So, it doesn't meet ${toleranceType} Tolerance.`;
-  }
+  return locales.format(spec ? messages.itMet : messages.itNotMet, {
+    largest: parseToFixedString(measurement1, decimalCount),
+    smallest: parseToFixedString(measurement2, decimalCount),
+    itValue: toleranceValue,
+    itGrade: toleranceType,
+  });
 }
 
 /**
@@ -778,11 +1738,17 @@ function generateReasonForTolerances(
  */
 function validateMeasurements(measurements) {
   if (!Array.isArray(measurements)) {
-    return { error: "Measurements must be an array of numbers." };
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Measurements must be an array of numbers.",
+    );
   }
 
   if (measurements.length === 0) {
-    return { error: "Measurements array cannot be empty." };
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Measurements array cannot be empty.",
+    );
   }
 
   return null; // Valid
@@ -790,9 +1756,1996 @@ function validateMeasurements(measurements) {
 
 /** --- Helper Functions for checkMultipleMeasuremetsFor() end--- */
 
+/**
+ * Evaluates a reading, or a batch of readings, against every specification
+ * tabulated for the material type (including those of the standard's own
+ * table), and reports which it passes and by what margin, from the tightest
+ * specification to the loosest.
+ *
+ * Every specification's band is found for the same nominal: the declared
+ * one, or the one inferred from the readings as by the checkers.
+ * Specifications whose table does not cover the nominal are left out.
+ *
+ * Example:
+ * findSpecificationsFor("housing", 50.035)
+ * → passes H8 and H9, fails H6 and H7 ("50.035 is within H8 and H9 but not H6 or H7.")
+ *
+ * @param {string} materialType - Material type (e.g. housing, shaft, shell)
+ * @param {number|string|Array<number|string>} measurements - One reading, or a batch
+ * @param {{ nominal?: number, units?: "mm"|"inch", standard?: string, locale?: string }} [options]
+ * @returns {Object} Per-specification results ordered by tolerance, or error object.
+ *   `margin` is the distance of the worst reading from the nearer bound:
+ *   positive inside the specification, negative outside it.
+ */
+function findSpecificationsFor(materialType, measurements, options = {}) {
+  // 1. Resolve the material type, its standard settings and every table
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const isBatch = Array.isArray(measurements);
+  const readings = isBatch ? measurements : [measurements];
+  const arrayError = validateMeasurements(readings);
+  if (arrayError) return arrayError;
+
+  const standardTolerances = getStandardTolerancesFor(materialType, options);
+  if (standardTolerances.error) return standardTolerances;
+  const allTolerances = getAllTolerancesFor(materialType, "", options);
+  if (allTolerances.error) return allTolerances;
+  const standard = registry.getStandard(options.standard);
+  const config = standard.materials[standardTolerances.type];
+
+  // 2. Validate the readings against the standard's diameter range
+  const range = getDiameterRange(standardTolerances.specification, unit);
+  if (!isBatch && !isValidMeasurement(measurements, range)) {
+    return measurementRangeError(range);
+  }
+  const validationError = validateMeasurementsArray(readings, range);
+  if (validationError) return validationError;
+  if (options.nominal !== undefined) {
+    const nominalError = validateDeclaredNominal(options.nominal, range);
+    if (nominalError) return nominalError;
+  }
+  const numericReadings = readings.map(Number);
+
+  // 3. Use the declared nominal, or the most common inferred one
+  const nominal =
+    options.nominal !== undefined
+      ? Number(options.nominal)
+      : findMostOccuredNominal(
+          numericReadings.map((measurement) => ({
+            nominal: parseNominalFromMeasurement(
+              measurement,
+              config.nominalRounding,
+              NOMINAL_THRESHOLD,
+              unit,
+              range,
+            ),
+          })),
+        );
+
+  // 4. Evaluate every specification whose table covers the nominal
+  const specifications = Object.entries(allTolerances.specifications)
+    .map(([specification, bands]) => {
+      const matchedSpec = findMatchingSpec(nominal, bands, config.rangeMatch);
+      return matchedSpec
+        ? evaluateSpecification(
+            specification,
+            numericReadings,
+            nominal,
+            matchedSpec,
+            unit,
+            messages,
+          )
+        : null;
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        Number(a.tolerance) - Number(b.tolerance) ||
+        a.specification.localeCompare(b.specification),
+    );
+
+  // 5. Summarize which specifications the readings pass
+  const passing = specifications
+    .filter((entry) => entry.passes)
+    .map((entry) => entry.specification);
+  const failing = specifications
+    .filter((entry) => !entry.passes)
+    .map((entry) => entry.specification);
+
+  return {
+    measurement: isBatch ? numericReadings : numericReadings[0],
+    nominal,
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    ...(standard.name !== registry.DEFAULT_STANDARD && {
+      standard: standard.name,
+    }),
+    specifications,
+    passing_specifications: passing,
+    tightest_passing_specification: passing[0] ?? null,
+    reason: generateReasonForPassingSpecs(
+      numericReadings,
+      passing,
+      failing,
+      unit.decimals,
+      messages,
+    ),
+  };
+}
+
+/** --- Helper Functions for findSpecificationsFor() start--- */
+
+/**
+ * Evaluates readings against one specification's band at the nominal.
+ *
+ * @param {string} specification
+ * @param {number[]} readings
+ * @param {number} nominal
+ * @param {Object} matchedSpec - Band matched by findMatchingSpec
+ * @param {Object} unit
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {{ specification: string, tolerance: string, computed_specification_bounds: Object, passes: boolean, margin: string, reason: string }}
+ */
+function evaluateSpecification(
+  specification,
+  readings,
+  nominal,
+  matchedSpec,
+  unit,
+  messages = locales.resolveLocale(),
+) {
+  const bounds = calculateComputedBounds(nominal, matchedSpec, unit.decimals);
+  const upper = Number(bounds.upperBound);
+  const lower = Number(bounds.lowerBound);
+  // Distance of the worst reading from the nearer bound
+  const margin = Math.min(
+    ...readings.map((value) => Math.min(value - lower, upper - value)),
+  );
+
+  return {
+    specification,
+    tolerance: parseToFixedString(upper - lower, unit.decimals),
+    computed_specification_bounds: bounds,
+    passes: margin >= 0,
+    margin: parseToFixedString(margin, unit.decimals),
+    reason: generateReasonForMargin(
+      margin,
+      specification,
+      unit.decimals,
+      messages,
+    ),
+  };
+}
+
+/** Reason for one specification's margin */
+function generateReasonForMargin(
+  margin,
+  specification,
+  decimalCount,
+  messages = locales.resolveLocale(),
+) {
+  return locales.format(
+    margin >= 0 ? messages.marginWithin : messages.marginOutside,
+    {
+      specification,
+      margin: parseToFixedString(Math.abs(margin), decimalCount),
+    },
+  );
+}
+
+/** Reason naming the specifications the readings pass and fail */
+function generateReasonForPassingSpecs(
+  readings,
+  passing,
+  failing,
+  decimalCount,
+  messages = locales.resolveLocale(),
+) {
+  const listSpecs = (specs, conjunction) =>
+    specs.length > 1
+      ? `${specs.slice(0, -1).join(", ")} ${conjunction} ${specs[specs.length - 1]}`
+      : specs[0];
+  const subject =
+    readings.length === 1
+      ? locales.format(messages.specsSubjectOne, {
+          measurement: parseToFixedString(readings[0], decimalCount),
+        })
+      : locales.format(messages.specsSubjectBatch, {
+          smallest: parseToFixedString(Math.min(...readings), decimalCount),
+          largest: parseToFixedString(Math.max(...readings), decimalCount),
+        });
+
+  let template = messages.specsSome;
+  if (passing.length === 0) template = messages.specsNone;
+  else if (failing.length === 0) template = messages.specsEvery;
+  return locales.format(template, {
+    subject,
+    passing: listSpecs(passing, messages.conjunctionAnd),
+    // "within none of H6 and H7", but "within H8 but not H6 or H7"
+    failing: listSpecs(
+      failing,
+      passing.length === 0 ? messages.conjunctionAnd : messages.conjunctionOr,
+    ),
+  });
+}
+
+/** --- Helper Functions for findSpecificationsFor() end--- */
+
+/**
+ * Calculates the limits of a hole/shaft fit at a nominal size and
+ * classifies it as a clearance, transition or interference fit.
+ *
+ * Example:
+ * calculateFit("H7/k6", 50)
+ * → hole 50.000–50.025, shaft 50.002–50.018, transition fit
+ *
+ * calculateFit("RC4", 1.5, { units: "inch" })
+ * → ANSI B4.1 RC4 (H8/f7) at 1.5 inch, clearance fit
+ *
+ * @param {string} fit - Fit designation, e.g. "H7/k6", or an ANSI B4.1 class, e.g. "RC4"
+ * @param {number|string} nominal - Nominal size
+ * @param {{ units?: "mm"|"inch", locale?: string }} [options] - Unit of the nominal and results, and language of the reason
+ * @returns {Object} Fit limits and classification, or error object
+ */
+function calculateFit(fit, nominal, options = {}) {
+  // 1. Validate the fit designation and nominal
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+
+  const parsedFit = resolveFitDesignation(fit);
+  if (parsedFit.error) return parsedFit;
+
+  const nominalError = validateDeclaredNominal(nominal, getISOSizeRange(unit));
+  if (nominalError) return nominalError;
+  const numericNominal = Number(nominal);
+  const nominalInMillimetres = units.toMillimetres(numericNominal, unit);
+
+  // 2. Look up both tolerance zones
+  const holeDeviations = iso286.getLimitDeviations(
+    parsedFit.hole,
+    nominalInMillimetres,
+  );
+  if (holeDeviations.error) return holeDeviations;
+  if (!holeDeviations.isHole) {
+    return createError(
+      ERROR_CODES.INVALID_FIT,
+      `${parsedFit.hole} is not a hole tolerance class.`,
+    );
+  }
+
+  const shaftDeviations = iso286.getLimitDeviations(
+    parsedFit.shaft,
+    nominalInMillimetres,
+  );
+  if (shaftDeviations.error) return shaftDeviations;
+  if (shaftDeviations.isHole) {
+    return createError(
+      ERROR_CODES.INVALID_FIT,
+      `${parsedFit.shaft} is not a shaft tolerance class.`,
+    );
+  }
+
+  const hole = describeFitMember(numericNominal, holeDeviations, unit);
+  const shaft = describeFitMember(numericNominal, shaftDeviations, unit);
+
+  // 3. Calculate clearance / interference and classify
+  const limits = fits.calculateFitLimits(
+    toNumericBounds(hole.computed_specification_bounds),
+    toNumericBounds(shaft.computed_specification_bounds),
+    unit.decimals,
+  );
+
+  return {
+    fit: parsedFit.fit,
+    ...(parsedFit.isoEquivalent && {
+      iso_equivalent: parsedFit.isoEquivalent,
+    }),
+    nominal: numericNominal,
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    hole,
+    shaft,
+    ...limits,
+    reason: fits.generateReasonForFit(parsedFit.fit, limits, messages),
+  };
+}
+
+/**
+ * Calculates the fit actually achieved by a measured bore and a measured
+ * shaft, and whether both parts meet their side of the design fit.
+ *
+ * Both measurement sets go through checkMultipleMeasurementsFor with the
+ * fit's hole and shaft classes. The nominal is inferred from the bore
+ * readings unless declared in `options`.
+ *
+ * @param {string} fit - Fit designation, e.g. "H7/k6", or an ANSI B4.1 class, e.g. "RC4"
+ * @param {Array<number>} boreMeasurements
+ * @param {Array<number>} shaftMeasurements
+ * @param {{ nominal?: number, boreType?: "housing"|"shell", units?: "mm"|"inch", standard?: string, partTemperature?: number, gaugeTemperature?: number, partMaterial?: string|number, locale?: string }} [options] - `standard` sets the nominal rounding and band matching of both checks; the thermal compensation options correct the readings of both parts; `locale` sets the language of every reason
+ * @returns {Object} Design fit, actual fit and both check results, or error object
+ */
+function calculateActualFit(
+  fit,
+  boreMeasurements,
+  shaftMeasurements,
+  options = {},
+) {
+  // 1. Validate the fit designation
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+
+  const parsedFit = resolveFitDesignation(fit);
+  if (parsedFit.error) return parsedFit;
+
+  const holeClass = iso286.parseDesignation(parsedFit.hole);
+  if (holeClass.error) return holeClass;
+  const shaftClass = iso286.parseDesignation(parsedFit.shaft);
+  if (shaftClass.error) return shaftClass;
+
+  // 2. Check the bore, then the shaft against the bore's nominal
+  const boreResult = checkMultipleMeasurementsFor(
+    options.boreType ?? "housing",
+    boreMeasurements,
+    {
+      ...pickCompensationOptions(options),
+      specification: parsedFit.hole,
+      itGrade: holeClass.grade,
+      nominal: options.nominal,
+      units: unit.name,
+      standard: options.standard,
+      locale: options.locale,
+    },
+  );
+  if (boreResult.error) return boreResult;
+
+  const shaftResult = checkMultipleMeasurementsFor("shaft", shaftMeasurements, {
+    ...pickCompensationOptions(options),
+    specification: parsedFit.shaft,
+    itGrade: shaftClass.grade,
+    nominal: boreResult.nominal,
+    units: unit.name,
+    standard: options.standard,
+    locale: options.locale,
+  });
+  if (shaftResult.error) return shaftResult;
+
+  // 3. Compare the design fit with the fit the measured parts achieve
+  const designFit = calculateFit(fit, boreResult.nominal, {
+    units: unit.name,
+    locale: options.locale,
+  });
+  if (designFit.error) return designFit;
+
+  // Both checks report the readings corrected to 20 °C, if compensated
+  const boreReadings = boreResult.measurement.map(Number);
+  const shaftReadings = shaftResult.measurement.map(Number);
+  const actualLimits = fits.calculateFitLimits(
+    {
+      upper: Math.max(...boreReadings),
+      lower: Math.min(...boreReadings),
+    },
+    {
+      upper: Math.max(...shaftReadings),
+      lower: Math.min(...shaftReadings),
+    },
+    unit.decimals,
+  );
+
+  // Judge both parts against the design fit's own zones, so bore and shaft
+  // are always taken from the same ISO size step
+  const isBoreWithinZone = isWithinBounds(
+    boreReadings,
+    designFit.hole.computed_specification_bounds,
+  );
+  const isShaftWithinZone = isWithinBounds(
+    shaftReadings,
+    designFit.shaft.computed_specification_bounds,
+  );
+  const meetsDesignFit = isBoreWithinZone && isShaftWithinZone;
+
+  let reason = locales.format(messages.fitAchieved, { fit: designFit.fit });
+  if (!isBoreWithinZone && !isShaftWithinZone) {
+    reason = locales.format(messages.fitNotAchievedBoth, {
+      fit: designFit.fit,
+    });
+  } else if (!meetsDesignFit) {
+    reason = locales.format(messages.fitNotAchievedOne, {
+      fit: designFit.fit,
+      part: isBoreWithinZone ? messages.fitPartShaft : messages.fitPartBore,
+    });
+  }
+
+  return {
+    fit: designFit.fit,
+    nominal: designFit.nominal,
+    design_fit: designFit,
+    actual_fit: {
+      ...actualLimits,
+      reason: fits.generateReasonForFit(
+        messages.measuredFit,
+        actualLimits,
+        messages,
+      ),
+    },
+    bore: boreResult,
+    shaft: shaftResult,
+    meets_design_fit: meetsDesignFit,
+    reason,
+  };
+}
+
+/** --- Helper Functions for calculateFit() start--- */
+
+/**
+ * Resolves a fit designation to its hole and shaft classes. ANSI B4.1
+ * classes (e.g. "RC4") resolve to their ISO symbols (H8/f7).
+ *
+ * @param {string} fit
+ * @returns {{ fit: string, hole: string, shaft: string, isoEquivalent?: string }|{error: true, code: string, message: string}}
+ */
+function resolveFitDesignation(fit) {
+  if (ansi.isAnsiDesignation(fit)) {
+    const ansiFit = ansi.getAnsiFit(fit);
+    if (ansiFit.error) return ansiFit;
+
+    return {
+      fit: ansiFit.designation,
+      hole: ansiFit.hole,
+      shaft: ansiFit.shaft,
+      isoEquivalent: `${ansiFit.hole}/${ansiFit.shaft}`,
+    };
+  }
+
+  const parsedFit = fits.parseFit(fit);
+  if (parsedFit.error) return parsedFit;
+
+  return { fit: `${parsedFit.hole}/${parsedFit.shaft}`, ...parsedFit };
+}
+
+/**
+ * Describes one member (hole or shaft) of a fit at a nominal size,
+ * with deviations and bounds in the same format as the checkers.
+ */
+function describeFitMember(nominal, deviations, unit = units.UNITS.mm) {
+  const toUnit = (micrometres) =>
+    units.convertMillimetreString(iso286.formatMillimetres(micrometres), unit);
+  const spec = {
+    upper_deviation: toUnit(deviations.upper),
+    lower_deviation: toUnit(deviations.lower),
+    [deviations.itGrade]: toUnit(deviations.tolerance),
+  };
+
+  return {
+    specification: deviations.designation,
+    IT_grade: deviations.itGrade,
+    upper_deviation: spec.upper_deviation,
+    lower_deviation: spec.lower_deviation,
+    computed_specification_bounds: calculateComputedBounds(
+      nominal,
+      spec,
+      unit.decimals,
+    ),
+    uncomputed_specification_bounds: calculateUncomputedBounds(
+      nominal,
+      spec,
+      unit.decimals,
+    ),
+  };
+}
+
+/** Checks that every measurement lies within computed bounds */
+function isWithinBounds(measurements, bounds) {
+  return measurements.every(
+    (m) =>
+      Number(m) >= Number(bounds.lowerBound) &&
+      Number(m) <= Number(bounds.upperBound),
+  );
+}
+
+/** Converts computed (string) bounds to numeric upper/lower limits */
+function toNumericBounds(bounds) {
+  return {
+    upper: Number(bounds.upperBound),
+    lower: Number(bounds.lowerBound),
+  };
+}
+
+/** --- Helper Functions for calculateFit() end--- */
+
+/**
+ * Analyses the process capability of a batch of measurements: mean,
+ * standard deviation, Cp/Cpk, Pp/Ppk and the estimated share out of
+ * tolerance, against the bounds checkMultipleMeasurementsFor resolves for
+ * the same material type and options.
+ *
+ * Readings are taken in production order: Cp/Cpk use the within standard
+ * deviation from the moving range, Pp/Ppk the overall standard deviation.
+ *
+ * Example:
+ * analyzeCapabilityFor("shaft", [49.95, 49.96, 49.94, 49.95, 49.97])
+ * → h9 bounds 49.938–50.000, Cpk, Ppk and verdict
+ *
+ * @param {"shafts"|"housingBores"|"shellBores"} materialType
+ * @param {Array<number>} measurements - At least two readings, in production order
+ * @param {Object} [options] - Same as checkMultipleMeasurementsFor
+ * @returns {Object} Capability figures and verdict, or error object
+ */
+function analyzeCapabilityFor(materialType, measurements, options = {}) {
+  // 1. Resolve the specification bounds the same way the batch check does
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const batchResult = checkMultipleMeasurementsFor(
+    materialType,
+    measurements,
+    options,
+  );
+  if (batchResult.error) return batchResult;
+  if (measurements.length < 2) {
+    return createError(
+      ERROR_CODES.INSUFFICIENT_DATA,
+      "Capability analysis needs at least 2 measurements.",
+    );
+  }
+
+  // 2. Calculate the capability figures
+  const unit = units.resolveUnits(options.units);
+  const bounds = batchResult.computed_specification_bounds;
+  const capability = statistics.analyzeCapability(
+    batchResult.measurement.map(Number),
+    Number(bounds.lowerBound),
+    Number(bounds.upperBound),
+  );
+
+  // Spread figures get one more decimal than the readings
+  const spreadDecimals = unit.decimals + 1;
+  const outOfTolerance = capability.outOfTolerance && {
+    below_lower: toPercent(capability.outOfTolerance.below),
+    above_upper: toPercent(capability.outOfTolerance.above),
+    total: toPercent(
+      capability.outOfTolerance.below + capability.outOfTolerance.above,
+    ),
+  };
+
+  return {
+    measurement: batchResult.measurement,
+    ...(batchResult.raw_measurement && {
+      raw_measurement: batchResult.raw_measurement,
+    }),
+    nominal: batchResult.nominal,
+    ...(batchResult.units && { units: batchResult.units }),
+    ...(batchResult.standard && { standard: batchResult.standard }),
+    specification: batchResult.specification,
+    computed_specification_bounds: bounds,
+    sample_size: measurements.length,
+    mean: capability.mean.toFixed(spreadDecimals),
+    standard_deviation: {
+      overall: capability.overallSigma.toFixed(spreadDecimals),
+      within: capability.withinSigma.toFixed(spreadDecimals),
+    },
+    Cp: roundIndex(capability.cp),
+    Cpk: roundIndex(capability.cpk),
+    Pp: roundIndex(capability.pp),
+    Ppk: roundIndex(capability.ppk),
+    estimated_out_of_tolerance_percent: outOfTolerance,
+    verdict: capability.verdict,
+    reason: generateReasonForCapability(
+      capability,
+      outOfTolerance,
+      batchResult.specification,
+      measurements.length,
+      messages,
+    ),
+    ...(batchResult.thermal_compensation && {
+      thermal_compensation: batchResult.thermal_compensation,
+    }),
+  };
+}
+
+/** --- Helper Functions for analyzeCapabilityFor() start--- */
+
+/** Rounds a capability index to 2 decimals, keeping null */
+function roundIndex(value) {
+  return value === null ? null : Number(value.toFixed(2));
+}
+
+/** Converts a fraction to a percentage with 4 decimals */
+function toPercent(fraction) {
+  return Number((fraction * 100).toFixed(4));
+}
+
+/**
+ * Generates a human-readable reason for a capability verdict.
+ *
+ * @param {ReturnType<typeof statistics.analyzeCapability>} capability
+ * @param {{ total: number }|null} outOfTolerance - Estimated percentages
+ * @param {string} specType - e.g. "H8"
+ * @param {number} sampleSize
+ * @param {Object} [messages] - Messages of the locale, from locales.resolveLocale (default: English)
+ * @returns {string}
+ */
+function generateReasonForCapability(
+  capability,
+  outOfTolerance,
+  specType,
+  sampleSize,
+  messages = locales.resolveLocale(),
+) {
+  const { capable, marginal } = statistics.CAPABILITY_THRESHOLDS;
+
+  let reason;
+  if (capability.verdict === statistics.VERDICTS.indeterminate) {
+    reason = messages.capabilityIndeterminate;
+  } else {
+    const verdictTemplate = {
+      [statistics.VERDICTS.capable]: messages.capabilityCapable,
+      [statistics.VERDICTS.marginal]: messages.capabilityMarginal,
+      [statistics.VERDICTS.notCapable]: messages.capabilityNotCapable,
+    }[capability.verdict];
+    const verdictText = locales.format(verdictTemplate, {
+      cpk: capability.cpk.toFixed(2),
+      capable: capable.toFixed(2),
+      marginal: marginal.toFixed(2),
+      specification: specType,
+    });
+    reason = `${verdictText} ${locales.format(messages.capabilityOutOfTolerance, { percent: outOfTolerance.total })}`;
+  }
+
+  if (sampleSize < statistics.RECOMMENDED_SAMPLE_SIZE) {
+    reason += ` ${locales.format(messages.capabilitySmallSample, {
+      count: sampleSize,
+      recommended: statistics.RECOMMENDED_SAMPLE_SIZE,
+    })}`;
+  }
+
+  return reason;
+}
+
+/** --- Helper Functions for analyzeCapabilityFor() end--- */
+
+/**
+ * Checks the form of a part from readings taken at known axial positions
+ * and angles: ovality per plane, taper along the length and an estimate of
+ * cylindricity, each against the IT grade limit. Size is checked as in
+ * checkMultipleMeasurementsFor.
+ *
+ * Example:
+ * checkFormFor("housing", [
+ *   { value: 80.012, position: "front", angle: 0 },
+ *   { value: 80.018, position: "front", angle: 90 },
+ *   { value: 80.020, position: "back", angle: 0 },
+ *   { value: 80.024, position: "back", angle: 90 },
+ * ])
+ *
+ * @param {"shafts"|"housingBores"|"shellBores"} materialType
+ * @param {Array<{ value: number, position: string|number, angle: number }>} readings
+ * @param {Object} [options] - Same as checkMultipleMeasurementsFor
+ * @returns {Object} Form checks and the size check, or error object
+ */
+function checkFormFor(materialType, readings, options = {}) {
+  // 1. Validate the structured readings
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const readingsError = form.validateReadings(readings);
+  if (readingsError) return readingsError;
+
+  // 2. Check size and resolve the IT grade limit
+  const sizeResult = checkMultipleMeasurementsFor(
+    materialType,
+    readings.map((reading) => Number(reading.value)),
+    options,
+  );
+  if (sizeResult.error) return sizeResult;
+
+  const unit = units.resolveUnits(options.units);
+  const itGrade = sizeResult.IT_grade;
+  const itValue = parseStringFloat(sizeResult.matched_spec[itGrade]);
+  // Judge form on the readings corrected to 20 °C, like the size check
+  const checkedReadings = sizeResult.thermal_compensation
+    ? readings.map((reading, index) => ({
+        ...reading,
+        value: sizeResult.measurement[index],
+      }))
+    : readings;
+
+  // 3. Check ovality, taper and cylindricity
+  const formResult = form.analyzeForm(
+    checkedReadings,
+    itValue,
+    itGrade,
+    unit.decimals,
+    messages,
+  );
+  const failedChecks = [
+    ...formResult.ovality
+      .filter((plane) => plane.meetsIT === false)
+      .map((plane) =>
+        locales.format(messages.formFailsOvality, { position: plane.position }),
+      ),
+    formResult.taper.meetsIT === false && messages.formFailsTaper,
+    formResult.cylindricity.meetsIT === false && messages.formFailsCylindricity,
+  ].filter(Boolean);
+
+  return {
+    measurement: readings,
+    nominal: sizeResult.nominal,
+    ...(sizeResult.units && { units: sizeResult.units }),
+    ...(sizeResult.standard && { standard: sizeResult.standard }),
+    specification: sizeResult.specification,
+    IT_grade: itGrade,
+    IT_value: sizeResult.matched_spec[itGrade],
+    ovality: formResult.ovality,
+    taper: formResult.taper,
+    cylindricity: formResult.cylindricity,
+    meets_form: formResult.meetsForm,
+    size_check: sizeResult,
+    meets_final_compliance:
+      formResult.meetsForm && sizeResult.meets_final_compliance,
+    reason: locales.format(
+      formResult.meetsForm ? messages.formMet : messages.formNotMet,
+      { itGrade, failures: failedChecks.join(", ") },
+    ),
+  };
+}
+
+/**
+ * Default column mapping of inspection sheets. Readings default to every
+ * column whose header starts with "reading" (reading_1, reading_2, ...).
+ */
+const DEFAULT_SHEET_COLUMNS = {
+  id: "component_id",
+  material: "material",
+  specification: "spec",
+  nominal: "nominal",
+};
+
+/**
+ * Checks every component of an inspection sheet (CSV, one row per
+ * component) with checkMultipleMeasurementsFor, and returns the results with
+ * a results CSV.
+ *
+ * Invalid readings are reported by row and column. Rows are numbered as in a
+ * spreadsheet: the header is row 1, the first component row 2.
+ *
+ * Example:
+ * checkInspectionSheet("component_id,material,spec,reading_1,reading_2\nP-1,housing,H7,240.01,240.02")
+ *
+ * @param {string} csvText - Inspection sheet in CSV
+ * @param {{ columns?: { id?: string, material?: string, specification?: string, nominal?: string, readings?: string[] }, delimiter?: string, itGrade?: string, units?: "mm"|"inch", standard?: string, locale?: string }} [options]
+ *   `columns` maps the sheet's headers; the remaining options are passed to the checker, and
+ *   `locale` is also the language of the reading errors
+ * @returns {Object} Per-row results, summary, errors and results CSV, or error object
+ */
+function checkInspectionSheet(csvText, options = {}) {
+  const { columns = {}, delimiter = ",", ...checkerOptions } = options;
+
+  // 1. Parse the sheet and map its columns
+  const records = csv.parseCsv(csvText, delimiter);
+  if (records.error) return records;
+  if (records.length < 2) {
+    return createError(
+      ERROR_CODES.INVALID_CSV,
+      "Inspection sheet needs a header row and at least one component row.",
+    );
+  }
+
+  const [header, ...rows] = records;
+  const columnIndexes = mapSheetColumns(header, columns);
+  if (columnIndexes.error) return columnIndexes;
+  if (checkerOptions.uncertainty !== undefined) {
+    const settings = uncertainty.resolveUncertainty(checkerOptions.uncertainty);
+    if (settings.error) return settings;
+  }
+  const compensation = thermal.resolveCompensation(checkerOptions);
+  if (compensation?.error) return compensation;
+  const messages = locales.resolveLocale(checkerOptions.locale);
+  if (messages.error) return messages;
+
+  // 2. Check every row
+  const results = rows.map((row, index) =>
+    checkInspectionRow(
+      row,
+      index + 2,
+      header,
+      columnIndexes,
+      checkerOptions,
+      messages,
+    ),
+  );
+
+  const errors = results.flatMap((result) => result.errors);
+  const summary = {
+    total: results.length,
+    passed: results.filter((result) => result.meets_final_compliance === true)
+      .length,
+    failed: results.filter((result) => result.meets_final_compliance === false)
+      .length,
+    invalid: results.filter((result) => result.errors.length > 0).length,
+  };
+
+  return {
+    rows: results,
+    summary,
+    errors,
+    results_csv: formatResultsCsv(
+      results,
+      delimiter,
+      checkerOptions.uncertainty !== undefined,
+    ),
+  };
+}
+
+/** --- Helper Functions for checkInspectionSheet() start--- */
+
+/**
+ * Finds the index of every mapped column in the header (case-insensitive).
+ *
+ * @returns {{ id: number, material: number, specification: number, nominal: number, readings: number[] }|{error: true, code: string, message: string, details: Array<Object>}}
+ */
+function mapSheetColumns(header, columns) {
+  const normalizedHeader = header.map((name) => name.trim().toLowerCase());
+  const indexOf = (name) =>
+    normalizedHeader.indexOf(String(name).trim().toLowerCase());
+  const mapping = { ...DEFAULT_SHEET_COLUMNS, ...columns };
+  const missing = [];
+
+  const indexes = {};
+  ["id", "material", "specification", "nominal"].forEach((key) => {
+    indexes[key] = indexOf(mapping[key]);
+    // Only the material column is required
+    if (indexes[key] === -1 && (key === "material" || columns[key])) {
+      missing.push({ column: mapping[key] });
+    }
+  });
+
+  indexes.readings = mapping.readings
+    ? mapping.readings.map((name) => {
+        const index = indexOf(name);
+        if (index === -1) missing.push({ column: name });
+        return index;
+      })
+    : normalizedHeader
+        .map((name, index) => (name.startsWith("reading") ? index : -1))
+        .filter((index) => index !== -1);
+
+  if (missing.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_CSV,
+      "Some columns were not found in the header.",
+      missing,
+    );
+  }
+  if (indexes.readings.length === 0) {
+    return createError(
+      ERROR_CODES.INVALID_CSV,
+      'No reading columns found. Name them "reading_1", "reading_2", ... or map them with columns.readings.',
+      [],
+    );
+  }
+
+  return indexes;
+}
+
+/** Checks one component row of an inspection sheet */
+function checkInspectionRow(
+  row,
+  rowNumber,
+  header,
+  columnIndexes,
+  options,
+  messages = locales.resolveLocale(),
+) {
+  const cell = (index) => (index === -1 ? "" : (row[index] ?? "").trim());
+  const id = cell(columnIndexes.id) || `row ${rowNumber}`;
+  const material = cell(columnIndexes.material);
+  const specification = cell(columnIndexes.specification);
+  const nominal = cell(columnIndexes.nominal);
+
+  // Blank reading cells are skipped; the rest must be numbers
+  const readings = columnIndexes.readings
+    .map((index) => ({ column: header[index], value: cell(index) }))
+    .filter((reading) => reading.value !== "");
+  const errors = readings
+    .filter((reading) => !Number.isFinite(Number(reading.value)))
+    .map((reading) => ({
+      row: rowNumber,
+      column: reading.column,
+      value: reading.value,
+      code: ERROR_CODES.INVALID_MEASUREMENT,
+      message: messages.sheetReadingNotNumber,
+    }));
+
+  const base = { row: rowNumber, id, material, specification };
+  if (errors.length > 0) {
+    return { ...base, errors, meets_final_compliance: null, result: null };
+  }
+
+  const result = checkMultipleMeasurementsFor(
+    material,
+    readings.map((reading) => Number(reading.value)),
+    {
+      ...options,
+      ...(specification && { specification }),
+      ...(nominal && { nominal: Number(nominal) }),
+    },
+  );
+
+  if (result.error) {
+    // Readings listed in `details` are outside the table's diameter range
+    const rowErrors =
+      result.code === ERROR_CODES.INVALID_MEASUREMENT && result.details
+        ? result.details.map((detail) => ({
+            row: rowNumber,
+            column: readings[detail.index].column,
+            value: readings[detail.index].value,
+            code: result.code,
+            message: messages.sheetReadingOutOfRange,
+          }))
+        : [
+            {
+              row: rowNumber,
+              column: null,
+              value: null,
+              code: result.code,
+              message: result.message,
+            },
+          ];
+
+    return {
+      ...base,
+      errors: rowErrors,
+      meets_final_compliance: null,
+      result: null,
+    };
+  }
+
+  return {
+    ...base,
+    specification: result.specification,
+    errors: [],
+    meets_final_compliance: result.meets_final_compliance,
+    result,
+  };
+}
+
+/**
+ * Formats checked rows as a results CSV, one line per component. With a
+ * measurement uncertainty, a decision column follows the compliance columns.
+ */
+function formatResultsCsv(results, delimiter, withDecision = false) {
+  const header = [
+    "row",
+    "component_id",
+    "material",
+    "specification",
+    "nominal",
+    "lower_bound",
+    "upper_bound",
+    "smallest_reading",
+    "largest_reading",
+    "meets_specification",
+    "meets_IT_tolerance",
+    "meets_final_compliance",
+    ...(withDecision ? ["decision"] : []),
+    "error",
+  ];
+
+  const lines = results.map(
+    ({ row, id, material, specification, result, errors }) => {
+      if (!result) {
+        return [
+          row,
+          id,
+          material,
+          specification,
+          "",
+          "",
+          "",
+          "",
+          "",
+          "",
+          "",
+          "",
+          ...(withDecision ? [""] : []),
+          errors
+            .map((error) =>
+              error.column
+                ? `${error.column}: ${error.message}`
+                : error.message,
+            )
+            .join("; "),
+        ];
+      }
+
+      const bounds = result.computed_specification_bounds;
+      return [
+        row,
+        id,
+        material,
+        specification,
+        result.nominal,
+        bounds.lowerBound,
+        bounds.upperBound,
+        Math.min(...result.measurement),
+        Math.max(...result.measurement),
+        result.meets_specification.meetsSpec,
+        result.meets_IT_Tolerance.meetsIT,
+        result.meets_final_compliance,
+        ...(withDecision ? [result.decision.verdict] : []),
+        "",
+      ];
+    },
+  );
+
+  return csv.stringifyCsv([header, ...lines], delimiter);
+}
+
+/** --- Helper Functions for checkInspectionSheet() end--- */
+
+/**
+ * Checks every feature of a component (the journals, seal diameters and
+ * coupling fits of a shaft, or the bores of a housing) and rolls them up into
+ * one disposition: "accept" when every feature meets its specification and
+ * IT grade, "reject" otherwise.
+ *
+ * Each feature declares its own material type and nominal, and optionally its
+ * specification and IT grade (the standard's by default). Every reading is
+ * checked with processOneMeasurement against the feature's nominal.
+ *
+ * Example:
+ * checkComponent({
+ *   id: "SH-100",
+ *   features: [
+ *     { name: "DE journal", type: "shaft", nominal: 60, specification: "k6", readings: [60.012, 60.015] },
+ *     { name: "Seal", type: "shaft", nominal: 55, specification: "h9", readings: [54.98] },
+ *   ],
+ * })
+ *
+ * @param {{ id?: string, features: Array<{ name: string, type: string, nominal: number, specification?: string, itGrade?: string, readings: number|Array<number|string> }> }} component
+ * @param {{ units?: "mm"|"inch", standard?: string, locale?: string }} [options] - Applied to every feature
+ * @returns {Object} Per-feature results, summary and disposition, or error object
+ */
+function checkComponent(component, options = {}) {
+  // 1. Validate the definition
+  const unit = units.resolveUnits(options.units);
+  if (unit.error) return unit;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+  const definitionError = validateComponentDefinition(component);
+  if (definitionError) return definitionError;
+
+  // 2. Check every feature
+  const features = [];
+  for (const feature of component.features) {
+    const result = checkComponentFeature(feature, options, unit, messages);
+    if (result.error) {
+      return {
+        ...result,
+        message: `Feature "${feature.name}": ${result.message}`,
+      };
+    }
+    features.push(result);
+  }
+
+  // 3. Roll the features up into the disposition
+  const failedFeatures = features.filter(
+    (feature) => !feature.meets_final_compliance,
+  );
+
+  return {
+    ...(component.id !== undefined && { id: component.id }),
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    ...(features[0].standard && { standard: features[0].standard }),
+    features,
+    summary: {
+      total: features.length,
+      passed: features.length - failedFeatures.length,
+      failed: failedFeatures.length,
+    },
+    disposition: failedFeatures.length === 0 ? "accept" : "reject",
+    failed_features: failedFeatures.map((feature) => feature.name),
+    reason: generateReasonForDisposition(features, failedFeatures, messages),
+  };
+}
+
+/** --- Helper Functions for checkComponent() start--- */
+
+/**
+ * Validates a component definition, listing every problem.
+ *
+ * @returns {{error: true, code: string, message: string, details?: Array<Object>}|null}
+ */
+function validateComponentDefinition(component) {
+  if (
+    !component ||
+    typeof component !== "object" ||
+    !Array.isArray(component.features) ||
+    component.features.length === 0
+  ) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Component must be an object with a non-empty features array.",
+    );
+  }
+
+  const details = [];
+  const names = new Set();
+  component.features.forEach((feature, index) => {
+    const problem = (field, message) =>
+      details.push({ feature: index, field, message });
+
+    if (!feature || typeof feature !== "object") {
+      problem(null, "Must be an object.");
+      return;
+    }
+    if (typeof feature.name !== "string" || feature.name.trim() === "") {
+      problem("name", "Must be a non-empty string.");
+    } else if (names.has(feature.name)) {
+      problem("name", `Another feature is also named "${feature.name}".`);
+    } else {
+      names.add(feature.name);
+    }
+    if (typeof feature.type !== "string") {
+      problem("type", "Must be a material type: housing, shaft or shell.");
+    }
+    if (!Number.isFinite(feature.nominal) || feature.nominal <= 0) {
+      problem("nominal", "Must be a positive number.");
+    }
+    ["specification", "itGrade"].forEach((field) => {
+      if (feature[field] !== undefined && typeof feature[field] !== "string") {
+        problem(field, "Must be a string.");
+      }
+    });
+    const readings = [feature.readings].flat();
+    if (
+      feature.readings === undefined ||
+      readings.length === 0 ||
+      readings.some((reading) => !Number.isFinite(parseFloat(reading)))
+    ) {
+      problem("readings", "Must be a number or a non-empty array of numbers.");
+    }
+  });
+
+  return details.length > 0
+    ? createError(
+        ERROR_CODES.INVALID_INPUT,
+        "Component definition is invalid.",
+        details,
+      )
+    : null;
+}
+
+/** Checks the readings of one feature against its nominal and specification */
+function checkComponentFeature(feature, options, unit, messages) {
+  const featureOptions = {
+    units: options.units,
+    standard: options.standard,
+    locale: options.locale,
+    specification: feature.specification,
+    itGrade: feature.itGrade,
+    nominal: feature.nominal,
+  };
+  const specifiedTolerances = getSpecifiedTolerancesFor(
+    feature.type,
+    featureOptions,
+  );
+  if (specifiedTolerances.error) return specifiedTolerances;
+
+  const readings = [feature.readings].flat();
+  const range = getDiameterRange(specifiedTolerances.specification, unit);
+  const validationError = validateMeasurementsArray(readings, range);
+  if (validationError) return validationError;
+  const nominalError = validateDeclaredNominal(feature.nominal, range);
+  if (nominalError) return nominalError;
+
+  const results = readings.map((reading) =>
+    processOneMeasurement(
+      specifiedTolerances.type,
+      reading,
+      specifiedTolerances,
+      {
+        ...featureOptions,
+        specification: specifiedTolerances.specificationName,
+        itGrade: specifiedTolerances.itGrade,
+      },
+    ),
+  );
+  const failedResult = results.find((result) => result.error);
+  if (failedResult) return failedResult;
+
+  // Every reading shares the declared nominal, so the first result holds
+  // the feature's bounds
+  const baseSpec = results[0];
+  const bounds = baseSpec.computed_specification_bounds;
+  const measurements = results.map((result) => result.measurement);
+  const farthestMeasurement = findFarthestMeasurement(
+    measurements,
+    feature.nominal,
+    bounds,
+  );
+  const { meetsSpec, specReason } = checkSpecCompliance(
+    results,
+    baseSpec,
+    farthestMeasurement,
+    unit.decimals,
+    messages,
+  );
+  const { meetsIT, itReason } = checkITTolerance(
+    measurements,
+    baseSpec.matched_spec[baseSpec.IT_grade],
+    baseSpec.IT_grade,
+    unit.decimals,
+    messages,
+  );
+
+  return {
+    name: feature.name,
+    type: specifiedTolerances.type,
+    nominal: baseSpec.nominal,
+    ...(baseSpec.standard && { standard: baseSpec.standard }),
+    specification: baseSpec.specification,
+    IT_grade: baseSpec.IT_grade,
+    computed_specification_bounds: bounds,
+    uncomputed_specification_bounds: baseSpec.uncomputed_specification_bounds,
+    measurement: measurements,
+    readings: describeReadings(
+      results,
+      baseSpec.nominal,
+      bounds,
+      unit,
+      messages,
+    ).map(({ index, measurement, deviation_um, status, excess_um }) => ({
+      index,
+      measurement,
+      deviation_um,
+      status,
+      excess_um,
+    })),
+    meets_specification: { meetsSpec, reason: specReason },
+    meets_IT_Tolerance: { meetsIT, reason: itReason },
+    meets_final_compliance: meetsSpec && meetsIT,
+  };
+}
+
+/** Reason for a component's disposition, naming what every failed feature fails */
+function generateReasonForDisposition(features, failedFeatures, messages) {
+  if (failedFeatures.length === 0) {
+    return locales.format(messages.componentAccepted, {
+      count: features.length,
+    });
+  }
+
+  const failures = failedFeatures.map((feature) => {
+    const statuses = new Set(feature.readings.map((reading) => reading.status));
+    const failed = [
+      statuses.has("over") && messages.featureOverSized,
+      statuses.has("under") && messages.featureUnderSized,
+      !feature.meets_IT_Tolerance.meetsIT &&
+        locales.format(messages.featureFailsIT, { itGrade: feature.IT_grade }),
+    ].filter(Boolean);
+    return `${feature.name} (${feature.specification}: ${failed.join(", ")})`;
+  });
+  return locales.format(messages.componentRejected, {
+    failed: failedFeatures.length,
+    count: features.length,
+    failures: failures.join("; "),
+  });
+}
+
+/** --- Helper Functions for checkComponent() end--- */
+
+/**
+ * Recommends the shaft and housing seat classes for a rolling bearing, from
+ * its type and size (looked up in Bearings.json by designation), its load
+ * and which ring rotates relative to the load. See lib/bearings for the
+ * rules.
+ *
+ * `shaft` and `housing` can be passed straight to the checkers, as the
+ * options of checkOneMeasurementFor or checkMultipleMeasurementsFor or as a
+ * feature of checkComponent.
+ *
+ * Example:
+ * recommendBearingFitsFor("22212 E", { load: "heavy" })
+ * → shaft { type: "shaft", nominal: 60, specification: "n6", ... }, housing { type: "housing", nominal: 110, specification: "H7", ... }
+ *
+ * @param {string} designation - e.g. "6205", "6205-2RS", "NU 210 ECP"
+ * @param {{ load?: "light"|"normal"|"heavy"|number, rotatingRing?: "inner"|"outer", locale?: string }} [options]
+ *   `load` is a class or the ratio P/C of the equivalent to the basic dynamic load (default "normal");
+ *   `rotatingRing` is the ring that rotates relative to the load (default "inner", e.g. a shaft turning under a fixed load);
+ *   `locale` is the language of the reason
+ * @returns {Object} Bearing dimensions and seat specifications, or error object
+ */
+function recommendBearingFitsFor(designation, options = {}) {
+  const { load = "normal", rotatingRing = "inner" } = options;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+
+  // 1. Look the bearing up and resolve its operating conditions
+  const bearing = bearings.findBearing(designation, bearingDataset);
+  if (bearing.error) return bearing;
+  const loadClass = bearings.resolveLoadClass(load);
+  if (loadClass.error) return loadClass;
+  if (!bearings.ROTATING_RINGS.includes(rotatingRing)) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      `Invalid rotating ring: ${rotatingRing}. Use ${bearings.ROTATING_RINGS.map((ring) => `'${ring}'`).join(" or ")}.`,
+    );
+  }
+
+  // 2. Select the seat classes and calculate their bounds
+  const fits = bearings.selectSeatFits(bearing, loadClass, rotatingRing);
+  const shaft = describeBearingSeat("shaft", bearing.bore, fits.shaft);
+  if (shaft.error) return shaft;
+  const housing = describeBearingSeat(
+    "housing",
+    bearing.outside_diameter,
+    fits.housing,
+  );
+  if (housing.error) return housing;
+
+  return {
+    designation: bearing.designation,
+    bearing: {
+      type: bearing.type,
+      bore: bearing.bore,
+      outside_diameter: bearing.outside_diameter,
+      width: bearing.width,
+    },
+    load: loadClass,
+    rotating_ring: rotatingRing,
+    shaft,
+    housing,
+    reason: locales.format(messages.bearingSeats, {
+      designation: bearing.designation,
+      type: messages.bearingTypes[bearing.type] ?? bearing.type,
+      bore: bearing.bore,
+      outside: bearing.outside_diameter,
+      width: bearing.width,
+      load: messages.bearingLoads[loadClass],
+      ring: messages.bearingRings[rotatingRing],
+      shaft: fits.shaft,
+      housing: fits.housing,
+    }),
+  };
+}
+
+/** --- Helper Functions for recommendBearingFitsFor() start--- */
+
+/**
+ * A bearing seat in the shape the checkers take as options, with its bounds.
+ *
+ * Bounds come from the ISO 286 engine, as in calculateFit: bearing bores and
+ * outside diameters often sit on a size-step boundary (80, 120, 180), which
+ * ISO 286 puts in the lower step.
+ *
+ * @returns {{ type: string, nominal: number, specification: string, itGrade: string, computed_specification_bounds: Object }|{error: true, code: string, message: string}}
+ */
+function describeBearingSeat(type, nominal, specification) {
+  const deviations = iso286.getLimitDeviations(specification, nominal);
+  if (deviations.error) return deviations;
+  const seat = describeFitMember(nominal, deviations);
+
+  return {
+    type,
+    nominal,
+    specification,
+    itGrade: seat.IT_grade,
+    computed_specification_bounds: seat.computed_specification_bounds,
+  };
+}
+
+/** --- Helper Functions for recommendBearingFitsFor() end--- */
+
+/**
+ * Recommends how to repair a part that failed its size check: machine it to
+ * size, machine it to the next allowed size, metal spray it or sleeve it.
+ * Every target size and its bounds are looked up in the same tolerance
+ * tables (and with the same standard) as the check itself.
+ *
+ * Rules are in the unit of the check result; see lib/repair for defaults.
+ *
+ * Example:
+ * const result = checkMultipleMeasurementsFor("housing", [240.09, 240.11]);
+ * recommendRepairFor("housing", result, { oversizeSteps: [0.5], outsideDiameter: 300, minimumWallThickness: 20 })
+ *
+ * @param {string} materialType - Material type of the checked part (housing, shaft, shell)
+ * @param {Object} checkResult - Result of checkOneMeasurementFor or checkMultipleMeasurementsFor
+ * @param {{ oversizeSteps?: number[], undersizeSteps?: number[], minimumWallThickness?: number, outsideDiameter?: number, insideDiameter?: number, buildUpAllowance?: number, maximumBuildUp?: number, sleeveWallThickness?: number, methods?: string[] }} [options] - Repair rules
+ * @returns {Object} Condition, every evaluated repair option and the recommended one, or error object
+ */
+function recommendRepairFor(materialType, checkResult, options = {}) {
+  // 1. Validate the check result and resolve its tolerances
+  if (!checkResult?.computed_specification_bounds) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      checkResult?.error
+        ? `Cannot plan a repair for a failed check: ${checkResult.message}`
+        : "Check result must be a result of checkOneMeasurementFor or checkMultipleMeasurementsFor.",
+    );
+  }
+
+  const unit = units.resolveUnits(checkResult.units);
+  if (unit.error) return unit;
+  const checkerOptions = {
+    specification: checkResult.specification,
+    itGrade: checkResult.IT_grade,
+    units: checkResult.units,
+    standard: checkResult.standard,
+  };
+  const tolerances = getSpecifiedTolerancesFor(materialType, checkerOptions);
+  if (tolerances.error) return tolerances;
+
+  const rules = repair.resolveRepairRules(options, (millimetres) =>
+    units.fromMillimetres(millimetres, unit),
+  );
+  if (rules.error) return rules;
+
+  // 2. Plan the repair, looking targets up as the checkers do
+  const measurements = [].concat(checkResult.measurement).map(Number);
+  const bounds = toNumericBounds(checkResult.computed_specification_bounds);
+  const lookupTarget = (nominal) => {
+    const target = checkOneMeasurementFor(materialType, nominal, {
+      ...checkerOptions,
+      nominal,
+    });
+    if (target.error) return target;
+
+    return {
+      nominal,
+      specification: target.specification,
+      IT_grade: target.IT_grade,
+      computed_specification_bounds: target.computed_specification_bounds,
+      uncomputed_specification_bounds: target.uncomputed_specification_bounds,
+    };
+  };
+
+  const plan = repair.planRepair(
+    {
+      isBore: tolerances.type !== "shafts",
+      nominal: checkResult.nominal,
+      smallest: Math.min(...measurements),
+      largest: Math.max(...measurements),
+      lowerBound: bounds.lower,
+      upperBound: bounds.upper,
+    },
+    rules,
+    lookupTarget,
+    unit.decimals,
+  );
+
+  return {
+    nominal: checkResult.nominal,
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    specification: checkResult.specification,
+    smallest_reading: parseToFixedString(
+      Math.min(...measurements),
+      unit.decimals,
+    ),
+    largest_reading: parseToFixedString(
+      Math.max(...measurements),
+      unit.decimals,
+    ),
+    condition: plan.condition,
+    recommended: plan.recommended,
+    options: plan.options,
+    reason: plan.reason,
+  };
+}
+
+/**
+ * Generates a printable inspection report from one or more check results:
+ * nominal, specification, IT grade, bounds, every reading marked in or out
+ * of tolerance, final compliance and a signature block. The report text is
+ * in `options.locale`; pass results checked in the same locale so their
+ * reasons match.
+ *
+ * Example:
+ * generateInspectionReport([checkMultipleMeasurementsFor("housing", [240.01, 240.03])], { format: "pdf", inspector: "J. Smith" })
+ *
+ * @param {Array<Object>|Object} results - Results of checkOneMeasurementFor or checkMultipleMeasurementsFor,
+ *   or { label, material, result } wrappers (rows of checkInspectionSheet also work)
+ * @param {{ format?: "html"|"pdf", locale?: string, title?: string, company?: string, customer?: string, reference?: string, inspector?: string, date?: string, notes?: string }} [options]
+ * @returns {{ format: string, content: string|Buffer }|{error: true, code: string, message: string, details?: Array<Object>}} HTML text or PDF bytes
+ */
+function generateInspectionReport(results, options = {}) {
+  const { format = "html", locale, ...details } = options;
+  const messages = locales.resolveLocale(locale);
+  if (messages.error) return messages;
+
+  const normalizedFormat = String(format).trim().toLowerCase();
+  if (!report.REPORT_FORMATS.includes(normalizedFormat)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_FORMAT,
+      `Unknown report format: ${format}. Valid formats are ${report.REPORT_FORMATS.map((name) => `'${name}'`).join(" or ")}.`,
+    );
+  }
+
+  const entries = report.normalizeEntries(
+    Array.isArray(results) ? results : [results],
+  );
+  if (entries.error) return entries;
+
+  return {
+    format: normalizedFormat,
+    content:
+      normalizedFormat === "pdf"
+        ? report.renderPdf(entries, details, messages)
+        : report.renderHtml(entries, details, messages),
+  };
+}
+
+/**
+ * Checks a tolerance table for data errors: bands out of order, gaps,
+ * overlaps, deviations that are not plain numbers, and (for ISO 286
+ * tolerance classes) deviations and IT values that disagree with ISO 286.
+ * Checks the bundled Tolerances.json when no table is given.
+ *
+ * Example:
+ * validateToleranceData() → { valid: true, summary: { specifications: 11, bands: 231, errors: 0, warnings: 0 }, issues: [] }
+ *
+ * @param {Object} [table] - Same shape as Tolerances.json (default: Tolerances.json)
+ * @param {{ throwOnError?: boolean }} [options]
+ * @returns {{ valid: boolean, summary: Object, issues: Array<Object> }|{error: true, code: string, message: string, details?: Array<Object>}}
+ *   `valid` is false when any issue is an error; warnings mark bands that could not be compared with ISO 286
+ */
+function validateToleranceData(table = tolerances, options = {}) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    return createError(
+      ERROR_CODES.INVALID_TOLERANCE_TABLE,
+      "Tolerance table must be an object keyed by material type.",
+    );
+  }
+
+  return integrity.auditToleranceTable(table, registry.MATERIAL_TYPES);
+}
+
+/**
+ * Creates an inspection history store: a JSON file when `options.file` is
+ * given, otherwise in memory. Any object with `append(record)` and
+ * `list(componentId)` methods can be used as a store instead.
+ *
+ * Example:
+ * const store = createHistoryStore({ file: "history.json" })
+ *
+ * @param {{ file?: string, throwOnError?: boolean }} [options]
+ * @returns {{ append: Function, list: Function }|{error: true, code: string, message: string}}
+ */
+function createHistoryStore(options = {}) {
+  if (options.file === undefined) return history.createMemoryStore();
+  if (typeof options.file !== "string" || options.file.trim() === "") {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "History file must be a non-empty path.",
+    );
+  }
+  return history.createJSONFileStore(options.file);
+}
+
+/**
+ * Records a check result in a history store, against a component ID and the
+ * date of the inspection.
+ *
+ * Example:
+ * recordInspection(store, "HSG-0042", checkMultipleMeasurementsFor("housing", [240.03, 240.04]), { date: "2026-05-01" })
+ *
+ * @param {{ append: Function, list: Function }} store - From createHistoryStore, or a custom store
+ * @param {string} componentId - e.g. a serial or asset number
+ * @param {Object} checkResult - Result of checkOneMeasurementFor or checkMultipleMeasurementsFor
+ * @param {{ date?: string, material?: string, throwOnError?: boolean }} [options] - `date` as YYYY-MM-DD (default: today, UTC)
+ * @returns {Object} The recorded inspection, or error object
+ */
+function recordInspection(store, componentId, checkResult, options = {}) {
+  const inputError = validateHistoryInput(store, componentId);
+  if (inputError) return inputError;
+
+  if (checkResult?.error) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      `Result is an error: ${checkResult.message}`,
+    );
+  }
+  if (
+    !checkResult?.computed_specification_bounds ||
+    checkResult.measurement === undefined ||
+    typeof checkResult.meets_specification?.meetsSpec !== "boolean"
+  ) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Result is not a check result.",
+    );
+  }
+
+  const { date = history.today(), material = null } = options;
+  if (history.toDayNumber(date) === null) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      `Invalid date: ${date}. Use a calendar date as YYYY-MM-DD.`,
+    );
+  }
+
+  const record = {
+    component_id: componentId,
+    date,
+    material,
+    nominal: checkResult.nominal,
+    units: checkResult.units ?? units.UNITS.mm.name,
+    ...(checkResult.standard && { standard: checkResult.standard }),
+    specification: checkResult.specification,
+    IT_grade: checkResult.IT_grade,
+    computed_specification_bounds: checkResult.computed_specification_bounds,
+    measurements: [checkResult.measurement].flat(),
+    meets_specification: checkResult.meets_specification.meetsSpec,
+  };
+
+  const appendError = store.append(record);
+  if (appendError?.error) return appendError;
+  return record;
+}
+
+/**
+ * Returns the diameter trend of a component over its recorded inspections:
+ * the smallest, largest and mean reading of each, and the wear rate (the
+ * least-squares slope of the mean diameter, per year).
+ *
+ * Only the inspections at the nominal and specification of the latest one
+ * are fitted: a re-bore or a new size starts a new wear history. Earlier
+ * inspections are counted in `excluded_inspections`.
+ *
+ * Example:
+ * getWearTrendFor(store, "HSG-0042")
+ * → wear_rate_per_year "0.0125", trend "growing"
+ *
+ * @param {{ append: Function, list: Function }} store
+ * @param {string} componentId
+ * @param {{ locale?: string, throwOnError?: boolean }} [options] - `locale` is the language of the reason
+ * @returns {Object} Inspections in date order and the wear rate, or error object.
+ *   The wear rate is null until inspections on two dates are recorded. A
+ *   record without a valid date gives INVALID_HISTORY.
+ */
+function getWearTrendFor(store, componentId, options = {}) {
+  const inputError = validateHistoryInput(store, componentId);
+  if (inputError) return inputError;
+  const messages = locales.resolveLocale(options.locale);
+  if (messages.error) return messages;
+
+  // 1. Load the inspections in date order
+  const records = store.list(componentId);
+  if (records.error) return records;
+  if (records.length === 0) {
+    return createError(
+      ERROR_CODES.INSUFFICIENT_DATA,
+      `No inspections are recorded for component ${componentId}.`,
+    );
+  }
+  // An unparseable date sorts as NaN and would corrupt the fit
+  const undated = records.find(
+    (record) => history.toDayNumber(record.date) === null,
+  );
+  if (undated) {
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `An inspection of component ${componentId} has an invalid date: ${undated.date}.`,
+    );
+  }
+  // Hand-edited files and custom stores may hold records without readings
+  const unread = records.find(
+    (record) =>
+      !Array.isArray(record.measurements) ||
+      record.measurements.length === 0 ||
+      !record.measurements.every(Number.isFinite),
+  );
+  if (unread) {
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `The inspection of component ${componentId} on ${unread.date} has no valid measurements.`,
+    );
+  }
+  const sortedRecords = [...records].sort(
+    (a, b) => history.toDayNumber(a.date) - history.toDayNumber(b.date),
+  );
+  const unit = units.resolveUnits(sortedRecords[0].units);
+  if (unit.error) return unit;
+  if (sortedRecords.some((record) => record.units !== unit.name)) {
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `Inspections of component ${componentId} are recorded in different units.`,
+    );
+  }
+
+  // 2. Keep the inspections since the nominal or specification last changed
+  const latest = sortedRecords[sortedRecords.length - 1];
+  const currentRecords = sortedRecords.filter(
+    (record) =>
+      record.nominal === latest.nominal &&
+      record.specification === latest.specification,
+  );
+  const excludedCount = sortedRecords.length - currentRecords.length;
+
+  // 3. Summarize every inspection
+  const inspections = currentRecords.map((record) => {
+    const readings = record.measurements.map(Number);
+    return {
+      date: record.date,
+      nominal: record.nominal,
+      specification: record.specification,
+      smallest: Math.min(...readings),
+      largest: Math.max(...readings),
+      mean: Number(statistics.mean(readings).toFixed(unit.decimals + 1)),
+      meets_specification: record.meets_specification,
+    };
+  });
+
+  // 4. Fit the wear rate to the mean diameters
+  const slope = history.slopePerDay(
+    inspections.map((inspection) => history.toDayNumber(inspection.date)),
+    inspections.map((inspection) => inspection.mean),
+  );
+  const wearRate =
+    slope === null
+      ? null
+      : Number((slope * history.DAYS_PER_YEAR).toFixed(unit.decimals + 1));
+
+  return {
+    component_id: componentId,
+    ...(unit !== units.UNITS.mm && { units: unit.name }),
+    specification: latest.specification,
+    computed_specification_bounds: latest.computed_specification_bounds,
+    inspections,
+    excluded_inspections: excludedCount,
+    wear_rate_per_year:
+      wearRate === null ? null : wearRate.toFixed(unit.decimals + 1),
+    trend: describeTrendDirection(wearRate),
+    reason: generateReasonForTrend(
+      wearRate,
+      inspections,
+      excludedCount,
+      unit,
+      messages,
+    ),
+  };
+}
+
+/**
+ * Projects the date a component will leave its specification bounds if it
+ * keeps wearing at its current rate (see getWearTrendFor): the date the
+ * latest largest reading reaches the upper bound for a growing diameter, or
+ * the latest smallest reading reaches the lower bound for a shrinking one.
+ *
+ * Example:
+ * projectOutOfSpecDateFor(store, "HSG-0042")
+ * → status "in-spec", limit "upper", projected_date "2028-03-14"
+ *
+ * @param {{ append: Function, list: Function }} store
+ * @param {string} componentId
+ * @param {{ locale?: string, throwOnError?: boolean }} [options] - `locale` is the language of the reason
+ * @returns {Object} Projection, or error object. `status` is "in-spec" (with a
+ *   projected date), "out-of-spec" (already outside at the latest inspection)
+ *   or "stable" (no wear).
+ */
+function projectOutOfSpecDateFor(store, componentId, options = {}) {
+  const trend = getWearTrendFor(store, componentId, { locale: options.locale });
+  if (trend.error) return trend;
+  const messages = locales.resolveLocale(options.locale);
+  if (trend.wear_rate_per_year === null) {
+    return createError(
+      ERROR_CODES.INSUFFICIENT_DATA,
+      `Projecting needs inspections of component ${componentId} on at least two dates.`,
+    );
+  }
+
+  const unit = units.resolveUnits(trend.units);
+  const latest = trend.inspections[trend.inspections.length - 1];
+  const bounds = trend.computed_specification_bounds;
+  const upper = Number(bounds.upperBound);
+  const lower = Number(bounds.lowerBound);
+  const wearRate = Number(trend.wear_rate_per_year);
+  const base = {
+    component_id: componentId,
+    ...(trend.units && { units: trend.units }),
+    specification: trend.specification,
+    computed_specification_bounds: bounds,
+    excluded_inspections: trend.excluded_inspections,
+    wear_rate_per_year: trend.wear_rate_per_year,
+    latest_inspection: latest.date,
+  };
+
+  // 1. Already outside the bounds
+  if (latest.largest > upper || latest.smallest < lower) {
+    return {
+      ...base,
+      status: "out-of-spec",
+      limit: latest.largest > upper ? "upper" : "lower",
+      projected_date: null,
+      reason: locales.format(messages.projectionOutOfSpec, {
+        date: latest.date,
+        smallest: parseToFixedString(latest.smallest, unit.decimals),
+        largest: parseToFixedString(latest.largest, unit.decimals),
+        lower: bounds.lowerBound,
+        upper: bounds.upperBound,
+      }),
+    };
+  }
+
+  // 2. Not wearing
+  if (wearRate === 0) {
+    return {
+      ...base,
+      status: "stable",
+      limit: null,
+      projected_date: null,
+      reason: messages.projectionStable,
+    };
+  }
+
+  // 3. Project the extreme reading to the bound it moves towards
+  const isGrowing = wearRate > 0;
+  const limit = isGrowing ? upper : lower;
+  const extreme = isGrowing ? latest.largest : latest.smallest;
+  const days = ((limit - extreme) / wearRate) * history.DAYS_PER_YEAR;
+  const projectedDate = history.fromDayNumber(
+    history.toDayNumber(latest.date) + days,
+  );
+
+  return {
+    ...base,
+    status: "in-spec",
+    limit: isGrowing ? "upper" : "lower",
+    projected_date: projectedDate,
+    reason: locales.format(
+      isGrowing ? messages.projectionGrowing : messages.projectionShrinking,
+      {
+        rate: trend.wear_rate_per_year,
+        date: latest.date,
+        reading: parseToFixedString(extreme, unit.decimals),
+        bound: isGrowing ? bounds.upperBound : bounds.lowerBound,
+        projectedDate,
+      },
+    ),
+  };
+}
+
+/** --- Helper Functions for inspection history start--- */
+
+/** Validates the store and component ID of a history function */
+function validateHistoryInput(store, componentId) {
+  if (!history.isStore(store)) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "History store must have append(record) and list(componentId) methods. Use createHistoryStore.",
+    );
+  }
+  if (typeof componentId !== "string" || componentId.trim() === "") {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Component ID must be a non-empty string.",
+    );
+  }
+  return null;
+}
+
+/** "growing", "shrinking" or "stable"; null without a wear rate */
+function describeTrendDirection(wearRate) {
+  if (wearRate === null) return null;
+  if (wearRate > 0) return "growing";
+  if (wearRate < 0) return "shrinking";
+  return "stable";
+}
+
+/** Reason for a wear trend */
+function generateReasonForTrend(
+  wearRate,
+  inspections,
+  excludedCount,
+  unit,
+  messages = locales.resolveLocale(),
+) {
+  const first = inspections[0];
+  const last = inspections[inspections.length - 1];
+  const excluded =
+    excludedCount === 0
+      ? ""
+      : ` ${locales.format(
+          excludedCount === 1
+            ? messages.trendExcludedOne
+            : messages.trendExcludedMany,
+          {
+            count: excludedCount,
+            nominal: last.nominal,
+            specification: last.specification,
+          },
+        )}`;
+  if (wearRate === null) {
+    const reason = locales.format(
+      inspections.length === 1
+        ? messages.trendOneDateOne
+        : messages.trendOneDateMany,
+      { count: inspections.length, date: last.date },
+    );
+    return `${reason}${excluded}`;
+  }
+
+  const span = locales.format(messages.trendSpan, {
+    count: inspections.length,
+    from: first.date,
+    to: last.date,
+  });
+  let template = messages.trendUnchanged;
+  if (wearRate !== 0) {
+    template = wearRate > 0 ? messages.trendGrows : messages.trendShrinks;
+  }
+  const reason = locales.format(template, {
+    rate: Math.abs(wearRate).toFixed(unit.decimals + 1),
+    span,
+  });
+  return `${reason}${excluded}`;
+}
+
+/** --- Helper Functions for inspection history end--- */
+
+/**
+ * Creates an HTTP server with JSON endpoints for tolerance lookup, checks,
+ * fits and table listing, described by GET /openapi.json. It is not
+ * listening yet.
+ *
+ * Example:
+ * createServer().listen(3000, "127.0.0.1")
+ * → POST /checks { "material": "housing", "measurement": 240.05 }
+ *
+ * @param {{ cors?: boolean }} [options] - `cors` allows requests from web pages of any origin
+ * @returns {import("node:http").Server}
+ */
+function createServer(options = {}) {
+  return server.createServer(
+    {
+      getAllTolerancesFor,
+      listStandards: registry.listStandards,
+      checkOneMeasurementFor,
+      checkMultipleMeasurementsFor,
+      calculateFit,
+    },
+    options,
+  );
+}
+
+// Every public function takes `throwOnError` in its options (the argument
+// at the given position) to throw a ToleranceError instead of returning an
+// error object. The register functions take it as an extra last argument.
 module.exports = {
-  getAllTolerancesFor,
-  getCamcoStandardTolerancesFor,
-  checkOneMeasurementFor,
-  checkMultipleMeasurementsFor,
+  getAllTolerancesFor: withThrowOnError(getAllTolerancesFor, 2),
+  getCamcoStandardTolerancesFor: withThrowOnError(
+    getCamcoStandardTolerancesFor,
+    1,
+  ),
+  getStandardTolerancesFor: withThrowOnError(getStandardTolerancesFor, 1),
+  registerStandard: withThrowOnError(registry.registerStandard, 2),
+  registerToleranceTable: withThrowOnError(registry.registerToleranceTable, 2),
+  listStandards: registry.listStandards,
+  checkOneMeasurementFor: withThrowOnError(checkOneMeasurementFor, 2),
+  checkMultipleMeasurementsFor: withThrowOnError(
+    checkMultipleMeasurementsFor,
+    2,
+  ),
+  calculateFit: withThrowOnError(calculateFit, 2),
+  calculateActualFit: withThrowOnError(calculateActualFit, 3),
+  findSpecificationsFor: withThrowOnError(findSpecificationsFor, 2),
+  analyzeCapabilityFor: withThrowOnError(analyzeCapabilityFor, 2),
+  checkFormFor: withThrowOnError(checkFormFor, 2),
+  checkInspectionSheet: withThrowOnError(checkInspectionSheet, 1),
+  checkComponent: withThrowOnError(checkComponent, 1),
+  recommendBearingFitsFor: withThrowOnError(recommendBearingFitsFor, 1),
+  recommendRepairFor: withThrowOnError(recommendRepairFor, 2),
+  generateInspectionReport: withThrowOnError(generateInspectionReport, 1),
+  validateToleranceData: withThrowOnError(validateToleranceData, 1),
+  createHistoryStore: withThrowOnError(createHistoryStore, 0),
+  recordInspection: withThrowOnError(recordInspection, 3),
+  getWearTrendFor: withThrowOnError(getWearTrendFor, 2),
+  projectOutOfSpecDateFor: withThrowOnError(projectOutOfSpecDateFor, 2),
+  createServer,
+  ERROR_CODES,
+  ToleranceError: errors.ToleranceError,
+  ValidationError: errors.ValidationError,
+  LookupError: errors.LookupError,
 };
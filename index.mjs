@@ -0,0 +1,40 @@
+/**
+ * ES module entry. The implementation is CommonJS (index.js); this file
+ * re-exports it under named exports, since Node.js cannot detect the names
+ * of wrapped functions in `module.exports`.
+ */
+
+import calculator from "./index.js";
+
+export const {
+  getAllTolerancesFor,
+  getCamcoStandardTolerancesFor,
+  getStandardTolerancesFor,
+  registerStandard,
+  registerToleranceTable,
+  listStandards,
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  findSpecificationsFor,
+  calculateFit,
+  calculateActualFit,
+  analyzeCapabilityFor,
+  checkFormFor,
+  checkInspectionSheet,
+  checkComponent,
+  recommendBearingFitsFor,
+  recommendRepairFor,
+  generateInspectionReport,
+  validateToleranceData,
+  createHistoryStore,
+  recordInspection,
+  getWearTrendFor,
+  projectOutOfSpecDateFor,
+  createServer,
+  ERROR_CODES,
+  ToleranceError,
+  ValidationError,
+  LookupError,
+} = calculator;
+
+export default calculator;
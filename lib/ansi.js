@@ -0,0 +1,116 @@
+/**
+ * ANSI B4.1 preferred limits and fits for cylindrical parts (inch).
+ *
+ * B4.1 builds every class from a basic hole (H) and a shaft tolerance zone,
+ * named with the same letter and grade symbols as ISO 286. Each class is
+ * served here through those symbols, so its limits come from the ISO 286
+ * engine; expect differences of a few ten-thousandths of an inch against
+ * the printed B4.1 tables. Classes without a shaft symbol in B4.1
+ * (RC9, LC10, LC11, FN1) are not available.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+/** Class families and their descriptions. */
+const ANSI_FAMILIES = {
+  RC: "Running and sliding fit",
+  LC: "Locational clearance fit",
+  LT: "Locational transition fit",
+  LN: "Locational interference fit",
+  FN: "Force and shrink fit",
+};
+
+/** Hole and shaft tolerance zones of each ANSI B4.1 class. */
+const ANSI_FITS = {
+  RC1: { hole: "H5", shaft: "g4" },
+  RC2: { hole: "H6", shaft: "g5" },
+  RC3: { hole: "H7", shaft: "f6" },
+  RC4: { hole: "H8", shaft: "f7" },
+  RC5: { hole: "H8", shaft: "e7" },
+  RC6: { hole: "H9", shaft: "e8" },
+  RC7: { hole: "H9", shaft: "d8" },
+  RC8: { hole: "H10", shaft: "c9" },
+  LC1: { hole: "H6", shaft: "h5" },
+  LC2: { hole: "H7", shaft: "h6" },
+  LC3: { hole: "H8", shaft: "h7" },
+  LC4: { hole: "H10", shaft: "h9" },
+  LC5: { hole: "H7", shaft: "g6" },
+  LC6: { hole: "H9", shaft: "f8" },
+  LC7: { hole: "H10", shaft: "e9" },
+  LC8: { hole: "H10", shaft: "d9" },
+  LC9: { hole: "H11", shaft: "c10" },
+  LT1: { hole: "H7", shaft: "js6" },
+  LT2: { hole: "H8", shaft: "js7" },
+  LT3: { hole: "H7", shaft: "k6" },
+  LT4: { hole: "H8", shaft: "k7" },
+  LT5: { hole: "H7", shaft: "n6" },
+  LT6: { hole: "H7", shaft: "n7" },
+  LN1: { hole: "H6", shaft: "n5" },
+  LN2: { hole: "H7", shaft: "p6" },
+  LN3: { hole: "H7", shaft: "r6" },
+  FN2: { hole: "H7", shaft: "s6" },
+  FN3: { hole: "H7", shaft: "t6" },
+  FN4: { hole: "H7", shaft: "u6" },
+  FN5: { hole: "H8", shaft: "x7" },
+};
+
+/**
+ * B4.1 classes whose shaft zone has no ISO 286 symbol. They are rejected by
+ * name rather than as unknown classes.
+ */
+const UNSUPPORTED_ANSI_FITS = ["RC9", "LC10", "LC11", "FN1"];
+
+/**
+ * Checks whether a designation looks like an ANSI class (e.g. "RC4").
+ *
+ * @param {string} designation
+ * @returns {boolean}
+ */
+function isAnsiDesignation(designation) {
+  return (
+    typeof designation === "string" &&
+    /^(RC|LC|LT|LN|FN)\d+$/i.test(designation.trim())
+  );
+}
+
+/**
+ * Returns an ANSI B4.1 class with its hole and shaft tolerance zones.
+ * Unsupported classes (see UNSUPPORTED_ANSI_FITS) are named as such in the
+ * error.
+ *
+ * @param {string} designation - e.g. "RC4", "LT3"
+ * @returns {{ designation: string, description: string, hole: string, shaft: string }|{error: true, code: string, message: string}}
+ */
+function getAnsiFit(designation) {
+  const key =
+    typeof designation === "string" ? designation.trim().toUpperCase() : "";
+  const fit = ANSI_FITS[key];
+
+  const available = `Available ANSI classes: ${Object.keys(ANSI_FITS).join(", ")}.`;
+  if (UNSUPPORTED_ANSI_FITS.includes(key)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `ANSI class ${key} is not supported: ${UNSUPPORTED_ANSI_FITS.join(", ")} have no ISO 286 shaft symbol. ${available}`,
+    );
+  }
+  if (!fit) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `Unknown ANSI class: ${designation}. ${available}`,
+    );
+  }
+
+  return {
+    designation: key,
+    description: ANSI_FAMILIES[key.slice(0, 2)],
+    ...fit,
+  };
+}
+
+module.exports = {
+  ANSI_FAMILIES,
+  ANSI_FITS,
+  UNSUPPORTED_ANSI_FITS,
+  isAnsiDesignation,
+  getAnsiFit,
+};
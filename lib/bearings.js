@@ -0,0 +1,219 @@
+/**
+ * Seat fits for rolling bearings: finding a bearing's boundary dimensions
+ * by its designation, and the shaft and housing tolerance classes that suit
+ * its type, load and which ring rotates relative to the load.
+ *
+ * The rules follow the general recommendations of the bearing manufacturers
+ * (after ISO 286 classes) for solid steel shafts and cast iron or steel
+ * housings. Hollow shafts, thin-walled or light-alloy housings and very
+ * high speeds need tighter or looser fits than these.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+const BEARING_TYPES = {
+  deepGrooveBall: "deep-groove-ball",
+  angularContactBall: "angular-contact-ball",
+  cylindricalRoller: "cylindrical-roller",
+  taperedRoller: "tapered-roller",
+  sphericalRoller: "spherical-roller",
+};
+
+/**
+ * Load classes by the ratio of the equivalent dynamic load P to the basic
+ * dynamic load rating C: the largest ratio of each class.
+ */
+const LOAD_CLASSES = {
+  light: 0.05,
+  normal: 0.1,
+  heavy: Infinity,
+};
+
+/**
+ * The ring that rotates relative to the load direction. Its load sweeps
+ * round the ring, so it needs an interference fit; the other ring carries
+ * a stationary load and can have a loose fit.
+ */
+const ROTATING_RINGS = ["inner", "outer"];
+
+/** Rule groups of the bearing types */
+const RULE_GROUPS = {
+  [BEARING_TYPES.deepGrooveBall]: "ball",
+  [BEARING_TYPES.angularContactBall]: "ball",
+  [BEARING_TYPES.cylindricalRoller]: "roller",
+  [BEARING_TYPES.taperedRoller]: "roller",
+  [BEARING_TYPES.sphericalRoller]: "spherical",
+};
+
+/**
+ * Shaft classes for a rotating inner ring, as [largest bore in mm, class]:
+ * the first row whose bore is not exceeded applies.
+ */
+const SHAFT_FITS = {
+  ball: {
+    light: [
+      [17, "js5"],
+      [100, "j6"],
+      [140, "k6"],
+      [Infinity, "m6"],
+    ],
+    normal: [
+      [10, "js5"],
+      [17, "j5"],
+      [100, "k5"],
+      [140, "m5"],
+      [Infinity, "m6"],
+    ],
+    heavy: [
+      [17, "k5"],
+      [140, "m6"],
+      [Infinity, "n6"],
+    ],
+  },
+  roller: {
+    light: [
+      [25, "j6"],
+      [60, "k6"],
+      [Infinity, "m6"],
+    ],
+    normal: [
+      [30, "k5"],
+      [50, "m5"],
+      [140, "m6"],
+      [200, "n6"],
+      [Infinity, "p6"],
+    ],
+    heavy: [
+      [50, "m6"],
+      [100, "n6"],
+      [140, "p6"],
+      [Infinity, "r6"],
+    ],
+  },
+  spherical: {
+    light: [
+      [25, "j6"],
+      [60, "k6"],
+      [Infinity, "m6"],
+    ],
+    normal: [
+      [40, "k5"],
+      [65, "m5"],
+      [100, "m6"],
+      [140, "n6"],
+      [Infinity, "p6"],
+    ],
+    heavy: [
+      [100, "n6"],
+      [140, "p6"],
+      [Infinity, "r6"],
+    ],
+  },
+};
+
+/** Shaft class when the inner ring carries a stationary load */
+const STATIONARY_SHAFT_FIT = "h6";
+
+/** Housing classes for a rotating outer ring, per load class */
+const HOUSING_FITS = { light: "M7", normal: "N7", heavy: "P7" };
+
+/** Housing class when the outer ring carries a stationary load */
+const STATIONARY_HOUSING_FIT = "H7";
+
+/**
+ * Finds a bearing in a dataset by its designation. Suffixes for seals,
+ * cages, clearance and the like are ignored: "6205-2RS", "6205 ZZ C3" and
+ * "NU 210 ECP" find 6205, 6205 and NU210.
+ *
+ * @param {string} designation
+ * @param {Object} dataset - Bearings keyed by basic designation, as in Bearings.json
+ * @returns {{ designation: string, type: string, bore: number, outside_diameter: number, width: number }|{error: true, code: string, message: string}}
+ */
+function findBearing(designation, dataset) {
+  if (typeof designation !== "string" || designation.trim() === "") {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Bearing designation must be a non-empty string.",
+    );
+  }
+
+  const basicDesignation = designation
+    .trim()
+    .toUpperCase()
+    .replace(/^([A-Z]+)\s+(?=\d)/, "$1")
+    .match(/^[A-Z]*\d+/)?.[0];
+  const bearing = basicDesignation && dataset[basicDesignation];
+  if (!bearing) {
+    return createError(
+      ERROR_CODES.UNKNOWN_BEARING,
+      `Unknown bearing: ${designation}. Known series: ${listSeries(dataset).join(", ")}.`,
+    );
+  }
+
+  return { designation: basicDesignation, ...bearing };
+}
+
+/**
+ * Resolves a load class from a name or a P/C ratio.
+ *
+ * @param {"light"|"normal"|"heavy"|number} load
+ * @returns {string|{error: true, code: string, message: string}} The load class
+ */
+function resolveLoadClass(load) {
+  if (typeof load === "number" && Number.isFinite(load) && load > 0) {
+    return Object.keys(LOAD_CLASSES).find(
+      (loadClass) => load <= LOAD_CLASSES[loadClass],
+    );
+  }
+  if (Object.hasOwn(LOAD_CLASSES, load)) return load;
+
+  return createError(
+    ERROR_CODES.INVALID_INPUT,
+    `Invalid load: ${load}. Use ${Object.keys(LOAD_CLASSES).join(", ")} or the ratio P/C as a positive number.`,
+  );
+}
+
+/**
+ * Selects the shaft and housing classes of a bearing's seats.
+ *
+ * @param {{ type: string, bore: number }} bearing - From findBearing
+ * @param {string} loadClass - From resolveLoadClass
+ * @param {"inner"|"outer"} rotatingRing
+ * @returns {{ shaft: string, housing: string }}
+ */
+function selectSeatFits(bearing, loadClass, rotatingRing) {
+  if (rotatingRing === "outer") {
+    return {
+      shaft: STATIONARY_SHAFT_FIT,
+      housing: HOUSING_FITS[loadClass],
+    };
+  }
+
+  const rows = SHAFT_FITS[RULE_GROUPS[bearing.type]][loadClass];
+  const [, shaft] = rows.find(([largestBore]) => bearing.bore <= largestBore);
+  return { shaft, housing: STATIONARY_HOUSING_FIT };
+}
+
+/** --- Helper Functions for findBearing() start--- */
+
+/** Series in a dataset, e.g. ["60", "62", "NU2"], for error messages */
+function listSeries(dataset) {
+  return [
+    ...new Set(
+      Object.keys(dataset).map((designation) => designation.slice(0, -2)),
+    ),
+  ];
+}
+
+/** --- Helper Functions for findBearing() end--- */
+
+module.exports = {
+  BEARING_TYPES,
+  LOAD_CLASSES,
+  ROTATING_RINGS,
+  SHAFT_FITS,
+  HOUSING_FITS,
+  findBearing,
+  resolveLoadClass,
+  selectSeatFits,
+};
@@ -0,0 +1,101 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180): quoted fields, escaped quotes
+ * ("") and line breaks inside quotes, CRLF or LF line endings.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+/**
+ * Parses CSV text into records (arrays of fields). Blank lines are skipped.
+ *
+ * @param {string} text
+ * @param {string} [delimiter=","]
+ * @returns {string[][]|{error: true, code: string, message: string}}
+ */
+function parseCsv(text, delimiter = ",") {
+  if (typeof text !== "string") {
+    return createError(ERROR_CODES.INVALID_CSV, "CSV input must be a string.");
+  }
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return createError(
+      ERROR_CODES.INVALID_CSV,
+      "CSV input ends inside a quoted field.",
+    );
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((fields) =>
+    fields.some((value) => value.trim() !== ""),
+  );
+}
+
+/**
+ * Formats records as CSV text, quoting fields that need it.
+ *
+ * @param {Array<Array<string|number|boolean|null|undefined>>} records
+ * @param {string} [delimiter=","]
+ * @returns {string}
+ */
+function stringifyCsv(records, delimiter = ",") {
+  return (
+    records
+      .map((fields) =>
+        fields.map((value) => formatField(value, delimiter)).join(delimiter),
+      )
+      .join("\n") + "\n"
+  );
+}
+
+/** Quotes a field when it holds the delimiter, a quote or a line break */
+function formatField(value, delimiter) {
+  const text = value === null || value === undefined ? "" : String(value);
+
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+};
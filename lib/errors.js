@@ -0,0 +1,150 @@
+/**
+ * Error model of the public API.
+ *
+ * Every function reports a failure by returning an error object:
+ *
+ *   { error: true, code: "UNKNOWN_SPEC", message: "...", details?: [...] }
+ *
+ * `code` is stable and safe to branch on; `message` is for people and may
+ * change. With `{ throwOnError: true }` in the options, the public functions
+ * throw the matching ToleranceError subclass instead.
+ */
+
+const ERROR_CODES = {
+  /** An argument has the wrong type or shape */
+  INVALID_INPUT: "INVALID_INPUT",
+  /** A measurement or reading is not a number or outside the valid range */
+  INVALID_MEASUREMENT: "INVALID_MEASUREMENT",
+  /** A declared nominal size is outside the valid range */
+  INVALID_NOMINAL: "INVALID_NOMINAL",
+  /** A fit designation is not "hole/shaft" or an ANSI class */
+  INVALID_FIT: "INVALID_FIT",
+  /** A custom tolerance table has bad bands, overlaps or gaps */
+  INVALID_TOLERANCE_TABLE: "INVALID_TOLERANCE_TABLE",
+  /** A custom standard definition is incomplete or inconsistent */
+  INVALID_STANDARD: "INVALID_STANDARD",
+  /** A CSV inspection sheet cannot be read */
+  INVALID_CSV: "INVALID_CSV",
+  /** An inspection history store cannot be read or written */
+  INVALID_HISTORY: "INVALID_HISTORY",
+  /** Too few measurements for the analysis */
+  INSUFFICIENT_DATA: "INSUFFICIENT_DATA",
+  UNKNOWN_MATERIAL: "UNKNOWN_MATERIAL",
+  UNKNOWN_SPEC: "UNKNOWN_SPEC",
+  UNKNOWN_IT_GRADE: "UNKNOWN_IT_GRADE",
+  UNKNOWN_UNITS: "UNKNOWN_UNITS",
+  UNKNOWN_STANDARD: "UNKNOWN_STANDARD",
+  UNKNOWN_TOLERANCE_TABLE: "UNKNOWN_TOLERANCE_TABLE",
+  UNKNOWN_FORMAT: "UNKNOWN_FORMAT",
+  UNKNOWN_BEARING: "UNKNOWN_BEARING",
+  UNKNOWN_LOCALE: "UNKNOWN_LOCALE",
+  /** No tolerance band (or ISO 286 size step) covers the nominal size */
+  NO_MATCHING_BAND: "NO_MATCHING_BAND",
+  /** HTTP API: no endpoint has the requested path and method */
+  UNKNOWN_ROUTE: "UNKNOWN_ROUTE",
+  /** HTTP API: the server failed unexpectedly */
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+/** Base class of the errors thrown with `throwOnError`. */
+class ToleranceError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message
+   * @param {Array<Object>} [details]
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+
+  /** The error as the error object the API returns */
+  toJSON() {
+    return createError(this.code, this.message, this.details);
+  }
+}
+
+/** Bad input: INVALID_* codes and INSUFFICIENT_DATA. */
+class ValidationError extends ToleranceError {}
+
+/** Something asked for does not exist: UNKNOWN_* codes and NO_MATCHING_BAND. */
+class LookupError extends ToleranceError {}
+
+/**
+ * Creates an error object.
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @param {Array<Object>} [details] - e.g. the invalid entries of an array
+ * @returns {{ error: true, code: string, message: string, details?: Array<Object> }}
+ */
+function createError(code, message, details) {
+  return {
+    error: true,
+    code,
+    message,
+    ...(details !== undefined && { details }),
+  };
+}
+
+/** Whether a value is an error object */
+function isError(value) {
+  return value?.error === true;
+}
+
+/** Whether an error object reports something asked for that does not exist */
+function isLookupError(error) {
+  return (
+    error.code.startsWith("UNKNOWN_") ||
+    error.code === ERROR_CODES.NO_MATCHING_BAND
+  );
+}
+
+/**
+ * Turns an error object into the matching ToleranceError subclass.
+ *
+ * @param {{ code: string, message: string, details?: Array<Object> }} error
+ * @returns {ToleranceError}
+ */
+function toException(error) {
+  const ErrorClass = isLookupError(error) ? LookupError : ValidationError;
+  return new ErrorClass(error.code, error.message, error.details);
+}
+
+/**
+ * Wraps a public function so that it throws instead of returning an error
+ * object when its options argument has `throwOnError: true`.
+ *
+ * @param {Function} fn
+ * @param {number} optionsIndex - Position of the options argument
+ * @returns {Function}
+ */
+function withThrowOnError(fn, optionsIndex) {
+  const wrapped = {
+    [fn.name](...args) {
+      const result = fn(...args);
+      if (args[optionsIndex]?.throwOnError && isError(result)) {
+        const exception = toException(result);
+        // Start the stack trace at the caller, not inside this module
+        Error.captureStackTrace?.(exception, wrapped[fn.name]);
+        throw exception;
+      }
+      return result;
+    },
+  };
+  return wrapped[fn.name];
+}
+
+module.exports = {
+  ERROR_CODES,
+  ToleranceError,
+  ValidationError,
+  LookupError,
+  createError,
+  isError,
+  isLookupError,
+  toException,
+  withThrowOnError,
+};
@@ -0,0 +1,124 @@
+/**
+ * Hole/shaft fit helpers: parsing fit designations and classifying the
+ * clearance or interference between a hole and a shaft.
+ *
+ * Sizes and limits are in the caller's unit (millimetres unless stated).
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+const locales = require("./locales");
+
+const FIT_TYPES = {
+  clearance: "clearance",
+  transition: "transition",
+  interference: "interference",
+};
+
+/**
+ * Parses a fit designation such as "H7/k6" into its hole and shaft classes.
+ *
+ * @param {string} fit
+ * @returns {{ hole: string, shaft: string }|{error: true, code: string, message: string}}
+ */
+function parseFit(fit) {
+  const parts = typeof fit === "string" ? fit.split("/") : [];
+  const [hole, shaft] = parts.map((part) => part.trim());
+
+  if (parts.length !== 2 || !hole || !shaft) {
+    return createError(
+      ERROR_CODES.INVALID_FIT,
+      `Invalid fit: ${fit}. Expected a hole and a shaft class, e.g. "H7/k6".`,
+    );
+  }
+
+  return { hole, shaft };
+}
+
+/**
+ * Calculates the clearance and interference limits between a hole and a
+ * shaft given their size limits, and classifies the fit.
+ *
+ * Clearance is hole minus shaft; a negative clearance is an interference.
+ *
+ * @param {{ upper: number, lower: number }} holeLimits - Largest and smallest hole size
+ * @param {{ upper: number, lower: number }} shaftLimits - Largest and smallest shaft size
+ * @param {number} [decimalCount=3] - Decimals of the formatted limits (4 for inches)
+ * @returns {{ max_clearance: string, min_clearance: string, max_interference: string, min_interference: string, fit_type: string }}
+ */
+function calculateFitLimits(holeLimits, shaftLimits, decimalCount = 3) {
+  const maxClearance = holeLimits.upper - shaftLimits.lower;
+  const minClearance = holeLimits.lower - shaftLimits.upper;
+
+  return {
+    max_clearance: formatFitValue(maxClearance, decimalCount),
+    min_clearance: formatFitValue(minClearance, decimalCount),
+    max_interference: formatFitValue(-minClearance, decimalCount),
+    min_interference: formatFitValue(-maxClearance, decimalCount),
+    fit_type: classifyFit(maxClearance, minClearance),
+  };
+}
+
+/**
+ * Classifies a fit from its clearance limits.
+ *
+ * - clearance: always a gap (minimum clearance ≥ 0)
+ * - interference: always an overlap (maximum clearance ≤ 0)
+ * - transition: either, depending on the actual sizes
+ *
+ * @param {number} maxClearance
+ * @param {number} minClearance
+ * @returns {"clearance"|"transition"|"interference"}
+ */
+function classifyFit(maxClearance, minClearance) {
+  // Compare at 0.1 µm resolution to avoid floating point noise
+  const max = Math.round(maxClearance * 1e4);
+  const min = Math.round(minClearance * 1e4);
+
+  if (min >= 0) return FIT_TYPES.clearance;
+  if (max <= 0) return FIT_TYPES.interference;
+  return FIT_TYPES.transition;
+}
+
+/**
+ * Generates a human-readable description of fit limits.
+ *
+ * @param {string} fit - Fit designation, e.g. "H7/k6"
+ * @param {ReturnType<typeof calculateFitLimits>} limits
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {string}
+ */
+function generateReasonForFit(fit, limits, messages = locales.resolveLocale()) {
+  if (limits.fit_type === FIT_TYPES.clearance) {
+    return locales.format(messages.fitClearance, {
+      fit,
+      min: limits.min_clearance,
+      max: limits.max_clearance,
+    });
+  }
+  if (limits.fit_type === FIT_TYPES.interference) {
+    return locales.format(messages.fitInterference, {
+      fit,
+      min: limits.min_interference,
+      max: limits.max_interference,
+    });
+  }
+  return locales.format(messages.fitTransition, {
+    fit,
+    clearance: limits.max_clearance,
+    interference: limits.max_interference,
+  });
+}
+
+/** Formats a clearance or interference value with the given decimals. */
+function formatFitValue(value, decimalCount = 3) {
+  const rounded = Number(value.toFixed(decimalCount + 1));
+  return (rounded || 0).toFixed(decimalCount);
+}
+
+module.exports = {
+  FIT_TYPES,
+  parseFit,
+  calculateFitLimits,
+  classifyFit,
+  generateReasonForFit,
+};
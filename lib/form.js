@@ -0,0 +1,329 @@
+/**
+ * Form error checks from positional diameter readings: ovality per plane,
+ * taper along the length and an overall cylindricity estimate.
+ *
+ * A reading is a diameter taken at an axial position (a label such as
+ * "front", or a distance) and an angle in degrees, e.g.
+ * { value: 50.012, position: "front", angle: 0 }.
+ *
+ * Values are in the caller's unit. Reasons are in the locale of the
+ * messages passed in (English by default).
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+const locales = require("./locales");
+
+/**
+ * Validates structured readings.
+ *
+ * @param {Array<{ value: number, position: string|number, angle: number }>} readings
+ * @returns {{ error: true, code: string, message: string, details?: Array<Object> }|null} Error object if invalid, otherwise null
+ */
+function validateReadings(readings) {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Readings must be a non-empty array of { value, position, angle } objects.",
+    );
+  }
+
+  const details = readings
+    .map((reading, index) => {
+      const problems = [];
+      if (!Number.isFinite(Number(reading?.value))) {
+        problems.push("value must be a number");
+      }
+      if (
+        typeof reading?.position !== "string" &&
+        !Number.isFinite(reading?.position)
+      ) {
+        problems.push("position must be a label or a number");
+      } else if (
+        typeof reading.position === "string" &&
+        reading.position.trim() === ""
+      ) {
+        problems.push("position must not be empty");
+      }
+      if (!Number.isFinite(Number(reading?.angle))) {
+        problems.push("angle must be a number of degrees");
+      }
+
+      return problems.length > 0
+        ? { index, message: `${problems.join(", ")}.` }
+        : null;
+    })
+    .filter(Boolean);
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_MEASUREMENT,
+      "Some readings are invalid.",
+      details,
+    );
+  }
+  return null;
+}
+
+/**
+ * Groups readings into planes by axial position. Numeric positions are
+ * ordered by distance; labels keep the order they were first read in.
+ *
+ * @param {Array<Object>} readings - Validated readings
+ * @returns {Array<{ position: string|number, readings: Array<{ value: number, angle: number }> }>}
+ */
+function groupByPosition(readings) {
+  const planes = new Map();
+  readings.forEach((reading) => {
+    const position =
+      typeof reading.position === "string"
+        ? reading.position.trim()
+        : reading.position;
+    if (!planes.has(position)) planes.set(position, []);
+    planes
+      .get(position)
+      .push({ value: Number(reading.value), angle: Number(reading.angle) });
+  });
+
+  const grouped = [...planes.entries()].map(([position, planeReadings]) => ({
+    position,
+    readings: planeReadings,
+  }));
+
+  if (grouped.every((plane) => typeof plane.position === "number")) {
+    grouped.sort((a, b) => a.position - b.position);
+  }
+  return grouped;
+}
+
+/**
+ * Ovality (out-of-roundness) of one plane: largest minus smallest diameter.
+ * Needs readings at two or more angles.
+ *
+ * @param {{ position: string|number, readings: Array<{ value: number, angle: number }> }} plane
+ * @param {number} limit - IT grade value
+ * @param {string} itGrade - e.g. "IT6"
+ * @param {number} decimalCount
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {Object}
+ */
+function checkOvality(
+  plane,
+  limit,
+  itGrade,
+  decimalCount,
+  messages = locales.resolveLocale(),
+) {
+  const angles = new Set(plane.readings.map((reading) => reading.angle % 180));
+  const values = plane.readings.map((reading) => reading.value);
+  const largest = Math.max(...values);
+  const smallest = Math.min(...values);
+
+  if (angles.size < 2) {
+    return {
+      position: plane.position,
+      largest: largest.toFixed(decimalCount),
+      smallest: smallest.toFixed(decimalCount),
+      ovality: null,
+      meetsIT: null,
+      reason: locales.format(messages.ovalityNeedsAngles, {
+        position: plane.position,
+      }),
+    };
+  }
+
+  const ovality = largest - smallest;
+  const meetsIT = isWithinLimit(ovality, limit, decimalCount);
+
+  return {
+    position: plane.position,
+    largest: largest.toFixed(decimalCount),
+    smallest: smallest.toFixed(decimalCount),
+    ovality: formatFormValue(ovality, decimalCount),
+    meetsIT,
+    reason: locales.format(messages.ovality, {
+      position: plane.position,
+      ovality: formatFormValue(ovality, decimalCount),
+      comparison: describeComparison(
+        meetsIT,
+        itGrade,
+        limit,
+        decimalCount,
+        messages,
+      ),
+    }),
+  };
+}
+
+/**
+ * Taper along the length: mean diameter of the last plane minus that of the
+ * first. Needs readings at two or more positions.
+ *
+ * @param {Array<Object>} planes - From groupByPosition, in axial order
+ * @param {number} limit - IT grade value
+ * @param {string} itGrade
+ * @param {number} decimalCount
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {Object}
+ */
+function checkTaper(
+  planes,
+  limit,
+  itGrade,
+  decimalCount,
+  messages = locales.resolveLocale(),
+) {
+  if (planes.length < 2) {
+    return {
+      from: planes[0]?.position ?? null,
+      to: null,
+      taper: null,
+      meetsIT: null,
+      reason: messages.taperNeedsPositions,
+    };
+  }
+
+  const first = planes[0];
+  const last = planes[planes.length - 1];
+  const taper = meanValue(last.readings) - meanValue(first.readings);
+  const meetsIT = isWithinLimit(Math.abs(taper), limit, decimalCount);
+  const formattedTaper = formatFormValue(Math.abs(taper), decimalCount);
+
+  let template = messages.taperNone;
+  if (Number(formattedTaper) !== 0) {
+    template = taper > 0 ? messages.taperGrows : messages.taperShrinks;
+  }
+
+  return {
+    from: first.position,
+    to: last.position,
+    taper: formatFormValue(taper, decimalCount),
+    meetsIT,
+    reason: locales.format(template, {
+      taper: formattedTaper,
+      from: first.position,
+      to: last.position,
+      comparison: describeComparison(
+        meetsIT,
+        itGrade,
+        limit,
+        decimalCount,
+        messages,
+      ),
+    }),
+  };
+}
+
+/**
+ * Cylindricity estimate from two-point diameters: half the spread of all
+ * readings, i.e. the radial width of the zone they fit in. Checked against
+ * half the IT value, the radial equivalent of the IT grade.
+ *
+ * @param {Array<Object>} readings - Validated readings
+ * @param {number} limit - IT grade value
+ * @param {string} itGrade
+ * @param {number} decimalCount
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {Object}
+ */
+function checkCylindricity(
+  readings,
+  limit,
+  itGrade,
+  decimalCount,
+  messages = locales.resolveLocale(),
+) {
+  const values = readings.map((reading) => Number(reading.value));
+  const cylindricity = (Math.max(...values) - Math.min(...values)) / 2;
+  const radialLimit = limit / 2;
+  const meetsIT = isWithinLimit(cylindricity, radialLimit, decimalCount + 1);
+
+  return {
+    cylindricity: formatFormValue(cylindricity, decimalCount + 1),
+    limit: radialLimit.toFixed(decimalCount + 1),
+    meetsIT,
+    reason: locales.format(
+      meetsIT ? messages.cylindricityWithin : messages.cylindricityOver,
+      {
+        cylindricity: formatFormValue(cylindricity, decimalCount + 1),
+        itGrade,
+        limit: radialLimit.toFixed(decimalCount + 1),
+      },
+    ),
+  };
+}
+
+/**
+ * Runs all form checks on validated readings.
+ *
+ * @param {Array<Object>} readings - Validated readings
+ * @param {number} limit - IT grade value, in the readings' unit
+ * @param {string} itGrade - e.g. "IT6"
+ * @param {number} [decimalCount=3]
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {{ ovality: Array<Object>, taper: Object, cylindricity: Object, meetsForm: boolean }}
+ */
+function analyzeForm(
+  readings,
+  limit,
+  itGrade,
+  decimalCount = 3,
+  messages = locales.resolveLocale(),
+) {
+  const planes = groupByPosition(readings);
+
+  const ovality = planes.map((plane) =>
+    checkOvality(plane, limit, itGrade, decimalCount, messages),
+  );
+  const taper = checkTaper(planes, limit, itGrade, decimalCount, messages);
+  const cylindricity = checkCylindricity(
+    readings,
+    limit,
+    itGrade,
+    decimalCount,
+    messages,
+  );
+
+  // Checks that could not be made (null) do not fail the part
+  const meetsForm = [
+    ...ovality.map((plane) => plane.meetsIT),
+    taper.meetsIT,
+    cylindricity.meetsIT,
+  ].every((meetsIT) => meetsIT !== false);
+
+  return { ovality, taper, cylindricity, meetsForm };
+}
+
+/** Mean of reading values */
+function meanValue(readings) {
+  return (
+    readings.reduce((sum, reading) => sum + reading.value, 0) / readings.length
+  );
+}
+
+/** Compares at the display resolution, so 0.0190 ≤ 0.019 holds */
+function isWithinLimit(value, limit, decimalCount) {
+  return Number(value.toFixed(decimalCount)) <= limit;
+}
+
+/** "within the IT6 limit of 0.022" or "over the IT6 limit of 0.022" */
+function describeComparison(meetsIT, itGrade, limit, decimalCount, messages) {
+  return locales.format(
+    meetsIT ? messages.formWithinLimit : messages.formOverLimit,
+    { itGrade, limit: limit.toFixed(decimalCount) },
+  );
+}
+
+/** Formats a form error value, avoiding "-0.000" */
+function formatFormValue(value, decimalCount) {
+  const rounded = Number(value.toFixed(decimalCount));
+  return (rounded || 0).toFixed(decimalCount);
+}
+
+module.exports = {
+  validateReadings,
+  groupByPosition,
+  checkOvality,
+  checkTaper,
+  checkCylindricity,
+  analyzeForm,
+};
@@ -0,0 +1,202 @@
+/**
+ * Inspection history: check results recorded against a component ID and
+ * date, and the wear trend derived from them.
+ *
+ * A store is any object with two synchronous methods:
+ *
+ *   append(record)     saves one record
+ *   list(componentId)  returns the records of a component, in any order
+ *
+ * Either may return an error object instead. Two stores are built in: one
+ * in memory and one in a JSON file. Other databases plug in by implementing
+ * the same two methods (e.g. SQLite through a synchronous driver).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { ERROR_CODES, createError } = require("./errors");
+
+/** Format version of the JSON history file */
+const FILE_VERSION = 1;
+
+const DAYS_PER_YEAR = 365.25;
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Calendar dates as YYYY-MM-DD */
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * A store that keeps records in memory, for the life of the process.
+ *
+ * @returns {{ append: (record: Object) => null, list: (componentId: string) => Array<Object> }}
+ */
+function createMemoryStore() {
+  const records = [];
+  return {
+    append(record) {
+      records.push(record);
+      return null;
+    },
+    list(componentId) {
+      return records.filter((record) => record.component_id === componentId);
+    },
+  };
+}
+
+/**
+ * A store that keeps records in a JSON file, created on the first append.
+ * The file is read on every call, so several processes can share it as long
+ * as they do not write at the same moment.
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {{ append: (record: Object) => null|Object, list: (componentId: string) => Array<Object>|Object }}
+ */
+function createJSONFileStore(file) {
+  return {
+    append(record) {
+      const records = readRecords(file);
+      if (records.error) return records;
+
+      // Write a temporary file first, so a failed write cannot truncate it
+      const content = JSON.stringify(
+        { version: FILE_VERSION, records: [...records, record] },
+        null,
+        2,
+      );
+      const temporaryFile = path.join(
+        path.dirname(file),
+        `.${path.basename(file)}.${process.pid}.tmp`,
+      );
+      try {
+        fs.writeFileSync(temporaryFile, `${content}\n`);
+        fs.renameSync(temporaryFile, file);
+      } catch (err) {
+        fs.rmSync(temporaryFile, { force: true });
+        return createError(
+          ERROR_CODES.INVALID_HISTORY,
+          `Cannot write history file ${file}: ${err.message}`,
+        );
+      }
+      return null;
+    },
+    list(componentId) {
+      const records = readRecords(file);
+      if (records.error) return records;
+      return records.filter((record) => record.component_id === componentId);
+    },
+  };
+}
+
+/**
+ * Whether a value implements the store interface.
+ *
+ * @param {*} store
+ * @returns {boolean}
+ */
+function isStore(store) {
+  return (
+    typeof store?.append === "function" && typeof store?.list === "function"
+  );
+}
+
+/**
+ * Parses a calendar date.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number|null} Days since 1970-01-01, or null when invalid
+ */
+function toDayNumber(date) {
+  const match = typeof date === "string" ? date.match(DATE_PATTERN) : null;
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  // Date.UTC rolls 2026-02-30 over to March; reject it instead
+  if (new Date(time).getUTCDate() !== day) return null;
+  return time / MILLISECONDS_PER_DAY;
+}
+
+/**
+ * Formats a day number as a calendar date.
+ *
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} YYYY-MM-DD
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(Math.round(dayNumber) * MILLISECONDS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/** Today's date (UTC) as YYYY-MM-DD */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Least-squares slope of values over days.
+ *
+ * @param {number[]} days
+ * @param {number[]} values
+ * @returns {number|null} Change per day, or null when all days are equal
+ */
+function slopePerDay(days, values) {
+  const count = days.length;
+  const meanDay = days.reduce((sum, day) => sum + day, 0) / count;
+  const meanValue = values.reduce((sum, value) => sum + value, 0) / count;
+
+  let covariance = 0;
+  let variance = 0;
+  days.forEach((day, index) => {
+    covariance += (day - meanDay) * (values[index] - meanValue);
+    variance += (day - meanDay) ** 2;
+  });
+  return variance > 0 ? covariance / variance : null;
+}
+
+/** --- Helper Functions for the JSON file store start--- */
+
+/** Reads every record of a history file; a missing file has none */
+function readRecords(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `Cannot read history file ${file}: ${err.message}`,
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `History file ${file} is not valid JSON: ${err.message}`,
+    );
+  }
+  if (!Array.isArray(parsed?.records)) {
+    return createError(
+      ERROR_CODES.INVALID_HISTORY,
+      `History file ${file} has no records array.`,
+    );
+  }
+  return parsed.records;
+}
+
+/** --- Helper Functions for the JSON file store end--- */
+
+module.exports = {
+  FILE_VERSION,
+  DAYS_PER_YEAR,
+  createMemoryStore,
+  createJSONFileStore,
+  isStore,
+  toDayNumber,
+  fromDayNumber,
+  today,
+  slopePerDay,
+};
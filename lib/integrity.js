@@ -0,0 +1,372 @@
+/**
+ * Integrity checks of tolerance tables in the shape of Tolerances.json.
+ *
+ * Layout checks (every table): bands have numeric diameters and deviations,
+ * are listed in ascending order, and neither overlap nor leave gaps.
+ *
+ * ISO 286 checks (specifications that are ISO tolerance classes, e.g. H7):
+ * upper minus lower deviation equals the class's IT value, tabulated IT
+ * values equal the ISO standard tolerances, and deviations equal the ISO
+ * limit deviations. A band that spans several ISO size steps cannot be
+ * compared and gets a warning instead.
+ */
+
+const iso286 = require("./iso286");
+
+const SEVERITIES = { error: "error", warning: "warning" };
+
+const CHECKS = {
+  /** Band is not an object, or its diameters are missing or reversed */
+  structure: "structure",
+  /** A deviation or IT value is not a plain decimal number */
+  numeric: "numeric",
+  order: "order",
+  gap: "gap",
+  overlap: "overlap",
+  /** Upper minus lower deviation differs from the class's IT value */
+  span: "span",
+  /** A tabulated IT value differs from the ISO 286 standard tolerance */
+  itValue: "it-value",
+  /** A deviation differs from the ISO 286 limit deviation */
+  deviation: "deviation",
+  /** Band spans several ISO 286 size steps */
+  sizeStep: "size-step",
+};
+
+/** A plain decimal number, as deviations are written in Tolerances.json */
+const DECIMAL_PATTERN = /^[+-]?\d+(\.\d+)?$/;
+
+/** Deviations and IT values are compared to the micrometre */
+const COMPARISON_DECIMALS = 3;
+
+/**
+ * Checks the layout of one specification's bands: structure, numeric
+ * values, overlaps and gaps (in diameter order, whatever the listed order).
+ *
+ * @param {Array<Object>} bands
+ * @returns {Array<{ check: string, band: number|null, message: string }>}
+ */
+function checkBandLayout(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return [
+      issue(
+        CHECKS.structure,
+        null,
+        "Must be a non-empty array of diameter bands.",
+      ),
+    ];
+  }
+
+  const issues = [];
+  bands.forEach((band, index) => {
+    const minimum = band?.minimum_diameter;
+    const maximum = band?.maximum_diameter;
+
+    if (!Number.isFinite(minimum) || !Number.isFinite(maximum)) {
+      issues.push(
+        issue(
+          CHECKS.structure,
+          index,
+          `Band ${index} needs numeric minimum_diameter and maximum_diameter.`,
+        ),
+      );
+    } else if (minimum < 0 || minimum >= maximum) {
+      issues.push(
+        issue(
+          CHECKS.structure,
+          index,
+          `Band ${index} (${minimum}–${maximum}) must have 0 ≤ minimum_diameter < maximum_diameter.`,
+        ),
+      );
+    }
+
+    ["upper_deviation", "lower_deviation"].forEach((key) => {
+      if (!isDecimal(band?.[key])) {
+        issues.push(
+          issue(CHECKS.numeric, index, `Band ${index} needs a numeric ${key}.`),
+        );
+      }
+    });
+    itGradeKeys(band).forEach((itGrade) => {
+      if (!isDecimal(band[itGrade])) {
+        issues.push(
+          issue(
+            CHECKS.numeric,
+            index,
+            `Band ${index} needs a numeric ${itGrade}.`,
+          ),
+        );
+      }
+    });
+  });
+  if (issues.length > 0) return issues;
+
+  // Bands must follow each other without overlap or gap
+  const sortedBands = [...bands].sort(
+    (a, b) => a.minimum_diameter - b.minimum_diameter,
+  );
+  for (let index = 1; index < sortedBands.length; index++) {
+    const previous = sortedBands[index - 1];
+    const current = sortedBands[index];
+
+    if (current.minimum_diameter < previous.maximum_diameter) {
+      issues.push(
+        issue(
+          CHECKS.overlap,
+          bands.indexOf(current),
+          `Bands ${previous.minimum_diameter}–${previous.maximum_diameter} and ${current.minimum_diameter}–${current.maximum_diameter} overlap.`,
+        ),
+      );
+    } else if (current.minimum_diameter > previous.maximum_diameter) {
+      issues.push(
+        issue(
+          CHECKS.gap,
+          bands.indexOf(current),
+          `No band covers ${previous.maximum_diameter}–${current.minimum_diameter}.`,
+        ),
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Checks that bands are listed in ascending diameter order. Lookups do not
+ * depend on the order, but a band out of place is usually a mistyped
+ * diameter.
+ *
+ * @param {Array<Object>} bands - Bands with a valid layout
+ * @returns {Array<{ check: string, band: number, message: string }>}
+ */
+function checkBandOrder(bands) {
+  const issues = [];
+  for (let index = 1; index < bands.length; index++) {
+    const previous = bands[index - 1];
+    const current = bands[index];
+    if (current.minimum_diameter < previous.minimum_diameter) {
+      issues.push(
+        issue(
+          CHECKS.order,
+          index,
+          `Band ${index} (${current.minimum_diameter}–${current.maximum_diameter}) is listed after ${previous.minimum_diameter}–${previous.maximum_diameter}; list bands in ascending order.`,
+        ),
+      );
+    }
+  }
+  return issues;
+}
+
+/**
+ * Checks the bands of an ISO 286 tolerance class against ISO 286: the span
+ * of the deviations, the tabulated IT values and the deviations themselves.
+ * Specifications that are not ISO classes of the right kind are skipped.
+ *
+ * @param {string} specification - e.g. "H7"
+ * @param {boolean} isHole - Whether the table is for bores
+ * @param {Array<Object>} bands - Bands with a valid layout
+ * @returns {Array<{ severity: string, check: string, band: number, message: string }>}
+ */
+function checkISOConsistency(specification, isHole, bands) {
+  const parsed = iso286.parseDesignation(specification);
+  if (parsed.error || parsed.isHole !== isHole) return [];
+
+  const issues = [];
+  bands.forEach((band, index) => {
+    const range = `${band.minimum_diameter}–${band.maximum_diameter}`;
+    const span = toMicrometres(band.upper_deviation - band.lower_deviation);
+
+    // 1. The deviations must span the class's own IT value, as tabulated
+    const tabulated = band[parsed.grade];
+    if (tabulated !== undefined && span !== toMicrometres(tabulated)) {
+      issues.push(
+        issue(
+          CHECKS.span,
+          index,
+          `Band ${index} (${range}): upper minus lower deviation is ${formatMicrometres(span)}, but ${parsed.grade} is ${tabulated}.`,
+        ),
+      );
+    }
+
+    // 2. Compare with ISO 286, if the band lies within one size step
+    const expected = isoValuesFor(specification, itGradeKeys(band), band);
+    if (expected === null) {
+      issues.push(
+        issue(
+          CHECKS.sizeStep,
+          index,
+          `Band ${index} (${range}) spans several ISO 286 size steps, so it cannot be compared with ISO 286.`,
+          SEVERITIES.warning,
+        ),
+      );
+      return;
+    }
+
+    Object.entries(expected.itValues).forEach(([itGrade, value]) => {
+      if (toMicrometres(band[itGrade]) !== value) {
+        issues.push(
+          issue(
+            CHECKS.itValue,
+            index,
+            `Band ${index} (${range}): ${itGrade} is ${band[itGrade]}, ISO 286 gives ${formatMicrometres(value)}.`,
+          ),
+        );
+      }
+    });
+
+    [
+      ["upper_deviation", expected.upper],
+      ["lower_deviation", expected.lower],
+    ].forEach(([key, value]) => {
+      if (value !== null && toMicrometres(band[key]) !== value) {
+        issues.push(
+          issue(
+            CHECKS.deviation,
+            index,
+            `Band ${index} (${range}): ${key} is ${band[key]}, ISO 286 gives ${formatMicrometres(value)} for ${specification}.`,
+          ),
+        );
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Checks every specification of a tolerance table.
+ *
+ * @param {Object} table - e.g. { shafts: { h9: [ { minimum_diameter, ... } ] } }
+ * @param {string[]} materialTypes - Valid material type keys
+ * @returns {{ valid: boolean, summary: Object, issues: Array<Object> }}
+ */
+function auditToleranceTable(table, materialTypes) {
+  const issues = [];
+  let specificationCount = 0;
+  let bandCount = 0;
+
+  Object.entries(table).forEach(([materialType, specifications]) => {
+    const locate = (specification) => (found) => ({
+      severity: found.severity ?? SEVERITIES.error,
+      check: found.check,
+      materialType,
+      specification,
+      band: found.band,
+      message: found.message,
+    });
+
+    if (!materialTypes.includes(materialType)) {
+      issues.push(
+        locate(null)(
+          issue(
+            CHECKS.structure,
+            null,
+            `Unknown material type. Valid types are ${materialTypes.join(", ")}.`,
+          ),
+        ),
+      );
+      return;
+    }
+
+    Object.entries(specifications ?? {}).forEach(([specification, bands]) => {
+      specificationCount += 1;
+      bandCount += Array.isArray(bands) ? bands.length : 0;
+
+      const layoutIssues = checkBandLayout(bands);
+      issues.push(...layoutIssues.map(locate(specification)));
+      if (layoutIssues.length > 0) return;
+
+      issues.push(
+        ...checkBandOrder(bands).map(locate(specification)),
+        ...checkISOConsistency(
+          specification,
+          materialType !== "shafts",
+          bands,
+        ).map(locate(specification)),
+      );
+    });
+  });
+
+  const errorCount = issues.filter(
+    (found) => found.severity === SEVERITIES.error,
+  ).length;
+
+  return {
+    valid: errorCount === 0,
+    summary: {
+      specifications: specificationCount,
+      bands: bandCount,
+      errors: errorCount,
+      warnings: issues.length - errorCount,
+    },
+    issues,
+  };
+}
+
+/** --- Helper Functions for the integrity checks start--- */
+
+/** An integrity issue; errors unless stated otherwise */
+function issue(check, band, message, severity) {
+  return { ...(severity && { severity }), check, band, message };
+}
+
+/** Whether a value is a number, or a string holding a plain decimal */
+function isDecimal(value) {
+  return typeof value === "number"
+    ? Number.isFinite(value)
+    : typeof value === "string" && DECIMAL_PATTERN.test(value.trim());
+}
+
+/** IT grade columns of a band, e.g. ["IT6", "IT5"] */
+function itGradeKeys(band) {
+  return Object.keys(band).filter((key) => iso286.IT_GRADES.includes(key));
+}
+
+/** Millimetres (number or string) as whole micrometres, for comparison */
+function toMicrometres(millimetres) {
+  return Math.round(Number(millimetres) * 10 ** COMPARISON_DECIMALS);
+}
+
+/** Micrometres as a millimetre string, e.g. 25 → "0.025" */
+function formatMicrometres(micrometres) {
+  return iso286.formatMillimetres(micrometres);
+}
+
+/**
+ * ISO 286 IT values and limit deviations (µm) for a band, or null when they
+ * differ within it (the band spans several size steps). A deviation is null
+ * when ISO 286 does not define the class at that size.
+ */
+function isoValuesFor(specification, itGrades, band) {
+  // Size steps are "above … up to and including …"
+  const sizes = [
+    Math.max(band.minimum_diameter, 0) + 1e-6,
+    band.maximum_diameter,
+  ];
+  const [first, last] = sizes.map((size) => {
+    const deviations = iso286.getLimitDeviations(specification, size);
+    return {
+      itValues: Object.fromEntries(
+        itGrades.map((itGrade) => {
+          const value = iso286.getStandardTolerance(itGrade, size);
+          return [itGrade, value?.error ? null : value];
+        }),
+      ),
+      upper: deviations.error ? null : deviations.upper,
+      lower: deviations.error ? null : deviations.lower,
+    };
+  });
+
+  return JSON.stringify(first) === JSON.stringify(last) ? last : null;
+}
+
+/** --- Helper Functions for the integrity checks end--- */
+
+module.exports = {
+  SEVERITIES,
+  CHECKS,
+  checkBandLayout,
+  checkBandOrder,
+  checkISOConsistency,
+  auditToleranceTable,
+};
@@ -0,0 +1,788 @@
+/**
+ * ISO 286-1 limits and fits engine.
+ *
+ * Computes standard tolerances (IT01–IT18) and fundamental deviations for any
+ * hole (A–ZC) or shaft (a–zc) tolerance class, e.g. "k6", "m6", "K7", "G7".
+ *
+ * All values inside this module are in micrometres (µm) unless stated
+ * otherwise; sizes are in millimetres.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+/** Nominal size steps (mm) of ISO 286-1 Table 1, up to 3150 mm. */
+const MAIN_SIZE_STEPS = [
+  0, 3, 6, 10, 18, 30, 50, 80, 120, 180, 250, 315, 400, 500, 630, 800, 1000,
+  1250, 1600, 2000, 2500, 3150,
+];
+
+/** Intermediate size steps used by deviations a–c and r–zc. */
+const INTERMEDIATE_SIZE_STEPS = [
+  0, 3, 6, 10, 14, 18, 24, 30, 40, 50, 65, 80, 100, 120, 140, 160, 180, 200,
+  225, 250, 280, 315, 355, 400, 450, 500, 560, 630, 710, 800, 900, 1000, 1120,
+  1250, 1400, 1600, 1800, 2000, 2240, 2500, 2800, 3150,
+];
+
+const IT_GRADES = [
+  "IT01",
+  "IT0",
+  "IT1",
+  "IT2",
+  "IT3",
+  "IT4",
+  "IT5",
+  "IT6",
+  "IT7",
+  "IT8",
+  "IT9",
+  "IT10",
+  "IT11",
+  "IT12",
+  "IT13",
+  "IT14",
+  "IT15",
+  "IT16",
+  "IT17",
+  "IT18",
+];
+
+/**
+ * Standard tolerance values (µm) per main size step, ISO 286-1 Table 1.
+ *
+ * The standard derives them from the tolerance factor
+ * i = 0.45∛D + 0.001D (I = 0.004D + 2.1 above 500 mm), but its published,
+ * normative values are rounded in a way no single rule reproduces, so the
+ * table is used as-is. Every grade from IT12 up is ten times the grade five
+ * below it: IT12–IT16 are 10 × IT7–IT11, IT17 and IT18 are 100 × IT7 and IT8.
+ */
+const STANDARD_TOLERANCES = {
+  IT01: [0.3, 0.4, 0.4, 0.5, 0.6, 0.6, 0.8, 1, 1.2, 2, 2.5, 3, 4],
+  IT0: [0.5, 0.6, 0.6, 0.8, 1, 1, 1.2, 1.5, 2, 3, 4, 5, 6],
+  IT1: [
+    0.8, 1, 1, 1.2, 1.5, 1.5, 2, 2.5, 3.5, 4.5, 6, 7, 8, 9, 10, 11, 13, 15, 18,
+    22, 26,
+  ],
+  IT2: [
+    1.2, 1.5, 1.5, 2, 2.5, 2.5, 3, 4, 5, 7, 8, 9, 10, 11, 13, 15, 18, 21, 25,
+    30, 36,
+  ],
+  IT3: [
+    2, 2.5, 2.5, 3, 4, 4, 5, 6, 8, 10, 12, 13, 15, 16, 18, 21, 24, 29, 35, 41,
+    50,
+  ],
+  IT4: [
+    3, 4, 4, 5, 6, 7, 8, 10, 12, 14, 16, 18, 20, 22, 25, 28, 33, 39, 46, 55, 68,
+  ],
+  IT5: [
+    4, 5, 6, 8, 9, 11, 13, 15, 18, 20, 23, 25, 27, 32, 36, 40, 47, 55, 65, 78,
+    96,
+  ],
+  IT6: [
+    6, 8, 9, 11, 13, 16, 19, 22, 25, 29, 32, 36, 40, 44, 50, 56, 66, 78, 92,
+    110, 135,
+  ],
+  IT7: [
+    10, 12, 15, 18, 21, 25, 30, 35, 40, 46, 52, 57, 63, 70, 80, 90, 105, 125,
+    150, 175, 210,
+  ],
+  IT8: [
+    14, 18, 22, 27, 33, 39, 46, 54, 63, 72, 81, 89, 97, 110, 125, 140, 165, 195,
+    230, 280, 330,
+  ],
+  IT9: [
+    25, 30, 36, 43, 52, 62, 74, 87, 100, 115, 130, 140, 155, 175, 200, 230, 260,
+    310, 370, 440, 540,
+  ],
+  IT10: [
+    40, 48, 58, 70, 84, 100, 120, 140, 160, 185, 210, 230, 250, 280, 320, 360,
+    420, 500, 600, 700, 860,
+  ],
+  IT11: [
+    60, 75, 90, 110, 130, 160, 190, 220, 250, 290, 320, 360, 400, 440, 500, 560,
+    660, 780, 920, 1100, 1350,
+  ],
+};
+
+/**
+ * Fundamental deviation formulas for shafts, ISO 286-1 Table 4.
+ *
+ * - `type`: "es" (upper deviation, a–h) or "ei" (lower deviation, k–zc)
+ * - `from` / `to`: nominal size range (mm) the letter is defined for
+ * - `intermediate`: whether the deviation uses the intermediate size steps
+ * - `formula(D, it)`: deviation magnitude (µm) for geometric mean size D,
+ *   where it(grade) returns the standard tolerance of the size step
+ */
+const SHAFT_DEVIATIONS = {
+  a: {
+    type: "es",
+    to: 500,
+    intermediate: true,
+    formula: (D) => -(D <= 120 ? 265 + 1.3 * D : 3.5 * D),
+  },
+  b: {
+    type: "es",
+    to: 500,
+    intermediate: true,
+    formula: (D) => -(D <= 160 ? 140 + 0.85 * D : 1.8 * D),
+  },
+  c: {
+    type: "es",
+    to: 500,
+    intermediate: true,
+    formula: (D) => -(D <= 40 ? 52 * D ** 0.2 : 95 + 0.8 * D),
+  },
+  cd: {
+    type: "es",
+    to: 10,
+    formula: (D, it) =>
+      -Math.sqrt(
+        SHAFT_DEVIATIONS.c.formula(D, it) * SHAFT_DEVIATIONS.d.formula(D, it),
+      ),
+  },
+  d: { type: "es", to: 3150, formula: (D) => -16 * D ** 0.44 },
+  e: { type: "es", to: 3150, formula: (D) => -11 * D ** 0.41 },
+  ef: {
+    type: "es",
+    to: 10,
+    formula: (D, it) =>
+      -Math.sqrt(
+        SHAFT_DEVIATIONS.e.formula(D, it) * SHAFT_DEVIATIONS.f.formula(D, it),
+      ),
+  },
+  f: { type: "es", to: 3150, formula: (D) => -5.5 * D ** 0.41 },
+  fg: {
+    type: "es",
+    to: 10,
+    formula: (D, it) =>
+      -Math.sqrt(
+        SHAFT_DEVIATIONS.f.formula(D, it) * SHAFT_DEVIATIONS.g.formula(D, it),
+      ),
+  },
+  g: { type: "es", to: 3150, formula: (D) => -2.5 * D ** 0.34 },
+  h: { type: "es", to: 3150, formula: () => 0 },
+  k: {
+    type: "ei",
+    to: 3150,
+    // Only grades IT4–IT7 up to 500 mm get a positive deviation
+    formula: (D, it, grade) =>
+      D <= 500 && grade >= 4 && grade <= 7 ? 0.6 * Math.cbrt(D) : 0,
+  },
+  m: {
+    type: "ei",
+    to: 3150,
+    formula: (D, it) => (D <= 500 ? it(7) - it(6) : 0.024 * D + 12.6),
+  },
+  n: {
+    type: "ei",
+    to: 3150,
+    formula: (D) => (D <= 500 ? 5 * D ** 0.34 : 0.04 * D + 21),
+  },
+  p: {
+    type: "ei",
+    to: 3150,
+    // Up to 500 mm the standard only gives IT7 + (0 to 5), see NORMATIVE_DEVIATIONS
+    formula: (D, it) => (D <= 500 ? it(7) : 0.072 * D + 37.8),
+  },
+  r: {
+    type: "ei",
+    to: 3150,
+    intermediate: true,
+    formula: (D, it) =>
+      Math.sqrt(
+        SHAFT_DEVIATIONS.p.formula(D, it) * SHAFT_DEVIATIONS.s.formula(D, it),
+      ),
+  },
+  s: {
+    type: "ei",
+    to: 3150,
+    intermediate: true,
+    formula: (D, it) => (D <= 50 ? it(8) + 1 : it(7) + 0.4 * D),
+  },
+  t: {
+    type: "ei",
+    from: 24,
+    to: 3150,
+    intermediate: true,
+    formula: (D, it) => it(7) + 0.63 * D,
+  },
+  u: {
+    type: "ei",
+    to: 3150,
+    intermediate: true,
+    formula: (D, it) => it(7) + D,
+  },
+  v: {
+    type: "ei",
+    from: 14,
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(7) + 1.25 * D,
+  },
+  x: {
+    type: "ei",
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(7) + 1.6 * D,
+  },
+  y: {
+    type: "ei",
+    from: 18,
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(7) + 2 * D,
+  },
+  z: {
+    type: "ei",
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(7) + 2.5 * D,
+  },
+  za: {
+    type: "ei",
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(8) + 3.15 * D,
+  },
+  zb: {
+    type: "ei",
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(9) + 4 * D,
+  },
+  zc: {
+    type: "ei",
+    to: 500,
+    intermediate: true,
+    formula: (D, it) => it(10) + 5 * D,
+  },
+};
+
+/**
+ * Values (µm) where ISO 286-2 tabulates a fundamental deviation that differs
+ * from the rounded formula, keyed by letter and "minimum-maximum" size step.
+ * These take precedence over SHAFT_DEVIATIONS.
+ */
+const NORMATIVE_DEVIATIONS = {
+  a: {
+    "10-14": -290,
+    "18-24": -300,
+    "120-140": -460,
+    "160-180": -580,
+    "225-250": -820,
+    "315-355": -1200,
+    "355-400": -1350,
+  },
+  b: {
+    "3-6": -140,
+    "6-10": -150,
+    "14-18": -150,
+    "24-30": -160,
+    "100-120": -240,
+    "120-140": -260,
+    "140-160": -280,
+    "225-250": -420,
+    "450-500": -840,
+  },
+  c: {
+    "0-3": -60,
+    "6-10": -80,
+    "10-14": -95,
+    "14-18": -95,
+    "18-24": -110,
+    "24-30": -110,
+    "30-40": -120,
+    "65-80": -150,
+    "80-100": -170,
+    "180-200": -240,
+    "250-280": -300,
+    "400-450": -440,
+    "450-500": -480,
+  },
+  d: { "6-10": -40, "18-30": -65 },
+  e: { "315-400": -125, "800-1000": -170, "1000-1250": -195 },
+  f: { "0-3": -6, "500-630": -76, "800-1000": -86, "1000-1250": -98 },
+  g: {
+    "0-3": -2,
+    "630-800": -24,
+    "800-1000": -26,
+    "1000-1250": -28,
+    "1250-1600": -30,
+    "2500-3150": -38,
+  },
+  k: { "0-3": 0 },
+  m: {
+    "0-3": 2,
+    "1000-1250": 40,
+    "1250-1600": 48,
+    "1600-2000": 58,
+    "2000-2500": 68,
+    "2500-3150": 76,
+  },
+  n: {
+    "0-3": 4,
+    "80-120": 23,
+    "500-630": 44,
+    "630-800": 50,
+    "800-1000": 56,
+    "1600-2000": 92,
+    "2500-3150": 135,
+  },
+  p: {
+    "0-3": 6,
+    "18-30": 22,
+    "30-50": 26,
+    "50-80": 32,
+    "80-120": 37,
+    "120-180": 43,
+    "180-250": 50,
+    "250-315": 56,
+    "315-400": 62,
+    "400-500": 68,
+    "630-800": 88,
+    "800-1000": 100,
+    "1000-1250": 120,
+    "1600-2000": 170,
+    "2000-2500": 195,
+  },
+  r: {
+    "0-3": 10,
+    "10-14": 23,
+    "14-18": 23,
+    "18-24": 28,
+    "24-30": 28,
+    "30-40": 34,
+    "40-50": 34,
+    "50-65": 41,
+    "65-80": 43,
+    "80-100": 51,
+    "100-120": 54,
+    "120-140": 63,
+    "140-160": 65,
+    "160-180": 68,
+    "180-200": 77,
+    "200-225": 80,
+    "225-250": 84,
+    "250-280": 94,
+    "280-315": 98,
+    "315-355": 108,
+    "355-400": 114,
+    "400-450": 126,
+    "450-500": 132,
+  },
+  s: { "0-3": 14, "18-24": 35, "24-30": 35, "30-40": 43, "40-50": 43 },
+  t: { "24-30": 41, "30-40": 48, "40-50": 54, "450-500": 360 },
+  u: {
+    "0-3": 18,
+    "3-6": 23,
+    "6-10": 28,
+    "10-14": 33,
+    "14-18": 33,
+    "18-24": 41,
+    "250-280": 315,
+    "280-315": 350,
+    "315-355": 390,
+    "355-400": 435,
+    "400-450": 490,
+    "450-500": 540,
+  },
+};
+
+/**
+ * Lower deviations (µm) of j shafts, which have no formula.
+ * Keyed by grade, one value per main size step up to 500 mm.
+ */
+const J_SHAFT_DEVIATIONS = {
+  5: [-2, -2, -2, -3, -4, -5, -7, -9, -11, -13, -16, -18, -20],
+  6: [-2, -2, -2, -3, -4, -5, -7, -9, -11, -13, -16, -18, -20],
+  7: [-4, -4, -5, -6, -8, -10, -12, -15, -18, -21, -26, -28, -32],
+  8: [-6],
+};
+
+/**
+ * Upper deviations (µm) of J holes, which have no formula.
+ * Keyed by grade, one value per main size step up to 500 mm.
+ */
+const J_HOLE_DEVIATIONS = {
+  6: [2, 5, 5, 6, 8, 10, 13, 16, 18, 22, 25, 29, 33],
+  7: [4, 6, 8, 10, 12, 14, 18, 22, 26, 30, 36, 39, 43],
+  8: [6, 10, 12, 15, 20, 24, 28, 34, 41, 47, 55, 60, 66],
+};
+
+/**
+ * Parses a tolerance class designation such as "H7", "k6" or "JS11".
+ *
+ * @param {string} designation
+ * @returns {{ letter: string, grade: string, isHole: boolean }|{error: true, code: string, message: string}}
+ */
+function parseDesignation(designation) {
+  const match =
+    typeof designation === "string" &&
+    designation.trim().match(/^([A-Za-z]{1,2})(01|0|[1-9]|1[0-8])$/);
+
+  if (!match) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `Invalid tolerance class: ${designation}. Expected a deviation letter and an IT grade, e.g. "H7" or "k6".`,
+    );
+  }
+
+  const [, rawLetter, grade] = match;
+  const isHole = rawLetter === rawLetter.toUpperCase();
+  const letter = rawLetter.toLowerCase();
+
+  if (
+    rawLetter !== rawLetter.toUpperCase() &&
+    rawLetter !== rawLetter.toLowerCase()
+  ) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `Invalid tolerance class: ${designation}. Mixed case.`,
+    );
+  }
+
+  if (!SHAFT_DEVIATIONS[letter] && letter !== "j" && letter !== "js") {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `Unknown fundamental deviation: ${rawLetter}.`,
+    );
+  }
+
+  return { letter, grade: `IT${grade}`, isHole };
+}
+
+/**
+ * Returns the grade number of an IT grade (IT01 → -1, IT0 → 0, IT7 → 7).
+ *
+ * @param {string} itGrade
+ * @returns {number}
+ */
+function gradeNumber(itGrade) {
+  return itGrade === "IT01" ? -1 : Number(itGrade.slice(2));
+}
+
+/**
+ * Finds the size step containing the nominal size. Sizes on a boundary
+ * belong to the lower step, as ISO 286 defines steps as "above … up to and
+ * including …".
+ *
+ * @param {number} nominal - Nominal size in mm
+ * @param {number[]} steps - MAIN_SIZE_STEPS or INTERMEDIATE_SIZE_STEPS
+ * @returns {{ minimum: number, maximum: number, index: number }|null}
+ */
+function findSizeStep(nominal, steps = MAIN_SIZE_STEPS) {
+  const value = Number(nominal);
+  if (!Number.isFinite(value) || value <= 0) return null;
+
+  for (let index = 0; index < steps.length - 1; index++) {
+    if (value > steps[index] && value <= steps[index + 1]) {
+      return { minimum: steps[index], maximum: steps[index + 1], index };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Geometric mean size used by the ISO 286 formulas. The first step is
+ * treated as 1–3 mm.
+ */
+function geometricMeanSize(step) {
+  return Math.sqrt(Math.max(step.minimum, 1) * step.maximum);
+}
+
+/**
+ * Returns the standard tolerance (µm) for an IT grade and nominal size.
+ *
+ * @param {string} itGrade - e.g. "IT6"
+ * @param {number} nominal - Nominal size in mm
+ * @returns {number|{error: true, code: string, message: string}}
+ */
+function getStandardTolerance(itGrade, nominal) {
+  if (!IT_GRADES.includes(itGrade)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_IT_GRADE,
+      `Available IT grades: ${IT_GRADES.join(", ")}`,
+    );
+  }
+
+  const step = findSizeStep(nominal);
+  if (!step) {
+    return createError(
+      ERROR_CODES.NO_MATCHING_BAND,
+      `Nominal size must be above 0 and up to ${MAIN_SIZE_STEPS[MAIN_SIZE_STEPS.length - 1]} mm.`,
+    );
+  }
+
+  // Step down five grades, and a decade, until the grade is tabulated
+  let number = gradeNumber(itGrade);
+  let factor = 1;
+  while (number >= 12) {
+    number -= 5;
+    factor *= 10;
+  }
+  const base = number === -1 ? "IT01" : `IT${number}`;
+  const value = STANDARD_TOLERANCES[base][step.index];
+  if (value === undefined) {
+    return createError(
+      ERROR_CODES.NO_MATCHING_BAND,
+      `${itGrade} is not defined above ${MAIN_SIZE_STEPS[STANDARD_TOLERANCES[base].length]} mm.`,
+    );
+  }
+
+  return value * factor;
+}
+
+/**
+ * Rounds a fundamental deviation (µm) the way ISO 286-1 does:
+ * coarser steps for larger values.
+ */
+function roundDeviation(value, type) {
+  const magnitude = Math.abs(value);
+  const increments =
+    type === "es"
+      ? [
+          [45, 1],
+          [80, 2],
+          [180, 5],
+          [500, 10],
+          [1000, 20],
+          [2000, 50],
+        ]
+      : [
+          [100, 1],
+          [500, 2],
+          [1000, 5],
+          [2000, 10],
+        ];
+  const [, increment] = increments.find(([limit]) => magnitude <= limit) ?? [
+    0,
+    type === "es" ? 100 : 20,
+  ];
+
+  return Math.sign(value) * Math.round(magnitude / increment) * increment;
+}
+
+/**
+ * Returns the shaft fundamental deviation (µm) for a letter and size.
+ *
+ * @param {string} letter - Lowercase deviation letter, e.g. "k"
+ * @param {string} itGrade - e.g. "IT6"
+ * @param {number} nominal - Nominal size in mm
+ * @returns {{ type: "es"|"ei", value: number, step: Object }|{error: true, code: string, message: string}}
+ */
+function getShaftFundamentalDeviation(letter, itGrade, nominal) {
+  const grade = gradeNumber(itGrade);
+
+  if (letter === "j") {
+    const step = findSizeStep(nominal);
+    const value = step && J_SHAFT_DEVIATIONS[grade]?.[step.index];
+    if (value === undefined || value === null) {
+      return createError(
+        ERROR_CODES.NO_MATCHING_BAND,
+        `j${grade} is not defined for nominal size ${nominal} mm.`,
+      );
+    }
+    return { type: "ei", value, step };
+  }
+
+  const definition = SHAFT_DEVIATIONS[letter];
+  const step = findSizeStep(
+    nominal,
+    definition.intermediate ? INTERMEDIATE_SIZE_STEPS : MAIN_SIZE_STEPS,
+  );
+  if (
+    !step ||
+    step.minimum < (definition.from ?? 0) ||
+    step.maximum > definition.to
+  ) {
+    return createError(
+      ERROR_CODES.NO_MATCHING_BAND,
+      `Deviation ${letter} is not defined for nominal size ${nominal} mm.`,
+    );
+  }
+
+  const normative =
+    NORMATIVE_DEVIATIONS[letter]?.[`${step.minimum}-${step.maximum}`];
+  if (normative !== undefined) {
+    return { type: definition.type, value: normative, step };
+  }
+
+  const it = (gradeNo) => getStandardTolerance(`IT${gradeNo}`, nominal);
+  const raw = definition.formula(geometricMeanSize(step), it, grade);
+
+  return {
+    type: definition.type,
+    value: roundDeviation(raw, definition.type),
+    step,
+  };
+}
+
+/**
+ * Returns the upper and lower limit deviations (µm) of a tolerance class at
+ * a nominal size, e.g. ("k6", 50) → { upper: 18, lower: 2, tolerance: 16 }.
+ *
+ * @param {string} designation - Tolerance class, e.g. "H7", "k6", "JS8"
+ * @param {number} nominal - Nominal size in mm
+ * @returns {{ designation: string, isHole: boolean, itGrade: string, upper: number, lower: number, tolerance: number, step: Object }|{error: true, code: string, message: string}}
+ */
+function getLimitDeviations(designation, nominal) {
+  const parsed = parseDesignation(designation);
+  if (parsed.error) return parsed;
+
+  const { letter, grade: itGrade, isHole } = parsed;
+  const tolerance = getStandardTolerance(itGrade, nominal);
+  if (tolerance?.error) return tolerance;
+
+  const grade = gradeNumber(itGrade);
+  const result = (upper, lower, step) => ({
+    designation: designation.trim(),
+    isHole,
+    itGrade,
+    upper: upper || 0, // avoid -0
+    lower: lower || 0,
+    tolerance,
+    step: step ?? findSizeStep(nominal),
+  });
+
+  // Symmetric deviations; odd IT7–IT11 values are rounded down to even
+  if (letter === "js") {
+    const half =
+      grade >= 7 && grade <= 11 && tolerance % 2 === 1
+        ? (tolerance - 1) / 2
+        : tolerance / 2;
+    return result(half, -half);
+  }
+
+  if (isHole && letter === "j") {
+    const step = findSizeStep(nominal);
+    const upper = step && J_HOLE_DEVIATIONS[grade]?.[step.index];
+    if (upper === undefined || upper === null) {
+      return createError(
+        ERROR_CODES.NO_MATCHING_BAND,
+        `J${grade} is not defined for nominal size ${nominal} mm.`,
+      );
+    }
+    return result(upper, upper - tolerance, step);
+  }
+
+  // Hole deviations are derived from the shaft deviation of the same letter;
+  // K uses the k deviation of grades IT4–IT7
+  const shaftDeviation = getShaftFundamentalDeviation(
+    letter,
+    isHole && letter === "k" ? "IT6" : itGrade,
+    nominal,
+  );
+  if (shaftDeviation.error) {
+    return createError(
+      shaftDeviation.code,
+      shaftDeviation.message.replace(
+        `Deviation ${letter}`,
+        `Deviation ${isHole ? letter.toUpperCase() : letter}`,
+      ),
+    );
+  }
+
+  const { type, value, step } = shaftDeviation;
+
+  if (!isHole) {
+    return type === "es"
+      ? result(value, value - tolerance, step)
+      : result(value + tolerance, value, step);
+  }
+
+  // A–H: EI = −es
+  if (type === "es") {
+    const lower = -value;
+    return result(lower + tolerance, lower, step);
+  }
+
+  // K–ZC: ES = −ei, plus Δ for the finer grades between 3 and 500 mm
+  const nominalSize = Number(nominal);
+  const deltaApplies =
+    nominalSize > 3 &&
+    nominalSize <= 500 &&
+    grade >= 3 &&
+    ((["k", "m", "n"].includes(letter) && grade <= 8) ||
+      (!["k", "m", "n"].includes(letter) && grade <= 7));
+  const delta = deltaApplies
+    ? tolerance - getStandardTolerance(`IT${grade - 1}`, nominal)
+    : 0;
+
+  let upper = -value + delta;
+  if (!deltaApplies && nominalSize > 3) {
+    // K above IT8 (and any K above 500 mm) and N above IT8 sit on zero
+    if (letter === "k" || (letter === "n" && grade > 8)) upper = 0;
+  }
+
+  return result(upper, upper - tolerance, step);
+}
+
+/**
+ * Formats a deviation in µm as a millimetre string, matching
+ * Tolerances.json (e.g. 25 → "0.025", -2.5 → "-0.0025").
+ *
+ * @param {number} micrometres
+ * @returns {string}
+ */
+function formatMillimetres(micrometres) {
+  const millimetres = micrometres / 1000;
+  const decimals = Number.isInteger(micrometres) ? 3 : 4;
+  return (Object.is(millimetres, -0) ? 0 : millimetres).toFixed(decimals);
+}
+
+/**
+ * Builds a tolerance table for any tolerance class, in the same shape as the
+ * arrays in Tolerances.json: one entry per size step the class is defined
+ * for, with deviations and IT values as millimetre strings.
+ *
+ * @param {string} designation - Tolerance class, e.g. "k6" or "M7"
+ * @returns {Array<Object>|{error: true, code: string, message: string}}
+ */
+function buildToleranceTable(designation) {
+  const parsed = parseDesignation(designation);
+  if (parsed.error) return parsed;
+
+  const usesIntermediateSteps = SHAFT_DEVIATIONS[parsed.letter]?.intermediate;
+  const steps = usesIntermediateSteps
+    ? INTERMEDIATE_SIZE_STEPS
+    : MAIN_SIZE_STEPS;
+
+  const table = [];
+  for (let index = 0; index < steps.length - 1; index++) {
+    const limits = getLimitDeviations(designation, steps[index + 1]);
+    if (limits.error) continue;
+
+    const entry = {
+      minimum_diameter: steps[index],
+      maximum_diameter: steps[index + 1],
+      upper_deviation: formatMillimetres(limits.upper),
+      lower_deviation: formatMillimetres(limits.lower),
+    };
+    for (const itGrade of new Set([parsed.grade, "IT6", "IT5"])) {
+      const value = getStandardTolerance(itGrade, steps[index + 1]);
+      if (!value.error) entry[itGrade] = formatMillimetres(value);
+    }
+    table.push(entry);
+  }
+
+  if (table.length === 0) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `${designation} is not defined for any nominal size.`,
+    );
+  }
+
+  return table;
+}
+
+module.exports = {
+  IT_GRADES,
+  MAIN_SIZE_STEPS,
+  INTERMEDIATE_SIZE_STEPS,
+  parseDesignation,
+  findSizeStep,
+  getStandardTolerance,
+  getLimitDeviations,
+  buildToleranceTable,
+  formatMillimetres,
+};
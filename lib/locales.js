@@ -0,0 +1,897 @@
+/**
+ * Message templates of the checkers' reasons and outcomes, and the text
+ * of inspection reports, per locale.
+ *
+ * Templates name their values in braces, e.g. "{measurement}", and are
+ * filled in with format(). Numbers are passed in already formatted and keep
+ * their decimal point in every locale, so reasons quote the same values as
+ * the result fields.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+const DEFAULT_LOCALE = "en";
+
+const LOCALES = {
+  en: {
+    materials: {
+      housingBores: "Housing bore",
+      shafts: "Shaft",
+      shellBores: "Shell bore",
+    },
+    specMet:
+      "{measurement} falls between {lower} and {upper}. So, the material meets {specification} specification.",
+    specNotMet:
+      "{measurement} doesn't fall between {lower} and {upper}. So, the material doesn't meet {specification} specification.",
+    itMet:
+      "The difference between {largest} and {smallest} is less than or equal to {itValue}. So, it meets {itGrade} Tolerance.",
+    itNotMet:
+      "The difference between {largest} and {smallest} is greater than {itValue}. So, it doesn't meet {itGrade} Tolerance.",
+    overSized: "{material} is over-sized.",
+    underSized: "{material} is under-sized.",
+    /** Outcome of a single measurement */
+    inSize: "{material} is in acceptable size.",
+    /** Outcome of a batch */
+    acceptableInSize: "{material} is acceptable in size.",
+    itMetInSize: "And, it meets IT tolerance.",
+    itMetOutOfSize: "However, it meets IT tolerance.",
+    itFailedInSize: "But, it fails IT tolerance.",
+    itFailedOutOfSize: "And, it fails IT tolerance.",
+    finalMet: "Finally, it meets final compliance and is acceptable to use.",
+    finalNotMet:
+      "Finally, it doesn't meet final compliance and is not acceptable to use.",
+    componentAccepted:
+      "All {count} features meet their specification and IT tolerance.",
+    componentRejected: "{failed} of {count} features fail: {failures}.",
+    featureOverSized: "over-sized",
+    featureUnderSized: "under-sized",
+    featureFailsIT: "fails {itGrade}",
+    nominalPlausible:
+      "{measurement} is within {limit} of the declared nominal {nominal}.",
+    nominalAbove:
+      "{measurement} is {distance} above the declared nominal {nominal}. Check the reading or the declared nominal.",
+    nominalBelow:
+      "{measurement} is {distance} below the declared nominal {nominal}. Check the reading or the declared nominal.",
+    batchNominalPlausible:
+      "All readings are within {limit} of the declared nominal {nominal}.",
+    batchNominalImplausible:
+      "{count} reading(s) are more than {limit} away from the declared nominal {nominal}. Check the readings or the declared nominal.",
+    readingNominalOutlier:
+      "{measurement} suggests nominal {inferred}, not the batch nominal {nominal}. It is judged against {nominal}.",
+    /** Thermal compensation; {part} is one of partMaterials */
+    compensated:
+      "Readings taken on {part} at {partTemperature} °C with a steel gauge at {gaugeTemperature} °C are corrected to {referenceTemperature} °C.",
+    partMaterials: {
+      steel: "a steel part",
+      "cast-iron": "a cast iron part",
+      bronze: "a bronze part",
+      aluminium: "an aluminium part",
+      custom: "a part with α = {coefficient} × 10⁻⁶/K",
+    },
+    /** Guard-banded decisions (ISO 14253-1) */
+    decisionConforming:
+      "{measurement} is inside the acceptance limits {lower} to {upper} (specification reduced by U = {uncertainty}), so conformance is proved.",
+    decisionNonConforming:
+      "{measurement} is outside the rejection limits {lower} to {upper} (specification widened by U = {uncertainty}), so non-conformance is proved.",
+    decisionIndeterminate:
+      "{measurement} is within U = {uncertainty} of a specification limit, so neither conformance nor non-conformance is proved.",
+    batchConforming: "All {count} readings prove conformance.",
+    batchNonConforming:
+      "{matching} of {count} readings prove non-conformance: {readings}.",
+    batchIndeterminate:
+      "{matching} of {count} readings are within the uncertainty of a specification limit: {readings}. Conformance is not proved.",
+    emptyAcceptanceZone:
+      "The uncertainty is at least half the tolerance, so no reading can prove conformance.",
+    /** Specification search; {subject} is specsSubjectOne or specsSubjectBatch */
+    marginWithin: "Within {specification} with {margin} to spare.",
+    marginOutside: "Outside {specification} by {margin}.",
+    specsSubjectOne: "{measurement} is",
+    specsSubjectBatch: "Readings {smallest} to {largest} are",
+    specsNone: "{subject} within none of the specifications ({failing}).",
+    specsEvery: "{subject} within every specification ({passing}).",
+    specsSome: "{subject} within {passing} but not {failing}.",
+    conjunctionAnd: "and",
+    conjunctionOr: "or",
+    /** Process capability */
+    capabilityIndeterminate:
+      "The readings show no variation, so capability indices cannot be calculated.",
+    capabilityCapable:
+      "Cpk {cpk} is at least {capable}, so the process is capable of holding {specification}.",
+    capabilityMarginal:
+      "Cpk {cpk} is between {marginal} and {capable}, so the process is marginal for {specification}.",
+    capabilityNotCapable:
+      "Cpk {cpk} is below {marginal}, so the process is not capable of holding {specification}.",
+    capabilityOutOfTolerance:
+      "An estimated {percent}% of parts will be out of tolerance.",
+    capabilitySmallSample:
+      "Based on {count} readings; use at least {recommended} for a reliable estimate.",
+    /** Form checks; {comparison} is formWithinLimit or formOverLimit */
+    formWithinLimit: "within the {itGrade} limit of {limit}",
+    formOverLimit: "over the {itGrade} limit of {limit}",
+    ovality: "Ovality at {position} is {ovality}, {comparison}.",
+    ovalityNeedsAngles:
+      "Ovality at {position} needs readings at two or more angles.",
+    taperNeedsPositions: "Taper needs readings at two or more positions.",
+    taperNone: "There is no taper from {from} to {to}, {comparison}.",
+    taperGrows:
+      "The diameter grows by {taper} from {from} to {to}, {comparison}.",
+    taperShrinks:
+      "The diameter shrinks by {taper} from {from} to {to}, {comparison}.",
+    cylindricityWithin:
+      "Estimated cylindricity is {cylindricity} (radial), within half the {itGrade} value, {limit}.",
+    cylindricityOver:
+      "Estimated cylindricity is {cylindricity} (radial), over half the {itGrade} value, {limit}.",
+    formMet: "Ovality, taper and cylindricity are within {itGrade}.",
+    formNotMet: "The part fails {itGrade} on {failures}.",
+    formFailsOvality: "ovality at {position}",
+    formFailsTaper: "taper",
+    formFailsCylindricity: "cylindricity",
+    /** Fits; {fit} is a designation or measuredFit, {part} fitPartBore or fitPartShaft */
+    fitClearance:
+      "{fit} is a clearance fit: clearance between {min} and {max}.",
+    fitInterference:
+      "{fit} is an interference fit: interference between {min} and {max}.",
+    fitTransition:
+      "{fit} is a transition fit: up to {clearance} clearance or up to {interference} interference.",
+    measuredFit: "The measured fit",
+    fitAchieved:
+      "Bore and shaft both lie within their {fit} tolerance zones, so the design fit is achieved.",
+    fitNotAchievedOne:
+      "{part} is outside the {fit} tolerance zone, so the design fit is not achieved.",
+    fitNotAchievedBoth:
+      "The bore and the shaft are outside the {fit} tolerance zones, so the design fit is not achieved.",
+    fitPartBore: "The bore",
+    fitPartShaft: "The shaft",
+    /** Bearing seats; {type}, {load} and {ring} are one of bearingTypes, bearingLoads and bearingRings */
+    bearingSeats:
+      "{designation} ({type}, {bore} × {outside} × {width}) under a {load} load with the {ring} ring rotating: the {ring} ring needs an interference fit, so the shaft seat is {shaft} and the housing seat {housing}.",
+    bearingTypes: {
+      "deep-groove-ball": "deep groove ball bearing",
+      "angular-contact-ball": "angular contact ball bearing",
+      "spherical-roller": "spherical roller bearing",
+      "tapered-roller": "tapered roller bearing",
+      "cylindrical-roller": "cylindrical roller bearing",
+    },
+    bearingLoads: {
+      light: "light",
+      normal: "normal",
+      heavy: "heavy",
+    },
+    bearingRings: {
+      inner: "inner",
+      outer: "outer",
+    },
+    /** Wear trends; {span} is trendSpan, {excluded} trendExcludedOne or trendExcludedMany */
+    trendExcludedOne:
+      "1 earlier inspection is left out: the nominal or specification changed to {nominal} {specification} after it.",
+    trendExcludedMany:
+      "{count} earlier inspections are left out: the nominal or specification changed to {nominal} {specification} after them.",
+    trendOneDateOne:
+      "One inspection is recorded on {date}; a wear rate needs inspections on at least two dates.",
+    trendOneDateMany:
+      "All {count} inspections are recorded on {date}; a wear rate needs inspections on at least two dates.",
+    trendSpan: "{count} inspections from {from} to {to}",
+    trendUnchanged: "The mean diameter is unchanged over {span}.",
+    trendGrows: "The mean diameter grows by {rate} per year over {span}.",
+    trendShrinks: "The mean diameter shrinks by {rate} per year over {span}.",
+    projectionOutOfSpec:
+      "At the latest inspection ({date}) readings {smallest} to {largest} are already outside {lower} to {upper}.",
+    projectionStable:
+      "The mean diameter does not change between inspections, so no date is projected.",
+    projectionGrowing:
+      "At {rate} per year, the largest reading of {date} ({reading}) reaches the upper bound {bound} around {projectedDate}.",
+    projectionShrinking:
+      "At {rate} per year, the smallest reading of {date} ({reading}) reaches the lower bound {bound} around {projectedDate}.",
+    /** Row errors of inspection sheets */
+    sheetReadingNotNumber: "Reading is not a number.",
+    sheetReadingOutOfRange: "Reading is outside the valid measurement range.",
+    /** Inspection reports */
+    report: {
+      language: "en",
+      title: "Inspection Report",
+      company: "Company",
+      customer: "Customer",
+      reference: "Reference",
+      date: "Date",
+      inspector: "Inspector",
+      summaryOne:
+        "1 component: {accepted} acceptable, {rejected} not acceptable.",
+      summaryMany:
+        "{count} components: {accepted} acceptable, {rejected} not acceptable.",
+      component: "Component {number}",
+      nominal: "Nominal",
+      specification: "Specification",
+      itGrade: "IT grade",
+      lowerBound: "Lower bound",
+      upperBound: "Upper bound",
+      reading: "Reading ({units})",
+      status: "Status",
+      statusIn: "in tolerance",
+      statusOver: "over-sized",
+      statusUnder: "under-sized",
+      markIn: "IN",
+      markOut: "OUT",
+      size: "Size",
+      pass: "PASS",
+      fail: "FAIL",
+      decision: "Decision ({rule}, U = {uncertainty}): {verdict} — {reason}",
+      verdictConforming: "CONFORMING",
+      verdictNonConforming: "NON-CONFORMING",
+      verdictIndeterminate: "INDETERMINATE",
+      finalCompliance: "Final compliance: {verdict}",
+      acceptable: "ACCEPTABLE",
+      notAcceptable: "NOT ACCEPTABLE",
+      inspectedBy: "Inspected by",
+      approvedBy: "Approved by",
+      signatureDate: "Date:",
+      page: "{title} — page {page} of {pages}",
+    },
+  },
+  es: {
+    materials: {
+      housingBores: "Alojamiento",
+      shafts: "Eje",
+      shellBores: "Carcasa",
+    },
+    specMet:
+      "{measurement} está entre {lower} y {upper}. Por lo tanto, el material cumple la especificación {specification}.",
+    specNotMet:
+      "{measurement} no está entre {lower} y {upper}. Por lo tanto, el material no cumple la especificación {specification}.",
+    itMet:
+      "La diferencia entre {largest} y {smallest} es menor o igual que {itValue}. Por lo tanto, cumple la tolerancia {itGrade}.",
+    itNotMet:
+      "La diferencia entre {largest} y {smallest} es mayor que {itValue}. Por lo tanto, no cumple la tolerancia {itGrade}.",
+    overSized: "{material}: sobremedida.",
+    underSized: "{material}: bajo medida.",
+    inSize: "{material}: medida aceptable.",
+    acceptableInSize: "{material}: medida aceptable.",
+    itMetInSize: "Además, cumple la tolerancia IT.",
+    itMetOutOfSize: "Sin embargo, cumple la tolerancia IT.",
+    itFailedInSize: "Pero no cumple la tolerancia IT.",
+    itFailedOutOfSize: "Además, no cumple la tolerancia IT.",
+    finalMet:
+      "En conclusión, cumple la conformidad final y es apto para el uso.",
+    finalNotMet:
+      "En conclusión, no cumple la conformidad final y no es apto para el uso.",
+    componentAccepted:
+      "Las {count} características cumplen su especificación y su tolerancia IT.",
+    componentRejected:
+      "{failed} de {count} características no cumplen: {failures}.",
+    featureOverSized: "sobremedida",
+    featureUnderSized: "bajo medida",
+    featureFailsIT: "no cumple {itGrade}",
+    nominalPlausible:
+      "{measurement} está a menos de {limit} del nominal declarado {nominal}.",
+    nominalAbove:
+      "{measurement} está {distance} por encima del nominal declarado {nominal}. Revise la lectura o el nominal declarado.",
+    nominalBelow:
+      "{measurement} está {distance} por debajo del nominal declarado {nominal}. Revise la lectura o el nominal declarado.",
+    batchNominalPlausible:
+      "Todas las lecturas están a menos de {limit} del nominal declarado {nominal}.",
+    batchNominalImplausible:
+      "{count} lectura(s) están a más de {limit} del nominal declarado {nominal}. Revise las lecturas o el nominal declarado.",
+    readingNominalOutlier:
+      "{measurement} sugiere el nominal {inferred}, no el nominal del lote {nominal}. Se evalúa contra {nominal}.",
+    compensated:
+      "Las lecturas tomadas en {part} a {partTemperature} °C con un calibre de acero a {gaugeTemperature} °C se corrigen a {referenceTemperature} °C.",
+    partMaterials: {
+      steel: "una pieza de acero",
+      "cast-iron": "una pieza de fundición",
+      bronze: "una pieza de bronce",
+      aluminium: "una pieza de aluminio",
+      custom: "una pieza con α = {coefficient} × 10⁻⁶/K",
+    },
+    decisionConforming:
+      "{measurement} está dentro de los límites de aceptación {lower} a {upper} (especificación reducida en U = {uncertainty}), por lo que se demuestra la conformidad.",
+    decisionNonConforming:
+      "{measurement} está fuera de los límites de rechazo {lower} a {upper} (especificación ampliada en U = {uncertainty}), por lo que se demuestra la no conformidad.",
+    decisionIndeterminate:
+      "{measurement} está a menos de U = {uncertainty} de un límite de especificación, por lo que no se demuestra ni la conformidad ni la no conformidad.",
+    batchConforming: "Las {count} lecturas demuestran la conformidad.",
+    batchNonConforming:
+      "{matching} de {count} lecturas demuestran la no conformidad: {readings}.",
+    batchIndeterminate:
+      "{matching} de {count} lecturas están dentro de la incertidumbre de un límite de especificación: {readings}. No se demuestra la conformidad.",
+    emptyAcceptanceZone:
+      "La incertidumbre es al menos la mitad de la tolerancia, por lo que ninguna lectura puede demostrar la conformidad.",
+    marginWithin: "Dentro de {specification} con {margin} de margen.",
+    marginOutside: "Fuera de {specification} por {margin}.",
+    specsSubjectOne: "{measurement} está",
+    specsSubjectBatch: "Las lecturas {smallest} a {largest} están",
+    specsNone: "{subject} fuera de todas las especificaciones ({failing}).",
+    specsEvery: "{subject} dentro de todas las especificaciones ({passing}).",
+    specsSome: "{subject} dentro de {passing}, pero no de {failing}.",
+    conjunctionAnd: "y",
+    conjunctionOr: "o",
+    capabilityIndeterminate:
+      "Las lecturas no muestran variación, por lo que no se pueden calcular los índices de capacidad.",
+    capabilityCapable:
+      "Cpk {cpk} es al menos {capable}, por lo que el proceso es capaz de mantener {specification}.",
+    capabilityMarginal:
+      "Cpk {cpk} está entre {marginal} y {capable}, por lo que el proceso es marginal para {specification}.",
+    capabilityNotCapable:
+      "Cpk {cpk} es menor que {marginal}, por lo que el proceso no es capaz de mantener {specification}.",
+    capabilityOutOfTolerance:
+      "Se estima que un {percent}% de las piezas quedará fuera de tolerancia.",
+    capabilitySmallSample:
+      "Basado en {count} lecturas; use al menos {recommended} para una estimación fiable.",
+    formWithinLimit: "dentro del límite {itGrade} de {limit}",
+    formOverLimit: "por encima del límite {itGrade} de {limit}",
+    ovality: "La ovalidad en {position} es {ovality}, {comparison}.",
+    ovalityNeedsAngles:
+      "La ovalidad en {position} necesita lecturas en dos o más ángulos.",
+    taperNeedsPositions:
+      "La conicidad necesita lecturas en dos o más posiciones.",
+    taperNone: "No hay conicidad de {from} a {to}, {comparison}.",
+    taperGrows: "El diámetro crece {taper} de {from} a {to}, {comparison}.",
+    taperShrinks: "El diámetro decrece {taper} de {from} a {to}, {comparison}.",
+    cylindricityWithin:
+      "La cilindricidad estimada es {cylindricity} (radial), dentro de la mitad del valor {itGrade}, {limit}.",
+    cylindricityOver:
+      "La cilindricidad estimada es {cylindricity} (radial), por encima de la mitad del valor {itGrade}, {limit}.",
+    formMet:
+      "La ovalidad, la conicidad y la cilindricidad están dentro de {itGrade}.",
+    formNotMet: "La pieza no cumple {itGrade} en {failures}.",
+    formFailsOvality: "ovalidad en {position}",
+    formFailsTaper: "conicidad",
+    formFailsCylindricity: "cilindricidad",
+    fitClearance: "{fit} es un ajuste con juego: juego entre {min} y {max}.",
+    fitInterference:
+      "{fit} es un ajuste con apriete: apriete entre {min} y {max}.",
+    fitTransition:
+      "{fit} es un ajuste indeterminado: hasta {clearance} de juego o hasta {interference} de apriete.",
+    measuredFit: "El ajuste medido",
+    fitAchieved:
+      "El agujero y el eje están dentro de sus zonas de tolerancia {fit}, así que se logra el ajuste de diseño.",
+    fitNotAchievedOne:
+      "{part} está fuera de la zona de tolerancia {fit}, así que no se logra el ajuste de diseño.",
+    fitNotAchievedBoth:
+      "El agujero y el eje están fuera de sus zonas de tolerancia {fit}, así que no se logra el ajuste de diseño.",
+    fitPartBore: "El agujero",
+    fitPartShaft: "El eje",
+    bearingSeats:
+      "{designation} ({type}, {bore} × {outside} × {width}) con carga {load} y el {ring} girando: el {ring} necesita un ajuste con apriete, así que el asiento del eje es {shaft} y el del alojamiento, {housing}.",
+    bearingTypes: {
+      "deep-groove-ball": "rodamiento rígido de bolas",
+      "angular-contact-ball": "rodamiento de bolas de contacto angular",
+      "spherical-roller": "rodamiento de rodillos a rótula",
+      "tapered-roller": "rodamiento de rodillos cónicos",
+      "cylindrical-roller": "rodamiento de rodillos cilíndricos",
+    },
+    bearingLoads: {
+      light: "ligera",
+      normal: "normal",
+      heavy: "pesada",
+    },
+    bearingRings: {
+      inner: "aro interior",
+      outer: "aro exterior",
+    },
+    trendExcludedOne:
+      "Se omite 1 inspección anterior: después, el nominal o la especificación cambió a {nominal} {specification}.",
+    trendExcludedMany:
+      "Se omiten {count} inspecciones anteriores: después, el nominal o la especificación cambió a {nominal} {specification}.",
+    trendOneDateOne:
+      "Hay una inspección registrada el {date}; una tasa de desgaste necesita inspecciones en al menos dos fechas.",
+    trendOneDateMany:
+      "Las {count} inspecciones están registradas el {date}; una tasa de desgaste necesita inspecciones en al menos dos fechas.",
+    trendSpan: "{count} inspecciones del {from} al {to}",
+    trendUnchanged: "El diámetro medio no cambia en {span}.",
+    trendGrows: "El diámetro medio crece {rate} por año en {span}.",
+    trendShrinks: "El diámetro medio disminuye {rate} por año en {span}.",
+    projectionOutOfSpec:
+      "En la última inspección ({date}), las lecturas {smallest} a {largest} ya están fuera de {lower} a {upper}.",
+    projectionStable:
+      "El diámetro medio no cambia entre inspecciones, así que no se proyecta ninguna fecha.",
+    projectionGrowing:
+      "A {rate} por año, la lectura más grande del {date} ({reading}) alcanza el límite superior {bound} hacia el {projectedDate}.",
+    projectionShrinking:
+      "A {rate} por año, la lectura más pequeña del {date} ({reading}) alcanza el límite inferior {bound} hacia el {projectedDate}.",
+    sheetReadingNotNumber: "La lectura no es un número.",
+    sheetReadingOutOfRange:
+      "La lectura está fuera del rango de medición válido.",
+    report: {
+      language: "es",
+      title: "Informe de inspección",
+      company: "Empresa",
+      customer: "Cliente",
+      reference: "Referencia",
+      date: "Fecha",
+      inspector: "Inspector",
+      summaryOne:
+        "1 componente. Aceptables: {accepted}; no aceptables: {rejected}.",
+      summaryMany:
+        "{count} componentes. Aceptables: {accepted}; no aceptables: {rejected}.",
+      component: "Componente {number}",
+      nominal: "Nominal",
+      specification: "Especificación",
+      itGrade: "Grado IT",
+      lowerBound: "Límite inferior",
+      upperBound: "Límite superior",
+      reading: "Lectura ({units})",
+      status: "Estado",
+      statusIn: "dentro de tolerancia",
+      statusOver: "sobremedida",
+      statusUnder: "bajo medida",
+      markIn: "DENTRO",
+      markOut: "FUERA",
+      size: "Medida",
+      pass: "CUMPLE",
+      fail: "NO CUMPLE",
+      decision: "Decisión ({rule}, U = {uncertainty}): {verdict} — {reason}",
+      verdictConforming: "CONFORME",
+      verdictNonConforming: "NO CONFORME",
+      verdictIndeterminate: "INDETERMINADO",
+      finalCompliance: "Conformidad final: {verdict}",
+      acceptable: "ACEPTABLE",
+      notAcceptable: "NO ACEPTABLE",
+      inspectedBy: "Inspeccionado por",
+      approvedBy: "Aprobado por",
+      signatureDate: "Fecha:",
+      page: "{title} — página {page} de {pages}",
+    },
+  },
+  pt: {
+    materials: {
+      housingBores: "Alojamento",
+      shafts: "Eixo",
+      shellBores: "Carcaça",
+    },
+    specMet:
+      "{measurement} está entre {lower} e {upper}. Portanto, o material atende à especificação {specification}.",
+    specNotMet:
+      "{measurement} não está entre {lower} e {upper}. Portanto, o material não atende à especificação {specification}.",
+    itMet:
+      "A diferença entre {largest} e {smallest} é menor ou igual a {itValue}. Portanto, atende à tolerância {itGrade}.",
+    itNotMet:
+      "A diferença entre {largest} e {smallest} é maior que {itValue}. Portanto, não atende à tolerância {itGrade}.",
+    overSized: "{material}: acima da medida.",
+    underSized: "{material}: abaixo da medida.",
+    inSize: "{material}: medida aceitável.",
+    acceptableInSize: "{material}: medida aceitável.",
+    itMetInSize: "E atende à tolerância IT.",
+    itMetOutOfSize: "No entanto, atende à tolerância IT.",
+    itFailedInSize: "Mas não atende à tolerância IT.",
+    itFailedOutOfSize: "E não atende à tolerância IT.",
+    finalMet: "Por fim, atende à conformidade final e pode ser utilizado.",
+    finalNotMet:
+      "Por fim, não atende à conformidade final e não pode ser utilizado.",
+    componentAccepted:
+      "As {count} características atendem à especificação e à tolerância IT.",
+    componentRejected:
+      "{failed} de {count} características não atendem: {failures}.",
+    featureOverSized: "acima da medida",
+    featureUnderSized: "abaixo da medida",
+    featureFailsIT: "não atende {itGrade}",
+    nominalPlausible:
+      "{measurement} está a menos de {limit} do nominal declarado {nominal}.",
+    nominalAbove:
+      "{measurement} está {distance} acima do nominal declarado {nominal}. Verifique a leitura ou o nominal declarado.",
+    nominalBelow:
+      "{measurement} está {distance} abaixo do nominal declarado {nominal}. Verifique a leitura ou o nominal declarado.",
+    batchNominalPlausible:
+      "Todas as leituras estão a menos de {limit} do nominal declarado {nominal}.",
+    batchNominalImplausible:
+      "{count} leitura(s) estão a mais de {limit} do nominal declarado {nominal}. Verifique as leituras ou o nominal declarado.",
+    readingNominalOutlier:
+      "{measurement} sugere o nominal {inferred}, não o nominal do lote {nominal}. É avaliada em relação a {nominal}.",
+    compensated:
+      "As leituras feitas em {part} a {partTemperature} °C com um calibre de aço a {gaugeTemperature} °C são corrigidas para {referenceTemperature} °C.",
+    partMaterials: {
+      steel: "uma peça de aço",
+      "cast-iron": "uma peça de ferro fundido",
+      bronze: "uma peça de bronze",
+      aluminium: "uma peça de alumínio",
+      custom: "uma peça com α = {coefficient} × 10⁻⁶/K",
+    },
+    decisionConforming:
+      "{measurement} está dentro dos limites de aceitação {lower} a {upper} (especificação reduzida em U = {uncertainty}), portanto a conformidade está comprovada.",
+    decisionNonConforming:
+      "{measurement} está fora dos limites de rejeição {lower} a {upper} (especificação ampliada em U = {uncertainty}), portanto a não conformidade está comprovada.",
+    decisionIndeterminate:
+      "{measurement} está a menos de U = {uncertainty} de um limite de especificação, portanto nem a conformidade nem a não conformidade está comprovada.",
+    batchConforming: "As {count} leituras comprovam a conformidade.",
+    batchNonConforming:
+      "{matching} de {count} leituras comprovam a não conformidade: {readings}.",
+    batchIndeterminate:
+      "{matching} de {count} leituras estão dentro da incerteza de um limite de especificação: {readings}. A conformidade não está comprovada.",
+    emptyAcceptanceZone:
+      "A incerteza é pelo menos metade da tolerância, portanto nenhuma leitura pode comprovar a conformidade.",
+    marginWithin: "Dentro de {specification} com {margin} de folga.",
+    marginOutside: "Fora de {specification} por {margin}.",
+    specsSubjectOne: "{measurement} está",
+    specsSubjectBatch: "As leituras {smallest} a {largest} estão",
+    specsNone: "{subject} fora de todas as especificações ({failing}).",
+    specsEvery: "{subject} dentro de todas as especificações ({passing}).",
+    specsSome: "{subject} dentro de {passing}, mas não de {failing}.",
+    conjunctionAnd: "e",
+    conjunctionOr: "ou",
+    capabilityIndeterminate:
+      "As leituras não mostram variação, portanto os índices de capacidade não podem ser calculados.",
+    capabilityCapable:
+      "Cpk {cpk} é pelo menos {capable}, portanto o processo é capaz de manter {specification}.",
+    capabilityMarginal:
+      "Cpk {cpk} está entre {marginal} e {capable}, portanto o processo é marginal para {specification}.",
+    capabilityNotCapable:
+      "Cpk {cpk} é menor que {marginal}, portanto o processo não é capaz de manter {specification}.",
+    capabilityOutOfTolerance:
+      "Estima-se que {percent}% das peças ficarão fora de tolerância.",
+    capabilitySmallSample:
+      "Com base em {count} leituras; use pelo menos {recommended} para uma estimativa confiável.",
+    formWithinLimit: "dentro do limite {itGrade} de {limit}",
+    formOverLimit: "acima do limite {itGrade} de {limit}",
+    ovality: "A ovalização em {position} é {ovality}, {comparison}.",
+    ovalityNeedsAngles:
+      "A ovalização em {position} precisa de leituras em dois ou mais ângulos.",
+    taperNeedsPositions:
+      "A conicidade precisa de leituras em duas ou mais posições.",
+    taperNone: "Não há conicidade de {from} a {to}, {comparison}.",
+    taperGrows: "O diâmetro aumenta {taper} de {from} a {to}, {comparison}.",
+    taperShrinks: "O diâmetro diminui {taper} de {from} a {to}, {comparison}.",
+    cylindricityWithin:
+      "A cilindricidade estimada é {cylindricity} (radial), dentro da metade do valor {itGrade}, {limit}.",
+    cylindricityOver:
+      "A cilindricidade estimada é {cylindricity} (radial), acima da metade do valor {itGrade}, {limit}.",
+    formMet:
+      "A ovalização, a conicidade e a cilindricidade estão dentro de {itGrade}.",
+    formNotMet: "A peça não atende {itGrade} em {failures}.",
+    formFailsOvality: "ovalização em {position}",
+    formFailsTaper: "conicidade",
+    formFailsCylindricity: "cilindricidade",
+    fitClearance: "{fit} é um ajuste com folga: folga entre {min} e {max}.",
+    fitInterference:
+      "{fit} é um ajuste com interferência: interferência entre {min} e {max}.",
+    fitTransition:
+      "{fit} é um ajuste incerto: até {clearance} de folga ou até {interference} de interferência.",
+    measuredFit: "O ajuste medido",
+    fitAchieved:
+      "O furo e o eixo estão dentro das suas zonas de tolerância {fit}, por isso o ajuste de projeto é atingido.",
+    fitNotAchievedOne:
+      "{part} está fora da zona de tolerância {fit}, por isso o ajuste de projeto não é atingido.",
+    fitNotAchievedBoth:
+      "O furo e o eixo estão fora das suas zonas de tolerância {fit}, por isso o ajuste de projeto não é atingido.",
+    fitPartBore: "O furo",
+    fitPartShaft: "O eixo",
+    bearingSeats:
+      "{designation} ({type}, {bore} × {outside} × {width}) com carga {load} e o {ring} girando: o {ring} precisa de um ajuste com interferência, por isso o assento do eixo é {shaft} e o do alojamento, {housing}.",
+    bearingTypes: {
+      "deep-groove-ball": "rolamento rígido de esferas",
+      "angular-contact-ball": "rolamento de esferas de contato angular",
+      "spherical-roller": "rolamento autocompensador de rolos",
+      "tapered-roller": "rolamento de rolos cônicos",
+      "cylindrical-roller": "rolamento de rolos cilíndricos",
+    },
+    bearingLoads: {
+      light: "leve",
+      normal: "normal",
+      heavy: "pesada",
+    },
+    bearingRings: {
+      inner: "anel interno",
+      outer: "anel externo",
+    },
+    trendExcludedOne:
+      "1 inspeção anterior foi deixada de fora: depois dela, o nominal ou a especificação mudou para {nominal} {specification}.",
+    trendExcludedMany:
+      "{count} inspeções anteriores foram deixadas de fora: depois delas, o nominal ou a especificação mudou para {nominal} {specification}.",
+    trendOneDateOne:
+      "Há uma inspeção registrada em {date}; uma taxa de desgaste precisa de inspeções em pelo menos duas datas.",
+    trendOneDateMany:
+      "Todas as {count} inspeções estão registradas em {date}; uma taxa de desgaste precisa de inspeções em pelo menos duas datas.",
+    trendSpan: "{count} inspeções de {from} a {to}",
+    trendUnchanged: "O diâmetro médio não muda em {span}.",
+    trendGrows: "O diâmetro médio cresce {rate} por ano em {span}.",
+    trendShrinks: "O diâmetro médio diminui {rate} por ano em {span}.",
+    projectionOutOfSpec:
+      "Na última inspeção ({date}), as leituras {smallest} a {largest} já estão fora de {lower} a {upper}.",
+    projectionStable:
+      "O diâmetro médio não muda entre as inspeções, por isso nenhuma data é projetada.",
+    projectionGrowing:
+      "A {rate} por ano, a maior leitura de {date} ({reading}) atinge o limite superior {bound} por volta de {projectedDate}.",
+    projectionShrinking:
+      "A {rate} por ano, a menor leitura de {date} ({reading}) atinge o limite inferior {bound} por volta de {projectedDate}.",
+    sheetReadingNotNumber: "A leitura não é um número.",
+    sheetReadingOutOfRange: "A leitura está fora da faixa de medição válida.",
+    report: {
+      language: "pt",
+      title: "Relatório de inspeção",
+      company: "Empresa",
+      customer: "Cliente",
+      reference: "Referência",
+      date: "Data",
+      inspector: "Inspetor",
+      summaryOne:
+        "1 componente. Aceitáveis: {accepted}; não aceitáveis: {rejected}.",
+      summaryMany:
+        "{count} componentes. Aceitáveis: {accepted}; não aceitáveis: {rejected}.",
+      component: "Componente {number}",
+      nominal: "Nominal",
+      specification: "Especificação",
+      itGrade: "Grau IT",
+      lowerBound: "Limite inferior",
+      upperBound: "Limite superior",
+      reading: "Leitura ({units})",
+      status: "Estado",
+      statusIn: "dentro da tolerância",
+      statusOver: "acima da medida",
+      statusUnder: "abaixo da medida",
+      markIn: "DENTRO",
+      markOut: "FORA",
+      size: "Medida",
+      pass: "APROVADO",
+      fail: "REPROVADO",
+      decision: "Decisão ({rule}, U = {uncertainty}): {verdict} — {reason}",
+      verdictConforming: "CONFORME",
+      verdictNonConforming: "NÃO CONFORME",
+      verdictIndeterminate: "INDETERMINADO",
+      finalCompliance: "Conformidade final: {verdict}",
+      acceptable: "ACEITÁVEL",
+      notAcceptable: "NÃO ACEITÁVEL",
+      inspectedBy: "Inspecionado por",
+      approvedBy: "Aprovado por",
+      signatureDate: "Data:",
+      page: "{title} — página {page} de {pages}",
+    },
+  },
+  de: {
+    materials: {
+      housingBores: "Gehäusebohrung",
+      shafts: "Welle",
+      shellBores: "Schalenbohrung",
+    },
+    specMet:
+      "{measurement} liegt zwischen {lower} und {upper}. Das Teil erfüllt damit die Spezifikation {specification}.",
+    specNotMet:
+      "{measurement} liegt nicht zwischen {lower} und {upper}. Das Teil erfüllt damit die Spezifikation {specification} nicht.",
+    itMet:
+      "Die Differenz zwischen {largest} und {smallest} ist kleiner oder gleich {itValue}. Die Toleranz {itGrade} ist damit eingehalten.",
+    itNotMet:
+      "Die Differenz zwischen {largest} und {smallest} ist größer als {itValue}. Die Toleranz {itGrade} ist damit nicht eingehalten.",
+    overSized: "{material}: Übermaß.",
+    underSized: "{material}: Untermaß.",
+    inSize: "{material}: Maß in Ordnung.",
+    acceptableInSize: "{material}: Maß in Ordnung.",
+    itMetInSize: "Die IT-Toleranz ist eingehalten.",
+    itMetOutOfSize: "Die IT-Toleranz ist jedoch eingehalten.",
+    itFailedInSize: "Die IT-Toleranz ist jedoch nicht eingehalten.",
+    itFailedOutOfSize: "Auch die IT-Toleranz ist nicht eingehalten.",
+    finalMet: "Ergebnis: Das Teil ist konform und verwendbar.",
+    finalNotMet: "Ergebnis: Das Teil ist nicht konform und nicht verwendbar.",
+    componentAccepted:
+      "Alle {count} Merkmale erfüllen ihre Spezifikation und IT-Toleranz.",
+    componentRejected:
+      "{failed} von {count} Merkmalen nicht in Ordnung: {failures}.",
+    featureOverSized: "Übermaß",
+    featureUnderSized: "Untermaß",
+    featureFailsIT: "{itGrade} nicht eingehalten",
+    nominalPlausible:
+      "{measurement} liegt weniger als {limit} vom angegebenen Nennmaß {nominal} entfernt.",
+    nominalAbove:
+      "{measurement} liegt {distance} über dem angegebenen Nennmaß {nominal}. Messwert oder Nennmaß prüfen.",
+    nominalBelow:
+      "{measurement} liegt {distance} unter dem angegebenen Nennmaß {nominal}. Messwert oder Nennmaß prüfen.",
+    batchNominalPlausible:
+      "Alle Messwerte liegen weniger als {limit} vom angegebenen Nennmaß {nominal} entfernt.",
+    batchNominalImplausible:
+      "{count} Messwert(e) liegen mehr als {limit} vom angegebenen Nennmaß {nominal} entfernt. Messwerte oder Nennmaß prüfen.",
+    readingNominalOutlier:
+      "{measurement} deutet auf das Nennmaß {inferred} hin, nicht auf das Nennmaß {nominal} der Messreihe. Der Messwert wird gegen {nominal} geprüft.",
+    compensated:
+      "Messwerte an {part} bei {partTemperature} °C mit einem Messmittel aus Stahl bei {gaugeTemperature} °C werden auf {referenceTemperature} °C korrigiert.",
+    partMaterials: {
+      steel: "einem Stahlteil",
+      "cast-iron": "einem Gussteil",
+      bronze: "einem Bronzeteil",
+      aluminium: "einem Aluminiumteil",
+      custom: "einem Teil mit α = {coefficient} × 10⁻⁶/K",
+    },
+    decisionConforming:
+      "{measurement} liegt innerhalb der Annahmegrenzen {lower} bis {upper} (Spezifikation um U = {uncertainty} verkleinert). Die Konformität ist damit nachgewiesen.",
+    decisionNonConforming:
+      "{measurement} liegt außerhalb der Rückweisungsgrenzen {lower} bis {upper} (Spezifikation um U = {uncertainty} erweitert). Die Nichtkonformität ist damit nachgewiesen.",
+    decisionIndeterminate:
+      "{measurement} liegt weniger als U = {uncertainty} von einer Spezifikationsgrenze entfernt. Weder Konformität noch Nichtkonformität ist damit nachgewiesen.",
+    batchConforming: "Alle {count} Messwerte weisen die Konformität nach.",
+    batchNonConforming:
+      "{matching} von {count} Messwerten weisen die Nichtkonformität nach: {readings}.",
+    batchIndeterminate:
+      "{matching} von {count} Messwerten liegen innerhalb der Unsicherheit einer Spezifikationsgrenze: {readings}. Die Konformität ist nicht nachgewiesen.",
+    emptyAcceptanceZone:
+      "Die Unsicherheit beträgt mindestens die halbe Toleranz, daher kann kein Messwert die Konformität nachweisen.",
+    marginWithin: "Innerhalb von {specification} mit {margin} Reserve.",
+    marginOutside: "Außerhalb von {specification} um {margin}.",
+    specsSubjectOne: "{measurement} liegt",
+    specsSubjectBatch: "Die Messwerte {smallest} bis {largest} liegen",
+    specsNone: "{subject} außerhalb aller Spezifikationen ({failing}).",
+    specsEvery: "{subject} innerhalb aller Spezifikationen ({passing}).",
+    specsSome: "{subject} innerhalb von {passing}, aber nicht von {failing}.",
+    conjunctionAnd: "und",
+    conjunctionOr: "oder",
+    capabilityIndeterminate:
+      "Die Messwerte streuen nicht, daher können keine Fähigkeitskennwerte berechnet werden.",
+    capabilityCapable:
+      "Cpk {cpk} ist mindestens {capable}. Der Prozess ist damit fähig, {specification} einzuhalten.",
+    capabilityMarginal:
+      "Cpk {cpk} liegt zwischen {marginal} und {capable}. Der Prozess ist damit für {specification} bedingt fähig.",
+    capabilityNotCapable:
+      "Cpk {cpk} ist kleiner als {marginal}. Der Prozess ist damit nicht fähig, {specification} einzuhalten.",
+    capabilityOutOfTolerance:
+      "Geschätzt liegen {percent}% der Teile außerhalb der Toleranz.",
+    capabilitySmallSample:
+      "Grundlage sind {count} Messwerte; für eine zuverlässige Schätzung mindestens {recommended} verwenden.",
+    formWithinLimit: "innerhalb der Grenze {itGrade} von {limit}",
+    formOverLimit: "über der Grenze {itGrade} von {limit}",
+    ovality: "Die Ovalität bei {position} beträgt {ovality}, {comparison}.",
+    ovalityNeedsAngles:
+      "Die Ovalität bei {position} braucht Messwerte unter zwei oder mehr Winkeln.",
+    taperNeedsPositions:
+      "Die Konizität braucht Messwerte an zwei oder mehr Positionen.",
+    taperNone: "Von {from} bis {to} gibt es keine Konizität, {comparison}.",
+    taperGrows:
+      "Der Durchmesser wächst von {from} bis {to} um {taper}, {comparison}.",
+    taperShrinks:
+      "Der Durchmesser nimmt von {from} bis {to} um {taper} ab, {comparison}.",
+    cylindricityWithin:
+      "Die geschätzte Zylinderform beträgt {cylindricity} (radial), innerhalb des halben {itGrade}-Werts von {limit}.",
+    cylindricityOver:
+      "Die geschätzte Zylinderform beträgt {cylindricity} (radial), über dem halben {itGrade}-Wert von {limit}.",
+    formMet:
+      "Ovalität, Konizität und Zylinderform liegen innerhalb von {itGrade}.",
+    formNotMet: "Das Teil hält {itGrade} nicht ein bei: {failures}.",
+    formFailsOvality: "Ovalität bei {position}",
+    formFailsTaper: "Konizität",
+    formFailsCylindricity: "Zylinderform",
+    fitClearance:
+      "{fit} ist eine Spielpassung: Spiel zwischen {min} und {max}.",
+    fitInterference:
+      "{fit} ist eine Übermaßpassung: Übermaß zwischen {min} und {max}.",
+    fitTransition:
+      "{fit} ist eine Übergangspassung: bis zu {clearance} Spiel oder bis zu {interference} Übermaß.",
+    measuredFit: "Die gemessene Passung",
+    fitAchieved:
+      "Bohrung und Welle liegen beide in ihren Toleranzfeldern von {fit}. Die Passung ist damit erreicht.",
+    fitNotAchievedOne:
+      "{part} liegt außerhalb des Toleranzfelds von {fit}. Die Passung ist damit nicht erreicht.",
+    fitNotAchievedBoth:
+      "Bohrung und Welle liegen außerhalb ihrer Toleranzfelder von {fit}. Die Passung ist damit nicht erreicht.",
+    fitPartBore: "Die Bohrung",
+    fitPartShaft: "Die Welle",
+    bearingSeats:
+      "{designation} ({type}, {bore} × {outside} × {width}) bei {load} Last mit umlaufendem {ring}: Der {ring} braucht eine Übermaßpassung, daher ist der Wellensitz {shaft} und der Gehäusesitz {housing}.",
+    bearingTypes: {
+      "deep-groove-ball": "Rillenkugellager",
+      "angular-contact-ball": "Schrägkugellager",
+      "spherical-roller": "Pendelrollenlager",
+      "tapered-roller": "Kegelrollenlager",
+      "cylindrical-roller": "Zylinderrollenlager",
+    },
+    bearingLoads: {
+      light: "leichter",
+      normal: "normaler",
+      heavy: "hoher",
+    },
+    bearingRings: {
+      inner: "Innenring",
+      outer: "Außenring",
+    },
+    trendExcludedOne:
+      "1 frühere Prüfung ist nicht berücksichtigt: Danach wurde das Nennmaß oder die Spezifikation auf {nominal} {specification} geändert.",
+    trendExcludedMany:
+      "{count} frühere Prüfungen sind nicht berücksichtigt: Danach wurde das Nennmaß oder die Spezifikation auf {nominal} {specification} geändert.",
+    trendOneDateOne:
+      "Eine Prüfung ist am {date} erfasst; eine Verschleißrate braucht Prüfungen an mindestens zwei Tagen.",
+    trendOneDateMany:
+      "Alle {count} Prüfungen sind am {date} erfasst; eine Verschleißrate braucht Prüfungen an mindestens zwei Tagen.",
+    trendSpan: "{count} Prüfungen von {from} bis {to}",
+    trendUnchanged: "Der mittlere Durchmesser ist über {span} unverändert.",
+    trendGrows:
+      "Der mittlere Durchmesser wächst über {span} um {rate} pro Jahr.",
+    trendShrinks:
+      "Der mittlere Durchmesser nimmt über {span} um {rate} pro Jahr ab.",
+    projectionOutOfSpec:
+      "Bei der letzten Prüfung ({date}) liegen die Messwerte {smallest} bis {largest} bereits außerhalb von {lower} bis {upper}.",
+    projectionStable:
+      "Der mittlere Durchmesser ändert sich zwischen den Prüfungen nicht, daher wird kein Datum prognostiziert.",
+    projectionGrowing:
+      "Bei {rate} pro Jahr erreicht der größte Messwert vom {date} ({reading}) das Höchstmaß {bound} um den {projectedDate}.",
+    projectionShrinking:
+      "Bei {rate} pro Jahr erreicht der kleinste Messwert vom {date} ({reading}) das Mindestmaß {bound} um den {projectedDate}.",
+    sheetReadingNotNumber: "Der Messwert ist keine Zahl.",
+    sheetReadingOutOfRange:
+      "Der Messwert liegt außerhalb des gültigen Messbereichs.",
+    report: {
+      language: "de",
+      title: "Prüfbericht",
+      company: "Firma",
+      customer: "Kunde",
+      reference: "Referenz",
+      date: "Datum",
+      inspector: "Prüfer",
+      summaryOne:
+        "1 Bauteil: {accepted} annehmbar, {rejected} nicht annehmbar.",
+      summaryMany:
+        "{count} Bauteile: {accepted} annehmbar, {rejected} nicht annehmbar.",
+      component: "Bauteil {number}",
+      nominal: "Nennmaß",
+      specification: "Spezifikation",
+      itGrade: "IT-Grad",
+      lowerBound: "Mindestmaß",
+      upperBound: "Höchstmaß",
+      reading: "Messwert ({units})",
+      status: "Status",
+      statusIn: "innerhalb der Toleranz",
+      statusOver: "Übermaß",
+      statusUnder: "Untermaß",
+      markIn: "IN",
+      markOut: "AUS",
+      size: "Maß",
+      pass: "BESTANDEN",
+      fail: "NICHT BESTANDEN",
+      decision:
+        "Entscheidung ({rule}, U = {uncertainty}): {verdict} — {reason}",
+      verdictConforming: "KONFORM",
+      verdictNonConforming: "NICHT KONFORM",
+      verdictIndeterminate: "UNBESTIMMT",
+      finalCompliance: "Endergebnis: {verdict}",
+      acceptable: "ANNEHMBAR",
+      notAcceptable: "NICHT ANNEHMBAR",
+      inspectedBy: "Geprüft von",
+      approvedBy: "Freigegeben von",
+      signatureDate: "Datum:",
+      page: "{title} — Seite {page} von {pages}",
+    },
+  },
+};
+
+/**
+ * Resolves a locale to its messages. Regional variants use their language:
+ * "es-MX" and "pt_BR" resolve to "es" and "pt".
+ *
+ * @param {string} [locale="en"]
+ * @returns {Object|{error: true, code: string, message: string}} Messages of the locale
+ */
+function resolveLocale(locale = DEFAULT_LOCALE) {
+  const language =
+    typeof locale === "string"
+      ? locale.trim().toLowerCase().split(/[-_]/)[0]
+      : null;
+  if (!Object.hasOwn(LOCALES, language)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_LOCALE,
+      `Unknown locale: ${locale}. Available locales: ${Object.keys(LOCALES).join(", ")}.`,
+    );
+  }
+  return LOCALES[language];
+}
+
+/**
+ * Fills in a template.
+ *
+ * @param {string} template - e.g. "{material} is over-sized."
+ * @param {Object} values - e.g. { material: "Shaft" }
+ * @returns {string}
+ */
+function format(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(values, name) ? String(values[name]) : placeholder,
+  );
+}
+
+/**
+ * Human-friendly name of a material type key, e.g. "housingBores" → "Housing bore".
+ *
+ * @param {Object} messages - From resolveLocale
+ * @param {string} materialType - Material type key
+ * @returns {string} The name, or the key itself for unknown keys
+ */
+function materialName(messages, materialType) {
+  return messages.materials[materialType] ?? materialType;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  resolveLocale,
+  format,
+  materialName,
+};
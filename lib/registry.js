@@ -0,0 +1,369 @@
+/**
+ * Registry of tolerance standards and tolerance tables.
+ *
+ * A standard tells the checkers, per material type, which specification and
+ * IT grade to check against and how to infer and match the nominal size.
+ * A tolerance table has the same shape as Tolerances.json and adds (or
+ * overrides) specifications for the standards that use it.
+ *
+ * The built-in "camco" standard is registered here; sites register their own
+ * house standards next to it.
+ */
+
+const iso286 = require("./iso286");
+const ansi = require("./ansi");
+const integrity = require("./integrity");
+const { ERROR_CODES, createError } = require("./errors");
+
+/** Material type keys, as used in Tolerances.json. */
+const MATERIAL_TYPES = ["housingBores", "shafts", "shellBores"];
+
+/**
+ * Rules matching a nominal to a diameter band of a tolerance table.
+ */
+const RANGE_MATCH_RULES = {
+  /** minimum_diameter ≤ nominal < maximum_diameter */
+  "lower-inclusive": (nominal, spec) =>
+    nominal >= spec.minimum_diameter && nominal < spec.maximum_diameter,
+
+  /** minimum_diameter < nominal ≤ maximum_diameter (ISO 286 size steps) */
+  "upper-inclusive": (nominal, spec) =>
+    nominal > spec.minimum_diameter && nominal <= spec.maximum_diameter,
+};
+
+/**
+ * Rules deriving a nominal from a measurement, both in nominal steps.
+ * Deviations of `threshold` or more snap to the next step.
+ */
+const NOMINAL_ROUNDING_RULES = {
+  /**
+   * Nominal is normally ABOVE the measurement (shafts: upper deviation 0).
+   * A reading too far below the next step snaps down.
+   */
+  up: (value, threshold) => {
+    const ceilNominal = Math.ceil(value);
+    return ceilNominal - value >= threshold ? Math.floor(value) : ceilNominal;
+  },
+
+  /**
+   * Nominal is normally BELOW the measurement (bores: lower deviation 0).
+   * A reading too far above the previous step snaps up.
+   */
+  down: (value, threshold) => {
+    const floorNominal = Math.floor(value);
+    return value - floorNominal >= threshold ? Math.ceil(value) : floorNominal;
+  },
+
+  /** Nearest step, for zones centred on the nominal */
+  nearest: (value) => Math.round(value),
+};
+
+/**
+ * Default nominal rounding and range matching per material type,
+ * used when a standard does not state them.
+ */
+const MATERIAL_TYPE_DEFAULTS = {
+  shafts: { nominalRounding: "up", rangeMatch: "upper-inclusive" },
+  housingBores: { nominalRounding: "down", rangeMatch: "lower-inclusive" },
+  shellBores: { nominalRounding: "down", rangeMatch: "lower-inclusive" },
+};
+
+/** The built-in Camco standard. */
+const CAMCO_STANDARD = {
+  materials: {
+    shafts: { specification: "h9", itGrade: "IT5" },
+    housingBores: { specification: "H8", itGrade: "IT6" },
+    shellBores: { specification: "H9", itGrade: "IT6" },
+  },
+};
+
+const DEFAULT_STANDARD = "camco";
+
+const standards = new Map();
+const tables = new Map();
+
+/**
+ * Validates a tolerance table in the shape of Tolerances.json:
+ * known material types, and for every specification a list of diameter
+ * bands with deviations that neither overlap nor leave gaps.
+ *
+ * @param {Object} table - e.g. { shafts: { h9: [ { minimum_diameter, ... } ] } }
+ * @returns {{ error: true, code: string, message: string, details: Array<Object> }|null} Error object if invalid, otherwise null
+ */
+function validateToleranceTable(table) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    return createError(
+      ERROR_CODES.INVALID_TOLERANCE_TABLE,
+      "Tolerance table must be an object keyed by material type.",
+      [],
+    );
+  }
+
+  const details = [];
+
+  Object.entries(table).forEach(([materialType, specifications]) => {
+    if (!MATERIAL_TYPES.includes(materialType)) {
+      details.push({
+        materialType,
+        message: `Unknown material type. Valid types are ${MATERIAL_TYPES.join(", ")}.`,
+      });
+      return;
+    }
+
+    Object.entries(specifications ?? {}).forEach(([specification, bands]) => {
+      details.push(
+        ...integrity.checkBandLayout(bands).map(({ message }) => ({
+          materialType,
+          specification,
+          message,
+        })),
+      );
+    });
+  });
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_TOLERANCE_TABLE,
+      "Tolerance table is invalid.",
+      details,
+    );
+  }
+  return null;
+}
+
+/**
+ * Registers a named tolerance table, for standards to refer to by name.
+ * Registering under an existing name replaces that table.
+ *
+ * @param {string} name - e.g. "acme"
+ * @param {Object} table - Same shape as Tolerances.json
+ * @returns {{ name: string, materialTypes: string[] }|{error: true, code: string, message: string, details?: Array<Object>}}
+ */
+function registerToleranceTable(name, table) {
+  const nameError = validateName(name, "Tolerance table");
+  if (nameError) return nameError;
+
+  const tableError = validateToleranceTable(table);
+  if (tableError) return tableError;
+
+  tables.set(toKey(name), { name: name.trim(), table });
+  return { name: name.trim(), materialTypes: Object.keys(table) };
+}
+
+/**
+ * Registers a named tolerance standard. Registering under an existing name
+ * replaces that standard, except for the built-in "camco" standard.
+ *
+ * Definition:
+ * - `table`: name of a registered tolerance table, or an inline table
+ *   (optional; tabulated and ISO 286 specifications are always available)
+ * - `materials`: per material type (housingBores, shafts, shellBores)
+ *   - `specification`: e.g. "H7"
+ *   - `itGrade`: e.g. "IT6"
+ *   - `nominalRounding`: "up", "down" or "nearest" (default: "up" for
+ *     shafts, "down" for bores)
+ *   - `rangeMatch`: "lower-inclusive", "upper-inclusive" or a function
+ *     (nominal, band) → boolean (default: "upper-inclusive" for shafts,
+ *     "lower-inclusive" for bores)
+ *
+ * @param {string} name - e.g. "acme"
+ * @param {{ table?: string|Object, materials: Object }} definition
+ * @returns {Object} The registered standard, or error object
+ */
+function registerStandard(name, definition) {
+  const nameError = validateName(name, "Standard");
+  if (nameError) return nameError;
+  if (toKey(name) === DEFAULT_STANDARD && standards.has(DEFAULT_STANDARD)) {
+    return createError(
+      ERROR_CODES.INVALID_STANDARD,
+      `${DEFAULT_STANDARD} is a built-in standard and cannot be replaced.`,
+    );
+  }
+
+  const standard = createStandard(name.trim(), definition);
+  if (standard.error) return standard;
+
+  standards.set(toKey(name), standard);
+  return standard;
+}
+
+/**
+ * Builds a standard from its definition, validating its table and the
+ * settings of every material type.
+ */
+function createStandard(name, definition) {
+  if (!definition || typeof definition !== "object") {
+    return createError(
+      ERROR_CODES.INVALID_STANDARD,
+      "Standard definition must be an object.",
+    );
+  }
+
+  // 1. Resolve and validate the tolerance table
+  let table = null;
+  if (typeof definition.table === "string") {
+    table = tables.get(toKey(definition.table))?.table;
+    if (!table) {
+      return createError(
+        ERROR_CODES.UNKNOWN_TOLERANCE_TABLE,
+        `Unknown tolerance table: ${definition.table}. Available tables: ${listToleranceTables().join(", ") || "none"}`,
+      );
+    }
+  } else if (definition.table !== undefined) {
+    const tableError = validateToleranceTable(definition.table);
+    if (tableError) return tableError;
+    table = definition.table;
+  }
+
+  // 2. Validate the settings of every material type
+  const materialEntries = Object.entries(definition.materials ?? {});
+  if (materialEntries.length === 0) {
+    return createError(
+      ERROR_CODES.INVALID_STANDARD,
+      `Standard ${name} must define at least one of ${MATERIAL_TYPES.join(", ")}.`,
+    );
+  }
+
+  const materials = {};
+  for (const [materialType, settings] of materialEntries) {
+    const material = createMaterialSettings(materialType, settings, table);
+    if (material.error) {
+      return createError(
+        material.code,
+        `Standard ${name}, ${materialType}: ${material.message}`,
+      );
+    }
+    materials[materialType] = material;
+  }
+
+  return { name, table, materials };
+}
+
+/** Validates and completes the settings of one material type. */
+function createMaterialSettings(materialType, settings, table) {
+  if (!MATERIAL_TYPES.includes(materialType)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_MATERIAL,
+      `Unknown material type. Valid types are ${MATERIAL_TYPES.join(", ")}.`,
+    );
+  }
+
+  const { specification, itGrade } = settings ?? {};
+  const defaults = MATERIAL_TYPE_DEFAULTS[materialType];
+  const nominalRounding = settings?.nominalRounding ?? defaults.nominalRounding;
+  const rangeMatch = settings?.rangeMatch ?? defaults.rangeMatch;
+
+  if (!isKnownSpecification(materialType, specification, table)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_SPEC,
+      `Unknown specification: ${specification}. Use a specification from the standard's table, an ISO 286 class or an ANSI B4.1 class.`,
+    );
+  }
+  if (!iso286.IT_GRADES.includes(itGrade)) {
+    return createError(
+      ERROR_CODES.UNKNOWN_IT_GRADE,
+      `Available IT grades: ${iso286.IT_GRADES.join(", ")}`,
+    );
+  }
+  if (!NOMINAL_ROUNDING_RULES[nominalRounding]) {
+    return createError(
+      ERROR_CODES.INVALID_STANDARD,
+      `Available nominal rounding rules: ${Object.keys(NOMINAL_ROUNDING_RULES).join(", ")}`,
+    );
+  }
+  if (typeof rangeMatch !== "function" && !RANGE_MATCH_RULES[rangeMatch]) {
+    return createError(
+      ERROR_CODES.INVALID_STANDARD,
+      `Available range match rules: ${Object.keys(RANGE_MATCH_RULES).join(", ")}, or a function`,
+    );
+  }
+
+  return {
+    specification,
+    itGrade,
+    nominalRounding,
+    rangeMatch:
+      typeof rangeMatch === "function"
+        ? rangeMatch
+        : RANGE_MATCH_RULES[rangeMatch],
+  };
+}
+
+/**
+ * Checks that a specification can be served for a material type: from the
+ * standard's own table, or as an ISO 286 class of the right kind (which
+ * includes the tabulated H/h classes), or as an ANSI B4.1 class.
+ */
+function isKnownSpecification(materialType, specification, table) {
+  if (typeof specification !== "string" || specification.trim() === "") {
+    return false;
+  }
+  if (table?.[materialType]?.[specification]) return true;
+  if (ansi.isAnsiDesignation(specification)) {
+    return !ansi.getAnsiFit(specification).error;
+  }
+
+  const parsed = iso286.parseDesignation(specification);
+  return !parsed.error && parsed.isHole === (materialType !== "shafts");
+}
+
+/**
+ * Returns a registered standard.
+ *
+ * @param {string} [name="camco"]
+ * @returns {Object} The standard, or error object
+ */
+function getStandard(name = DEFAULT_STANDARD) {
+  const standard =
+    typeof name === "string" ? standards.get(toKey(name)) : undefined;
+
+  if (!standard) {
+    return createError(
+      ERROR_CODES.UNKNOWN_STANDARD,
+      `Unknown standard: ${name}. Available standards: ${listStandards().join(", ")}`,
+    );
+  }
+
+  return standard;
+}
+
+/** Names of the registered standards. */
+function listStandards() {
+  return [...standards.values()].map((standard) => standard.name);
+}
+
+/** Names of the registered tolerance tables. */
+function listToleranceTables() {
+  return [...tables.values()].map((entry) => entry.name);
+}
+
+/** Validates a standard or table name */
+function validateName(name, kind) {
+  if (typeof name !== "string" || name.trim() === "") {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      `${kind} name must be a non-empty string.`,
+    );
+  }
+  return null;
+}
+
+/** Names are matched case-insensitively */
+function toKey(name) {
+  return name.trim().toLowerCase();
+}
+
+registerStandard(DEFAULT_STANDARD, CAMCO_STANDARD);
+
+module.exports = {
+  MATERIAL_TYPES,
+  RANGE_MATCH_RULES,
+  NOMINAL_ROUNDING_RULES,
+  DEFAULT_STANDARD,
+  validateToleranceTable,
+  registerToleranceTable,
+  registerStandard,
+  getStandard,
+  listStandards,
+  listToleranceTables,
+};
@@ -0,0 +1,379 @@
+/**
+ * Repair planning for parts outside their size bounds.
+ *
+ * Machining only removes material: it can bring an over-sized shaft or an
+ * under-sized bore back into tolerance. A part short of material (an
+ * under-sized shaft or an over-sized bore) is either machined to the next
+ * allowed size, built up by metal spraying and machined back, or machined
+ * to take a sleeve that is then finished to the original size.
+ *
+ * Sizes are diameters in the caller's unit. Build-up and wall thickness are
+ * radial.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+const REPAIR_METHODS = {
+  machine: "machine",
+  nextSize: "next-size",
+  metalSpray: "metal-spray",
+  sleeve: "sleeve",
+};
+
+/**
+ * Default rules, in millimetres. Size changes are off unless steps are
+ * given, since they change the mating part.
+ */
+const DEFAULT_REPAIR_RULES = {
+  /** Allowed bore oversizes, e.g. [0.5, 1] for +0.5 and +1 */
+  oversizeSteps: [],
+  /** Allowed shaft undersizes, e.g. [0.5] for −0.5 */
+  undersizeSteps: [],
+  /** Minimum wall left in the part; checked when its other diameter is known */
+  minimumWallThickness: 0,
+  /** Outside diameter of a housing or shell, for wall checks on bores */
+  outsideDiameter: null,
+  /** Inside diameter of a hollow shaft, for wall checks on shafts */
+  insideDiameter: null,
+  /** Radial machining allowance added on top of a build-up */
+  buildUpAllowance: 0.2,
+  /** Largest radial build-up metal spraying can deposit */
+  maximumBuildUp: 1.0,
+  /** Minimum wall thickness of a sleeve */
+  sleeveWallThickness: 3,
+  /** Methods in order of preference; the first feasible one is recommended */
+  methods: Object.values(REPAIR_METHODS),
+};
+
+/** Rules holding a length, converted when working in inches */
+const LENGTH_RULES = [
+  "minimumWallThickness",
+  "outsideDiameter",
+  "insideDiameter",
+  "buildUpAllowance",
+  "maximumBuildUp",
+  "sleeveWallThickness",
+];
+
+/**
+ * Validates repair rules and completes them with the defaults, converted
+ * from millimetres with `fromMillimetres` for other units.
+ *
+ * @param {Object} rules - Any of DEFAULT_REPAIR_RULES
+ * @param {(millimetres: number) => number} [fromMillimetres]
+ * @returns {Object|{error: true, code: string, message: string, details: Array<Object>}}
+ */
+function resolveRepairRules(rules = {}, fromMillimetres = (value) => value) {
+  const resolved = { ...DEFAULT_REPAIR_RULES };
+  LENGTH_RULES.forEach((rule) => {
+    if (resolved[rule] !== null)
+      resolved[rule] = fromMillimetres(resolved[rule]);
+  });
+
+  const details = [];
+  Object.entries(rules).forEach(([rule, value]) => {
+    if (!(rule in DEFAULT_REPAIR_RULES) || value === undefined) return;
+
+    if (rule === "methods") {
+      const unknown = []
+        .concat(value)
+        .filter((method) => !Object.values(REPAIR_METHODS).includes(method));
+      if (!Array.isArray(value) || value.length === 0 || unknown.length > 0) {
+        details.push({
+          rule,
+          message: `Must list methods from ${Object.values(REPAIR_METHODS).join(", ")}.`,
+        });
+      }
+    } else if (rule === "oversizeSteps" || rule === "undersizeSteps") {
+      if (!Array.isArray(value) || !value.every((step) => step > 0)) {
+        details.push({ rule, message: "Must be an array of positive sizes." });
+      }
+    } else if (
+      !(
+        value === null &&
+        (rule === "outsideDiameter" || rule === "insideDiameter")
+      ) &&
+      !(Number.isFinite(value) && value >= 0)
+    ) {
+      details.push({ rule, message: "Must be a number of 0 or more." });
+    }
+    resolved[rule] = value;
+  });
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Some repair rules are invalid.",
+      details,
+    );
+  }
+
+  resolved.oversizeSteps = [...resolved.oversizeSteps].sort((a, b) => a - b);
+  resolved.undersizeSteps = [...resolved.undersizeSteps].sort((a, b) => a - b);
+  return resolved;
+}
+
+/**
+ * Plans the repair of a part.
+ *
+ * `lookupTarget(nominal)` returns the part's specification at a nominal
+ * size ({ nominal, specification, IT_grade, computed_specification_bounds,
+ * uncomputed_specification_bounds }), or an error object when the
+ * specification does not cover it.
+ *
+ * @param {{ isBore: boolean, nominal: number, smallest: number, largest: number, lowerBound: number, upperBound: number }} part
+ * @param {Object} rules - From resolveRepairRules
+ * @param {(nominal: number) => Object} lookupTarget
+ * @param {number} [decimalCount=3]
+ * @returns {{ condition: string, options: Array<Object>, recommended: Object|null, reason: string }}
+ */
+function planRepair(part, rules, lookupTarget, decimalCount = 3) {
+  const isOver = part.largest > part.upperBound;
+  const isUnder = part.smallest < part.lowerBound;
+  const condition = describeCondition(isOver, isUnder);
+  const format = (value) => formatLength(value, decimalCount);
+
+  if (!isOver && !isUnder) {
+    return {
+      condition,
+      options: [],
+      recommended: null,
+      reason: "Every reading is within bounds. No repair is needed.",
+    };
+  }
+
+  // A shaft short of material is under-sized; a bore, over-sized
+  const lacksMaterial = part.isBore ? isOver : isUnder;
+  const context = { part, rules, lookupTarget, lacksMaterial, format };
+
+  const planners = {
+    [REPAIR_METHODS.machine]: planMachining,
+    [REPAIR_METHODS.nextSize]: planNextSize,
+    [REPAIR_METHODS.metalSpray]: planMetalSpray,
+    [REPAIR_METHODS.sleeve]: planSleeve,
+  };
+  const options = rules.methods.map((method) => ({
+    method,
+    ...planners[method](context),
+  }));
+  const recommended = options.find((option) => option.feasible) ?? null;
+
+  return {
+    condition,
+    options,
+    recommended,
+    reason: recommended
+      ? `Recommended: ${recommended.method}. ${recommended.reason}`
+      : "No repair method is feasible within the rules. Scrap the part or refer it to engineering.",
+  };
+}
+
+/** --- Helper Functions for planRepair() start--- */
+
+/** "over-sized", "under-sized", both, or "in tolerance" */
+function describeCondition(isOver, isUnder) {
+  if (isOver && isUnder) return "over-sized and under-sized";
+  if (isOver) return "over-sized";
+  if (isUnder) return "under-sized";
+  return "in tolerance";
+}
+
+/** Machine to the original size: possible when only material must go */
+function planMachining({ part, lookupTarget, lacksMaterial, format }) {
+  if (lacksMaterial) {
+    return infeasible(
+      `Machining only removes material, and the ${part.isBore ? "bore is over-sized" : "shaft is under-sized"}.`,
+    );
+  }
+
+  const target = lookupTarget(part.nominal);
+  if (target.error) return infeasible(target.message);
+  const bounds = targetBounds(target);
+
+  // Cut until every reading is inside the bounds
+  const stockRemoval = part.isBore
+    ? bounds.lowerBound - part.smallest
+    : part.largest - bounds.upperBound;
+
+  return {
+    feasible: true,
+    target,
+    stock_removal: format(stockRemoval),
+    reason: `${part.isBore ? "Bore" : "Turn"} to ${format(bounds.lowerBound)}–${format(bounds.upperBound)}, removing at least ${format(stockRemoval)} on the diameter.`,
+  };
+}
+
+/** Machine to the next allowed oversize (bores) or undersize (shafts) */
+function planNextSize({ part, rules, lookupTarget, format }) {
+  const steps = part.isBore ? rules.oversizeSteps : rules.undersizeSteps;
+  const ruleName = part.isBore ? "oversizeSteps" : "undersizeSteps";
+  if (steps.length === 0) {
+    return infeasible(
+      `No ${part.isBore ? "oversize" : "undersize"} steps are allowed (rules.${ruleName}).`,
+    );
+  }
+
+  let lastProblem = "";
+  for (const step of steps) {
+    const nominal = Number(
+      (part.isBore ? part.nominal + step : part.nominal - step).toFixed(6),
+    );
+    const target = lookupTarget(nominal);
+    if (target.error) {
+      lastProblem = target.message;
+      continue;
+    }
+    const bounds = targetBounds(target);
+
+    // The new size must clean up every reading
+    const cleansUp = part.isBore
+      ? bounds.lowerBound >= part.largest
+      : bounds.upperBound <= part.smallest;
+    if (!cleansUp) {
+      lastProblem = `Nominal ${format(nominal)} does not clean up the ${part.isBore ? "largest" : "smallest"} reading.`;
+      continue;
+    }
+
+    const wallProblem = checkWall(
+      part,
+      rules,
+      part.isBore ? bounds.upperBound : bounds.lowerBound,
+      format,
+    );
+    if (wallProblem) return infeasible(wallProblem, target);
+
+    const stockRemoval = part.isBore
+      ? bounds.lowerBound - part.smallest
+      : part.largest - bounds.upperBound;
+    return {
+      feasible: true,
+      target,
+      stock_removal: format(stockRemoval),
+      reason: `${part.isBore ? "Re-bore" : "Turn"} to nominal ${format(nominal)} (${part.isBore ? "+" : "−"}${format(step)}), ${format(bounds.lowerBound)}–${format(bounds.upperBound)}. The mating part must match the new size.`,
+    };
+  }
+
+  return infeasible(
+    lastProblem ||
+      `No allowed step cleans up the ${part.isBore ? "bore" : "shaft"}.`,
+  );
+}
+
+/** Build up by metal spraying, then machine back to the original size */
+function planMetalSpray({ part, rules, lookupTarget, lacksMaterial, format }) {
+  if (!lacksMaterial) {
+    return infeasible(
+      "The part is not short of material; machining is enough.",
+    );
+  }
+
+  const target = lookupTarget(part.nominal);
+  if (target.error) return infeasible(target.message);
+  const bounds = targetBounds(target);
+
+  const buildUp =
+    (part.isBore
+      ? part.largest - bounds.lowerBound
+      : bounds.upperBound - part.smallest) /
+      2 +
+    rules.buildUpAllowance;
+
+  if (buildUp > rules.maximumBuildUp) {
+    return infeasible(
+      `A build-up of ${format(buildUp)} per side exceeds the maximum of ${format(rules.maximumBuildUp)}.`,
+      target,
+      { build_up: format(buildUp) },
+    );
+  }
+
+  return {
+    feasible: true,
+    target,
+    build_up: format(buildUp),
+    reason: `Metal spray ${format(buildUp)} per side (including ${format(rules.buildUpAllowance)} machining allowance), then ${part.isBore ? "bore" : "turn"} to ${format(bounds.lowerBound)}–${format(bounds.upperBound)}.`,
+  };
+}
+
+/** Machine a seat for a sleeve, fit it and finish it to the original size */
+function planSleeve({ part, rules, lookupTarget, lacksMaterial, format }) {
+  if (!lacksMaterial) {
+    return infeasible(
+      "The part is not short of material; machining is enough.",
+    );
+  }
+
+  const target = lookupTarget(part.nominal);
+  if (target.error) return infeasible(target.message);
+  const bounds = targetBounds(target);
+
+  const seatDiameter = part.isBore
+    ? Math.max(part.nominal + 2 * rules.sleeveWallThickness, part.largest)
+    : Math.min(part.nominal - 2 * rules.sleeveWallThickness, part.smallest);
+  if (seatDiameter <= 0) {
+    return infeasible(
+      `The shaft is too small for a sleeve with a ${format(rules.sleeveWallThickness)} wall.`,
+      target,
+    );
+  }
+
+  const wallProblem = checkWall(part, rules, seatDiameter, format);
+  if (wallProblem) {
+    return infeasible(wallProblem, target, {
+      seat_diameter: format(seatDiameter),
+    });
+  }
+
+  return {
+    feasible: true,
+    target,
+    seat_diameter: format(seatDiameter),
+    reason: `${part.isBore ? "Bore" : "Turn"} a sleeve seat of ${format(seatDiameter)}, fit a sleeve with at least a ${format(rules.sleeveWallThickness)} wall and finish it to ${format(bounds.lowerBound)}–${format(bounds.upperBound)}.`,
+  };
+}
+
+/**
+ * Checks the wall left in the part after machining to `diameter`: against
+ * the outside diameter for bores and the inside diameter for hollow shafts.
+ * Returns a problem description, or null when the wall is thick enough or
+ * cannot be checked.
+ */
+function checkWall(part, rules, diameter, format) {
+  const otherDiameter = part.isBore
+    ? rules.outsideDiameter
+    : rules.insideDiameter;
+  if (otherDiameter === null) return null;
+
+  const wall = Math.abs(otherDiameter - diameter) / 2;
+  if (wall < rules.minimumWallThickness) {
+    return `The remaining wall of ${format(wall)} is thinner than the minimum of ${format(rules.minimumWallThickness)}.`;
+  }
+  return null;
+}
+
+/** Numeric bounds of a target */
+function targetBounds(target) {
+  return {
+    lowerBound: Number(target.computed_specification_bounds.lowerBound),
+    upperBound: Number(target.computed_specification_bounds.upperBound),
+  };
+}
+
+/** An option that cannot be used, with why */
+function infeasible(reason, target = null, extra = {}) {
+  return { feasible: false, target, ...extra, reason };
+}
+
+/** Formats a length, avoiding "-0.000" */
+function formatLength(value, decimalCount) {
+  const rounded = Number(value.toFixed(decimalCount));
+  return (rounded || 0).toFixed(decimalCount);
+}
+
+/** --- Helper Functions for planRepair() end--- */
+
+module.exports = {
+  REPAIR_METHODS,
+  DEFAULT_REPAIR_RULES,
+  resolveRepairRules,
+  planRepair,
+};
@@ -0,0 +1,652 @@
+/**
+ * Printable inspection reports from check results: a self-contained HTML
+ * document, and the same content as a PDF written without dependencies
+ * (PDF 1.4, built-in Helvetica, A4 portrait).
+ *
+ * An entry is a result of checkOneMeasurementFor or
+ * checkMultipleMeasurementsFor, or a wrapper { label, material, result }
+ * (rows of checkInspectionSheet use `id` instead of `label`).
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+const { DECISIONS } = require("./uncertainty");
+const locales = require("./locales");
+
+const REPORT_FORMATS = ["html", "pdf"];
+
+/** Report template of each reading status */
+const READING_STATUS = {
+  in: "statusIn",
+  over: "statusOver",
+  under: "statusUnder",
+};
+
+/** Report template of each decision verdict */
+const VERDICTS = {
+  [DECISIONS.conforming]: "verdictConforming",
+  [DECISIONS.nonConforming]: "verdictNonConforming",
+  [DECISIONS.indeterminate]: "verdictIndeterminate",
+};
+
+/**
+ * Validates report entries and turns them into the rows of a report.
+ *
+ * @param {Array<Object>} results - Check results or { label, material, result } wrappers
+ * @returns {Array<Object>|{ error: true, code: string, message: string, details?: Array<Object> }}
+ */
+function normalizeEntries(results) {
+  if (!Array.isArray(results) || results.length === 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Results must be a non-empty array of check results.",
+    );
+  }
+
+  const details = [];
+  const entries = results.map((item, index) => {
+    const wrapped = item && typeof item === "object" && "result" in item;
+    const result = wrapped ? item.result : item;
+
+    if (result?.error) {
+      details.push({
+        index,
+        message: `Result is an error: ${result.message}`,
+      });
+      return null;
+    }
+    if (!result?.computed_specification_bounds || !result.meets_specification) {
+      details.push({ index, message: "Result is not a check result." });
+      return null;
+    }
+
+    return toEntry(result, {
+      label: wrapped ? (item.label ?? item.id ?? null) : null,
+      material: wrapped ? (item.material ?? null) : null,
+    });
+  });
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Some results cannot be reported.",
+      details,
+    );
+  }
+  return entries;
+}
+
+/** Report row of one check result */
+function toEntry(result, { label, material }) {
+  const bounds = result.computed_specification_bounds;
+  const decimalCount = bounds.lowerBound.split(".")[1]?.length ?? 3;
+  const measurements = [].concat(result.measurement);
+  const meetsSpec = result.meets_specification.meetsSpec;
+  const meetsIT = result.meets_IT_Tolerance?.meetsIT ?? null;
+
+  return {
+    label,
+    material,
+    nominal: result.nominal,
+    units: result.units ?? "mm",
+    specification: result.specification,
+    itGrade: result.IT_grade,
+    lowerBound: bounds.lowerBound,
+    upperBound: bounds.upperBound,
+    uncomputedLowerBound: result.uncomputed_specification_bounds.lowerBound,
+    uncomputedUpperBound: result.uncomputed_specification_bounds.upperBound,
+    readings: measurements.map((measurement) => ({
+      value: Number(measurement).toFixed(decimalCount),
+      status: readingStatus(Number(measurement), bounds),
+    })),
+    meetsSpec,
+    specReason: result.meets_specification.reason,
+    meetsIT,
+    itReason: result.meets_IT_Tolerance?.reason ?? null,
+    decision: result.decision
+      ? {
+          rule: result.decision.rule,
+          verdict: result.decision.verdict,
+          uncertainty: result.decision.uncertainty,
+          reason: result.decision.reason,
+        }
+      : null,
+    // A single reading has no IT check; its size decides compliance. With a
+    // guard-banded decision, only proved conformance is acceptable.
+    meetsFinalCompliance:
+      (result.meets_final_compliance ?? meetsSpec) &&
+      (!result.decision || result.decision.verdict === DECISIONS.conforming),
+  };
+}
+
+/** Position of one reading relative to the computed bounds */
+function readingStatus(measurement, bounds) {
+  if (measurement > Number(bounds.upperBound)) return "over";
+  if (measurement < Number(bounds.lowerBound)) return "under";
+  return "in";
+}
+
+/** Header fields of the report, with defaults */
+function normalizeDetails(details, text) {
+  return {
+    title: details.title || text.title,
+    company: details.company ?? null,
+    customer: details.customer ?? null,
+    reference: details.reference ?? null,
+    inspector: details.inspector ?? null,
+    date: details.date ?? new Date().toISOString().slice(0, 10),
+    notes: details.notes ?? null,
+  };
+}
+
+/** Header fields that were given, as [label, value] pairs */
+function headerFields(details, text) {
+  return [
+    [text.company, details.company],
+    [text.customer, details.customer],
+    [text.reference, details.reference],
+    [text.date, details.date],
+    [text.inspector, details.inspector],
+  ].filter(([, value]) => value !== null && value !== "");
+}
+
+/** "3 components: 2 acceptable, 1 not acceptable." */
+function summaryLine(entries, text) {
+  const accepted = entries.filter((entry) => entry.meetsFinalCompliance);
+  return locales.format(
+    entries.length === 1 ? text.summaryOne : text.summaryMany,
+    {
+      count: entries.length,
+      accepted: accepted.length,
+      rejected: entries.length - accepted.length,
+    },
+  );
+}
+
+/** Heading of one entry, e.g. "P-1 — housing" or "Component 2" */
+function entryHeading(entry, index, text) {
+  const label =
+    entry.label ?? locales.format(text.component, { number: index + 1 });
+  return entry.material ? `${label} — ${entry.material}` : `${label}`;
+}
+
+/** Verdict word for a check */
+function passFail(passed, text) {
+  return passed ? text.pass : text.fail;
+}
+
+/** Size check line, e.g. "Size: PASS — ..." */
+function sizeLine(entry, text) {
+  return `${text.size}: ${passFail(entry.meetsSpec, text)} — ${entry.specReason}`;
+}
+
+/** Decision line, e.g. "Decision (ISO 14253-1, U = 0.0040): INDETERMINATE — ..." */
+function decisionLine(decision, text) {
+  return locales.format(text.decision, {
+    rule: decision.rule,
+    uncertainty: decision.uncertainty,
+    verdict: text[VERDICTS[decision.verdict]],
+    reason: decision.reason,
+  });
+}
+
+/** Final compliance line, e.g. "Final compliance: ACCEPTABLE" */
+function finalComplianceLine(entry, text) {
+  return locales.format(text.finalCompliance, {
+    verdict: entry.meetsFinalCompliance ? text.acceptable : text.notAcceptable,
+  });
+}
+
+/** Rows of the facts table, as [label, value] pairs */
+function entryFacts(entry, text) {
+  return [
+    [text.nominal, `${entry.nominal} ${entry.units}`],
+    [text.specification, entry.specification],
+    [text.itGrade, entry.itGrade],
+    [text.lowerBound, `${entry.lowerBound} (${entry.uncomputedLowerBound})`],
+    [text.upperBound, `${entry.upperBound} (${entry.uncomputedUpperBound})`],
+  ];
+}
+
+/** --- Helper Functions for renderHtml() start--- */
+
+const HTML_STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  h2 { font-size: 15px; margin: 0 0 8px; }
+  dl.details { display: grid; grid-template-columns: max-content auto; gap: 2px 12px; margin: 0 0 12px; }
+  dl.details dt { font-weight: bold; }
+  dl.details dd { margin: 0; }
+  section.component { border: 1px solid #999; padding: 12px; margin: 12px 0; page-break-inside: avoid; }
+  table { border-collapse: collapse; margin: 0 0 8px; }
+  th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; }
+  td.number { text-align: right; font-variant-numeric: tabular-nums; }
+  .in { color: #1a7f37; }
+  .over, .under, .fail { color: #c62828; }
+  .pass, .conforming { color: #1a7f37; }
+  .non-conforming { color: #c62828; }
+  .indeterminate { color: #b26a00; }
+  .final { font-weight: bold; font-size: 14px; }
+  section.signatures { display: flex; gap: 48px; margin-top: 32px; page-break-inside: avoid; }
+  .signature { flex: 1; }
+  .signature div { border-bottom: 1px solid #222; height: 28px; margin-bottom: 4px; }
+  @media print { body { margin: 0; } }
+`;
+
+/** Escapes text for HTML content and attribute values */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** One component section */
+function renderHtmlEntry(entry, index, text) {
+  const readingRows = entry.readings
+    .map(
+      (reading, readingIndex) =>
+        `<tr><td class="number">${readingIndex + 1}</td><td class="number">${escapeHtml(reading.value)}</td>` +
+        `<td class="${reading.status}">${reading.status === "in" ? "✔" : "✘"} ${text[READING_STATUS[reading.status]]}</td></tr>`,
+    )
+    .join("\n");
+
+  const checks = [
+    `<p class="${entry.meetsSpec ? "pass" : "fail"}">${escapeHtml(sizeLine(entry, text))}</p>`,
+  ];
+  if (entry.meetsIT !== null) {
+    checks.push(
+      `<p class="${entry.meetsIT ? "pass" : "fail"}">${escapeHtml(entry.itGrade)}: ${passFail(entry.meetsIT, text)} — ${escapeHtml(entry.itReason)}</p>`,
+    );
+  }
+  if (entry.decision) {
+    checks.push(
+      `<p class="${entry.decision.verdict}">${escapeHtml(decisionLine(entry.decision, text))}</p>`,
+    );
+  }
+
+  return `<section class="component">
+<h2>${escapeHtml(entryHeading(entry, index, text))}</h2>
+<table class="facts">
+${entryFacts(entry, text)
+  .map(
+    ([label, value]) =>
+      `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`,
+  )
+  .join("\n")}
+</table>
+<table class="readings">
+<tr><th>#</th><th>${escapeHtml(locales.format(text.reading, { units: entry.units }))}</th><th>${escapeHtml(text.status)}</th></tr>
+${readingRows}
+</table>
+${checks.join("\n")}
+<p class="final ${entry.meetsFinalCompliance ? "pass" : "fail"}">${escapeHtml(finalComplianceLine(entry, text))}</p>
+</section>`;
+}
+
+/** Inspector and approver signature lines */
+function renderHtmlSignatures(details, text) {
+  const signature = (role, name) => `<div class="signature">
+<div></div>
+<strong>${escapeHtml(role)}</strong>${name ? `: ${escapeHtml(name)}` : ""}<br>${escapeHtml(text.signatureDate)}
+</div>`;
+
+  return `<section class="signatures">
+${signature(text.inspectedBy, details.inspector)}
+${signature(text.approvedBy, null)}
+</section>`;
+}
+
+/** --- Helper Functions for renderHtml() end--- */
+
+/**
+ * Renders a self-contained HTML report (inline styles, no external assets).
+ *
+ * @param {Array<Object>} entries - From normalizeEntries
+ * @param {{ title?: string, company?: string, customer?: string, reference?: string, inspector?: string, date?: string, notes?: string }} [details]
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {string}
+ */
+function renderHtml(entries, details = {}, messages = locales.resolveLocale()) {
+  const text = messages.report;
+  const header = normalizeDetails(details, text);
+  const fields = headerFields(header, text)
+    .map(
+      ([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`,
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${text.language}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(header.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(header.title)}</h1>
+<dl class="details">
+${fields}
+</dl>
+<p class="summary">${escapeHtml(summaryLine(entries, text))}</p>
+${header.notes ? `<p class="notes">${escapeHtml(header.notes)}</p>` : ""}
+</header>
+${entries.map((entry, index) => renderHtmlEntry(entry, index, text)).join("\n")}
+${renderHtmlSignatures(header, text)}
+</body>
+</html>
+`;
+}
+
+/** --- Helper Functions for renderPdf() start--- */
+
+const PAGE = { width: 595, height: 842, margin: 50 };
+
+const COLORS = {
+  black: "0 0 0",
+  green: "0.10 0.50 0.22",
+  red: "0.78 0.16 0.16",
+  amber: "0.70 0.42 0.00",
+};
+
+/** Colour of each decision verdict */
+const DECISION_COLORS = {
+  [DECISIONS.conforming]: COLORS.green,
+  [DECISIONS.nonConforming]: COLORS.red,
+  [DECISIONS.indeterminate]: COLORS.amber,
+};
+
+/** Characters outside Latin-1 that WinAnsiEncoding still has */
+const WIN_ANSI_EXTRAS = {
+  "—": 0x97,
+  "–": 0x96,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "…": 0x85,
+  "€": 0x80,
+};
+
+/** Encodes text as a PDF string literal in WinAnsiEncoding */
+function pdfString(text) {
+  const encoded = [...String(text)]
+    .map((char) => {
+      if (WIN_ANSI_EXTRAS[char]) {
+        return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+      }
+      return char.charCodeAt(0) <= 0xff ? char : "?";
+    })
+    .join("");
+  return `(${encoded.replace(/[\\()]/g, "\\$&")})`;
+}
+
+/**
+ * Approximate Helvetica width of text, used to wrap long lines. Average
+ * glyph widths are close enough for report text.
+ */
+function textWidth(text, size) {
+  return String(text).length * size * 0.5;
+}
+
+/** Splits text into lines no wider than `width` */
+function wrapText(text, size, width) {
+  const lines = [];
+  let line = "";
+  String(text)
+    .split(/\s+/)
+    .forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Page layout state: content stream operators per page and a cursor that
+ * moves down the page, starting a new page when it reaches the margin.
+ */
+function createLayout() {
+  const pages = [[]];
+  let y = PAGE.height - PAGE.margin;
+
+  const current = () => pages[pages.length - 1];
+
+  return {
+    pages,
+    /** Starts a new page unless `height` still fits on this one */
+    ensureSpace(height) {
+      if (y - height < PAGE.margin) {
+        pages.push([]);
+        y = PAGE.height - PAGE.margin;
+      }
+    },
+    /** Writes text at x on the current line */
+    text(x, text, { size = 10, bold = false, color = COLORS.black } = {}) {
+      current().push(
+        `BT ${color} rg /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td ${pdfString(text)} Tj ET`,
+      );
+    },
+    /** Draws a horizontal rule on the current line */
+    rule(x1, x2, offset = -4) {
+      current().push(`${x1} ${y + offset} m ${x2} ${y + offset} l S`);
+    },
+    /** Moves the cursor down */
+    advance(height) {
+      y -= height;
+    },
+  };
+}
+
+/** Writes wrapped text, one line per row */
+function writeParagraph(layout, text, options = {}) {
+  const size = options.size ?? 10;
+  const x = options.x ?? PAGE.margin;
+  wrapText(text, size, PAGE.width - PAGE.margin - x).forEach((line) => {
+    layout.ensureSpace(size + 4);
+    layout.text(x, line, options);
+    layout.advance(size + 4);
+  });
+}
+
+/** One component block */
+function writePdfEntry(layout, entry, index, text) {
+  const left = PAGE.margin;
+  const valueColumn = left + 110;
+
+  layout.ensureSpace(120);
+  layout.advance(10);
+  layout.text(left, entryHeading(entry, index, text), {
+    size: 13,
+    bold: true,
+  });
+  layout.rule(left, PAGE.width - PAGE.margin);
+  layout.advance(20);
+
+  entryFacts(entry, text).forEach(([label, value]) => {
+    layout.ensureSpace(14);
+    layout.text(left, label, { bold: true });
+    layout.text(valueColumn, value);
+    layout.advance(14);
+  });
+
+  layout.advance(6);
+  layout.ensureSpace(28);
+  layout.text(left, "#", { bold: true });
+  layout.text(left + 30, locales.format(text.reading, { units: entry.units }), {
+    bold: true,
+  });
+  layout.text(left + 140, text.status, { bold: true });
+  layout.rule(left, left + 260);
+  layout.advance(16);
+  // Markers padded to one width keep the status words in a column
+  const markWidth = Math.max(text.markIn.length, text.markOut.length);
+  entry.readings.forEach((reading, readingIndex) => {
+    layout.ensureSpace(14);
+    layout.text(left, `${readingIndex + 1}`);
+    layout.text(left + 30, reading.value);
+    layout.text(
+      left + 140,
+      `${(reading.status === "in" ? text.markIn : text.markOut).padEnd(markWidth)}  ${text[READING_STATUS[reading.status]]}`,
+      { color: reading.status === "in" ? COLORS.green : COLORS.red },
+    );
+    layout.advance(14);
+  });
+
+  layout.advance(6);
+  writeParagraph(layout, sizeLine(entry, text), {
+    color: entry.meetsSpec ? COLORS.green : COLORS.red,
+  });
+  if (entry.meetsIT !== null) {
+    writeParagraph(
+      layout,
+      `${entry.itGrade}: ${passFail(entry.meetsIT, text)} — ${entry.itReason}`,
+      { color: entry.meetsIT ? COLORS.green : COLORS.red },
+    );
+  }
+  if (entry.decision) {
+    writeParagraph(layout, decisionLine(entry.decision, text), {
+      color: DECISION_COLORS[entry.decision.verdict],
+    });
+  }
+  layout.advance(4);
+  writeParagraph(layout, finalComplianceLine(entry, text), {
+    size: 12,
+    bold: true,
+    color: entry.meetsFinalCompliance ? COLORS.green : COLORS.red,
+  });
+}
+
+/** Inspector and approver signature lines, kept together on one page */
+function writePdfSignatures(layout, details, text) {
+  const left = PAGE.margin;
+  const right = PAGE.width / 2 + 10;
+  const lineWidth = PAGE.width / 2 - PAGE.margin - 10;
+
+  layout.ensureSpace(90);
+  layout.advance(50);
+  layout.rule(left, left + lineWidth, 0);
+  layout.rule(right, right + lineWidth, 0);
+  layout.advance(14);
+  layout.text(
+    left,
+    details.inspector
+      ? `${text.inspectedBy}: ${details.inspector}`
+      : text.inspectedBy,
+    { bold: true },
+  );
+  layout.text(right, text.approvedBy, { bold: true });
+  layout.advance(14);
+  layout.text(left, text.signatureDate);
+  layout.text(right, text.signatureDate);
+  layout.advance(14);
+}
+
+/** Assembles the PDF file from the content streams of each page */
+function buildPdf(pageStreams, title, text) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+  );
+  const boldFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  );
+  const infoId = addObject(
+    `<< /Title ${pdfString(title)} /Producer (mechanical-tolerance-calculator) >>`,
+  );
+
+  const pageIds = pageStreams.map((operators, index) => {
+    const footer = `BT 0 0 0 rg /F1 8 Tf ${PAGE.margin} 30 Td ${pdfString(
+      locales.format(text.page, {
+        title,
+        page: index + 1,
+        pages: pageStreams.length,
+      }),
+    )} Tj ET`;
+    const stream = [...operators, footer].join("\n");
+    const contentId = addObject(
+      `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`,
+    );
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Every character is a single byte, so string offsets are byte offsets
+  return Buffer.from(pdf, "latin1");
+}
+
+/** --- Helper Functions for renderPdf() end--- */
+
+/**
+ * Renders the report as a PDF document.
+ *
+ * @param {Array<Object>} entries - From normalizeEntries
+ * @param {Object} [details] - Same as for renderHtml
+ * @param {Object} [messages] - From locales.resolveLocale
+ * @returns {Buffer}
+ */
+function renderPdf(entries, details = {}, messages = locales.resolveLocale()) {
+  const text = messages.report;
+  const header = normalizeDetails(details, text);
+  const layout = createLayout();
+
+  layout.text(PAGE.margin, header.title, { size: 18, bold: true });
+  layout.advance(26);
+  headerFields(header, text).forEach(([label, value]) => {
+    layout.text(PAGE.margin, label, { bold: true });
+    layout.text(PAGE.margin + 110, value);
+    layout.advance(14);
+  });
+  layout.advance(4);
+  writeParagraph(layout, summaryLine(entries, text), { bold: true });
+  if (header.notes) writeParagraph(layout, header.notes);
+
+  entries.forEach((entry, index) => writePdfEntry(layout, entry, index, text));
+  writePdfSignatures(layout, header, text);
+
+  return buildPdf(layout.pages, header.title, text);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  normalizeEntries,
+  renderHtml,
+  renderPdf,
+};
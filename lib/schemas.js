@@ -0,0 +1,287 @@
+/**
+ * Request schemas of the HTTP API, and the validator that checks requests
+ * against them.
+ *
+ * Schemas are plain JSON Schema objects in the subset OpenAPI 3.0 accepts,
+ * so the server validates requests and describes them in its OpenAPI
+ * document from the same objects. The validator supports `type`, `enum`,
+ * `minimum`, `exclusiveMinimum`, `minItems`, `items`, `properties`,
+ * `required`, `additionalProperties: false` and `anyOf`.
+ */
+
+const MATERIAL = {
+  type: "string",
+  description:
+    "Material type: housing, shaft or shell (or a name containing one of them)",
+  example: "housing",
+};
+
+const UNITS = {
+  type: "string",
+  description: "Units of readings, nominals and results: mm or inch",
+  example: "mm",
+};
+
+const STANDARD = {
+  type: "string",
+  description: "A registered tolerance standard (default: camco)",
+};
+
+const LOCALE = {
+  type: "string",
+  description: "Language of reasons and outcomes: en, es, pt or de",
+};
+
+const MEASUREMENT = { type: "number", minimum: 0, example: 240.05 };
+
+/** Options shared by the single and batch checks */
+const CHECK_OPTION_PROPERTIES = {
+  specification: {
+    type: "string",
+    description: "e.g. H7, k6, RC4 (default: the standard's)",
+  },
+  itGrade: {
+    type: "string",
+    description: "e.g. IT6 (default: the standard's)",
+  },
+  nominal: {
+    type: "number",
+    exclusiveMinimum: 0,
+    description: "Declared nominal size, instead of inferring it",
+  },
+  units: UNITS,
+  standard: STANDARD,
+  locale: LOCALE,
+  uncertainty: {
+    description:
+      "Expanded gauge uncertainty (k = 2), for an ISO 14253-1 decision",
+    anyOf: [
+      { type: "number", minimum: 0 },
+      {
+        type: "object",
+        properties: {
+          gauge: { type: "number", minimum: 0 },
+          temperature: {
+            type: "number",
+            description: "Part temperature while measuring (°C)",
+          },
+          expansionCoefficient: { type: "number", minimum: 0 },
+        },
+        required: ["gauge"],
+        additionalProperties: false,
+      },
+    ],
+  },
+  partTemperature: {
+    type: "number",
+    description: "°C; corrects readings to 20 °C",
+  },
+  gaugeTemperature: {
+    type: "number",
+    description: "°C; corrects readings to 20 °C",
+  },
+  partMaterial: {
+    description:
+      "steel, cast-iron, bronze, aluminium, or an expansion coefficient in 1/K",
+    anyOf: [{ type: "string" }, { type: "number", minimum: 0 }],
+  },
+};
+
+const CHECK_REQUEST = {
+  type: "object",
+  properties: {
+    material: MATERIAL,
+    measurement: MEASUREMENT,
+    ...CHECK_OPTION_PROPERTIES,
+  },
+  required: ["material", "measurement"],
+  additionalProperties: false,
+};
+
+const BATCH_CHECK_REQUEST = {
+  type: "object",
+  properties: {
+    material: MATERIAL,
+    measurements: { type: "array", items: MEASUREMENT, minItems: 1 },
+    ...CHECK_OPTION_PROPERTIES,
+  },
+  required: ["material", "measurements"],
+  additionalProperties: false,
+};
+
+const FIT_REQUEST = {
+  type: "object",
+  properties: {
+    fit: {
+      type: "string",
+      description: 'Hole/shaft designation or ANSI B4.1 class, e.g. "H7/k6"',
+      example: "H7/k6",
+    },
+    nominal: { type: "number", exclusiveMinimum: 0, example: 50 },
+    units: UNITS,
+    locale: LOCALE,
+  },
+  required: ["fit", "nominal"],
+  additionalProperties: false,
+};
+
+const TOLERANCE_QUERY = {
+  type: "object",
+  properties: {
+    spec: {
+      type: "string",
+      description: "Only this specification, e.g. H7 (default: all)",
+    },
+    units: UNITS,
+    standard: STANDARD,
+  },
+  additionalProperties: false,
+};
+
+const TABLE_QUERY = {
+  type: "object",
+  properties: { units: UNITS, standard: STANDARD },
+  additionalProperties: false,
+};
+
+const ERROR_RESPONSE = {
+  type: "object",
+  properties: {
+    error: { type: "boolean", enum: [true] },
+    code: { type: "string", example: "UNKNOWN_SPEC" },
+    message: { type: "string" },
+    details: { type: "array", items: { type: "object" } },
+  },
+  required: ["error", "code", "message"],
+};
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [field] - Path of the value, e.g. "measurements[2]"
+ * @returns {Array<{ field: string, message: string }>} One entry per problem; empty when valid
+ */
+function validate(schema, value, field = "") {
+  const name = field || "Value";
+
+  if (schema.anyOf) {
+    const isValid = schema.anyOf.some(
+      (option) => validate(option, value, field).length === 0,
+    );
+    return isValid
+      ? []
+      : [
+          {
+            field: name,
+            message: `Must be ${schema.anyOf.map(describeType).join(" or ")}.`,
+          },
+        ];
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [{ field: name, message: `Must be ${describeType(schema)}.` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      {
+        field: name,
+        message: `Must be one of ${schema.enum.map(String).join(", ")}.`,
+      },
+    ];
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [{ field: name, message: `Must be ${schema.minimum} or more.` }];
+  }
+  if (
+    schema.exclusiveMinimum !== undefined &&
+    value <= schema.exclusiveMinimum
+  ) {
+    return [
+      {
+        field: name,
+        message: `Must be greater than ${schema.exclusiveMinimum}.`,
+      },
+    ];
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return [
+        {
+          field: name,
+          message: `Must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}.`,
+        },
+      ];
+    }
+    return schema.items
+      ? value.flatMap((item, index) =>
+          validate(schema.items, item, `${field}[${index}]`),
+        )
+      : [];
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties ?? {};
+    const prefix = field ? `${field}.` : "";
+    const missing = (schema.required ?? [])
+      .filter((key) => value[key] === undefined)
+      .map((key) => ({ field: `${prefix}${key}`, message: "Is required." }));
+    const unknown =
+      schema.additionalProperties === false
+        ? Object.keys(value)
+            .filter((key) => !Object.hasOwn(properties, key))
+            .map((key) => ({
+              field: `${prefix}${key}`,
+              message: `Is not a known field. Known fields: ${Object.keys(properties).join(", ")}.`,
+            }))
+        : [];
+    const invalid = Object.entries(properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, propertySchema]) =>
+        validate(propertySchema, value[key], `${prefix}${key}`),
+      );
+    return [...missing, ...unknown, ...invalid];
+  }
+
+  return [];
+}
+
+/** --- Helper Functions for validate() start--- */
+
+/** Whether a value has a JSON Schema type */
+function hasType(value, type) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "number":
+      return Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/** Describes a schema's type for messages, e.g. "a number" */
+function describeType(schema) {
+  const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+  return schema.type ? `${article} ${schema.type}` : "a valid value";
+}
+
+/** --- Helper Functions for validate() end--- */
+
+module.exports = {
+  CHECK_REQUEST,
+  BATCH_CHECK_REQUEST,
+  FIT_REQUEST,
+  TOLERANCE_QUERY,
+  TABLE_QUERY,
+  ERROR_RESPONSE,
+  validate,
+};
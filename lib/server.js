@@ -0,0 +1,402 @@
+/**
+ * HTTP API of the calculator, for clients that cannot require() the module
+ * (inspection tablets, ERP systems).
+ *
+ *   GET  /tolerances/{material}   getAllTolerancesFor
+ *   GET  /tables                  specifications per material type
+ *   GET  /standards               registered standards
+ *   POST /checks                  checkOneMeasurementFor
+ *   POST /checks/batch            checkMultipleMeasurementsFor
+ *   POST /fits                    calculateFit
+ *   GET  /openapi.json            OpenAPI 3.0 description of the above
+ *
+ * Requests are validated against the schemas in ./schemas, and the OpenAPI
+ * document is generated from the same schemas. Responses are the API's
+ * results as JSON; error objects are returned with status 400 (invalid
+ * input) or 404 (something asked for does not exist).
+ */
+
+const http = require("node:http");
+const schemas = require("./schemas");
+const { ERROR_CODES, createError, isLookupError } = require("./errors");
+const packageInfo = require("../package.json");
+
+/** Largest request body accepted, in bytes */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MATERIALS = ["housing", "shaft", "shell"];
+
+/**
+ * Endpoints. `handle` gets the calculator functions and the validated
+ * request, and returns a result or an error object.
+ */
+const ROUTES = [
+  {
+    method: "GET",
+    path: "/tolerances/{material}",
+    operationId: "getAllTolerancesFor",
+    summary: "Tolerances of every specification of a material type, or of one",
+    query: schemas.TOLERANCE_QUERY,
+    handle: (api, { params, query }) =>
+      api.getAllTolerancesFor(params.material, query.spec ?? "", {
+        units: query.units,
+        standard: query.standard,
+      }),
+  },
+  {
+    method: "GET",
+    path: "/tables",
+    operationId: "listTables",
+    summary: "Specifications available per material type",
+    query: schemas.TABLE_QUERY,
+    handle: (api, { query }) => listTables(api, query),
+  },
+  {
+    method: "GET",
+    path: "/standards",
+    operationId: "listStandards",
+    summary: "Names of the registered tolerance standards",
+    handle: (api) => ({ standards: api.listStandards() }),
+  },
+  {
+    method: "POST",
+    path: "/checks",
+    operationId: "checkOneMeasurementFor",
+    summary: "Checks one measurement against a specification",
+    body: schemas.CHECK_REQUEST,
+    handle: (api, { body }) => {
+      const { material, measurement, ...options } = body;
+      return api.checkOneMeasurementFor(material, measurement, options);
+    },
+  },
+  {
+    method: "POST",
+    path: "/checks/batch",
+    operationId: "checkMultipleMeasurementsFor",
+    summary: "Checks several measurements of one part for size and IT grade",
+    body: schemas.BATCH_CHECK_REQUEST,
+    handle: (api, { body }) => {
+      const { material, measurements, ...options } = body;
+      return api.checkMultipleMeasurementsFor(material, measurements, options);
+    },
+  },
+  {
+    method: "POST",
+    path: "/fits",
+    operationId: "calculateFit",
+    summary: "Limits and type of a hole/shaft fit at a nominal size",
+    body: schemas.FIT_REQUEST,
+    handle: (api, { body }) =>
+      api.calculateFit(body.fit, body.nominal, {
+        units: body.units,
+        locale: body.locale,
+      }),
+  },
+];
+
+/**
+ * Creates the HTTP server. It is not listening yet; call `listen` on it.
+ *
+ * @param {Object} api - The calculator's public functions
+ * @param {{ cors?: boolean }} [options] - `cors` allows requests from web pages of any origin
+ * @returns {http.Server}
+ */
+function createServer(api, options = {}) {
+  const { cors = false } = options;
+  const document = buildOpenAPIDocument();
+
+  return http.createServer(async (request, response) => {
+    const headers = {
+      "Content-Type": "application/json; charset=utf-8",
+      ...(cors && {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      }),
+    };
+
+    try {
+      const { status, body, allow, close } = await handleRequest(
+        api,
+        document,
+        request,
+        cors,
+      );
+      response.writeHead(status, {
+        ...headers,
+        ...(allow && { Allow: allow }),
+        // The rest of an unread body would be taken for the next request
+        ...(close && { Connection: "close" }),
+      });
+      response.end(body === undefined ? undefined : JSON.stringify(body));
+    } catch {
+      response.writeHead(500, headers);
+      response.end(
+        JSON.stringify(
+          createError(ERROR_CODES.INTERNAL_ERROR, "Internal server error."),
+        ),
+      );
+    }
+  });
+}
+
+/**
+ * The OpenAPI 3.0 document of the endpoints, generated from their schemas.
+ *
+ * @returns {Object}
+ */
+function buildOpenAPIDocument() {
+  const paths = {};
+  ROUTES.forEach((route) => {
+    const pathParameters = [...route.path.matchAll(/\{(\w+)\}/g)].map(
+      ([, name]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+      }),
+    );
+    const queryParameters = Object.entries(route.query?.properties ?? {}).map(
+      ([name, schema]) => ({
+        name,
+        in: "query",
+        required: (route.query.required ?? []).includes(name),
+        ...(schema.description && { description: schema.description }),
+        schema: withoutDescription(schema),
+      }),
+    );
+    const parameters = [...pathParameters, ...queryParameters];
+
+    paths[route.path] = {
+      ...paths[route.path],
+      [route.method.toLowerCase()]: {
+        operationId: route.operationId,
+        summary: route.summary,
+        ...(parameters.length > 0 && { parameters }),
+        ...(route.body && {
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: route.body } },
+          },
+        }),
+        responses: {
+          200: {
+            description: "Result",
+            content: { "application/json": { schema: { type: "object" } } },
+          },
+          400: errorResponse("Invalid input"),
+          404: errorResponse("Something asked for does not exist"),
+        },
+      },
+    };
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: packageInfo.name,
+      version: packageInfo.version,
+      description: packageInfo.description,
+    },
+    paths,
+    components: { schemas: { Error: schemas.ERROR_RESPONSE } },
+  };
+}
+
+/** --- Helper Functions for createServer() start--- */
+
+/**
+ * Routes and validates a request, and runs its handler.
+ *
+ * @returns {Promise<{ status: number, body?: Object, allow?: string, close?: boolean }>}
+ */
+async function handleRequest(api, document, request, cors) {
+  const url = new URL(request.url, "http://localhost");
+
+  if (request.method === "OPTIONS" && cors) {
+    return { status: 204 };
+  }
+  if (request.method === "GET" && url.pathname === "/openapi.json") {
+    return { status: 200, body: document };
+  }
+
+  // 1. Find the endpoint
+  const matches = ROUTES.map((route) => ({
+    route,
+    params: matchPath(route.path, url.pathname),
+  })).filter((match) => match.params);
+  if (matches.length === 0) {
+    return errorResult(
+      createError(
+        ERROR_CODES.UNKNOWN_ROUTE,
+        `Unknown endpoint: ${url.pathname}. See GET /openapi.json.`,
+      ),
+    );
+  }
+  const match = matches.find(({ route }) => route.method === request.method);
+  if (!match) {
+    const allowed = matches.map(({ route }) => route.method).join(", ");
+    return {
+      status: 405,
+      allow: allowed,
+      body: createError(
+        ERROR_CODES.UNKNOWN_ROUTE,
+        `${url.pathname} accepts ${allowed}, not ${request.method}.`,
+      ),
+    };
+  }
+
+  // 2. Validate the query and body
+  const query = Object.fromEntries(url.searchParams);
+  const details = match.route.query
+    ? schemas.validate(match.route.query, query)
+    : [];
+  let body;
+  if (match.route.body) {
+    body = await readJSONBody(request);
+    if (body.error) {
+      return { status: body.status, body: body.error, close: body.close };
+    }
+    details.push(...schemas.validate(match.route.body, body.value));
+  }
+  if (details.length > 0) {
+    return errorResult(
+      createError(ERROR_CODES.INVALID_INPUT, "Request is invalid.", details),
+    );
+  }
+
+  // 3. Run it
+  const result = match.route.handle(api, {
+    params: match.params,
+    query,
+    body: body?.value,
+  });
+  return result?.error ? errorResult(result) : { status: 200, body: result };
+}
+
+/** Status and body for an error object */
+function errorResult(error) {
+  return { status: isLookupError(error) ? 404 : 400, body: error };
+}
+
+/**
+ * Matches a path against a route template such as "/tolerances/{material}".
+ *
+ * @returns {Object|null} Path parameters, or null when the path does not match
+ */
+function matchPath(template, pathname) {
+  const templateParts = template.split("/");
+  const pathParts = pathname.replace(/\/+$/, "").split("/");
+  if (templateParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let index = 0; index < templateParts.length; index++) {
+    const name = templateParts[index].match(/^\{(\w+)\}$/)?.[1];
+    if (name) {
+      params[name] = decodePathPart(pathParts[index]);
+      if (params[name] === null) return null;
+    } else if (templateParts[index] !== pathParts[index]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/** A percent-decoded path segment, or null when it is malformed */
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads and parses a JSON request body. A body over MAX_BODY_BYTES is left
+ * unread, so the connection must be closed after the response.
+ *
+ * @returns {Promise<{ value: * }|{ status: number, error: Object, close?: boolean }>}
+ */
+async function readJSONBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return {
+        status: 413,
+        close: true,
+        error: createError(
+          ERROR_CODES.INVALID_INPUT,
+          `Request body is larger than ${MAX_BODY_BYTES} bytes.`,
+        ),
+      };
+    }
+    chunks.push(chunk);
+  }
+
+  let value;
+  try {
+    value = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    return {
+      status: 400,
+      error: createError(
+        ERROR_CODES.INVALID_INPUT,
+        "Request body must be JSON.",
+      ),
+    };
+  }
+
+  // Every endpoint takes an object of named fields
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return {
+      status: 400,
+      error: createError(
+        ERROR_CODES.INVALID_INPUT,
+        "Request body must be a JSON object.",
+      ),
+    };
+  }
+  return { value };
+}
+
+/** Specification names per material type */
+function listTables(api, query) {
+  const tables = [];
+  for (const material of MATERIALS) {
+    const tolerances = api.getAllTolerancesFor(material, "", query);
+    if (tolerances.error) return tolerances;
+    tables.push({
+      material,
+      type: tolerances.type,
+      specifications: Object.keys(tolerances.specifications),
+    });
+  }
+  return { tables };
+}
+
+/** OpenAPI response of an error object */
+function errorResponse(description) {
+  return {
+    description,
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  };
+}
+
+/** A schema without its description, which moves to the parameter */
+function withoutDescription(schema) {
+  const { description, ...rest } = schema;
+  return rest;
+}
+
+/** --- Helper Functions for createServer() end--- */
+
+module.exports = {
+  MAX_BODY_BYTES,
+  ROUTES,
+  createServer,
+  buildOpenAPIDocument,
+};
@@ -0,0 +1,204 @@
+/**
+ * Process capability statistics for a batch of measurements against
+ * specification limits: Cp/Cpk (within-subgroup, short-term variation) and
+ * Pp/Ppk (overall, long-term variation).
+ *
+ * Readings are taken as a run of individual values in production order, so
+ * the within standard deviation is estimated from the average moving range
+ * (MR̄ / d2, d2 = 1.128 for ranges of two readings).
+ */
+
+/** d2 constant for moving ranges of two consecutive readings. */
+const D2_MOVING_RANGE = 1.128;
+
+/** Capability thresholds for the verdict, applied to Cpk. */
+const CAPABILITY_THRESHOLDS = {
+  capable: 1.33,
+  marginal: 1.0,
+};
+
+/** Sample size below which the estimates are flagged as unreliable. */
+const RECOMMENDED_SAMPLE_SIZE = 30;
+
+const VERDICTS = {
+  capable: "capable",
+  marginal: "marginal",
+  notCapable: "not capable",
+  indeterminate: "indeterminate",
+};
+
+/**
+ * Arithmetic mean.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Overall (sample) standard deviation, n − 1 in the denominator.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+function overallStandardDeviation(values) {
+  const average = mean(values);
+  const sumOfSquares = values.reduce(
+    (sum, value) => sum + (value - average) ** 2,
+    0,
+  );
+  return Math.sqrt(sumOfSquares / (values.length - 1));
+}
+
+/**
+ * Within standard deviation from the average moving range of consecutive
+ * readings.
+ *
+ * @param {number[]} values - Readings in production order
+ * @returns {number}
+ */
+function withinStandardDeviation(values) {
+  const movingRanges = values
+    .slice(1)
+    .map((value, index) => Math.abs(value - values[index]));
+  return mean(movingRanges) / D2_MOVING_RANGE;
+}
+
+/**
+ * Standard normal cumulative distribution function, Φ(z).
+ * Uses the Abramowitz & Stegun 7.1.26 approximation of erf (error < 1.5e-7).
+ *
+ * @param {number} z
+ * @returns {number}
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const polynomial =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - polynomial * Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Capability indices of a process with the given mean and standard
+ * deviation against lower and upper specification limits.
+ *
+ * @param {number} average
+ * @param {number} sigma
+ * @param {number} lowerLimit
+ * @param {number} upperLimit
+ * @returns {{ potential: number, actual: number }|null} Cp-type and Cpk-type index, or null when sigma is 0
+ */
+function capabilityIndices(average, sigma, lowerLimit, upperLimit) {
+  if (!(sigma > 0)) return null;
+
+  return {
+    potential: (upperLimit - lowerLimit) / (6 * sigma),
+    actual: Math.min(upperLimit - average, average - lowerLimit) / (3 * sigma),
+  };
+}
+
+/**
+ * Estimated fraction of parts outside each specification limit, assuming a
+ * normal distribution.
+ *
+ * @param {number} average
+ * @param {number} sigma
+ * @param {number} lowerLimit
+ * @param {number} upperLimit
+ * @returns {{ below: number, above: number }|null} Fractions (0–1), or null when sigma is 0
+ */
+function estimateOutOfTolerance(average, sigma, lowerLimit, upperLimit) {
+  if (!(sigma > 0)) return null;
+
+  return {
+    below: normalCdf((lowerLimit - average) / sigma),
+    above: 1 - normalCdf((upperLimit - average) / sigma),
+  };
+}
+
+/**
+ * Classifies a process from its Cpk.
+ *
+ * - capable: Cpk ≥ 1.33
+ * - marginal: 1.00 ≤ Cpk < 1.33
+ * - not capable: Cpk < 1.00
+ *
+ * @param {number|null} cpk
+ * @returns {"capable"|"marginal"|"not capable"|"indeterminate"}
+ */
+function classifyCapability(cpk) {
+  if (cpk === null || !Number.isFinite(cpk)) return VERDICTS.indeterminate;
+  if (cpk >= CAPABILITY_THRESHOLDS.capable) return VERDICTS.capable;
+  if (cpk >= CAPABILITY_THRESHOLDS.marginal) return VERDICTS.marginal;
+  return VERDICTS.notCapable;
+}
+
+/**
+ * Full capability analysis of a run of readings against specification
+ * limits.
+ *
+ * @param {number[]} values - Readings in production order (at least 2)
+ * @param {number} lowerLimit - Lower specification limit
+ * @param {number} upperLimit - Upper specification limit
+ * @returns {{ mean: number, overallSigma: number, withinSigma: number, cp: number|null, cpk: number|null, pp: number|null, ppk: number|null, outOfTolerance: { below: number, above: number }|null, verdict: string }}
+ */
+function analyzeCapability(values, lowerLimit, upperLimit) {
+  const average = mean(values);
+  const overallSigma = overallStandardDeviation(values);
+  const withinSigma = withinStandardDeviation(values);
+
+  const within = capabilityIndices(
+    average,
+    withinSigma,
+    lowerLimit,
+    upperLimit,
+  );
+  const overall = capabilityIndices(
+    average,
+    overallSigma,
+    lowerLimit,
+    upperLimit,
+  );
+
+  return {
+    mean: average,
+    overallSigma,
+    withinSigma,
+    cp: within?.potential ?? null,
+    cpk: within?.actual ?? null,
+    pp: overall?.potential ?? null,
+    ppk: overall?.actual ?? null,
+    // Long-term performance, so the overall sigma is used
+    outOfTolerance: estimateOutOfTolerance(
+      average,
+      overallSigma,
+      lowerLimit,
+      upperLimit,
+    ),
+    verdict: classifyCapability(within?.actual ?? null),
+  };
+}
+
+module.exports = {
+  D2_MOVING_RANGE,
+  CAPABILITY_THRESHOLDS,
+  RECOMMENDED_SAMPLE_SIZE,
+  VERDICTS,
+  mean,
+  overallStandardDeviation,
+  withinStandardDeviation,
+  normalCdf,
+  capabilityIndices,
+  estimateOutOfTolerance,
+  classifyCapability,
+  analyzeCapability,
+};
@@ -0,0 +1,148 @@
+/**
+ * Thermal compensation of readings to the reference temperature.
+ *
+ * Tolerances apply at 20 °C (ISO 1). A reading taken on a part at t_p with
+ * a gauge at t_g is corrected to 20 °C as
+ *
+ *   L20 = L × (1 + α_g (t_g − 20)) / (1 + α_p (t_p − 20))
+ *
+ * where α_p is the part's and α_g the gauge's linear expansion coefficient.
+ * Gauges are taken to be steel.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+/** Reference temperature of dimensional specifications (ISO 1), in °C. */
+const REFERENCE_TEMPERATURE = 20;
+
+/** Linear expansion coefficients near room temperature, in 1/K. */
+const EXPANSION_COEFFICIENTS = {
+  steel: 11.5e-6,
+  "cast-iron": 10.5e-6,
+  bronze: 18e-6,
+  aluminium: 23e-6,
+};
+
+const MATERIAL_ALIASES = {
+  steel: "steel",
+  "cast-iron": "cast-iron",
+  "cast iron": "cast-iron",
+  cast_iron: "cast-iron",
+  castiron: "cast-iron",
+  bronze: "bronze",
+  aluminium: "aluminium",
+  aluminum: "aluminium",
+};
+
+const GAUGE_EXPANSION_COEFFICIENT = EXPANSION_COEFFICIENTS.steel;
+
+/**
+ * Resolves the compensation options of a check. Returns null when neither
+ * temperature is given, since readings are then taken to be at 20 °C.
+ *
+ * @param {{ partTemperature?: number, gaugeTemperature?: number, partMaterial?: string|number }} options
+ *   `partMaterial` is a material name or a custom coefficient in 1/K (default: steel)
+ * @returns {{ partTemperature: number, gaugeTemperature: number, material: string, coefficient: number }|null|{error: true, code: string, message: string, details: Array<Object>}}
+ */
+function resolveCompensation(options) {
+  const {
+    partTemperature = REFERENCE_TEMPERATURE,
+    gaugeTemperature = REFERENCE_TEMPERATURE,
+    partMaterial = "steel",
+  } = options;
+  const isRequested =
+    options.partTemperature !== undefined ||
+    options.gaugeTemperature !== undefined;
+
+  const details = [];
+  if (!Number.isFinite(partTemperature)) {
+    details.push({
+      field: "partTemperature",
+      message: "Part temperature must be a number (°C).",
+    });
+  }
+  if (!Number.isFinite(gaugeTemperature)) {
+    details.push({
+      field: "gaugeTemperature",
+      message: "Gauge temperature must be a number (°C).",
+    });
+  }
+
+  const material = resolveMaterial(partMaterial);
+  if (material.error) {
+    details.push({ field: "partMaterial", message: material.message });
+  } else if (!isRequested && options.partMaterial !== undefined) {
+    details.push({
+      field: "partMaterial",
+      message: "Part material needs a part or gauge temperature.",
+    });
+  }
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Thermal compensation is invalid.",
+      details,
+    );
+  }
+  if (!isRequested) return null;
+
+  return { partTemperature, gaugeTemperature, ...material };
+}
+
+/**
+ * Resolves a material name or a custom coefficient.
+ *
+ * @param {string|number} partMaterial
+ * @returns {{ material: string, coefficient: number }|{error: true, code: string, message: string}}
+ */
+function resolveMaterial(partMaterial) {
+  if (typeof partMaterial === "number") {
+    return Number.isFinite(partMaterial) && partMaterial >= 0
+      ? { material: "custom", coefficient: partMaterial }
+      : createError(
+          ERROR_CODES.INVALID_INPUT,
+          "A custom expansion coefficient must be a number of 0 or more (1/K).",
+        );
+  }
+
+  const material =
+    typeof partMaterial === "string"
+      ? MATERIAL_ALIASES[partMaterial.trim().toLowerCase()]
+      : null;
+  if (!material) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      `Unknown part material: ${partMaterial}. Use ${Object.keys(EXPANSION_COEFFICIENTS).join(", ")} or a coefficient in 1/K.`,
+    );
+  }
+  return { material, coefficient: EXPANSION_COEFFICIENTS[material] };
+}
+
+/**
+ * Corrects a reading to 20 °C.
+ *
+ * @param {number} value - Reading as taken
+ * @param {{ partTemperature: number, gaugeTemperature: number, coefficient: number }} compensation - From resolveCompensation
+ * @returns {number} Reading at 20 °C
+ */
+function toReferenceTemperature(value, compensation) {
+  const gaugeExpansion =
+    1 +
+    GAUGE_EXPANSION_COEFFICIENT *
+      (compensation.gaugeTemperature - REFERENCE_TEMPERATURE);
+  const partExpansion =
+    1 +
+    compensation.coefficient *
+      (compensation.partTemperature - REFERENCE_TEMPERATURE);
+  return (value * gaugeExpansion) / partExpansion;
+}
+
+module.exports = {
+  REFERENCE_TEMPERATURE,
+  EXPANSION_COEFFICIENTS,
+  GAUGE_EXPANSION_COEFFICIENT,
+  resolveCompensation,
+  resolveMaterial,
+  toReferenceTemperature,
+};
@@ -0,0 +1,174 @@
+/**
+ * Measurement uncertainty and ISO 14253-1 decision rules.
+ *
+ * A reading proves conformance only when it lies inside the specification
+ * zone reduced by the expanded uncertainty U on both sides (the acceptance
+ * limits), and proves non-conformance only when it lies outside the zone
+ * widened by U (the rejection limits). In between, neither is proved and the
+ * reading is indeterminate.
+ *
+ * Uncertainties are expanded uncertainties (coverage factor k = 2) in the
+ * caller's unit.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+const { REFERENCE_TEMPERATURE, EXPANSION_COEFFICIENTS } = require("./thermal");
+
+const DECISIONS = {
+  conforming: "conforming",
+  nonConforming: "non-conforming",
+  indeterminate: "indeterminate",
+};
+
+const DECISION_RULE = "ISO 14253-1";
+
+/** Coverage factor of the expanded uncertainties. */
+const COVERAGE_FACTOR = 2;
+
+/**
+ * Validates the uncertainty option: either the gauge's expanded uncertainty,
+ * or { gauge, temperature?, expansionCoefficient? } where temperature is the
+ * part temperature (°C) during measurement.
+ *
+ * @param {number|{ gauge: number, temperature?: number, expansionCoefficient?: number }} option
+ * @returns {{ gauge: number, temperature: number|null, expansionCoefficient: number }|{error: true, code: string, message: string, details: Array<Object>}}
+ */
+function resolveUncertainty(option) {
+  const settings =
+    typeof option === "object" && option !== null ? option : { gauge: option };
+  const {
+    gauge,
+    temperature = null,
+    expansionCoefficient = EXPANSION_COEFFICIENTS.steel,
+  } = settings;
+
+  const details = [];
+  if (!(Number.isFinite(gauge) && gauge >= 0)) {
+    details.push({
+      field: "gauge",
+      message: "Gauge uncertainty must be a number of 0 or more.",
+    });
+  }
+  if (temperature !== null && !Number.isFinite(temperature)) {
+    details.push({
+      field: "temperature",
+      message: "Temperature must be a number (°C).",
+    });
+  }
+  if (!(Number.isFinite(expansionCoefficient) && expansionCoefficient >= 0)) {
+    details.push({
+      field: "expansionCoefficient",
+      message: "Expansion coefficient must be a number of 0 or more (1/K).",
+    });
+  }
+
+  if (details.length > 0) {
+    return createError(
+      ERROR_CODES.INVALID_INPUT,
+      "Uncertainty is invalid.",
+      details,
+    );
+  }
+  return { gauge, temperature, expansionCoefficient };
+}
+
+/**
+ * Combined expanded uncertainty of a reading at a nominal size.
+ *
+ * An uncorrected temperature difference from 20 °C shifts a reading by up
+ * to nominal × α × |ΔT|. That bound is taken as a rectangular distribution
+ * and combined with the gauge uncertainty by root sum of squares.
+ *
+ * @param {{ gauge: number, temperature: number|null, expansionCoefficient: number }} uncertainty - From resolveUncertainty
+ * @param {number} nominal - Nominal size, in the unit of the uncertainty
+ * @returns {{ expanded: number, gauge: number, temperature: number|null }} Expanded uncertainties
+ */
+function combineUncertainty(uncertainty, nominal) {
+  if (uncertainty.temperature === null) {
+    return {
+      expanded: uncertainty.gauge,
+      gauge: uncertainty.gauge,
+      temperature: null,
+    };
+  }
+
+  const thermalBound =
+    nominal *
+    uncertainty.expansionCoefficient *
+    Math.abs(uncertainty.temperature - REFERENCE_TEMPERATURE);
+  const temperature = (COVERAGE_FACTOR * thermalBound) / Math.sqrt(3);
+
+  return {
+    expanded: Math.hypot(uncertainty.gauge, temperature),
+    gauge: uncertainty.gauge,
+    temperature,
+  };
+}
+
+/**
+ * Guard-banded limits of a specification zone.
+ *
+ * @param {{ lower: number, upper: number }} bounds - Specification limits
+ * @param {number} expanded - Expanded uncertainty U
+ * @returns {{ acceptance: { lower: number, upper: number }, rejection: { lower: number, upper: number } }}
+ */
+function guardBand(bounds, expanded) {
+  return {
+    acceptance: {
+      lower: bounds.lower + expanded,
+      upper: bounds.upper - expanded,
+    },
+    rejection: {
+      lower: bounds.lower - expanded,
+      upper: bounds.upper + expanded,
+    },
+  };
+}
+
+/**
+ * Decides on one reading against guard-banded limits. When the uncertainty
+ * is as wide as half the tolerance, the acceptance zone is empty and no
+ * reading can prove conformance.
+ *
+ * @param {number} value
+ * @param {{ acceptance: { lower: number, upper: number }, rejection: { lower: number, upper: number } }} limits - From guardBand
+ * @returns {"conforming"|"non-conforming"|"indeterminate"}
+ */
+function decide(value, limits) {
+  if (value >= limits.acceptance.lower && value <= limits.acceptance.upper) {
+    return DECISIONS.conforming;
+  }
+  if (value < limits.rejection.lower || value > limits.rejection.upper) {
+    return DECISIONS.nonConforming;
+  }
+  return DECISIONS.indeterminate;
+}
+
+/**
+ * Decision for a batch: non-conforming if any reading proves
+ * non-conformance, conforming if every reading proves conformance, and
+ * indeterminate otherwise.
+ *
+ * @param {string[]} decisions - Per-reading decisions
+ * @returns {"conforming"|"non-conforming"|"indeterminate"}
+ */
+function decideBatch(decisions) {
+  if (decisions.includes(DECISIONS.nonConforming)) {
+    return DECISIONS.nonConforming;
+  }
+  if (decisions.every((decision) => decision === DECISIONS.conforming)) {
+    return DECISIONS.conforming;
+  }
+  return DECISIONS.indeterminate;
+}
+
+module.exports = {
+  DECISIONS,
+  DECISION_RULE,
+  COVERAGE_FACTOR,
+  resolveUncertainty,
+  combineUncertainty,
+  guardBand,
+  decide,
+  decideBatch,
+};
@@ -0,0 +1,162 @@
+/**
+ * Unit handling for inputs and outputs in millimetres or inches.
+ *
+ * Tolerance data is stored in millimetres. When a caller works in inches,
+ * tolerance tables are converted up front so that nominal inference, bounds
+ * and reasons are all produced in the caller's unit.
+ */
+
+const { ERROR_CODES, createError } = require("./errors");
+
+const MILLIMETRES_PER_INCH = 25.4;
+
+/**
+ * Supported units.
+ *
+ * - `millimetresPerUnit`: conversion factor to millimetres
+ * - `decimals`: decimals used for bounds, deviations and reasons
+ * - `nominalStep`: grid nominal sizes are inferred on (1 mm, 1/16 inch)
+ */
+const UNITS = {
+  mm: { name: "mm", millimetresPerUnit: 1, decimals: 3, nominalStep: 1 },
+  inch: {
+    name: "inch",
+    millimetresPerUnit: MILLIMETRES_PER_INCH,
+    decimals: 4,
+    nominalStep: 1 / 16,
+  },
+};
+
+const UNIT_ALIASES = {
+  mm: "mm",
+  millimetre: "mm",
+  millimetres: "mm",
+  millimeter: "mm",
+  millimeters: "mm",
+  in: "inch",
+  inch: "inch",
+  inches: "inch",
+};
+
+/**
+ * Resolves a units option to its definition. Defaults to millimetres.
+ *
+ * @param {string} [units="mm"] - "mm" or "inch" (common aliases accepted)
+ * @returns {typeof UNITS.mm|{error: true, code: string, message: string}}
+ */
+function resolveUnits(units = "mm") {
+  const key =
+    typeof units === "string" ? UNIT_ALIASES[units.trim().toLowerCase()] : null;
+
+  if (!key) {
+    return createError(
+      ERROR_CODES.UNKNOWN_UNITS,
+      `Available units: ${Object.keys(UNITS).join(", ")}`,
+    );
+  }
+
+  return UNITS[key];
+}
+
+/**
+ * Converts a value in the given unit to millimetres.
+ *
+ * @param {number|string} value
+ * @param {typeof UNITS.mm} unit
+ * @returns {number}
+ */
+function toMillimetres(value, unit) {
+  return Number(value) * unit.millimetresPerUnit;
+}
+
+/**
+ * Converts a value in millimetres to the given unit.
+ *
+ * @param {number|string} value
+ * @param {typeof UNITS.mm} unit
+ * @returns {number}
+ */
+function fromMillimetres(value, unit) {
+  return Number(value) / unit.millimetresPerUnit;
+}
+
+/**
+ * Converts a millimetre string (deviation or IT value) to a string in the
+ * given unit with that unit's decimals, e.g. "0.025" → "0.0010" inch.
+ *
+ * @param {string} value
+ * @param {typeof UNITS.mm} unit
+ * @returns {string}
+ */
+function convertMillimetreString(value, unit) {
+  if (unit === UNITS.mm) return value;
+
+  const converted = Number(fromMillimetres(value, unit).toFixed(unit.decimals));
+  return (converted || 0).toFixed(unit.decimals);
+}
+
+/**
+ * Converts a tolerance table (an array in the shape of Tolerances.json) from
+ * millimetres to the given unit: diameter band limits, deviations and
+ * IT values.
+ *
+ * @param {Array<Object>} table
+ * @param {typeof UNITS.mm} unit
+ * @returns {Array<Object>}
+ */
+function convertToleranceTable(table, unit) {
+  if (unit === UNITS.mm) return table;
+
+  return table.map((band) =>
+    Object.fromEntries(
+      Object.entries(band).map(([key, value]) => {
+        if (key === "minimum_diameter" || key === "maximum_diameter") {
+          return [key, Number(fromMillimetres(value, unit).toFixed(4))];
+        }
+        return [key, convertMillimetreString(value, unit)];
+      }),
+    ),
+  );
+}
+
+/**
+ * Converts tolerance data as returned by returnTolerancesFor (one table in
+ * `specification`, or several in `specifications`) to the given unit.
+ *
+ * @param {Object} tolerances
+ * @param {typeof UNITS.mm} unit
+ * @returns {Object}
+ */
+function convertTolerances(tolerances, unit) {
+  if (unit === UNITS.mm || tolerances.error) return tolerances;
+
+  if (tolerances.specifications) {
+    return {
+      ...tolerances,
+      specifications: Object.fromEntries(
+        Object.entries(tolerances.specifications).map(([spec, table]) => [
+          spec,
+          convertToleranceTable(table, unit),
+        ]),
+      ),
+      units: unit.name,
+    };
+  }
+
+  return {
+    ...tolerances,
+    specification: convertToleranceTable(tolerances.specification, unit),
+    units: unit.name,
+  };
+}
+
+module.exports = {
+  MILLIMETRES_PER_INCH,
+  UNITS,
+  resolveUnits,
+  toMillimetres,
+  fromMillimetres,
+  convertMillimetreString,
+  convertToleranceTable,
+  convertTolerances,
+};
@@ -1,12 +0,0 @@
-const {
-  checkMultipleMeasurementsFor,
-  checkOneMeasurementFor,
-} = require("./index");
-// console.log(checkMultipleMeasurementsFor("housing", [100.04, 100.05]));
-// console.log(checkMultipleMeasurementsFor("housing", [100.04, 100.05, 95.06]));
-console.log(
-  checkMultipleMeasurementsFor(
-    "housing",
-    [120, 120.05, 119.98, 119.98, 119.97, 119.98],
-  ),
-);
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  recommendBearingFitsFor,
+  checkMultipleMeasurementsFor,
+  checkComponent,
+  calculateFit,
+  ERROR_CODES,
+  LookupError,
+} = require("../index");
+
+test("finds a bearing by its designation, ignoring suffixes", () => {
+  ["6205", "6205-2RS", "6205 ZZ C3", "6205-2rs1"].forEach((designation) => {
+    const result = recommendBearingFitsFor(designation);
+    assert.equal(result.designation, "6205");
+    assert.deepEqual(result.bearing, {
+      type: "deep-groove-ball",
+      bore: 25,
+      outside_diameter: 52,
+      width: 15,
+    });
+  });
+  assert.equal(recommendBearingFitsFor("NU 210 ECP").designation, "NU210");
+});
+
+test("a rotating inner ring gets an interference fit on the shaft", () => {
+  const heavy = recommendBearingFitsFor("6310", { load: "heavy" });
+  assert.equal(heavy.shaft.specification, "m6");
+  assert.equal(heavy.housing.specification, "H7");
+
+  assert.equal(recommendBearingFitsFor("6310").shaft.specification, "k5");
+  assert.equal(
+    recommendBearingFitsFor("6310", { load: "light" }).shaft.specification,
+    "j6",
+  );
+  assert.equal(
+    recommendBearingFitsFor("22212 E", { load: "heavy" }).shaft.specification,
+    "n6",
+  );
+});
+
+test("a rotating outer ring gets an interference fit in the housing", () => {
+  const result = recommendBearingFitsFor("NU210", {
+    rotatingRing: "outer",
+    load: 0.12,
+  });
+
+  assert.equal(result.load, "heavy");
+  assert.equal(result.shaft.specification, "h6");
+  assert.equal(result.housing.specification, "P7");
+  assert.deepEqual(result.housing.computed_specification_bounds, {
+    upperBound: "89.976",
+    lowerBound: "89.941",
+  });
+});
+
+test("seats feed straight into the checkers", () => {
+  const { shaft, housing } = recommendBearingFitsFor("6310", {
+    load: "heavy",
+  });
+
+  const shaftResult = checkMultipleMeasurementsFor(
+    shaft.type,
+    [50.012, 50.015],
+    shaft,
+  );
+  assert.equal(shaftResult.specification, "m6");
+  assert.equal(shaftResult.nominal, 50);
+  assert.equal(shaftResult.meets_final_compliance, true);
+
+  const component = checkComponent({
+    features: [
+      { name: "Bearing journal", ...shaft, readings: [50.005] },
+      { name: "Bearing bore", ...housing, readings: [110.02] },
+    ],
+  });
+  assert.deepEqual(component.failed_features, ["Bearing journal"]);
+});
+
+test("seats on a size-step boundary get the ISO 286 limits of the lower step", () => {
+  // Outside diameters 80, 120 and 180 end the steps 50–80, 80–120, 120–180
+  [
+    ["6208", { upperBound: "80.030", lowerBound: "80.000" }],
+    ["6213", { upperBound: "120.035", lowerBound: "120.000" }],
+    ["6220", { upperBound: "180.040", lowerBound: "180.000" }],
+  ].forEach(([designation, bounds]) => {
+    const { housing } = recommendBearingFitsFor(designation);
+    assert.equal(housing.specification, "H7", designation);
+    assert.deepEqual(housing.computed_specification_bounds, bounds);
+    assert.deepEqual(
+      calculateFit("H7/h6", housing.nominal).hole.computed_specification_bounds,
+      bounds,
+    );
+  });
+
+  // Bore 100 ends the step 80–120 of k5: +18/+3
+  assert.deepEqual(
+    recommendBearingFitsFor("6220").shaft.computed_specification_bounds,
+    { upperBound: "100.018", lowerBound: "100.003" },
+  );
+});
+
+test("reports unknown bearings and invalid conditions", () => {
+  assert.equal(recommendBearingFitsFor("9999").code, "UNKNOWN_BEARING");
+  assert.equal(
+    recommendBearingFitsFor("6205", { load: "extreme" }).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.equal(
+    recommendBearingFitsFor("6205", { rotatingRing: "both" }).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.throws(
+    () => recommendBearingFitsFor("9999", { throwOnError: true }),
+    LookupError,
+  );
+});
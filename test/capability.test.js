@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeCapabilityFor, ERROR_CODES } = require("../index");
+const statistics = require("../lib/statistics");
+
+// h9 at 50: 49.938 to 50.000. Mean 49.965, overall sigma √(1e-4 / 3) =
+// 0.005774, within sigma 0.010 / 1.128 = 0.008865.
+// Cp = 0.062 / 6σw = 1.17, Cpk = 0.027 / 3σw = 1.02,
+// Pp = 0.062 / 6σ = 1.79, Ppk = 0.027 / 3σ = 1.56.
+const READINGS = [49.96, 49.97, 49.96, 49.97];
+
+test("calculates Cp, Cpk, Pp and Ppk of a run of readings", () => {
+  const result = analyzeCapabilityFor("shaft", READINGS);
+
+  assert.equal(result.specification, "h9");
+  assert.equal(result.mean, "49.9650");
+  assert.deepEqual(result.standard_deviation, {
+    overall: "0.0058",
+    within: "0.0089",
+  });
+  assert.deepEqual(
+    [result.Cp, result.Cpk, result.Pp, result.Ppk],
+    [1.17, 1.02, 1.79, 1.56],
+  );
+  assert.equal(result.verdict, "marginal");
+  assert.match(
+    result.reason,
+    /^Cpk 1\.02 is between 1\.00 and 1\.33, so the process is marginal for h9\./,
+  );
+});
+
+test("estimates the share out of tolerance from the normal distribution", () => {
+  // Φ(−3) = 0.00135 and 1 − Φ(2) = 0.02275
+  const estimate = statistics.estimateOutOfTolerance(0, 1, -3, 2);
+  assert.equal(estimate.below.toFixed(5), "0.00135");
+  assert.equal(estimate.above.toFixed(5), "0.02275");
+
+  // (49.938 − 49.965) / 0.005774 = −4.68: about 1.5 ppm below, none above
+  const result = analyzeCapabilityFor("shaft", READINGS);
+  assert.deepEqual(result.estimated_out_of_tolerance_percent, {
+    below_lower: 0.0001,
+    above_upper: 0,
+    total: 0.0001,
+  });
+});
+
+test("needs at least two readings", () => {
+  const result = analyzeCapabilityFor("shaft", [49.96]);
+  assert.equal(result.code, ERROR_CODES.INSUFFICIENT_DATA);
+});
+
+test("readings without variation have no indices", () => {
+  const result = analyzeCapabilityFor("shaft", [49.96, 49.96, 49.96]);
+
+  assert.deepEqual(
+    [result.Cp, result.Cpk, result.Pp, result.Ppk],
+    [null, null, null, null],
+  );
+  assert.equal(result.estimated_out_of_tolerance_percent, null);
+  assert.equal(result.verdict, "indeterminate");
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const MTC = path.join(__dirname, "..", "bin", "mtc.js");
+
+/** Runs the CLI in a child process */
+function mtc(...args) {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [MTC, ...args],
+    {
+      encoding: "utf8",
+      timeout: 10000,
+    },
+  );
+  return { status, stdout, stderr };
+}
+
+test("mtc check exits 0 when the part passes", () => {
+  const { status, stdout } = mtc(
+    "check",
+    "housing",
+    "240.01",
+    "240.02",
+    "--spec",
+    "H7",
+  );
+
+  assert.equal(status, 0);
+  assert.match(stdout, /^housing — H7 \/ IT6, nominal 240$/m);
+  assert.match(stdout, /^Result: ACCEPTABLE$/m);
+});
+
+test("mtc check exits 1 when the part is out of spec", () => {
+  const { status, stdout } = mtc("check", "housing", "240.05", "--spec", "H7");
+
+  assert.equal(status, 1);
+  assert.match(stdout, /^Size: FAIL/m);
+});
+
+test("mtc check exits 2 on invalid input", () => {
+  const invalidReading = mtc("check", "housing", "abc");
+  assert.equal(invalidReading.status, 2);
+  assert.match(invalidReading.stderr, /^Invalid reading: abc/);
+
+  assert.equal(mtc("check", "widget", "1").status, 2);
+  assert.equal(mtc("check", "housing").status, 2);
+  assert.equal(mtc("check", "housing", "1", "--bogus").status, 2);
+});
+
+test("mtc check --json prints the checker's result", () => {
+  const { status, stdout } = mtc("check", "shaft", "49.99", "--json");
+
+  assert.equal(status, 0);
+  assert.equal(JSON.parse(stdout).specification, "h9");
+});
+
+test("mtc table prints the bands of a specification", () => {
+  const { status, stdout } = mtc("table", "shaft", "h6");
+
+  assert.equal(status, 0);
+  const lines = stdout.trimEnd().split("\n");
+  assert.equal(lines[0], "h6");
+  assert.match(lines[1], /^Over\s+Up to\s+Upper\s+Lower\s+IT6\s+IT5$/);
+  assert.match(lines[2], /^0\s+3\s+0\.000\s+-0\.006\s+0\.006\s+0\.004$/);
+
+  assert.equal(mtc("table", "widget").status, 2);
+});
+
+/** Writes an inspection sheet to a temporary directory */
+function writeSheet(t, lines) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mtc-batch-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, "sheet.csv");
+  fs.writeFileSync(file, lines.join("\n"));
+  return file;
+}
+
+test("mtc batch exits 0 when every row passes", (t) => {
+  const file = writeSheet(t, [
+    "component_id,material,spec,reading_1,reading_2",
+    "P-1,housing,H7,240.01,240.02",
+    "P-2,shaft,h9,49.99,49.98",
+  ]);
+  const out = path.join(path.dirname(file), "results.csv");
+  const { status, stderr } = mtc("batch", file, "--out", out);
+
+  assert.equal(status, 0);
+  assert.match(stderr, /^2 components: 2 passed, 0 failed, 0 invalid\.$/m);
+  assert.match(fs.readFileSync(out, "utf8"), /^3,P-2,shaft,h9,50,/m);
+});
+
+test("mtc batch exits 1 on a failed or an invalid row", (t) => {
+  const failed = mtc(
+    "batch",
+    writeSheet(t, ["material,reading_1", "shaft,49.99", "shaft,49.5"]),
+  );
+  assert.equal(failed.status, 1);
+  assert.match(
+    failed.stderr,
+    /^2 components: 1 passed, 1 failed, 0 invalid\.$/m,
+  );
+
+  const invalid = mtc(
+    "batch",
+    writeSheet(t, ["material,reading_1", "shaft,49.99", "shaft,abc"]),
+  );
+  assert.equal(invalid.status, 1);
+  assert.match(
+    invalid.stderr,
+    /^ {2}row 3, reading_1: Reading is not a number\. \(abc\)$/m,
+  );
+});
+
+test("mtc batch exits 2 on a missing file or a bad header", (t) => {
+  assert.equal(mtc("batch").status, 2);
+  assert.equal(
+    mtc("batch", path.join(os.tmpdir(), "mtc-missing.csv")).status,
+    2,
+  );
+
+  const badHeader = mtc(
+    "batch",
+    writeSheet(t, ["component_id,reading_1", "P-1,49.99"]),
+  );
+  assert.equal(badHeader.status, 2);
+  assert.match(badHeader.stderr, /Some columns were not found in the header/);
+});
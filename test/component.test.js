@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkComponent,
+  checkMultipleMeasurementsFor,
+  ERROR_CODES,
+} = require("../index");
+
+const SHAFT = {
+  id: "SH-100",
+  features: [
+    {
+      name: "DE journal",
+      type: "shaft",
+      nominal: 60,
+      specification: "k6",
+      readings: [60.012, 60.015],
+    },
+    {
+      name: "Seal",
+      type: "shaft",
+      nominal: 55,
+      specification: "h9",
+      readings: 54.98,
+    },
+    {
+      name: "Coupling",
+      type: "shaft",
+      nominal: 50,
+      specification: "m6",
+      readings: [50.03, 50.011],
+    },
+  ],
+};
+
+test("checks every feature against its own nominal and specification", () => {
+  const result = checkComponent(SHAFT);
+
+  assert.equal(result.id, "SH-100");
+  assert.deepEqual(
+    result.features.map((feature) => [
+      feature.name,
+      feature.specification,
+      feature.computed_specification_bounds.lowerBound,
+      feature.computed_specification_bounds.upperBound,
+      feature.meets_final_compliance,
+    ]),
+    [
+      ["DE journal", "k6", "60.002", "60.021", true],
+      ["Seal", "h9", "54.926", "55.000", true],
+      ["Coupling", "m6", "50.009", "50.025", false],
+    ],
+  );
+});
+
+test("rolls the features up into a disposition", () => {
+  const rejected = checkComponent(SHAFT);
+  assert.equal(rejected.disposition, "reject");
+  assert.deepEqual(rejected.summary, { total: 3, passed: 2, failed: 1 });
+  assert.deepEqual(rejected.failed_features, ["Coupling"]);
+  assert.equal(
+    rejected.reason,
+    "1 of 3 features fail: Coupling (m6: over-sized, fails IT5).",
+  );
+
+  const accepted = checkComponent({ features: SHAFT.features.slice(0, 2) });
+  assert.equal(accepted.disposition, "accept");
+  assert.equal(accepted.id, undefined);
+});
+
+test("a feature is judged as a batch with a declared nominal", () => {
+  const feature = checkComponent(SHAFT).features[2];
+  const batch = checkMultipleMeasurementsFor("shaft", [50.03, 50.011], {
+    specification: "m6",
+    nominal: 50,
+  });
+
+  assert.deepEqual(feature.meets_specification, batch.meets_specification);
+  assert.deepEqual(feature.meets_IT_Tolerance, batch.meets_IT_Tolerance);
+});
+
+test("lists every problem of an invalid definition", () => {
+  const result = checkComponent({
+    features: [
+      { name: "A", type: "shaft", readings: [] },
+      { name: "A", type: "shaft", nominal: 50, readings: [50] },
+    ],
+  });
+
+  assert.equal(result.code, ERROR_CODES.INVALID_INPUT);
+  assert.deepEqual(
+    result.details.map(({ feature, field }) => [feature, field]),
+    [
+      [0, "nominal"],
+      [0, "readings"],
+      [1, "name"],
+    ],
+  );
+  assert.equal(checkComponent({ features: [] }).code, "INVALID_INPUT");
+});
+
+test("names the feature an error belongs to", () => {
+  const result = checkComponent({
+    features: [
+      {
+        name: "Bore",
+        type: "housing",
+        nominal: 80,
+        specification: "Q9",
+        readings: 80,
+      },
+    ],
+  });
+
+  assert.equal(result.code, ERROR_CODES.UNKNOWN_SPEC);
+  assert.match(result.message, /^Feature "Bore": /);
+});
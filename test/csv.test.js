@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv, stringifyCsv } = require("../lib/csv");
+
+test("parses quoted fields with delimiters, quotes and line breaks", () => {
+  const text =
+    'id,note,reading_1\n"P-1","bored, then honed",240.01\nP-2,"says ""OK""\non two lines",240.02\n';
+
+  assert.deepEqual(parseCsv(text), [
+    ["id", "note", "reading_1"],
+    ["P-1", "bored, then honed", "240.01"],
+    ["P-2", 'says "OK"\non two lines', "240.02"],
+  ]);
+});
+
+test("drops a byte order mark and skips blank lines", () => {
+  const text = "﻿material,reading_1\r\n\r\nshaft,49.99\r\n , \r\nshaft,49.98";
+
+  assert.deepEqual(parseCsv(text), [
+    ["material", "reading_1"],
+    ["shaft", "49.99"],
+    ["shaft", "49.98"],
+  ]);
+});
+
+test("reads other delimiters", () => {
+  assert.deepEqual(parseCsv("material;reading_1\nshaft;49,99", ";"), [
+    ["material", "reading_1"],
+    ["shaft", "49,99"],
+  ]);
+});
+
+test("rejects an unterminated quote and non-text input", () => {
+  assert.equal(parseCsv('material\n"shaft').code, "INVALID_CSV");
+  assert.equal(parseCsv(null).code, "INVALID_CSV");
+});
+
+test("quotes only the fields that need it, and reads them back", () => {
+  const records = [
+    ["row", "error"],
+    [2, 'reading_2: "abc", not a number'],
+    [3, "line\nbreak"],
+    [4, null],
+  ];
+  const text = stringifyCsv(records);
+
+  assert.equal(
+    text,
+    'row,error\n2,"reading_2: ""abc"", not a number"\n3,"line\nbreak"\n4,\n',
+  );
+  assert.deepEqual(
+    parseCsv(text),
+    records.map((fields) => fields.map((value) => String(value ?? ""))),
+  );
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkMultipleMeasurementsFor,
+  getAllTolerancesFor,
+  registerStandard,
+  ERROR_CODES,
+  ToleranceError,
+  ValidationError,
+  LookupError,
+} = require("../index");
+
+test("functions return error objects by default", () => {
+  assert.deepEqual(checkMultipleMeasurementsFor("shaft", [49.99, "x"]), {
+    error: true,
+    code: ERROR_CODES.INVALID_MEASUREMENT,
+    message: "Some measurements are invalid.",
+    details: [{ index: 1, value: "x" }],
+  });
+});
+
+test("throwOnError raises a ValidationError with code and details", () => {
+  assert.throws(
+    () =>
+      checkMultipleMeasurementsFor("shaft", [49.99, "x"], {
+        throwOnError: true,
+      }),
+    (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.ok(err instanceof ToleranceError);
+      assert.ok(err instanceof Error);
+      assert.equal(err.name, "ValidationError");
+      assert.equal(err.code, ERROR_CODES.INVALID_MEASUREMENT);
+      assert.equal(err.message, "Some measurements are invalid.");
+      assert.deepEqual(err.details, [{ index: 1, value: "x" }]);
+      assert.deepEqual(err.toJSON(), {
+        error: true,
+        code: ERROR_CODES.INVALID_MEASUREMENT,
+        message: "Some measurements are invalid.",
+        details: [{ index: 1, value: "x" }],
+      });
+      return true;
+    },
+  );
+});
+
+test("throwOnError raises a LookupError for things that do not exist", () => {
+  assert.throws(
+    () => getAllTolerancesFor("shaft", "q7", { throwOnError: true }),
+    (err) => {
+      assert.ok(err instanceof LookupError);
+      assert.ok(err instanceof ToleranceError);
+      assert.equal(err.code, ERROR_CODES.UNKNOWN_SPEC);
+      assert.equal("details" in err, false);
+      return true;
+    },
+  );
+});
+
+test("the stack trace starts at the caller", () => {
+  try {
+    getAllTolerancesFor("shaft", "q7", { throwOnError: true });
+    assert.fail("expected a LookupError");
+  } catch (err) {
+    assert.match(err.stack.split("\n")[1], /errors\.test\.js/);
+  }
+});
+
+test("register functions take throwOnError as an extra last argument", () => {
+  assert.equal(registerStandard("", {}).code, ERROR_CODES.INVALID_INPUT);
+  assert.throws(
+    () => registerStandard("", {}, { throwOnError: true }),
+    ValidationError,
+  );
+});
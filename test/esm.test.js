@@ -0,0 +1,15 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const calculator = require("../index");
+
+test("the ES module entry exports the same names as the CommonJS one", async () => {
+  const esm = await import("../index.mjs");
+  const { default: defaultExport, ...named } = esm;
+
+  assert.deepEqual(Object.keys(named).sort(), Object.keys(calculator).sort());
+  Object.keys(calculator).forEach((name) => {
+    assert.equal(named[name], calculator[name], name);
+  });
+  assert.equal(defaultExport, calculator);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  findSpecificationsFor,
+  registerStandard,
+  ValidationError,
+} = require("../index");
+
+test("reports pass/fail and margin per specification, tightest first", () => {
+  const result = findSpecificationsFor("housing", 50.035);
+
+  assert.equal(result.nominal, 50);
+  assert.deepEqual(
+    result.specifications.map(({ specification, passes, margin }) => [
+      specification,
+      passes,
+      margin,
+    ]),
+    [
+      ["H6", false, "-0.016"],
+      ["H7", false, "-0.005"],
+      ["H8", true, "0.011"],
+      ["H9", true, "0.035"],
+    ],
+  );
+  assert.deepEqual(result.passing_specifications, ["H8", "H9"]);
+  assert.equal(result.tightest_passing_specification, "H8");
+  assert.equal(result.reason, "50.035 is within H8 and H9 but not H6 or H7.");
+});
+
+test("a reading on a bound passes with no margin", () => {
+  const h7 = findSpecificationsFor("housing", 50.03).specifications.find(
+    (entry) => entry.specification === "H7",
+  );
+  assert.equal(h7.passes, true);
+  assert.equal(h7.margin, "0.000");
+});
+
+test("a batch is judged by its worst reading", () => {
+  const result = findSpecificationsFor("shaft", [49.99, 49.97]);
+
+  assert.deepEqual(result.measurement, [49.99, 49.97]);
+  assert.deepEqual(result.passing_specifications, ["h8", "h9"]);
+  const h8 = result.specifications.find(
+    (entry) => entry.specification === "h8",
+  );
+  assert.equal(h8.margin, "0.009");
+  assert.equal(
+    result.reason,
+    "Readings 49.970 to 49.990 are within h8 and h9 but not h6 or h7.",
+  );
+});
+
+test("uses the declared nominal and the material type's band matching", () => {
+  // Shafts match 30–50 at 50 (upper-inclusive), bores 50–80 (lower-inclusive)
+  const shaft = findSpecificationsFor("shaft", 49.995, { nominal: 50 });
+  assert.equal(shaft.specifications[0].tolerance, "0.016");
+
+  const housing = findSpecificationsFor("housing", 50.01, { nominal: 50 });
+  assert.equal(housing.specifications[0].tolerance, "0.019");
+});
+
+test("reports when no or every specification passes", () => {
+  assert.equal(
+    findSpecificationsFor("shell", 50.2).reason,
+    "50.200 is within none of the specifications (H7, H8 and H9).",
+  );
+  assert.equal(
+    findSpecificationsFor("shell", 50.001, { nominal: 50 })
+      .passing_specifications.length,
+    3,
+  );
+});
+
+test("includes the specifications of the standard's table", () => {
+  registerStandard("search-acme", {
+    table: {
+      shafts: {
+        "acme-fine": [
+          {
+            minimum_diameter: 0,
+            maximum_diameter: 100,
+            upper_deviation: "0.000",
+            lower_deviation: "-0.010",
+            IT6: "0.006",
+          },
+        ],
+      },
+    },
+    materials: { shafts: { specification: "acme-fine", itGrade: "IT6" } },
+  });
+  const result = findSpecificationsFor("shaft", 49.995, {
+    standard: "search-acme",
+  });
+
+  assert.equal(result.standard, "search-acme");
+  assert.deepEqual(
+    result.specifications.map((entry) => entry.specification),
+    ["acme-fine", "h6", "h7", "h8", "h9"],
+  );
+});
+
+test("works in inches", () => {
+  const result = findSpecificationsFor("housing", 2.0005, { units: "inch" });
+  assert.equal(result.units, "inch");
+  assert.equal(result.nominal, 2);
+  assert.match(result.specifications[0].margin, /^-?\d+\.\d{4}$/);
+});
+
+test("rejects invalid readings", () => {
+  assert.equal(
+    findSpecificationsFor("shaft", 5000).code,
+    "INVALID_MEASUREMENT",
+  );
+  assert.equal(findSpecificationsFor("shaft", []).code, "INVALID_INPUT");
+  assert.equal(findSpecificationsFor("pipe", 50).code, "UNKNOWN_MATERIAL");
+  assert.throws(
+    () => findSpecificationsFor("shaft", -1, { throwOnError: true }),
+    ValidationError,
+  );
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateFit, calculateActualFit, ERROR_CODES } = require("../index");
+
+test("H7/g6 at 50 mm is a clearance fit of 0.009 to 0.050", () => {
+  const result = calculateFit("H7/g6", 50);
+
+  assert.deepEqual(result.hole.computed_specification_bounds, {
+    upperBound: "50.025",
+    lowerBound: "50.000",
+  });
+  assert.deepEqual(result.shaft.computed_specification_bounds, {
+    upperBound: "49.991",
+    lowerBound: "49.975",
+  });
+  assert.equal(result.fit_type, "clearance");
+  assert.equal(result.max_clearance, "0.050");
+  assert.equal(result.min_clearance, "0.009");
+  assert.equal(
+    result.reason,
+    "H7/g6 is a clearance fit: clearance between 0.009 and 0.050.",
+  );
+});
+
+test("classifies transition and interference fits", () => {
+  const transition = calculateFit("H7/k6", 50);
+  assert.equal(transition.fit_type, "transition");
+  assert.equal(transition.max_clearance, "0.023");
+  assert.equal(transition.max_interference, "0.018");
+
+  const interference = calculateFit("H7/s6", 50);
+  assert.equal(interference.fit_type, "interference");
+  assert.equal(interference.min_interference, "0.018");
+  assert.equal(interference.max_interference, "0.059");
+});
+
+test("rejects invalid fit designations and nominals", () => {
+  assert.equal(calculateFit("H7k6", 50).code, ERROR_CODES.INVALID_FIT);
+  assert.equal(calculateFit("k6/H7", 50).code, ERROR_CODES.INVALID_FIT);
+  assert.equal(calculateFit("H7/g6", -1).code, ERROR_CODES.INVALID_NOMINAL);
+});
+
+test("compares the measured fit with the design fit", () => {
+  const achieved = calculateActualFit(
+    "H7/g6",
+    [50.01, 50.012],
+    [49.985, 49.988],
+  );
+  assert.equal(achieved.nominal, 50);
+  assert.equal(achieved.actual_fit.fit_type, "clearance");
+  assert.equal(achieved.actual_fit.min_clearance, "0.022");
+  assert.equal(achieved.actual_fit.max_clearance, "0.027");
+  assert.equal(achieved.meets_design_fit, true);
+
+  const missed = calculateActualFit("H7/g6", [50.03, 50.012], [49.985]);
+  assert.equal(missed.meets_design_fit, false);
+  assert.equal(
+    missed.reason,
+    "The bore is outside the H7/g6 tolerance zone, so the design fit is not achieved.",
+  );
+});
+
+test("reports the errors of either measurement set", () => {
+  assert.equal(
+    calculateActualFit("H7/g6", [], [49.985]).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  const invalidShaft = calculateActualFit("H7/g6", [50.01], ["x"]);
+  assert.equal(invalidShaft.code, ERROR_CODES.INVALID_MEASUREMENT);
+  assert.deepEqual(invalidShaft.details, [{ index: 0, value: "x" }]);
+  assert.equal(
+    calculateActualFit("H7-g6", [50.01], [49.98]).code,
+    ERROR_CODES.INVALID_FIT,
+  );
+});
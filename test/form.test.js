@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkFormFor, ERROR_CODES } = require("../index");
+
+/** H7 bore at 80, IT6 limit 0.022 */
+const BORE = [
+  { value: 80.012, position: "front", angle: 0 },
+  { value: 80.018, position: "front", angle: 90 },
+  { value: 80.02, position: "back", angle: 0 },
+  { value: 80.024, position: "back", angle: 90 },
+];
+
+test("checks ovality per plane, taper and cylindricity against the IT grade", () => {
+  const result = checkFormFor("housing", BORE, { specification: "H7" });
+
+  assert.equal(result.IT_value, "0.022");
+  assert.deepEqual(
+    result.ovality.map(({ position, ovality, meetsIT }) => [
+      position,
+      ovality,
+      meetsIT,
+    ]),
+    [
+      ["front", "0.006", true],
+      ["back", "0.004", true],
+    ],
+  );
+  assert.equal(result.taper.taper, "0.007");
+  assert.equal(
+    result.taper.reason,
+    "The diameter grows by 0.007 from front to back, within the IT6 limit of 0.022.",
+  );
+  assert.equal(result.cylindricity.cylindricity, "0.0060");
+  assert.equal(result.cylindricity.limit, "0.0110");
+  assert.equal(result.meets_form, true);
+  assert.equal(result.meets_final_compliance, true);
+});
+
+test("names every failed form check", () => {
+  // h9 shaft at 50, IT5 limit 0.011; planes at 0 and 100 mm
+  const result = checkFormFor(
+    "shaft",
+    [
+      { value: 49.99, position: 0, angle: 0 },
+      { value: 49.975, position: 0, angle: 90 },
+      { value: 49.985, position: 100, angle: 0 },
+      { value: 49.98, position: 100, angle: 90 },
+    ],
+    { specification: "h9" },
+  );
+
+  assert.equal(result.ovality[0].ovality, "0.015");
+  assert.equal(result.ovality[0].meetsIT, false);
+  assert.equal(result.taper.taper, "0.000");
+  assert.equal(result.cylindricity.cylindricity, "0.0075");
+  assert.equal(result.cylindricity.meetsIT, false);
+  assert.equal(result.meets_form, false);
+  assert.equal(result.size_check.meets_specification.meetsSpec, true);
+  assert.equal(result.meets_final_compliance, false);
+  assert.equal(
+    result.reason,
+    "The part fails IT5 on ovality at 0, cylindricity.",
+  );
+});
+
+test("checks that cannot be made do not fail the part", () => {
+  const result = checkFormFor("shaft", [
+    { value: 49.99, position: "a", angle: 0 },
+  ]);
+
+  assert.equal(result.ovality[0].meetsIT, null);
+  assert.equal(result.taper.meetsIT, null);
+  assert.equal(result.meets_form, true);
+});
+
+test("reports invalid readings by index", () => {
+  assert.equal(checkFormFor("shaft", []).code, ERROR_CODES.INVALID_INPUT);
+
+  const result = checkFormFor("shaft", [
+    { value: "x", position: "", angle: 0 },
+    { value: 49.99, position: 1, angle: "n" },
+  ]);
+  assert.equal(result.code, ERROR_CODES.INVALID_MEASUREMENT);
+  assert.deepEqual(result.details, [
+    {
+      index: 0,
+      message: "value must be a number, position must not be empty.",
+    },
+    { index: 1, message: "angle must be a number of degrees." },
+  ]);
+});
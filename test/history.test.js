@@ -0,0 +1,245 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  createHistoryStore,
+  recordInspection,
+  getWearTrendFor,
+  projectOutOfSpecDateFor,
+  checkMultipleMeasurementsFor,
+  checkOneMeasurementFor,
+  analyzeCapabilityFor,
+  ERROR_CODES,
+} = require("../index");
+
+/** H7 bore at 240: 240.000 to 240.046, growing about 7 µm a year */
+const INSPECTIONS = [
+  ["2022-05-01", [240.01, 240.016]],
+  ["2023-05-03", [240.018, 240.022]],
+  ["2024-04-28", [240.022, 240.03]],
+  ["2025-05-02", [240.031, 240.036]],
+];
+
+function recordAll(store, componentId, inspections) {
+  inspections.forEach(([date, readings]) => {
+    const result = checkMultipleMeasurementsFor("housing", readings, {
+      specification: "H7",
+    });
+    recordInspection(store, componentId, result, { date });
+  });
+}
+
+test("records a check result against a component and date", () => {
+  const store = createHistoryStore();
+  const record = recordInspection(
+    store,
+    "HSG-1",
+    checkOneMeasurementFor("shaft", 49.995),
+    { date: "2026-01-15", material: "shaft" },
+  );
+
+  assert.equal(record.component_id, "HSG-1");
+  assert.equal(record.date, "2026-01-15");
+  assert.equal(record.units, "mm");
+  assert.deepEqual(record.measurements, [49.995]);
+  assert.deepEqual(store.list("HSG-1"), [record]);
+  assert.deepEqual(store.list("HSG-2"), []);
+});
+
+test("rejects error results, bad dates and bad stores", () => {
+  const store = createHistoryStore();
+  const result = checkOneMeasurementFor("shaft", 49.995);
+
+  assert.equal(
+    recordInspection(store, "S-1", checkOneMeasurementFor("shaft", -1)).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.equal(
+    recordInspection(store, "S-1", result, { date: "2026-02-30" }).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.equal(
+    recordInspection({}, "S-1", result).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.equal(recordInspection(store, "", result).code, "INVALID_INPUT");
+});
+
+test("fits the wear rate to the mean diameters, in date order", () => {
+  const store = createHistoryStore();
+  recordAll(store, "HSG-1", [...INSPECTIONS].reverse());
+  const trend = getWearTrendFor(store, "HSG-1");
+
+  assert.deepEqual(
+    trend.inspections.map(({ date, mean }) => [date, mean]),
+    [
+      ["2022-05-01", 240.013],
+      ["2023-05-03", 240.02],
+      ["2024-04-28", 240.026],
+      ["2025-05-02", 240.0335],
+    ],
+  );
+  assert.equal(trend.wear_rate_per_year, "0.0068");
+  assert.equal(trend.trend, "growing");
+});
+
+test("a single inspection has no wear rate and no projection", () => {
+  const store = createHistoryStore();
+  recordAll(store, "HSG-1", INSPECTIONS.slice(0, 1));
+
+  assert.equal(getWearTrendFor(store, "HSG-1").wear_rate_per_year, null);
+  assert.equal(
+    projectOutOfSpecDateFor(store, "HSG-1").code,
+    ERROR_CODES.INSUFFICIENT_DATA,
+  );
+  assert.equal(
+    getWearTrendFor(store, "HSG-9").code,
+    ERROR_CODES.INSUFFICIENT_DATA,
+  );
+});
+
+test("projects the date the largest reading reaches the upper bound", () => {
+  const store = createHistoryStore();
+  recordAll(store, "HSG-1", INSPECTIONS);
+  const projection = projectOutOfSpecDateFor(store, "HSG-1");
+
+  assert.equal(projection.status, "in-spec");
+  assert.equal(projection.limit, "upper");
+  assert.equal(projection.projected_date, "2026-10-21");
+});
+
+test("projects a shrinking shaft to its lower bound", () => {
+  const store = createHistoryStore();
+  [
+    ["2024-01-01", 49.998],
+    ["2025-01-01", 49.994],
+  ].forEach(([date, reading]) => {
+    const result = checkOneMeasurementFor("shaft", reading, {
+      specification: "h6",
+    });
+    recordInspection(store, "SH-1", result, { date });
+  });
+  const projection = projectOutOfSpecDateFor(store, "SH-1");
+
+  // h6 at 50: 49.984 to 50.000; 10 µm left at 4 µm a year
+  assert.equal(projection.limit, "lower");
+  assert.equal(projection.projected_date, "2027-07-03");
+});
+
+test("a part already outside its bounds is out of spec", () => {
+  const store = createHistoryStore();
+  recordAll(store, "HSG-1", [
+    ...INSPECTIONS,
+    ["2026-05-01", [240.044, 240.05]],
+  ]);
+  const projection = projectOutOfSpecDateFor(store, "HSG-1");
+
+  assert.equal(projection.status, "out-of-spec");
+  assert.equal(projection.projected_date, null);
+});
+
+test("the JSON file store keeps records between stores", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mtc-history-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, "history.json");
+
+  recordAll(createHistoryStore({ file }), "HSG-1", INSPECTIONS);
+  const trend = getWearTrendFor(createHistoryStore({ file }), "HSG-1");
+  assert.equal(trend.inspections.length, 4);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).version, 1);
+
+  fs.writeFileSync(file, "not json");
+  assert.equal(
+    getWearTrendFor(createHistoryStore({ file }), "HSG-1").code,
+    ERROR_CODES.INVALID_HISTORY,
+  );
+});
+
+test("fits only the inspections since the last re-bore", () => {
+  const store = createHistoryStore();
+  recordAll(store, "HSG-1", INSPECTIONS);
+  // Re-bored to the next size, 240.5 H7: 240.500 to 240.546
+  [
+    ["2026-01-10", [240.51, 240.512]],
+    ["2027-01-10", [240.516, 240.518]],
+  ].forEach(([date, readings]) => {
+    const result = checkMultipleMeasurementsFor("housing", readings, {
+      specification: "H7",
+      nominal: 240.5,
+    });
+    recordInspection(store, "HSG-1", result, { date });
+  });
+  const trend = getWearTrendFor(store, "HSG-1");
+
+  assert.deepEqual(
+    trend.inspections.map(({ date }) => date),
+    ["2026-01-10", "2027-01-10"],
+  );
+  assert.equal(trend.excluded_inspections, 4);
+  assert.equal(trend.wear_rate_per_year, "0.0060");
+  assert.equal(
+    trend.reason,
+    "The mean diameter grows by 0.0060 per year over 2 inspections from 2026-01-10 to 2027-01-10. 4 earlier inspections are left out: the nominal or specification changed to 240.5 H7 after them.",
+  );
+
+  const projection = projectOutOfSpecDateFor(store, "HSG-1");
+  assert.equal(projection.excluded_inspections, 4);
+  assert.equal(projection.status, "in-spec");
+  assert.equal(projection.limit, "upper");
+});
+
+test("rejects a stored record without a valid date", () => {
+  const records = [];
+  const store = {
+    append: (record) => records.push(record),
+    list: (componentId) =>
+      records.filter((record) => record.component_id === componentId),
+  };
+  recordAll(store, "HSG-1", INSPECTIONS);
+  records[1].date = "03/05/2023";
+
+  const trend = getWearTrendFor(store, "HSG-1");
+  assert.equal(trend.code, ERROR_CODES.INVALID_HISTORY);
+  assert.equal(
+    trend.message,
+    "An inspection of component HSG-1 has an invalid date: 03/05/2023.",
+  );
+  assert.equal(
+    projectOutOfSpecDateFor(store, "HSG-1").code,
+    ERROR_CODES.INVALID_HISTORY,
+  );
+});
+
+test("records only size check results", () => {
+  const store = createHistoryStore();
+  const capability = analyzeCapabilityFor("shaft", [49.95, 49.96, 49.97]);
+
+  assert.equal(capability.meets_specification, undefined);
+  const result = recordInspection(store, "S-1", capability);
+  assert.equal(result.code, ERROR_CODES.INVALID_INPUT);
+  assert.equal(result.message, "Result is not a check result.");
+  assert.deepEqual(store.list("S-1"), []);
+});
+
+test("rejects a stored record without measurements", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mtc-history-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, "history.json");
+  recordAll(createHistoryStore({ file }), "HSG-1", INSPECTIONS);
+
+  [null, undefined, [], [240.01, "x"]].forEach((measurements) => {
+    const content = JSON.parse(fs.readFileSync(file, "utf8"));
+    content.records[2].measurements = measurements;
+    fs.writeFileSync(file, JSON.stringify(content));
+
+    const trend = getWearTrendFor(createHistoryStore({ file }), "HSG-1");
+    assert.equal(trend.code, ERROR_CODES.INVALID_HISTORY);
+    assert.equal(
+      trend.message,
+      "The inspection of component HSG-1 on 2024-04-28 has no valid measurements.",
+    );
+  });
+});
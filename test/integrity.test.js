@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  validateToleranceData,
+  registerToleranceTable,
+  ValidationError,
+} = require("../index");
+const integrity = require("../lib/integrity");
+const { run, EXIT_CODES } = require("../bin/mtc");
+const tolerances = require("../Tolerances.json");
+
+/** A fresh copy of the shafts' h6 bands, to corrupt */
+function h6Bands() {
+  return structuredClone(tolerances.shafts.h6);
+}
+
+/** Checks reported for a table { shafts: { h6: bands } } */
+function checksFor(bands) {
+  return validateToleranceData({ shafts: { h6: bands } }).issues.map(
+    (issue) => issue.check,
+  );
+}
+
+test("Tolerances.json passes every check", () => {
+  const result = validateToleranceData();
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.summary.specifications, 11);
+  assert.equal(result.summary.bands, 231);
+});
+
+test("gaps and overlaps are reported", () => {
+  const gap = h6Bands();
+  gap.splice(4, 1);
+  assert.deepEqual(checksFor(gap), ["gap"]);
+
+  const overlap = h6Bands();
+  overlap[4].minimum_diameter = 15;
+  assert.deepEqual(checksFor(overlap), ["overlap"]);
+});
+
+test("bands out of order are reported, but still checked for gaps", () => {
+  const bands = h6Bands();
+  [bands[5], bands[6]] = [bands[6], bands[5]];
+  assert.deepEqual(checksFor(bands), ["order"]);
+});
+
+test("deviations and IT values must be plain decimals", () => {
+  const bands = h6Bands();
+  bands[2].upper_deviation = "0.000 mm";
+  bands[3].IT6 = "";
+  bands[4].lower_deviation = null;
+  assert.deepEqual(checksFor(bands), ["numeric", "numeric", "numeric"]);
+
+  const numbers = h6Bands();
+  numbers[2].lower_deviation = -0.009;
+  assert.deepEqual(checksFor(numbers), []);
+});
+
+test("bands without valid diameters are reported", () => {
+  const bands = h6Bands();
+  bands[1].maximum_diameter = 3;
+  bands[2].minimum_diameter = "6";
+  assert.deepEqual(checksFor(bands), ["structure", "structure"]);
+  assert.deepEqual(checksFor([]), ["structure"]);
+});
+
+test("deviations must span the class's IT value", () => {
+  const bands = h6Bands();
+  bands[3].lower_deviation = "-0.012";
+  const result = validateToleranceData({ shafts: { h6: bands } });
+
+  assert.deepEqual(
+    result.issues.map(({ check, band }) => [check, band]),
+    [
+      ["span", 3],
+      ["deviation", 3],
+    ],
+  );
+  assert.equal(
+    result.issues[0].message,
+    "Band 3 (10–18): upper minus lower deviation is 0.012, but IT6 is 0.011.",
+  );
+});
+
+test("IT values must agree with ISO 286", () => {
+  const bands = h6Bands();
+  bands[6].IT5 = "0.012";
+  const [issue] = validateToleranceData({ shafts: { h6: bands } }).issues;
+
+  assert.equal(issue.check, "it-value");
+  assert.equal(
+    issue.message,
+    "Band 6 (50–80): IT5 is 0.012, ISO 286 gives 0.013.",
+  );
+});
+
+test("bands spanning several ISO 286 size steps get a warning", () => {
+  const bands = h6Bands();
+  bands.splice(0, 2, { ...bands[0], maximum_diameter: 6 });
+  const result = validateToleranceData({ shafts: { h6: bands } });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(
+    result.issues.map(({ severity, check }) => [severity, check]),
+    [["warning", "size-step"]],
+  );
+});
+
+test("specifications that are not ISO 286 classes get layout checks only", () => {
+  const bands = h6Bands();
+  bands[3].upper_deviation = "0.005";
+  assert.deepEqual(
+    validateToleranceData({ shafts: { "acme-fit": bands } }).issues,
+    [],
+  );
+  // A hole class in the shafts table is not compared with ISO 286 either
+  assert.deepEqual(validateToleranceData({ shafts: { H6: bands } }).issues, []);
+});
+
+test("issues name the material type, specification and band", () => {
+  const bands = h6Bands();
+  bands[0].upper_deviation = "0.001";
+  const [issue] = integrity.auditToleranceTable(
+    { shafts: { h6: bands }, pins: {} },
+    ["shafts"],
+  ).issues;
+
+  assert.deepEqual(
+    { ...issue, message: undefined },
+    {
+      severity: "error",
+      check: "span",
+      materialType: "shafts",
+      specification: "h6",
+      band: 0,
+      message: undefined,
+    },
+  );
+});
+
+test("unknown material types and non-object tables are rejected", () => {
+  const result = validateToleranceData({ pins: {} });
+  assert.equal(result.valid, false);
+  assert.equal(result.issues[0].materialType, "pins");
+
+  assert.equal(validateToleranceData([]).code, "INVALID_TOLERANCE_TABLE");
+  assert.throws(
+    () => validateToleranceData("table", { throwOnError: true }),
+    ValidationError,
+  );
+});
+
+test("registered tables get the same layout checks", () => {
+  const bands = h6Bands();
+  bands[4].minimum_diameter = 15;
+  const result = registerToleranceTable("overlapping", {
+    shafts: { h6: bands },
+  });
+
+  assert.equal(result.code, "INVALID_TOLERANCE_TABLE");
+  assert.deepEqual(result.details, [
+    {
+      materialType: "shafts",
+      specification: "h6",
+      message: "Bands 10–18 and 15–30 overlap.",
+    },
+  ]);
+});
+
+test("mtc validate exits 1 on data errors", (t) => {
+  const output = [];
+  const io = { stdout: (text) => output.push(text), stderr: () => {} };
+
+  assert.equal(run(["validate"], io), EXIT_CODES.pass);
+  assert.match(output.pop(), /0 errors, 0 warnings\.$/);
+
+  const file = path.join(os.tmpdir(), `mtc-validate-${process.pid}.json`);
+  const bands = h6Bands();
+  bands.splice(4, 1);
+  fs.writeFileSync(file, JSON.stringify({ shafts: { h6: bands } }));
+  t.after(() => fs.rmSync(file, { force: true }));
+
+  assert.equal(run(["validate", file], io), EXIT_CODES.fail);
+  assert.match(output.pop(), /^error: shafts h6: No band covers 18–30\./);
+  assert.equal(run(["validate", `${file}.missing`], io), EXIT_CODES.error);
+});
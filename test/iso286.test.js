@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const iso286 = require("../lib/iso286");
+const {
+  getAllTolerancesFor,
+  calculateFit,
+  checkOneMeasurementFor,
+} = require("../index");
+
+/** ISO 286-1 Table 1, µm, for the steps 30–50 mm and 800–1000 mm */
+const STANDARD_TOLERANCES = {
+  IT01: [0.6, null],
+  IT0: [1, null],
+  IT1: [1.5, 11],
+  IT2: [2.5, 15],
+  IT3: [4, 21],
+  IT4: [7, 28],
+  IT5: [11, 40],
+  IT6: [16, 56],
+  IT7: [25, 90],
+  IT8: [39, 140],
+  IT9: [62, 230],
+  IT10: [100, 360],
+  IT11: [160, 560],
+  IT12: [250, 900],
+  IT13: [390, 1400],
+  IT14: [620, 2300],
+  IT15: [1000, 3600],
+  IT16: [1600, 5600],
+  IT17: [2500, 9000],
+  IT18: [3900, 14000],
+};
+
+test("every grade from IT01 to IT18 has its ISO 286-1 value", () => {
+  assert.deepEqual(iso286.IT_GRADES, Object.keys(STANDARD_TOLERANCES));
+
+  Object.entries(STANDARD_TOLERANCES).forEach(([itGrade, [at50, at1000]]) => {
+    assert.equal(iso286.getStandardTolerance(itGrade, 50), at50, itGrade);
+    if (at1000 === null) {
+      assert.equal(
+        iso286.getStandardTolerance(itGrade, 1000).message,
+        `${itGrade} is not defined above 500 mm.`,
+      );
+    } else {
+      assert.equal(iso286.getStandardTolerance(itGrade, 1000), at1000, itGrade);
+    }
+  });
+});
+
+test("IT17 and IT18 are a hundred times IT7 and IT8", () => {
+  assert.equal(iso286.getStandardTolerance("IT17", 70), 3000);
+  assert.equal(iso286.getStandardTolerance("IT18", 70), 4600);
+  assert.equal(
+    getAllTolerancesFor("shaft", "h17").specification[0].IT17,
+    "1.000",
+  );
+  assert.equal(
+    calculateFit("H18/h18", 50).hole.computed_specification_bounds.upperBound,
+    "53.900",
+  );
+  assert.equal(
+    checkOneMeasurementFor("shaft", 49.5, {
+      specification: "h11",
+      itGrade: "IT18",
+    }).matched_spec.IT18,
+    "3.900",
+  );
+});
+
+test("rejects unknown grades and sizes outside the table", () => {
+  assert.equal(
+    iso286.getStandardTolerance("IT19", 50).code,
+    "UNKNOWN_IT_GRADE",
+  );
+  assert.equal(iso286.getStandardTolerance("IT7", 0).code, "NO_MATCHING_BAND");
+  assert.equal(
+    iso286.getStandardTolerance("IT7", 3151).code,
+    "NO_MATCHING_BAND",
+  );
+});
+
+test("fundamental deviations match ISO 286-2 at 50 mm", () => {
+  const expected = {
+    a11: [-320, -480],
+    e8: [-50, -89],
+    f7: [-25, -50],
+    j5: [6, -5],
+    js6: [8, -8],
+    k6: [18, 2],
+    m6: [25, 9],
+    s6: [59, 43],
+    u6: [86, 70],
+    A11: [480, 320],
+    G7: [34, 9],
+    H7: [25, 0],
+    J7: [14, -11],
+    JS7: [12, -12],
+    K7: [7, -18],
+    M7: [0, -25],
+    N7: [-8, -33],
+    P7: [-17, -42],
+    R7: [-25, -50],
+  };
+
+  Object.entries(expected).forEach(([designation, limits]) => {
+    const { upper, lower } = iso286.getLimitDeviations(designation, 50);
+    assert.deepEqual([upper, lower], limits, designation);
+  });
+});
+
+test("a size on a step boundary belongs to the lower step", () => {
+  assert.deepEqual(iso286.findSizeStep(50), {
+    minimum: 30,
+    maximum: 50,
+    index: 5,
+  });
+  assert.deepEqual(iso286.findSizeStep(50.001), {
+    minimum: 50,
+    maximum: 80,
+    index: 6,
+  });
+  assert.equal(iso286.findSizeStep(3150).maximum, 3150);
+  assert.equal(iso286.findSizeStep(0), null);
+  assert.equal(iso286.findSizeStep(3151), null);
+  assert.deepEqual(iso286.findSizeStep(120, iso286.INTERMEDIATE_SIZE_STEPS), {
+    minimum: 100,
+    maximum: 120,
+    index: 12,
+  });
+
+  assert.equal(iso286.getLimitDeviations("H7", 80).upper, 30);
+  assert.equal(iso286.getLimitDeviations("H7", 80.001).upper, 35);
+  const atBoundary = iso286.getLimitDeviations("K7", 120);
+  assert.deepEqual([atBoundary.upper, atBoundary.lower], [10, -25]);
+  const above = iso286.getLimitDeviations("K7", 120.001);
+  assert.deepEqual([above.upper, above.lower], [12, -28]);
+});
+
+test("parses tolerance classes and rejects unknown letters", () => {
+  assert.deepEqual(iso286.parseDesignation("JS7"), {
+    letter: "js",
+    grade: "IT7",
+    isHole: true,
+  });
+  assert.equal(iso286.parseDesignation("q7").code, "UNKNOWN_SPEC");
+});
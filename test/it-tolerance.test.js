@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkMultipleMeasurementsFor } = require("../index");
+
+test("compares the spread with the IT value as numbers", () => {
+  // IT16 at 1000 mm is 5.600: a spread of 12.000 has more integer digits
+  const wide = checkMultipleMeasurementsFor("shaft", [1000, 1012], {
+    specification: "h16",
+    itGrade: "IT16",
+  });
+  assert.equal(wide.meets_IT_Tolerance.meetsIT, false);
+
+  // IT18 at 1000 mm is 14.000: a spread of 9.000 has fewer
+  const narrow = checkMultipleMeasurementsFor("shaft", [1000, 1009], {
+    specification: "h18",
+    itGrade: "IT18",
+  });
+  assert.equal(narrow.meets_IT_Tolerance.meetsIT, true);
+});
+
+test("a spread equal to the IT value meets it", () => {
+  const result = checkMultipleMeasurementsFor("shaft", [1000, 1005.6], {
+    specification: "h16",
+    itGrade: "IT16",
+  });
+
+  assert.deepEqual(result.meets_IT_Tolerance, {
+    meetsIT: true,
+    reason:
+      "The difference between 1005.600 and 1000.000 is less than or equal to 5.600. So, it meets IT16 Tolerance.",
+  });
+});
@@ -0,0 +1,354 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  checkComponent,
+  checkInspectionSheet,
+  findSpecificationsFor,
+  analyzeCapabilityFor,
+  checkFormFor,
+  calculateFit,
+  calculateActualFit,
+  recommendBearingFitsFor,
+  createHistoryStore,
+  recordInspection,
+  getWearTrendFor,
+  projectOutOfSpecDateFor,
+  ERROR_CODES,
+  LookupError,
+} = require("../index");
+const locales = require("../lib/locales");
+
+test("every locale has every template of the English one", () => {
+  const keysOf = (messages) =>
+    Object.entries(messages).flatMap(([key, value]) =>
+      typeof value === "object"
+        ? Object.keys(value).map((inner) => `${key}.${inner}`)
+        : [key],
+    );
+  const english = keysOf(locales.LOCALES.en).sort();
+
+  Object.entries(locales.LOCALES).forEach(([locale, messages]) => {
+    assert.deepEqual(keysOf(messages).sort(), english, locale);
+  });
+});
+
+test("outcomes name the material in English by default", () => {
+  assert.equal(
+    checkOneMeasurementFor("shaft", 49.99).meets_specification.concludedReason,
+    "Shaft is in acceptable size.",
+  );
+  assert.equal(
+    checkMultipleMeasurementsFor("housing", [240.05, 240.07], {
+      specification: "H7",
+    }).generalized_outcome,
+    "Housing bore is over-sized. However, it meets IT tolerance. Finally, it doesn't meet final compliance and is not acceptable to use.",
+  );
+});
+
+test("translates the reasons and outcomes of a batch", () => {
+  const result = checkMultipleMeasurementsFor("housing", [240.05, 240.07], {
+    specification: "H7",
+    locale: "es",
+  });
+
+  assert.equal(
+    result.meets_specification.reason,
+    "240.070 no está entre 240.000 y 240.046. Por lo tanto, el material no cumple la especificación H7.",
+  );
+  assert.equal(
+    result.meets_IT_Tolerance.reason,
+    "La diferencia entre 240.070 y 240.050 es menor o igual que 0.029. Por lo tanto, cumple la tolerancia IT6.",
+  );
+  assert.equal(
+    result.generalized_outcome,
+    "Alojamiento: sobremedida. Sin embargo, cumple la tolerancia IT. En conclusión, no cumple la conformidad final y no es apto para el uso.",
+  );
+});
+
+test("regional variants use their language", () => {
+  const result = checkOneMeasurementFor("shaft", 49.99, { locale: "pt-BR" });
+  assert.equal(
+    result.meets_specification.concludedReason,
+    "Eixo: medida aceitável.",
+  );
+  assert.equal(
+    checkOneMeasurementFor("shaft", 49.99, { locale: "de_DE" })
+      .meets_specification.concludedReason,
+    "Welle: Maß in Ordnung.",
+  );
+});
+
+test("translates the disposition of a component", () => {
+  const result = checkComponent(
+    {
+      features: [
+        {
+          name: "Kupplung",
+          type: "shaft",
+          nominal: 50,
+          specification: "m6",
+          readings: [50.03, 50.011],
+        },
+      ],
+    },
+    { locale: "de" },
+  );
+
+  assert.equal(
+    result.reason,
+    "1 von 1 Merkmalen nicht in Ordnung: Kupplung (m6: Übermaß, IT5 nicht eingehalten).",
+  );
+  assert.match(
+    result.features[0].meets_specification.reason,
+    /^50\.030 liegt nicht zwischen 50\.009 und 50\.025\./,
+  );
+});
+
+test("translates the nominal check, thermal compensation and decision", () => {
+  const result = checkOneMeasurementFor("housing", 240.02, {
+    specification: "H7",
+    nominal: 240,
+    uncertainty: 0.004,
+    partTemperature: 30,
+    partMaterial: "aluminium",
+    locale: "de",
+  });
+
+  assert.equal(
+    result.nominal_check.reason,
+    "239.965 liegt weniger als 0.9 vom angegebenen Nennmaß 240 entfernt.",
+  );
+  assert.equal(
+    result.thermal_compensation.reason,
+    "Messwerte an einem Aluminiumteil bei 30 °C mit einem Messmittel aus Stahl bei 20 °C werden auf 20 °C korrigiert.",
+  );
+  assert.equal(
+    result.decision.reason,
+    "239.965 liegt außerhalb der Rückweisungsgrenzen 239.9960 bis 240.0500 (Spezifikation um U = 0.0040 erweitert). Die Nichtkonformität ist damit nachgewiesen.",
+  );
+});
+
+test("translates the reasons of a batch's readings and decision", () => {
+  const outliers = checkMultipleMeasurementsFor(
+    "housing",
+    [240.01, 240.044, 241.1],
+    { specification: "H7", uncertainty: 0.03, locale: "de" },
+  );
+  assert.equal(
+    outliers.readings[2].reason,
+    "241.100 deutet auf das Nennmaß 241 hin, nicht auf das Nennmaß 240 der Messreihe. Der Messwert wird gegen 240 geprüft.",
+  );
+  assert.equal(
+    outliers.decision.reason,
+    "1 von 3 Messwerten weisen die Nichtkonformität nach: 241.100. Die Unsicherheit beträgt mindestens die halbe Toleranz, daher kann kein Messwert die Konformität nachweisen.",
+  );
+
+  const declared = checkMultipleMeasurementsFor("housing", [240.01, 241.2], {
+    specification: "H7",
+    nominal: 240,
+    locale: "de",
+  });
+  assert.equal(
+    declared.nominal_check.reason,
+    "1 Messwert(e) liegen mehr als 0.9 vom angegebenen Nennmaß 240 entfernt. Messwerte oder Nennmaß prüfen.",
+  );
+  assert.equal(
+    declared.readings[1].reason,
+    "241.200 liegt 1.200 über dem angegebenen Nennmaß 240. Messwert oder Nennmaß prüfen.",
+  );
+});
+
+test("translates the specification search", () => {
+  const result = findSpecificationsFor("housing", 50.035, { locale: "de" });
+
+  assert.equal(
+    result.reason,
+    "50.035 liegt innerhalb von H8 und H9, aber nicht von H6 oder H7.",
+  );
+  assert.equal(result.specifications[0].reason, "Außerhalb von H6 um 0.016.");
+  assert.equal(
+    findSpecificationsFor("housing", [50.035, 50.04], { locale: "es" }).reason,
+    "Las lecturas 50.035 a 50.040 están dentro de H8 y H9, pero no de H6 o H7.",
+  );
+});
+
+test("translates the capability verdict", () => {
+  const result = analyzeCapabilityFor(
+    "shaft",
+    [49.95, 49.96, 49.94, 49.95, 49.97],
+    { locale: "de" },
+  );
+
+  assert.equal(
+    result.reason,
+    "Cpk 0.40 ist kleiner als 1.00. Der Prozess ist damit nicht fähig, h9 einzuhalten. Geschätzt liegen 8.0292% der Teile außerhalb der Toleranz. Grundlage sind 5 Messwerte; für eine zuverlässige Schätzung mindestens 30 verwenden.",
+  );
+});
+
+test("translates the form checks", () => {
+  const result = checkFormFor(
+    "shaft",
+    [
+      { value: 49.99, position: 0, angle: 0 },
+      { value: 49.975, position: 0, angle: 90 },
+      { value: 49.985, position: 100, angle: 0 },
+      { value: 49.98, position: 100, angle: 90 },
+    ],
+    { specification: "h9", locale: "de" },
+  );
+
+  assert.equal(
+    result.reason,
+    "Das Teil hält IT5 nicht ein bei: Ovalität bei 0, Zylinderform.",
+  );
+  assert.equal(
+    result.ovality[0].reason,
+    "Die Ovalität bei 0 beträgt 0.015, über der Grenze IT5 von 0.011.",
+  );
+  assert.equal(
+    result.taper.reason,
+    "Von 0 bis 100 gibt es keine Konizität, innerhalb der Grenze IT5 von 0.011.",
+  );
+  assert.equal(
+    result.cylindricity.reason,
+    "Die geschätzte Zylinderform beträgt 0.0075 (radial), über dem halben IT5-Wert von 0.0055.",
+  );
+});
+
+test("translates the fits and passes the locale to both checks", () => {
+  assert.equal(
+    calculateFit("H7/s6", 50, { locale: "es" }).reason,
+    "H7/s6 es un ajuste con apriete: apriete entre 0.018 y 0.059.",
+  );
+
+  const result = calculateActualFit("H7/g6", [50.01, 50.02], [49.99, 49.985], {
+    nominal: 50,
+    locale: "de",
+  });
+  assert.equal(
+    result.reason,
+    "Bohrung und Welle liegen beide in ihren Toleranzfeldern von H7/g6. Die Passung ist damit erreicht.",
+  );
+  assert.equal(
+    result.actual_fit.reason,
+    "Die gemessene Passung ist eine Spielpassung: Spiel zwischen 0.020 und 0.035.",
+  );
+  assert.equal(
+    result.design_fit.reason,
+    "H7/g6 ist eine Spielpassung: Spiel zwischen 0.009 und 0.050.",
+  );
+  assert.equal(
+    result.shaft.meets_specification.reason,
+    "49.990 liegt zwischen 49.975 und 49.991. Das Teil erfüllt damit die Spezifikation g6.",
+  );
+
+  assert.equal(
+    calculateActualFit("H7/g6", [50.03], [49.995], {
+      nominal: 50,
+      locale: "de",
+    }).reason,
+    "Bohrung und Welle liegen außerhalb ihrer Toleranzfelder von H7/g6. Die Passung ist damit nicht erreicht.",
+  );
+  assert.equal(
+    calculateActualFit("H7/g6", [50.01], [49.995], {
+      nominal: 50,
+      locale: "pt",
+    }).reason,
+    "O eixo está fora da zona de tolerância H7/g6, por isso o ajuste de projeto não é atingido.",
+  );
+});
+
+test("translates the bearing seats", () => {
+  assert.equal(
+    recommendBearingFitsFor("22212 E", { load: "heavy", locale: "de" }).reason,
+    "22212 (Pendelrollenlager, 60 × 110 × 28) bei hoher Last mit umlaufendem Innenring: Der Innenring braucht eine Übermaßpassung, daher ist der Wellensitz n6 und der Gehäusesitz H7.",
+  );
+});
+
+test("translates the wear trend and projection", () => {
+  const store = createHistoryStore();
+  [
+    ["2022-05-01", [240.01, 240.016]],
+    ["2023-05-03", [240.018, 240.022]],
+    ["2024-04-28", [240.022, 240.03]],
+    ["2025-05-02", [240.031, 240.036]],
+  ].forEach(([date, readings]) => {
+    const result = checkMultipleMeasurementsFor("housing", readings, {
+      specification: "H7",
+    });
+    recordInspection(store, "HSG-1", result, { date });
+  });
+
+  assert.equal(
+    getWearTrendFor(store, "HSG-1", { locale: "de" }).reason,
+    "Der mittlere Durchmesser wächst über 4 Prüfungen von 2022-05-01 bis 2025-05-02 um 0.0068 pro Jahr.",
+  );
+  assert.equal(
+    projectOutOfSpecDateFor(store, "HSG-1", { locale: "de" }).reason,
+    "Bei 0.0068 pro Jahr erreicht der größte Messwert vom 2025-05-02 (240.036) das Höchstmaß 240.046 um den 2026-10-21.",
+  );
+});
+
+test("translates the reading errors of an inspection sheet", () => {
+  const result = checkInspectionSheet(
+    "component_id,material,reading_1,reading_2\nP-1,shaft,49.99,abc\nP-2,shaft,49.99,-1",
+    { locale: "de" },
+  );
+
+  assert.deepEqual(
+    result.errors.map((error) => [error.row, error.message]),
+    [
+      [2, "Der Messwert ist keine Zahl."],
+      [3, "Der Messwert liegt außerhalb des gültigen Messbereichs."],
+    ],
+  );
+});
+
+test("rejects an unknown locale before checking", () => {
+  assert.equal(
+    checkOneMeasurementFor("shaft", 49.99, { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  assert.equal(
+    checkInspectionSheet("material,reading_1\nshaft,49.99", { locale: "fr" })
+      .code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  assert.equal(
+    calculateFit("H7/g6", 50, { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  assert.equal(
+    calculateActualFit("H7/g6", [50.01], [49.99], { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  assert.equal(
+    recommendBearingFitsFor("6205", { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  assert.equal(
+    getWearTrendFor(createHistoryStore(), "HSG-1", { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+  // Checked before the readings, so a bad locale is never silently ignored
+  [findSpecificationsFor, analyzeCapabilityFor, checkFormFor].forEach(
+    (checker) => {
+      assert.equal(
+        checker("shaft", [], { locale: "xx" }).code,
+        ERROR_CODES.UNKNOWN_LOCALE,
+        checker.name,
+      );
+    },
+  );
+  assert.throws(
+    () =>
+      checkMultipleMeasurementsFor("shaft", [49.99], {
+        locale: "fr",
+        throwOnError: true,
+      }),
+    LookupError,
+  );
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+} = require("../index");
+
+test("a reading close to its declared nominal is plausible", () => {
+  const result = checkOneMeasurementFor("shaft", 50.01, {
+    specification: "h9",
+    nominal: 50,
+  });
+
+  assert.equal(result.nominal, 50);
+  assert.deepEqual(result.nominal_check, {
+    declared: true,
+    deviation: "0.010",
+    isPlausible: true,
+    reason: "50.010 is within 0.9 of the declared nominal 50.",
+  });
+});
+
+test("a reading far from its declared nominal is flagged, not re-inferred", () => {
+  const above = checkOneMeasurementFor("shaft", 51.2, {
+    specification: "h9",
+    nominal: 50,
+  });
+  assert.equal(above.nominal, 50);
+  assert.deepEqual(above.nominal_check, {
+    declared: true,
+    deviation: "1.200",
+    isPlausible: false,
+    reason:
+      "51.200 is 1.200 above the declared nominal 50. Check the reading or the declared nominal.",
+  });
+
+  const below = checkOneMeasurementFor("shaft", 48.9, {
+    specification: "h9",
+    nominal: 50,
+  });
+  assert.equal(below.nominal_check.deviation, "-1.100");
+  assert.equal(below.nominal_check.isPlausible, false);
+  assert.equal(
+    below.nominal_check.reason,
+    "48.900 is 1.100 below the declared nominal 50. Check the reading or the declared nominal.",
+  );
+
+  // 0.9 mm is 0.0563 inch
+  const inch = checkOneMeasurementFor("shaft", 2.05, {
+    specification: "h9",
+    nominal: 2,
+    units: "inch",
+  });
+  assert.equal(inch.nominal_check.deviation, "0.0500");
+  assert.equal(inch.nominal_check.isPlausible, true);
+});
+
+test("there is no nominal check without a declared nominal", () => {
+  const one = checkOneMeasurementFor("shaft", 50.01, { specification: "h9" });
+  assert.equal(one.nominal, 50);
+  assert.equal("nominal_check" in one, false);
+
+  const batch = checkMultipleMeasurementsFor("shaft", [50.01, 49.98], {
+    specification: "h9",
+  });
+  assert.equal("nominal_check" in batch, false);
+});
+
+test("a batch lists the readings far from its declared nominal", () => {
+  const plausible = checkMultipleMeasurementsFor("shaft", [50.01, 49.98], {
+    specification: "h9",
+    nominal: 50,
+  });
+  assert.deepEqual(plausible.nominal_check, {
+    declared: true,
+    isPlausible: true,
+    implausibleReadings: [],
+    reason: "All readings are within 0.9 of the declared nominal 50.",
+  });
+
+  const implausible = checkMultipleMeasurementsFor("shaft", [50.01, 51.2], {
+    specification: "h9",
+    nominal: 50,
+  });
+  assert.equal(implausible.nominal, 50);
+  assert.deepEqual(implausible.nominal_check, {
+    declared: true,
+    isPlausible: false,
+    implausibleReadings: [{ index: 1, value: 51.2, deviation: "1.200" }],
+    reason:
+      "1 reading(s) are more than 0.9 away from the declared nominal 50. Check the readings or the declared nominal.",
+  });
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkOneMeasurementFor,
+  getAllTolerancesFor,
+  registerStandard,
+} = require("../index");
+const { RANGE_MATCH_RULES } = require("../lib/registry");
+
+const BAND = { minimum_diameter: 30, maximum_diameter: 50 };
+
+/** Interior band boundaries of Tolerances.json: 3, 6, 10, …, 2500 */
+const BOUNDARIES = getAllTolerancesFor("shaft", "h9")
+  .specification.slice(1)
+  .map((band) => band.minimum_diameter);
+
+/** Band a checker matched for a declared nominal */
+function matchedBand(material, nominal, options = {}) {
+  const result = checkOneMeasurementFor(material, nominal, {
+    nominal,
+    ...options,
+  });
+  assert.equal(result.error, undefined, result.message);
+  const { minimum_diameter, maximum_diameter } = result.matched_spec;
+  return [minimum_diameter, maximum_diameter];
+}
+
+test("lower-inclusive includes the minimum and excludes the maximum", () => {
+  const rule = RANGE_MATCH_RULES["lower-inclusive"];
+  assert.equal(rule(29.999, BAND), false);
+  assert.equal(rule(30, BAND), true);
+  assert.equal(rule(40, BAND), true);
+  assert.equal(rule(49.999, BAND), true);
+  assert.equal(rule(50, BAND), false);
+});
+
+test("upper-inclusive excludes the minimum and includes the maximum", () => {
+  const rule = RANGE_MATCH_RULES["upper-inclusive"];
+  assert.equal(rule(30, BAND), false);
+  assert.equal(rule(30.001, BAND), true);
+  assert.equal(rule(40, BAND), true);
+  assert.equal(rule(50, BAND), true);
+  assert.equal(rule(50.001, BAND), false);
+});
+
+test("every nominal matches exactly one band under either rule", () => {
+  const bands = getAllTolerancesFor("housing", "H7").specification;
+  const nominals = [0.5, 3, 3.5, ...BOUNDARIES, 3149];
+
+  Object.entries(RANGE_MATCH_RULES).forEach(([name, rule]) => {
+    nominals.forEach((nominal) => {
+      const matches = bands.filter((band) => rule(nominal, band));
+      assert.equal(matches.length, 1, `${name} at ${nominal}`);
+    });
+  });
+});
+
+test("shafts match the band ending at a boundary (upper-inclusive)", () => {
+  BOUNDARIES.forEach((boundary, index) => {
+    const previous = index === 0 ? 0 : BOUNDARIES[index - 1];
+    assert.deepEqual(matchedBand("shaft", boundary), [previous, boundary]);
+  });
+});
+
+test("housing and shell bores match the band starting at a boundary (lower-inclusive)", () => {
+  ["housing", "shell"].forEach((material) => {
+    BOUNDARIES.forEach((boundary, index) => {
+      const next = BOUNDARIES[index + 1] ?? 3150;
+      assert.deepEqual(
+        matchedBand(material, boundary),
+        [boundary, next],
+        `${material} at ${boundary}`,
+      );
+    });
+  });
+});
+
+test("nominals inside a band match that band for every material type", () => {
+  assert.deepEqual(matchedBand("shaft", 40), [30, 50]);
+  assert.deepEqual(matchedBand("housing", 40), [30, 50]);
+  assert.deepEqual(matchedBand("shell", 40), [30, 50]);
+  assert.deepEqual(matchedBand("shaft", 1), [0, 3]);
+  assert.deepEqual(matchedBand("housing", 3149), [2500, 3150]);
+});
+
+test("nominals outside the table are rejected", () => {
+  ["shaft", "housing", "shell"].forEach((material) => {
+    assert.equal(
+      checkOneMeasurementFor(material, 1, { nominal: 0 }).code,
+      "INVALID_NOMINAL",
+    );
+    assert.equal(
+      checkOneMeasurementFor(material, 3150, { nominal: 3150 }).code,
+      "INVALID_MEASUREMENT",
+    );
+  });
+});
+
+test("a standard can override the material type's rangeMatch", () => {
+  registerStandard("lower-inclusive-shafts", {
+    materials: {
+      shafts: {
+        specification: "h9",
+        itGrade: "IT6",
+        rangeMatch: "lower-inclusive",
+      },
+    },
+  });
+  const options = { standard: "lower-inclusive-shafts" };
+
+  assert.deepEqual(matchedBand("shaft", 50, options), [50, 80]);
+  assert.deepEqual(matchedBand("shaft", 49.5, options), [30, 50]);
+});
+
+test("an unknown rangeMatch is rejected", () => {
+  const result = registerStandard("bad-range-match", {
+    materials: {
+      shafts: { specification: "h9", itGrade: "IT6", rangeMatch: "closed" },
+    },
+  });
+  assert.equal(result.code, "INVALID_STANDARD");
+});
+
+test("classes computed by the ISO 286 engine use ISO size steps for bores too", () => {
+  assert.equal(
+    getAllTolerancesFor("housing", "K7").rangeMatch,
+    "upper-inclusive",
+  );
+  assert.equal(getAllTolerancesFor("housing", "H7").rangeMatch, undefined);
+
+  // ISO 286: K7 over 80 up to and including 120 is +10/−25
+  const result = checkOneMeasurementFor("housing", 120, {
+    specification: "K7",
+    nominal: 120,
+  });
+  assert.deepEqual(result.computed_specification_bounds, {
+    upperBound: "120.010",
+    lowerBound: "119.975",
+  });
+  assert.deepEqual(
+    matchedBand("shell", 120, { specification: "K7" }),
+    [80, 120],
+  );
+  assert.deepEqual(
+    matchedBand("housing", 120.5, { specification: "K7" }),
+    [120, 180],
+  );
+});
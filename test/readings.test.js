@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkMultipleMeasurementsFor } = require("../index");
+
+test("describes every reading against the batch nominal and bounds", () => {
+  // H7 at 240: 240.000 to 240.046
+  const { readings } = checkMultipleMeasurementsFor(
+    "housing",
+    [240.02, 240.05, 239.99, 241.1],
+    { specification: "H7" },
+  );
+
+  assert.deepEqual(readings.slice(0, 3), [
+    {
+      index: 0,
+      measurement: 240.02,
+      inferred_nominal: 240,
+      deviation_um: 20,
+      status: "in",
+      excess_um: 0,
+      nominal_outlier: false,
+    },
+    {
+      index: 1,
+      measurement: 240.05,
+      inferred_nominal: 240,
+      deviation_um: 50,
+      status: "over",
+      excess_um: 4,
+      nominal_outlier: false,
+    },
+    {
+      index: 2,
+      measurement: 239.99,
+      inferred_nominal: 240,
+      deviation_um: -10,
+      status: "under",
+      excess_um: 10,
+      nominal_outlier: false,
+    },
+  ]);
+});
+
+test("flags a reading that suggests another nominal", () => {
+  const [, outlier] = checkMultipleMeasurementsFor("housing", [240.02, 241.1], {
+    specification: "H7",
+  }).readings;
+
+  assert.equal(outlier.inferred_nominal, 241);
+  assert.equal(outlier.deviation_um, 1100);
+  assert.equal(outlier.status, "over");
+  assert.equal(outlier.excess_um, 1054);
+  assert.equal(outlier.nominal_outlier, true);
+  assert.equal(
+    outlier.reason,
+    "241.100 suggests nominal 241, not the batch nominal 240. It is judged against 240.",
+  );
+});
+
+test("flags a reading far from a declared nominal", () => {
+  const [inside, outlier] = checkMultipleMeasurementsFor(
+    "housing",
+    [240.01, 241.2],
+    { specification: "H7", nominal: 240 },
+  ).readings;
+
+  assert.equal(inside.inferred_nominal, null);
+  assert.equal(inside.nominal_outlier, false);
+  assert.equal(outlier.inferred_nominal, null);
+  assert.equal(outlier.deviation_um, 1200);
+  assert.equal(outlier.excess_um, 1154);
+  assert.equal(outlier.nominal_outlier, true);
+  assert.equal(
+    outlier.reason,
+    "241.200 is 1.200 above the declared nominal 240. Check the reading or the declared nominal.",
+  );
+});
+
+test("gives deviations in micrometres for inch readings", () => {
+  // h6 at 2 inch: 1.9993 to 2.0000
+  const [inside, over] = checkMultipleMeasurementsFor(
+    "shaft",
+    [1.9995, 2.0015],
+    { specification: "h6", units: "inch" },
+  ).readings;
+
+  assert.equal(inside.deviation_um, -12.7);
+  assert.equal(inside.status, "in");
+  assert.equal(inside.excess_um, 0);
+  assert.equal(over.deviation_um, 38.1);
+  assert.equal(over.excess_um, 38.1);
+});
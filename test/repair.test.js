@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  recommendRepairFor,
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  ERROR_CODES,
+} = require("../index");
+
+/** H7 bore at 240 (240.000 to 240.046), worn over-size */
+const WORN_BORE = checkMultipleMeasurementsFor("housing", [240.09, 240.11], {
+  specification: "H7",
+});
+
+/** h6 shaft at 50 (49.984 to 50.000), worn under-size */
+const WORN_SHAFT = checkOneMeasurementFor("shaft", 49.9, {
+  specification: "h6",
+});
+
+test("re-bores an over-sized bore to the next allowed size", () => {
+  const result = recommendRepairFor("housing", WORN_BORE, {
+    oversizeSteps: [0.5],
+    outsideDiameter: 300,
+    minimumWallThickness: 20,
+  });
+
+  assert.equal(result.condition, "over-sized");
+  assert.equal(result.recommended.method, "next-size");
+  assert.equal(result.recommended.target.nominal, 240.5);
+  assert.deepEqual(result.recommended.target.computed_specification_bounds, {
+    upperBound: "240.546",
+    lowerBound: "240.500",
+  });
+  assert.equal(
+    result.options.find((option) => option.method === "machine").feasible,
+    false,
+  );
+});
+
+test("skips a larger size that leaves too thin a wall", () => {
+  const result = recommendRepairFor("housing", WORN_BORE, {
+    oversizeSteps: [0.5],
+    outsideDiameter: 280,
+    minimumWallThickness: 19.8,
+  });
+  const nextSize = result.options.find(
+    (option) => option.method === "next-size",
+  );
+
+  assert.equal(nextSize.feasible, false);
+  assert.match(nextSize.reason, /^The remaining wall of 19\.727 is thinner/);
+  assert.equal(result.recommended.method, "metal-spray");
+});
+
+test("sleeves a bore when the build-up is too thick to spray", () => {
+  const result = recommendRepairFor("housing", WORN_BORE, {
+    maximumBuildUp: 0.1,
+  });
+
+  assert.deepEqual(
+    result.options.map(({ method, feasible }) => [method, feasible]),
+    [
+      ["machine", false],
+      ["next-size", false],
+      ["metal-spray", false],
+      ["sleeve", true],
+    ],
+  );
+  assert.equal(result.recommended.method, "sleeve");
+  assert.equal(result.recommended.seat_diameter, "246.000");
+});
+
+test("metal sprays an under-sized shaft and turns it back to size", () => {
+  const result = recommendRepairFor("shaft", WORN_SHAFT);
+
+  assert.equal(result.condition, "under-sized");
+  assert.equal(result.recommended.method, "metal-spray");
+  // (50.000 − 49.900) / 2 + 0.200 allowance
+  assert.equal(result.recommended.build_up, "0.250");
+  assert.equal(
+    result.reason,
+    "Recommended: metal-spray. Metal spray 0.250 per side (including 0.200 machining allowance), then turn to 49.984–50.000.",
+  );
+});
+
+test("turns an over-sized shaft down to size", () => {
+  const result = recommendRepairFor(
+    "shaft",
+    checkOneMeasurementFor("shaft", 50.05, {
+      specification: "h6",
+      nominal: 50,
+    }),
+  );
+
+  assert.equal(result.recommended.method, "machine");
+  assert.equal(result.recommended.stock_removal, "0.050");
+});
+
+test("a part within bounds needs no repair", () => {
+  const result = recommendRepairFor(
+    "shaft",
+    checkOneMeasurementFor("shaft", 49.99, { specification: "h6" }),
+  );
+
+  assert.equal(result.condition, "in tolerance");
+  assert.equal(result.recommended, null);
+  assert.deepEqual(result.options, []);
+  assert.equal(
+    result.reason,
+    "Every reading is within bounds. No repair is needed.",
+  );
+});
+
+test("rejects failed checks and unknown methods", () => {
+  assert.equal(
+    recommendRepairFor("shaft", checkOneMeasurementFor("shaft", -1)).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+  assert.equal(
+    recommendRepairFor("shaft", WORN_SHAFT, { methods: ["laser"] }).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  generateInspectionReport,
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  ERROR_CODES,
+} = require("../index");
+
+const RESULTS = [
+  {
+    label: "P-1",
+    material: "housing",
+    result: checkMultipleMeasurementsFor("housing", [240.01, 240.02], {
+      specification: "H7",
+    }),
+  },
+  {
+    label: "P-2",
+    material: "shaft",
+    result: checkOneMeasurementFor("shaft", 49.9),
+  },
+];
+
+test("the PDF has a header, a valid xref table and a trailer", () => {
+  const { format, content } = generateInspectionReport(RESULTS, {
+    format: "pdf",
+    date: "2026-10-19",
+  });
+  const pdf = content.toString("latin1");
+
+  assert.equal(format, "pdf");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(pdf.startsWith("xref\n", startxref));
+
+  const [, first, count] = pdf
+    .slice(startxref)
+    .match(/^xref\n(\d+) (\d+)\n/)
+    .map(Number);
+  assert.equal(first, 0);
+  const entries = pdf
+    .slice(startxref)
+    .split("\n")
+    .slice(2, 2 + count);
+  assert.equal(entries[0], "0000000000 65535 f ");
+  entries.slice(1).forEach((entry, index) => {
+    const [offset, , type] = entry.split(" ");
+    assert.equal(type, "n");
+    assert.ok(
+      pdf.startsWith(`${index + 1} 0 obj\n`, Number(offset)),
+      `object ${index + 1} is not at offset ${Number(offset)}`,
+    );
+  });
+  assert.match(pdf, new RegExp(`/Size ${count} `));
+});
+
+test("marks each component acceptable or not", () => {
+  const html = generateInspectionReport(RESULTS).content;
+
+  assert.match(html, /2 components: 1 acceptable, 1 not acceptable\./);
+  const [first, second] = html.split('<section class="component">').slice(1);
+  assert.match(first, /<h2>P-1 — housing<\/h2>/);
+  assert.match(first, /Final compliance: ACCEPTABLE</);
+  assert.match(second, /<td class="under">✘ under-sized<\/td>/);
+  assert.match(second, /Size: FAIL — /);
+  assert.match(second, /Final compliance: NOT ACCEPTABLE</);
+
+  const pdf = generateInspectionReport(RESULTS, { format: "pdf" }).content;
+  const text = pdf.toString("latin1");
+  assert.match(text, /\(Final compliance: ACCEPTABLE\)/);
+  assert.match(text, /\(Final compliance: NOT ACCEPTABLE\)/);
+});
+
+test("shows the guard-banded decision, and only conformance is acceptable", () => {
+  // H7 at 240: 240.000 to 240.046; 240.044 is within U = 0.004 of the limit
+  const result = checkOneMeasurementFor("housing", 240.044, {
+    specification: "H7",
+    uncertainty: 0.004,
+  });
+  assert.equal(result.decision.verdict, "indeterminate");
+
+  const html = generateInspectionReport(result).content;
+  assert.match(
+    html,
+    /<p class="indeterminate">Decision \(ISO 14253-1, U = 0\.0040\): INDETERMINATE — /,
+  );
+  assert.match(html, /Final compliance: NOT ACCEPTABLE</);
+
+  const pdf = generateInspectionReport(result, { format: "pdf" });
+  assert.match(
+    pdf.content.toString("latin1"),
+    /Decision \\\(ISO 14253-1, U = 0\.0040\\\): INDETERMINATE/,
+  );
+
+  const conforming = checkOneMeasurementFor("housing", 240.02, {
+    specification: "H7",
+    uncertainty: 0.004,
+  });
+  assert.match(
+    generateInspectionReport(conforming).content,
+    /Final compliance: ACCEPTABLE</,
+  );
+});
+
+test("translates the report text into the locale", () => {
+  const result = checkMultipleMeasurementsFor("housing", [240.01, 240.06], {
+    specification: "H7",
+    uncertainty: 0.004,
+    locale: "de",
+  });
+  const html = generateInspectionReport(result, {
+    locale: "de",
+    inspector: "J. Schmidt",
+  }).content;
+
+  assert.match(html, /<html lang="de">/);
+  assert.match(html, /<h1>Prüfbericht<\/h1>/);
+  assert.match(html, /<dt>Prüfer<\/dt><dd>J\. Schmidt<\/dd>/);
+  assert.match(html, /1 Bauteil: 0 annehmbar, 1 nicht annehmbar\./);
+  assert.match(html, /<h2>Bauteil 1<\/h2>/);
+  assert.match(html, /<tr><th>Nennmaß<\/th><td>240 mm<\/td><\/tr>/);
+  assert.match(html, /<th>Messwert \(mm\)<\/th>/);
+  assert.match(html, /<td class="over">✘ Übermaß<\/td>/);
+  assert.match(html, /Maß: NICHT BESTANDEN — 240\.060 liegt nicht zwischen/);
+  assert.match(
+    html,
+    /Entscheidung \(ISO 14253-1, U = 0\.0040\): NICHT KONFORM — /,
+  );
+  assert.match(html, /Endergebnis: NICHT ANNEHMBAR</);
+  assert.match(html, /<strong>Freigegeben von<\/strong><br>Datum:/);
+  assert.doesNotMatch(html, /Inspection Report|Final compliance|Reading/);
+
+  const pdf = generateInspectionReport(result, {
+    format: "pdf",
+    locale: "de",
+  }).content.toString("latin1");
+  assert.match(pdf, /\(Endergebnis: NICHT ANNEHMBAR\)/);
+  assert.match(pdf, /\(AUS  \xdcberma\xdf\)/);
+  assert.match(pdf, /\(Pr\xfcfbericht \x97 Seite 1 von 1\)/);
+
+  assert.equal(
+    generateInspectionReport(result, { locale: "fr" }).code,
+    ERROR_CODES.UNKNOWN_LOCALE,
+  );
+});
+
+test("rejects error results and unknown formats", () => {
+  const result = generateInspectionReport([
+    RESULTS[0],
+    checkOneMeasurementFor("pipe", 50),
+  ]);
+  assert.equal(result.code, ERROR_CODES.INVALID_INPUT);
+  assert.equal(result.details[0].index, 1);
+
+  assert.equal(
+    generateInspectionReport(RESULTS, { format: "docx" }).code,
+    ERROR_CODES.UNKNOWN_FORMAT,
+  );
+});
@@ -0,0 +1,270 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { createServer, checkOneMeasurementFor } = require("../index");
+const schemas = require("../lib/schemas");
+
+/** Starts a server on a free local port for the tests of a file */
+async function startServer(t, options) {
+  const server = createServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      ...(body !== undefined && {
+        headers: { "Content-Type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+      }),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : undefined,
+    };
+  };
+}
+
+test("serves the calculator's results as JSON", async (t) => {
+  const request = await startServer(t);
+
+  const check = await request("POST", "/checks", {
+    material: "housing",
+    measurement: 240.05,
+    specification: "H7",
+  });
+  assert.equal(check.status, 200);
+  assert.equal(
+    check.headers.get("content-type"),
+    "application/json; charset=utf-8",
+  );
+  assert.deepEqual(
+    check.body,
+    checkOneMeasurementFor("housing", 240.05, { specification: "H7" }),
+  );
+
+  const batch = await request("POST", "/checks/batch", {
+    material: "shaft",
+    measurements: [49.99, 49.98],
+    uncertainty: 0.002,
+  });
+  assert.equal(batch.status, 200);
+  assert.equal(batch.body.decision.verdict, "conforming");
+
+  const fit = await request("POST", "/fits", { fit: "H7/k6", nominal: 50 });
+  assert.equal(fit.body.fit_type, "transition");
+});
+
+test("looks up tolerances, tables and standards", async (t) => {
+  const request = await startServer(t);
+
+  const h7 = await request("GET", "/tolerances/housing?spec=H7&units=inch");
+  assert.equal(h7.status, 200);
+  assert.equal(h7.body.units, "inch");
+  assert.equal(h7.body.specification.length, 21);
+
+  const tables = await request("GET", "/tables");
+  assert.deepEqual(
+    tables.body.tables.map(({ material, specifications }) => [
+      material,
+      specifications.length,
+    ]),
+    [
+      ["housing", 4],
+      ["shaft", 4],
+      ["shell", 3],
+    ],
+  );
+
+  const standards = await request("GET", "/standards");
+  assert.ok(standards.body.standards.includes("camco"));
+});
+
+test("validates requests against the schemas", async (t) => {
+  const request = await startServer(t);
+
+  const invalid = await request("POST", "/checks/batch", {
+    material: "shaft",
+    measurements: [49.99, "49.98"],
+    units: "mm",
+    spec: "h7",
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "INVALID_INPUT");
+  assert.deepEqual(
+    invalid.body.details.map((detail) => detail.field),
+    ["spec", "measurements[1]"],
+  );
+
+  const missing = await request("POST", "/fits", { fit: "H7/k6" });
+  assert.deepEqual(missing.body.details, [
+    { field: "nominal", message: "Is required." },
+  ]);
+
+  const notJSON = await request("POST", "/checks", "measurement=240");
+  assert.equal(notJSON.status, 400);
+  assert.equal(notJSON.body.message, "Request body must be JSON.");
+
+  for (const body of [null, [240.05], 240.05]) {
+    const notObject = await request("POST", "/checks", body);
+    assert.equal(notObject.status, 400);
+    assert.deepEqual(notObject.body, {
+      error: true,
+      code: "INVALID_INPUT",
+      message: "Request body must be a JSON object.",
+    });
+  }
+
+  const query = await request("GET", "/tolerances/shaft?grade=IT6");
+  assert.equal(query.status, 400);
+  assert.equal(query.body.details[0].field, "grade");
+});
+
+test("closes the connection after an oversized body", async (t) => {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // One keep-alive socket, so both requests share the connection
+  const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+  t.after(() => {
+    agent.destroy();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  const send = (method, path, body) =>
+    new Promise((resolve, reject) => {
+      const request = http.request(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          method,
+          path,
+          agent,
+          timeout: 5000,
+          ...(body && { headers: { "Content-Type": "application/json" } }),
+        },
+        (response) => {
+          let text = "";
+          response.on("data", (chunk) => (text += chunk));
+          response.on("end", () =>
+            resolve({
+              status: response.statusCode,
+              connection: response.headers.connection,
+              body: JSON.parse(text),
+            }),
+          );
+        },
+      );
+      request.on("timeout", () =>
+        request.destroy(new Error(`${method} ${path} timed out`)),
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+
+  const oversized = await send(
+    "POST",
+    "/checks",
+    JSON.stringify({ material: "x".repeat(3 * 1024 * 1024) }),
+  );
+  assert.equal(oversized.status, 413);
+  assert.equal(oversized.connection, "close");
+
+  const next = await send("GET", "/standards");
+  assert.equal(next.status, 200);
+  assert.ok(next.body.standards.includes("camco"));
+});
+
+test("maps error objects to 400 and 404", async (t) => {
+  const request = await startServer(t);
+
+  const outOfRange = await request("POST", "/checks", {
+    material: "shaft",
+    measurement: 5000,
+  });
+  assert.equal(outOfRange.status, 400);
+  assert.equal(outOfRange.body.code, "INVALID_MEASUREMENT");
+
+  const unknownSpec = await request("GET", "/tolerances/housing?spec=Q7");
+  assert.equal(unknownSpec.status, 404);
+  assert.equal(unknownSpec.body.code, "UNKNOWN_SPEC");
+
+  const unknownMaterial = await request("GET", "/tolerances/pipe");
+  assert.equal(unknownMaterial.status, 404);
+  assert.equal(unknownMaterial.body.code, "UNKNOWN_MATERIAL");
+});
+
+test("rejects unknown endpoints and methods", async (t) => {
+  const request = await startServer(t);
+
+  const unknown = await request("GET", "/calculate");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, "UNKNOWN_ROUTE");
+
+  const wrongMethod = await request("GET", "/checks");
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.get("allow"), "POST");
+
+  assert.equal((await request("GET", "/tolerances/%E0%A4%A")).status, 404);
+});
+
+test("answers CORS preflight requests only when enabled", async (t) => {
+  const closed = await startServer(t);
+  const open = await startServer(t, { cors: true });
+
+  assert.equal((await closed("OPTIONS", "/checks")).status, 405);
+  const preflight = await open("OPTIONS", "/checks");
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get("access-control-allow-origin"), "*");
+});
+
+test("describes the endpoints in OpenAPI from the request schemas", async (t) => {
+  const request = await startServer(t);
+  const { status, body: document } = await request("GET", "/openapi.json");
+
+  assert.equal(status, 200);
+  assert.equal(document.openapi, "3.0.3");
+  assert.deepEqual(Object.keys(document.paths).sort(), [
+    "/checks",
+    "/checks/batch",
+    "/fits",
+    "/standards",
+    "/tables",
+    "/tolerances/{material}",
+  ]);
+  assert.deepEqual(
+    document.paths["/checks"].post.requestBody.content["application/json"]
+      .schema,
+    schemas.CHECK_REQUEST,
+  );
+  assert.deepEqual(
+    document.paths["/tolerances/{material}"].get.parameters.map(
+      (parameter) => `${parameter.in}:${parameter.name}`,
+    ),
+    ["path:material", "query:spec", "query:units", "query:standard"],
+  );
+});
+
+test("the validator reports every problem with its field", () => {
+  assert.deepEqual(schemas.validate(schemas.CHECK_REQUEST, {}), [
+    { field: "material", message: "Is required." },
+    { field: "measurement", message: "Is required." },
+  ]);
+  assert.deepEqual(
+    schemas.validate(schemas.CHECK_REQUEST, {
+      material: "shaft",
+      measurement: -1,
+      uncertainty: { gauge: 0.002, temperature: "hot" },
+    }),
+    [
+      { field: "measurement", message: "Must be 0 or more." },
+      { field: "uncertainty", message: "Must be a number or an object." },
+    ],
+  );
+  assert.deepEqual(schemas.validate(schemas.FIT_REQUEST, []), [
+    { field: "Value", message: "Must be an object." },
+  ]);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkInspectionSheet, ERROR_CODES } = require("../index");
+
+const SHEET = [
+  "component_id,material,spec,reading_1,reading_2",
+  "P-1,housing,H7,240.01,240.02",
+  "P-2,shaft,,49.99,abc",
+  "P-3,widget,,1,2",
+  "P-4,shaft,,49.99,-1",
+  ",shaft,h9,49.99,",
+].join("\n");
+
+test("reports invalid readings by row and column", () => {
+  const result = checkInspectionSheet(SHEET);
+
+  assert.deepEqual(result.summary, {
+    total: 5,
+    passed: 2,
+    failed: 0,
+    invalid: 3,
+  });
+  assert.deepEqual(result.errors, [
+    {
+      row: 3,
+      column: "reading_2",
+      value: "abc",
+      code: ERROR_CODES.INVALID_MEASUREMENT,
+      message: "Reading is not a number.",
+    },
+    {
+      row: 4,
+      column: null,
+      value: null,
+      code: ERROR_CODES.UNKNOWN_MATERIAL,
+      message:
+        "Unknown material type: widget. Valid types are 'housing', 'shaft', or 'shell'.",
+    },
+    {
+      row: 5,
+      column: "reading_2",
+      value: "-1",
+      code: ERROR_CODES.INVALID_MEASUREMENT,
+      message: "Reading is outside the valid measurement range.",
+    },
+  ]);
+
+  // Invalid rows have no result; a blank reading cell is skipped
+  assert.equal(result.rows[1].result, null);
+  assert.equal(result.rows[1].meets_final_compliance, null);
+  assert.deepEqual(result.rows[4].result.measurement, [49.99]);
+  assert.equal(result.rows[4].id, "row 6");
+});
+
+test("writes one results line per row, with the error of invalid ones", () => {
+  const lines = checkInspectionSheet(SHEET).results_csv.trimEnd().split("\n");
+
+  assert.equal(lines.length, 6);
+  assert.equal(
+    lines[1],
+    "2,P-1,housing,H7,240,240.000,240.046,240.01,240.02,true,true,true,",
+  );
+  assert.equal(
+    lines[2],
+    "3,P-2,shaft,,,,,,,,,,reading_2: Reading is not a number.",
+  );
+  assert.match(lines[3], /^4,P-3,widget,,,,,,,,,,"Unknown material type/);
+});
+
+test("rejects a sheet without its required columns or rows", () => {
+  const missing = checkInspectionSheet("component_id,spec,reading_1\nP-1,H7,1");
+  assert.equal(missing.code, ERROR_CODES.INVALID_CSV);
+  assert.deepEqual(missing.details, [{ column: "material" }]);
+
+  const mapped = checkInspectionSheet("material,reading_1\nshaft,49.99", {
+    columns: { readings: ["reading_1", "reading_2"] },
+  });
+  assert.deepEqual(mapped.details, [{ column: "reading_2" }]);
+
+  assert.match(
+    checkInspectionSheet("material,value\nshaft,49.99").message,
+    /^No reading columns found/,
+  );
+  assert.equal(
+    checkInspectionSheet("material,reading_1\n\n").code,
+    ERROR_CODES.INVALID_CSV,
+  );
+  assert.equal(
+    checkInspectionSheet('material,reading_1\nshaft,"49.99').code,
+    ERROR_CODES.INVALID_CSV,
+  );
+});
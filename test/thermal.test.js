@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  ERROR_CODES,
+} = require("../index");
+const thermal = require("../lib/thermal");
+
+test("corrects a reading with L20 = L(1 + αg(tg − 20)) / (1 + αp(tp − 20))", () => {
+  const compensation = {
+    partTemperature: 30,
+    gaugeTemperature: 25,
+    coefficient: 23e-6,
+  };
+  const expected = (50.012 * (1 + 11.5e-6 * 5)) / (1 + 23e-6 * 10);
+
+  assert.equal(thermal.toReferenceTemperature(50.012, compensation), expected);
+  assert.equal(
+    thermal.toReferenceTemperature(50.012, {
+      partTemperature: 20,
+      gaugeTemperature: 20,
+      coefficient: 23e-6,
+    }),
+    50.012,
+  );
+});
+
+test("checks the reading corrected to 20 °C and keeps the raw reading", () => {
+  // 50.012 / (1 + 23e-6 × 10) = 50.0005
+  const result = checkOneMeasurementFor("housing", 50.012, {
+    specification: "H7",
+    partTemperature: 30,
+    partMaterial: "aluminium",
+  });
+
+  assert.equal(result.measurement, 50.0005);
+  assert.equal(result.raw_measurement, 50.012);
+  assert.equal(result.meets_specification.meetsSpec, true);
+  assert.equal(result.thermal_compensation.expansion_coefficient, 23e-6);
+  assert.equal(
+    result.thermal_compensation.reason,
+    "Readings taken on an aluminium part at 30 °C with a steel gauge at 20 °C are corrected to 20 °C.",
+  );
+});
+
+test("a steel part with a gauge at another temperature", () => {
+  const result = checkMultipleMeasurementsFor("shaft", [50.012, 50.02], {
+    specification: "k6",
+    partTemperature: 30,
+    gaugeTemperature: 25,
+  });
+
+  assert.deepEqual(result.measurement, [50.0091, 50.0171]);
+  assert.deepEqual(result.raw_measurement, [50.012, 50.02]);
+  assert.equal(result.thermal_compensation.part_material, "steel");
+});
+
+test("takes a custom expansion coefficient", () => {
+  // 50.012 / (1 + 17e-6 × 10) = 50.0035
+  const result = checkOneMeasurementFor("housing", 50.012, {
+    partTemperature: 30,
+    partMaterial: 17e-6,
+  });
+
+  assert.equal(result.measurement, 50.0035);
+  assert.equal(result.thermal_compensation.part_material, "custom");
+});
+
+test("rejects bad temperatures and materials", () => {
+  const result = checkOneMeasurementFor("housing", 50.01, {
+    partTemperature: "hot",
+    gaugeTemperature: NaN,
+    partMaterial: "wood",
+  });
+  assert.equal(result.code, ERROR_CODES.INVALID_INPUT);
+  assert.deepEqual(
+    result.details.map((detail) => detail.field),
+    ["partTemperature", "gaugeTemperature", "partMaterial"],
+  );
+
+  assert.equal(
+    checkOneMeasurementFor("housing", 50.01, { partMaterial: "steel" })
+      .details[0].message,
+    "Part material needs a part or gauge temperature.",
+  );
+  assert.equal(
+    checkOneMeasurementFor("housing", 50.01, {
+      partTemperature: 30,
+      partMaterial: -1,
+    }).code,
+    ERROR_CODES.INVALID_INPUT,
+  );
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkOneMeasurementFor,
+  checkMultipleMeasurementsFor,
+  ERROR_CODES,
+} = require("../index");
+
+/** H7 bore at 240: 240.000 to 240.046, guard-banded by U = 0.004 */
+const OPTIONS = { specification: "H7", uncertainty: 0.004 };
+
+function verdictFor(reading) {
+  return checkOneMeasurementFor("housing", reading, OPTIONS).decision.verdict;
+}
+
+test("narrows the bounds to acceptance limits and widens them to rejection limits", () => {
+  const result = checkOneMeasurementFor("housing", 240.02, OPTIONS);
+
+  assert.deepEqual(result.acceptance_limits, {
+    upperBound: "240.0420",
+    lowerBound: "240.0040",
+  });
+  assert.deepEqual(result.decision.rejection_limits, {
+    upperBound: "240.0500",
+    lowerBound: "239.9960",
+  });
+  assert.equal(result.decision.rule, "ISO 14253-1");
+  assert.equal(result.decision.uncertainty, "0.0040");
+});
+
+test("a reading on an acceptance limit proves conformance", () => {
+  assert.equal(verdictFor(240.004), "conforming");
+  assert.equal(verdictFor(240.042), "conforming");
+});
+
+test("a reading within U of a specification limit is indeterminate", () => {
+  // Inside the specification, but within U of it
+  assert.equal(verdictFor(240.0039), "indeterminate");
+  assert.equal(verdictFor(240.0421), "indeterminate");
+  // Outside the specification, but within U of it
+  assert.equal(verdictFor(240.05), "indeterminate");
+  assert.equal(verdictFor(239.996), "indeterminate");
+});
+
+test("a reading beyond a rejection limit proves non-conformance", () => {
+  assert.equal(verdictFor(240.0501), "non-conforming");
+  assert.equal(verdictFor(239.9959), "non-conforming");
+});
+
+test("the batch verdict follows the worst reading", () => {
+  const conforming = checkMultipleMeasurementsFor(
+    "housing",
+    [240.01, 240.02],
+    OPTIONS,
+  );
+  assert.equal(conforming.decision.verdict, "conforming");
+  assert.equal(conforming.decision.reason, "All 2 readings prove conformance.");
+
+  const indeterminate = checkMultipleMeasurementsFor(
+    "housing",
+    [240.01, 240.044],
+    OPTIONS,
+  );
+  assert.deepEqual(
+    indeterminate.readings.map((reading) => reading.decision),
+    ["conforming", "indeterminate"],
+  );
+  assert.equal(indeterminate.decision.verdict, "indeterminate");
+
+  const nonConforming = checkMultipleMeasurementsFor(
+    "housing",
+    [240.044, 240.051],
+    OPTIONS,
+  );
+  assert.equal(nonConforming.decision.verdict, "non-conforming");
+  assert.equal(
+    nonConforming.decision.reason,
+    "1 of 2 readings prove non-conformance: 240.051.",
+  );
+});
+
+test("combines the gauge and temperature uncertainties", () => {
+  // 240 × 11.5e-6 × 5 K = 0.0138, as U: 2 × 0.0138 / √3 = 0.0159
+  const result = checkOneMeasurementFor("housing", 240.02, {
+    specification: "H7",
+    uncertainty: { gauge: 0.003, temperature: 25 },
+  });
+
+  assert.deepEqual(result.decision.uncertainty_components, {
+    gauge: "0.0030",
+    temperature: "0.0159",
+  });
+  assert.equal(result.decision.uncertainty, "0.0162");
+});
+
+test("no reading proves conformance when U is half the tolerance or more", () => {
+  const result = checkOneMeasurementFor("housing", 240.023, {
+    specification: "H7",
+    uncertainty: 0.03,
+  });
+
+  assert.equal(result.decision.verdict, "indeterminate");
+  assert.match(result.decision.reason, /no reading can prove conformance\.$/);
+});
+
+test("rejects an invalid uncertainty", () => {
+  const result = checkOneMeasurementFor("housing", 240.02, {
+    uncertainty: { gauge: -1, temperature: "hot" },
+  });
+
+  assert.equal(result.code, ERROR_CODES.INVALID_INPUT);
+  assert.deepEqual(
+    result.details.map((detail) => detail.field),
+    ["gauge", "temperature"],
+  );
+});
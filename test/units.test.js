@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  calculateFit,
+  checkOneMeasurementFor,
+  getAllTolerancesFor,
+  ERROR_CODES,
+} = require("../index");
+const units = require("../lib/units");
+const ansi = require("../lib/ansi");
+
+test("converts between millimetres and inches both ways", () => {
+  const inch = units.resolveUnits("inches");
+
+  assert.equal(units.toMillimetres(1, inch), 25.4);
+  assert.equal(units.fromMillimetres(50.8, inch), 2);
+  [0.0254, 12.7, 240.046].forEach((millimetres) => {
+    assert.equal(
+      units.toMillimetres(units.fromMillimetres(millimetres, inch), inch),
+      millimetres,
+    );
+  });
+  assert.equal(units.convertMillimetreString("0.025", inch), "0.0010");
+  assert.equal(units.convertMillimetreString("-0.001", inch), "0.0000");
+  assert.equal(units.resolveUnits("ft").code, ERROR_CODES.UNKNOWN_UNITS);
+});
+
+test("inch tolerance tables are the millimetre tables converted", () => {
+  const millimetres = getAllTolerancesFor("shaft", "h9").specification;
+  const inches = getAllTolerancesFor("shaft", "h9", { units: "inch" });
+
+  assert.equal(inches.units, "inch");
+  inches.specification.forEach((band, index) => {
+    assert.equal(
+      band.maximum_diameter,
+      Number((millimetres[index].maximum_diameter / 25.4).toFixed(4)),
+    );
+    assert.equal(
+      band.lower_deviation,
+      (Number(millimetres[index].lower_deviation) / 25.4).toFixed(4),
+    );
+  });
+});
+
+test("maps ANSI B4.1 classes to their ISO symbols", () => {
+  assert.deepEqual(ansi.getAnsiFit("rc4"), {
+    designation: "RC4",
+    description: "Running and sliding fit",
+    hole: "H8",
+    shaft: "f7",
+  });
+  assert.equal(ansi.isAnsiDesignation("H7/g6"), false);
+});
+
+test("names the ANSI B4.1 classes that are not supported", () => {
+  ["RC9", "lc10", "LC11", "FN1"].forEach((designation) => {
+    const result = ansi.getAnsiFit(designation);
+    assert.equal(result.code, ERROR_CODES.UNKNOWN_SPEC, designation);
+    assert.match(
+      result.message,
+      new RegExp(
+        `^ANSI class ${designation.toUpperCase()} is not supported: RC9, LC10, LC11, FN1 have no ISO 286 shaft symbol\\. Available ANSI classes: RC1, `,
+      ),
+    );
+  });
+
+  assert.match(
+    calculateFit("FN1", 1.5, { units: "inch" }).message,
+    /^ANSI class FN1 is not supported/,
+  );
+  assert.match(ansi.getAnsiFit("RC12").message, /^Unknown ANSI class: RC12\. /);
+});
+
+test("RC4 at 1.5 inch is a clearance fit of 0.0010 to 0.0035", () => {
+  const result = calculateFit("RC4", 1.5, { units: "inch" });
+
+  assert.equal(result.iso_equivalent, "H8/f7");
+  assert.equal(result.units, "inch");
+  assert.deepEqual(result.hole.computed_specification_bounds, {
+    upperBound: "1.5015",
+    lowerBound: "1.5000",
+  });
+  assert.deepEqual(result.shaft.computed_specification_bounds, {
+    upperBound: "1.4990",
+    lowerBound: "1.4980",
+  });
+  assert.equal(result.min_clearance, "0.0010");
+  assert.equal(result.max_clearance, "0.0035");
+  assert.equal(result.fit_type, "clearance");
+});
+
+test("checks inch readings against an ANSI class", () => {
+  const result = checkOneMeasurementFor("shaft", 1.4985, {
+    specification: "RC4",
+    units: "inch",
+  });
+
+  assert.equal(result.nominal, 1.5);
+  assert.equal(
+    result.meets_specification.reason,
+    "1.4985 falls between 1.4980 and 1.4990. So, the material meets RC4 specification.",
+  );
+});